@@ -0,0 +1,180 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { nasaLogger } from '@/lib/logger';
+import { ephemerisRateLimiter } from '@/lib/rate-limiter';
+import { bodyNameSchema, ephemerisDateSchema } from '@/lib/validation';
+import { handleError, AppError, ERROR_CODES } from '@/lib/error-handler';
+import planetsData from '@/components/solar-system/lib/planetsData';
+import {
+  MS_PER_DAY,
+  julianDateFromDate,
+  getHeliocentricState,
+} from '@/components/solar-system/lib/ephemeris';
+
+const CACHE_DURATION = 7 * 24 * 60 * 60; // 7 days - positions for a given date never change
+const MAX_SAMPLES = 1000;
+const ORIGIN = { x: 0, y: 0, z: 0 };
+
+const parseDate = (value: string, label: string): Date => {
+  const validationResult = ephemerisDateSchema.safeParse(value);
+  if (!validationResult.success) {
+    throw new AppError(
+      `Invalid ${label}: ${value}`,
+      ERROR_CODES.VALIDATION_ERROR,
+      400,
+      validationResult.error.errors[0]?.message || 'Please provide date in YYYY-MM-DD format'
+    );
+  }
+  return new Date(`${validationResult.data}T00:00:00Z`);
+};
+
+// Resolve the requested sample dates from either `date` or `start_date`/`end_date`/`step`
+const getSampleDates = (searchParams: URLSearchParams): Date[] => {
+  const date = searchParams.get('date');
+  const startDate = searchParams.get('start_date');
+  const endDate = searchParams.get('end_date');
+
+  if (date && (startDate || endDate)) {
+    throw new AppError(
+      'Both date and date range provided',
+      ERROR_CODES.VALIDATION_ERROR,
+      400,
+      'Provide either date or start_date/end_date, not both'
+    );
+  }
+
+  if (!startDate && !endDate) {
+    if (date) return [parseDate(date, 'date')];
+    const today = new Date();
+    return [new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()))];
+  }
+
+  if (!startDate || !endDate) {
+    throw new AppError(
+      'Incomplete date range',
+      ERROR_CODES.VALIDATION_ERROR,
+      400,
+      'Both start_date and end_date are required for a date range'
+    );
+  }
+
+  const start = parseDate(startDate, 'start_date');
+  const end = parseDate(endDate, 'end_date');
+  if (start > end) {
+    throw new AppError(
+      `start_date ${startDate} is after end_date ${endDate}`,
+      ERROR_CODES.VALIDATION_ERROR,
+      400,
+      'Start date must be before or equal to end date'
+    );
+  }
+
+  const step = Number(searchParams.get('step') ?? 1);
+  if (!Number.isInteger(step) || step < 1) {
+    throw new AppError(
+      `Invalid step: ${searchParams.get('step')}`,
+      ERROR_CODES.VALIDATION_ERROR,
+      400,
+      'Step must be a positive whole number of days'
+    );
+  }
+
+  const sampleCount = Math.floor((end.getTime() - start.getTime()) / (step * MS_PER_DAY)) + 1;
+  if (sampleCount > MAX_SAMPLES) {
+    throw new AppError(
+      `Requested ${sampleCount} samples`,
+      ERROR_CODES.VALIDATION_ERROR,
+      400,
+      `Date range is too large - at most ${MAX_SAMPLES} samples per request, increase step`
+    );
+  }
+
+  return Array.from({ length: sampleCount }, (_, i) => new Date(start.getTime() + i * step * MS_PER_DAY));
+};
+
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<{ body: string }> }
+) {
+  try {
+    const { body } = await params;
+
+    // Validate input
+    const validationResult = bodyNameSchema.safeParse(body);
+    if (!validationResult.success) {
+      throw new AppError(
+        `Invalid body name: ${body}`,
+        ERROR_CODES.VALIDATION_ERROR,
+        400,
+        'Please provide a valid celestial body name'
+      );
+    }
+
+    const validatedBody = validationResult.data.toLowerCase();
+    const planet = planetsData.find(p => p.name.toLowerCase() === validatedBody);
+
+    if (!planet) {
+      throw new AppError(
+        `No ephemeris available for ${validatedBody}`,
+        ERROR_CODES.NOT_FOUND,
+        404,
+        'Ephemeris not available for this celestial body'
+      );
+    }
+
+    const sampleDates = getSampleDates(request.nextUrl.searchParams);
+
+    // Check rate limit
+    const rateLimitResult = ephemerisRateLimiter.check();
+
+    if (!rateLimitResult.success) {
+      nasaLogger.warn(`Rate limit exceeded for ephemeris: ${validatedBody}`);
+      throw new AppError(
+        'Rate limit exceeded',
+        ERROR_CODES.RATE_LIMIT_EXCEEDED,
+        429,
+        'Too many requests. Please try again later.'
+      );
+    }
+
+    nasaLogger.debug(`Computing ${sampleDates.length} ephemeris sample(s) for: ${validatedBody}`);
+
+    const ephemeris = sampleDates.map((date) => {
+      const julianDate = julianDateFromDate(date);
+      // The Sun is the origin of the heliocentric frame
+      const { position, velocity } = planet.orbitalElements
+        ? getHeliocentricState(planet.orbitalElements, julianDate)
+        : { position: ORIGIN, velocity: ORIGIN };
+
+      return {
+        date: date.toISOString().split('T')[0],
+        julianDate,
+        position,
+        velocity,
+      };
+    });
+
+    return NextResponse.json({
+      body: planet.name,
+      center: 'Sun',
+      frame: 'ecliptic J2000',
+      units: { position: 'AU', velocity: 'AU/day' },
+      ephemeris,
+    }, {
+      headers: {
+        'Cache-Control': `public, s-maxage=${CACHE_DURATION}, stale-while-revalidate`,
+        'X-RateLimit-Limit': rateLimitResult.limit.toString(),
+        'X-RateLimit-Remaining': rateLimitResult.remaining.toString(),
+        'X-RateLimit-Reset': rateLimitResult.reset.toISOString(),
+      },
+    });
+  } catch (error) {
+    const appError = handleError(error, 'EPHEMERIS_API');
+    return NextResponse.json(
+      {
+        error: appError.userMessage || 'Failed to compute ephemeris',
+        code: appError.code
+      },
+      { status: appError.statusCode }
+    );
+  }
+}
@@ -1,6 +1,6 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { nasaLogger } from '@/lib/logger';
-import { env } from '@/lib/env';
+import { nasaFetch } from '@/lib/nasa-upstream';
 import { dateSchema } from '@/lib/validation';
 import { handleError, AppError, ERROR_CODES } from '@/lib/error-handler';
 
@@ -25,15 +25,10 @@ export async function GET(request: NextRequest) {
     }
     nasaLogger.debug(`Fetching APOD${date ? ` for date: ${date}` : ''}`);
     
-    const apiKey = env.NASA_API_KEY;
-    const dateParam = date ? `&date=${date}` : '';
-    const url = `https://api.nasa.gov/planetary/apod?api_key=${apiKey}${dateParam}`;
+    const dateParam = date ? `?date=${date}` : '';
+    const url = `https://api.nasa.gov/planetary/apod${dateParam}`;
     
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Solar-System-Emulator/1.0',
-      },
-    });
+    const response = await nasaFetch(url, { withApiKey: true });
     
     if (!response.ok) {
       nasaLogger.warn(`NASA APOD API error: ${response.status}`);
@@ -0,0 +1,169 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { nasaLogger } from '@/lib/logger';
+import { nasaFetch } from '@/lib/nasa-upstream';
+import { nasaRateLimiter } from '@/lib/rate-limiter';
+import { roverNameSchema, solSchema, roverDateSchema, roverCameraSchema, pageSchema } from '@/lib/validation';
+import { handleError, AppError, ERROR_CODES } from '@/lib/error-handler';
+
+const CACHE_DURATION = 24 * 60 * 60; // 24 hours - photos for a given sol or date don't change
+const LATEST_CACHE_DURATION = 60 * 60; // 1 hour - latest photos move with the mission
+const PAGE_SIZE = 25; // fixed by the upstream API
+
+interface UpstreamPhoto {
+  id: number;
+  sol: number;
+  earth_date: string;
+  img_src: string;
+  camera: { name: string; full_name: string };
+}
+
+// Strict integer parsing: '', '1.5' and '1e3' are all rejected
+const parseInteger = (value: string) => (/^\d+$/.test(value) ? Number(value) : NaN);
+
+export async function GET(request: NextRequest) {
+  try {
+    const searchParams = request.nextUrl.searchParams;
+    const sol = searchParams.get('sol');
+    const earthDate = searchParams.get('earth_date');
+    const camera = searchParams.get('camera');
+    const page = searchParams.get('page');
+
+    // Validate input
+    const roverResult = roverNameSchema.safeParse((searchParams.get('rover') || 'curiosity').toLowerCase());
+    if (!roverResult.success) {
+      throw new AppError(
+        `Invalid rover: ${searchParams.get('rover')}`,
+        ERROR_CODES.VALIDATION_ERROR,
+        400,
+        'Rover must be curiosity, opportunity, spirit or perseverance'
+      );
+    }
+
+    if (sol !== null && earthDate !== null) {
+      throw new AppError(
+        'Both sol and earth_date provided',
+        ERROR_CODES.VALIDATION_ERROR,
+        400,
+        'Please provide either sol or earth_date, not both'
+      );
+    }
+
+    const solResult = sol !== null ? solSchema.safeParse(parseInteger(sol)) : null;
+    if (solResult && !solResult.success) {
+      throw new AppError(
+        `Invalid sol: ${sol}`,
+        ERROR_CODES.VALIDATION_ERROR,
+        400,
+        'Sol must be a whole number between 0 and 10000'
+      );
+    }
+
+    const dateResult = earthDate !== null ? roverDateSchema.safeParse(earthDate) : null;
+    if (dateResult && !dateResult.success) {
+      throw new AppError(
+        `Invalid earth_date: ${earthDate}`,
+        ERROR_CODES.VALIDATION_ERROR,
+        400,
+        'Please provide earth_date in YYYY-MM-DD format, between 2004-01-04 and today'
+      );
+    }
+
+    const cameraResult = camera !== null ? roverCameraSchema.safeParse(camera) : null;
+    if (cameraResult && !cameraResult.success) {
+      throw new AppError(
+        `Invalid camera: ${camera}`,
+        ERROR_CODES.VALIDATION_ERROR,
+        400,
+        'Please provide a camera abbreviation such as FHAZ or NAVCAM'
+      );
+    }
+
+    const pageResult = pageSchema.safeParse(page !== null ? parseInteger(page) : 1);
+    if (!pageResult.success) {
+      throw new AppError(
+        `Invalid page: ${page}`,
+        ERROR_CODES.VALIDATION_ERROR,
+        400,
+        'Page must be a whole number between 1 and 100'
+      );
+    }
+
+    // Check rate limit
+    const rateLimitResult = nasaRateLimiter.check();
+
+    if (!rateLimitResult.success) {
+      nasaLogger.warn('Rate limit exceeded for Mars rover photos');
+      throw new AppError(
+        'Rate limit exceeded',
+        ERROR_CODES.RATE_LIMIT_EXCEEDED,
+        429,
+        'Too many requests. Please try again later.'
+      );
+    }
+
+    const rover = roverResult.data;
+    const isLatest = !solResult && !dateResult;
+
+    // Without a sol or date, ask for the rover's most recent photos
+    const query = new URLSearchParams({ page: String(pageResult.data) });
+    if (solResult?.success) query.set('sol', String(solResult.data));
+    if (dateResult?.success) query.set('earth_date', dateResult.data);
+    if (cameraResult?.success) query.set('camera', cameraResult.data);
+    const endpoint = isLatest ? 'latest_photos' : 'photos';
+    const url = `https://api.nasa.gov/mars-photos/api/v1/rovers/${rover}/${endpoint}?${query}`;
+
+    nasaLogger.debug(`Fetching ${rover} photos: ${query}`);
+
+    const response = await nasaFetch(url, { withApiKey: true });
+
+    if (!response.ok) {
+      nasaLogger.warn(`NASA Mars rover API error: ${response.status}`);
+      throw new AppError(
+        `NASA Mars rover API returned ${response.status}`,
+        ERROR_CODES.API_ERROR,
+        response.status,
+        'Failed to fetch Mars rover photos'
+      );
+    }
+
+    const data = await response.json();
+    const upstreamPhotos: UpstreamPhoto[] = (isLatest ? data?.latest_photos : data?.photos) || [];
+
+    const photos = upstreamPhotos.map(photo => ({
+      id: photo.id,
+      sol: photo.sol,
+      earthDate: photo.earth_date,
+      camera: photo.camera.name,
+      cameraName: photo.camera.full_name,
+      // Older photos are listed with http URLs; the same hosts serve https
+      url: photo.img_src.replace(/^http:/, 'https:'),
+    }));
+
+    nasaLogger.debug(`Found ${photos.length} ${rover} photos`);
+
+    const cacheDuration = isLatest ? LATEST_CACHE_DURATION : CACHE_DURATION;
+
+    return NextResponse.json({
+      rover,
+      page: pageResult.data,
+      hasMore: upstreamPhotos.length === PAGE_SIZE,
+      photos,
+    }, {
+      headers: {
+        'Cache-Control': `public, s-maxage=${cacheDuration}, stale-while-revalidate`,
+        'X-RateLimit-Limit': rateLimitResult.limit.toString(),
+        'X-RateLimit-Remaining': rateLimitResult.remaining.toString(),
+        'X-RateLimit-Reset': rateLimitResult.reset.toISOString(),
+      },
+    });
+  } catch (error) {
+    const appError = handleError(error, 'MARS_ROVER_API');
+    return NextResponse.json(
+      {
+        error: appError.userMessage || 'Failed to fetch Mars rover photos',
+        code: appError.code
+      },
+      { status: appError.statusCode }
+    );
+  }
+}
@@ -0,0 +1,95 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { nasaLogger } from '@/lib/logger';
+import { nasaFetch } from '@/lib/nasa-upstream';
+import { nasaRateLimiter } from '@/lib/rate-limiter';
+import { moonNameSchema } from '@/lib/validation';
+import { handleError, AppError, ERROR_CODES } from '@/lib/error-handler';
+
+const CACHE_DURATION = 24 * 60 * 60; // 24 hours in seconds
+const GALLERY_SIZE = 5;
+
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<{ name: string }> }
+) {
+  try {
+    const { name } = await params;
+    
+    // Validate input
+    const validationResult = moonNameSchema.safeParse(name);
+    if (!validationResult.success) {
+      throw new AppError(
+        `Invalid moon name: ${name}`,
+        ERROR_CODES.VALIDATION_ERROR,
+        400,
+        'Please provide a valid moon name'
+      );
+    }
+    
+    const validatedName = validationResult.data;
+  
+    // Check rate limit
+    const rateLimitResult = nasaRateLimiter.check();
+    
+    if (!rateLimitResult.success) {
+      nasaLogger.warn(`Rate limit exceeded for moon gallery: ${validatedName}`);
+      throw new AppError(
+        'Rate limit exceeded',
+        ERROR_CODES.RATE_LIMIT_EXCEEDED,
+        429,
+        'Too many requests. Please try again later.'
+      );
+    }
+    
+    nasaLogger.debug(`Fetching moon gallery for: ${validatedName}`);
+    
+    // Same search as the single moon image, so both share one upstream response
+    const query = `${validatedName} moon`;
+    const url = `https://images-api.nasa.gov/search?q=${encodeURIComponent(query)}&media_type=image&year_start=2000`;
+    
+    const response = await nasaFetch(url);
+    
+    if (!response.ok) {
+      nasaLogger.warn(`NASA API error for moon gallery ${validatedName}: ${response.status}`);
+      throw new AppError(
+        `NASA API returned ${response.status}`,
+        ERROR_CODES.API_ERROR,
+        response.status,
+        'Failed to fetch moon images from NASA'
+      );
+    }
+    
+    const data = await response.json();
+    const items: Array<{
+      data?: Array<{ title?: string; description?: string; photographer?: string }>;
+      links?: Array<{ href?: string }>;
+    }> = data?.collection?.items || [];
+    
+    const images = items.slice(0, GALLERY_SIZE).map(item => ({
+      url: item.links?.[0]?.href,
+      title: item.data?.[0]?.title,
+      caption: item.data?.[0]?.description || '',
+      photographer: item.data?.[0]?.photographer || 'NASA',
+    })).filter(image => image.url);
+    
+    nasaLogger.debug(`Found ${images.length} gallery images for moon ${validatedName}`);
+    
+    return NextResponse.json({ images }, {
+      headers: {
+        'Cache-Control': `public, s-maxage=${CACHE_DURATION}, stale-while-revalidate`,
+        'X-RateLimit-Limit': rateLimitResult.limit.toString(),
+        'X-RateLimit-Remaining': rateLimitResult.remaining.toString(),
+        'X-RateLimit-Reset': rateLimitResult.reset.toISOString(),
+      },
+    });
+  } catch (error) {
+    const appError = handleError(error, 'MOON_GALLERY_API');
+    return NextResponse.json(
+      { 
+        error: appError.userMessage || 'Failed to fetch moon images',
+        code: appError.code 
+      },
+      { status: appError.statusCode }
+    );
+  }
+}
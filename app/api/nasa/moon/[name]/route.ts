@@ -1,5 +1,6 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { nasaLogger } from '@/lib/logger';
+import { nasaFetch } from '@/lib/nasa-upstream';
 import { nasaRateLimiter } from '@/lib/rate-limiter';
 import { moonNameSchema } from '@/lib/validation';
 import { handleError, AppError, ERROR_CODES } from '@/lib/error-handler';
@@ -44,11 +45,7 @@ export async function GET(
     const query = `${validatedName} moon`;
     const url = `https://images-api.nasa.gov/search?q=${encodeURIComponent(query)}&media_type=image&year_start=2000`;
     
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Solar-System-Emulator/1.0',
-      },
-    });
+    const response = await nasaFetch(url);
     
     if (!response.ok) {
       nasaLogger.warn(`NASA API error for moon ${validatedName}: ${response.status}`);
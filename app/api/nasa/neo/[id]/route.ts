@@ -0,0 +1,44 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { lookupNeo } from '@/lib/neo-lookup';
+import { neoIdSchema } from '@/lib/validation';
+import { handleError, AppError, ERROR_CODES } from '@/lib/error-handler';
+
+const CACHE_DURATION = 7 * 24 * 60 * 60; // 7 days - orbit solutions change rarely
+
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const { id } = await params;
+    
+    // Validate input
+    const validationResult = neoIdSchema.safeParse(id);
+    if (!validationResult.success) {
+      throw new AppError(
+        `Invalid NEO id: ${id}`,
+        ERROR_CODES.VALIDATION_ERROR,
+        400,
+        'Please provide a numeric asteroid id'
+      );
+    }
+    
+    // Cached lookups are shared with the NEO feed route and only misses use the rate limit
+    const result = await lookupNeo(validationResult.data);
+    
+    return NextResponse.json(result, {
+      headers: {
+        'Cache-Control': `public, s-maxage=${CACHE_DURATION}, stale-while-revalidate`,
+      },
+    });
+  } catch (error) {
+    const appError = handleError(error, 'NEO_LOOKUP_API');
+    return NextResponse.json(
+      { 
+        error: appError.userMessage || 'Failed to fetch asteroid data',
+        code: appError.code 
+      },
+      { status: appError.statusCode }
+    );
+  }
+}
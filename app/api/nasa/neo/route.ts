@@ -1,11 +1,50 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { nasaLogger } from '@/lib/logger';
-import { env } from '@/lib/env';
-import { dateSchema } from '@/lib/validation';
+import { nasaFetch } from '@/lib/nasa-upstream';
+import { lookupNeo, type NeoOrbitalElements } from '@/lib/neo-lookup';
+import { dateSchema, neoOrbitCountSchema } from '@/lib/validation';
 import { handleError, AppError, ERROR_CODES } from '@/lib/error-handler';
 
 const CACHE_DURATION = 12 * 60 * 60; // 12 hours in seconds
 
+interface FeedEntry {
+  id: string;
+  close_approach_data?: Array<{ orbiting_body: string; miss_distance: { kilometers: string } }>;
+}
+
+const parseInteger = (value: string) => (/^\d+$/.test(value) ? Number(value) : NaN);
+
+// Miss distance of the approach an entry was listed for (its first one with Earth)
+const getFeedMissDistanceKm = (entry: FeedEntry) => {
+  const approach = entry.close_approach_data?.find(candidate => candidate.orbiting_body === 'Earth');
+  return approach ? Number(approach.miss_distance.kilometers) : Infinity;
+};
+
+/**
+ * Looks up the orbits of the feed's `count` closest objects in one batch
+ * Lookups go through the shared in-process cache; objects whose lookup fails are left out.
+ */
+async function getClosestOrbits(nearEarthObjects: Record<string, FeedEntry[]>, count: number) {
+  const closest = Object.values(nearEarthObjects ?? {})
+    .flat()
+    .sort((a, b) => getFeedMissDistanceKm(a) - getFeedMissDistanceKm(b))
+    .slice(0, count);
+
+  const lookups = await Promise.allSettled(closest.map(entry => lookupNeo(entry.id)));
+  const orbits: Record<string, { orbitalElements: NeoOrbitalElements | null; orbitClass: string | null }> = {};
+
+  lookups.forEach((lookup, index) => {
+    if (lookup.status === 'fulfilled') {
+      const { orbitalElements, orbitClass } = lookup.value;
+      orbits[closest[index].id] = { orbitalElements, orbitClass };
+    } else {
+      nasaLogger.warn(`No orbit for NEO ${closest[index].id}: ${lookup.reason?.message}`);
+    }
+  });
+
+  return orbits;
+}
+
 export async function GET(request: NextRequest) {
   try {
     const searchParams = request.nextUrl.searchParams;
@@ -42,16 +81,23 @@ export async function GET(request: NextRequest) {
         'Start date must be before or equal to end date'
       );
     }
+
+    const orbitCount = searchParams.get('orbits');
+    const orbitCountResult = neoOrbitCountSchema.safeParse(orbitCount !== null ? parseInteger(orbitCount) : 0);
+    if (!orbitCountResult.success) {
+      throw new AppError(
+        `Invalid orbits: ${orbitCount}`,
+        ERROR_CODES.VALIDATION_ERROR,
+        400,
+        'Please provide orbits as a whole number from 0 to 25'
+      );
+    }
+    
     nasaLogger.debug(`Fetching NEO data: ${startDate} to ${endDate}`);
     
-    const apiKey = env.NASA_API_KEY;
-    const url = `https://api.nasa.gov/neo/rest/v1/feed?start_date=${startDate}&end_date=${endDate}&api_key=${apiKey}`;
+    const url = `https://api.nasa.gov/neo/rest/v1/feed?start_date=${startDate}&end_date=${endDate}`;
     
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Solar-System-Emulator/1.0',
-      },
-    });
+    const response = await nasaFetch(url, { withApiKey: true });
     
     if (!response.ok) {
       nasaLogger.warn(`NASA NEO API error: ${response.status}`);
@@ -67,6 +113,11 @@ export async function GET(request: NextRequest) {
     
     nasaLogger.debug(`Successfully fetched ${data.element_count || 0} NEO objects`);
     
+    // Orbital elements come from per-object lookups; batching them here saves clients the fan-out
+    if (orbitCountResult.data > 0) {
+      data.orbits = await getClosestOrbits(data.near_earth_objects, orbitCountResult.data);
+    }
+    
     return NextResponse.json(data, {
       headers: {
         'Cache-Control': `public, s-maxage=${CACHE_DURATION}, stale-while-revalidate`,
@@ -1,5 +1,6 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { nasaLogger } from '@/lib/logger';
+import { nasaFetch } from '@/lib/nasa-upstream';
 import { nasaRateLimiter } from '@/lib/rate-limiter';
 import { planetNameSchema } from '@/lib/validation';
 import { handleError, AppError, ERROR_CODES } from '@/lib/error-handler';
@@ -45,11 +46,7 @@ export async function GET(
     const query = validatedName === 'sun' ? 'Sun solar surface' : `${validatedName} planet`;
     const url = `https://images-api.nasa.gov/search?q=${encodeURIComponent(query)}&media_type=image&year_start=2010`;
     
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Solar-System-Emulator/1.0',
-      },
-    });
+    const response = await nasaFetch(url);
     
     if (!response.ok) {
       nasaLogger.warn(`NASA API error for ${validatedName}: ${response.status}`);
@@ -3,6 +3,7 @@ import { Inter } from 'next/font/google'
 import './globals.css'
 import { env } from '@/lib/env'
 import { ErrorBoundary } from '@/lib/error-handler'
+import { SITE_URL, SITE_NAME, OG_IMAGE } from '@/lib/site'
 
 const inter = Inter({ subsets: ['latin'] })
 
@@ -25,23 +26,16 @@ export const metadata: Metadata = {
   authors: [{ name: 'Ajay Prakash' }],
   creator: 'Ajay Prakash',
   publisher: 'Ajay Prakash',
-  metadataBase: new URL('https://solar-system-emulator.vercel.app'),
+  metadataBase: new URL(SITE_URL),
   alternates: {
     canonical: '/',
   },
   openGraph: {
     title: 'Solar System Emulator | 3D Interactive Experience',
     description: 'Explore our solar system in stunning 3D with real astronomical data. Navigate through planets, view NASA imagery, and learn fascinating facts about our cosmic neighborhood.',
-    url: 'https://solar-system-emulator.vercel.app',
-    siteName: 'Solar System Emulator',
-    images: [
-      {
-        url: '/og-image.png',
-        width: 1200,
-        height: 630,
-        alt: 'Solar System Emulator - Interactive 3D Visualization',
-      },
-    ],
+    url: SITE_URL,
+    siteName: SITE_NAME,
+    images: [OG_IMAGE],
     locale: 'en_US',
     type: 'website',
   },
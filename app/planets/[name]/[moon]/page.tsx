@@ -0,0 +1,109 @@
+import type { Metadata } from 'next';
+import { notFound } from 'next/navigation';
+import { MOON_CONTENT } from '@/lib/moon-content';
+import {
+  getMoonParams,
+  getMoonBySlug,
+  getMoonPath,
+  getPlanetPath,
+  describeMoon,
+} from '@/lib/body-pages';
+import { SITE_NAME, OG_IMAGE } from '@/lib/site';
+import BodyPage, { BodySection, StatList, FactList } from '../../_components/BodyPage';
+
+// Only moons in planetsData have pages
+export const dynamicParams = false;
+
+export function generateStaticParams() {
+  return getMoonParams();
+}
+
+export async function generateMetadata(
+  { params }: { params: Promise<{ name: string; moon: string }> }
+): Promise<Metadata> {
+  const { name, moon: moonSlug } = await params;
+  const match = getMoonBySlug(name, moonSlug);
+  if (!match) return {};
+
+  const { moon, parent } = match;
+  const title = `${moon.name}, moon of ${parent.name} | ${SITE_NAME}`;
+  const description = describeMoon(moon, parent);
+  const path = getMoonPath(parent.name, moon.name);
+
+  return {
+    title,
+    description,
+    alternates: { canonical: path },
+    openGraph: {
+      title,
+      description,
+      url: path,
+      siteName: SITE_NAME,
+      images: [{ ...OG_IMAGE, alt: `${moon.name} in the ${SITE_NAME}` }],
+      locale: 'en_US',
+      type: 'article',
+    },
+    twitter: {
+      card: 'summary_large_image',
+      title,
+      description,
+      images: [OG_IMAGE.url],
+    },
+  };
+}
+
+export default async function MoonPage(
+  { params }: { params: Promise<{ name: string; moon: string }> }
+) {
+  const { name, moon: moonSlug } = await params;
+  const match = getMoonBySlug(name, moonSlug);
+  if (!match) notFound();
+
+  const { moon, parent } = match;
+  const content = MOON_CONTENT[moon.name];
+  const orbit = moon.orbitalElements;
+
+  return (
+    <BodyPage
+      title={moon.name}
+      subtitle={`Moon of ${parent.name}`}
+      breadcrumbs={[
+        { label: 'Solar System', href: '/' },
+        { label: parent.name, href: getPlanetPath(parent.name) },
+        { label: moon.name },
+      ]}
+      body={parent.name}
+      moon={moon.name}
+      explorerHref={`/?body=${encodeURIComponent(parent.name)}&moon=${encodeURIComponent(moon.name)}`}
+    >
+      {content && <p className="text-gray-200 leading-relaxed">{content.description}</p>}
+
+      <BodySection title="Key facts">
+        <StatList
+          stats={[
+            ['Discovered', content?.discovered],
+            ['Diameter', content?.diameter ?? (moon.accurateRadius && `${Math.round(moon.accurateRadius * 2).toLocaleString('en-US')} km`)],
+            ['Mass', content?.mass],
+            ['Orbital period', `${orbit.period.toFixed(2)} days${orbit.inclination > 90 ? ' (retrograde)' : ''}`],
+            ['Distance from ' + parent.name, `${orbit.semiMajorAxis.toLocaleString('en-US')} km`],
+            ['Orbital inclination', `${orbit.inclination}°`],
+            ['Composition', content?.composition],
+            ['Surface', content?.surfaceFeatures ?? moon.surfaceDetail],
+          ]}
+        />
+      </BodySection>
+
+      {content && (
+        <BodySection title="Notable facts">
+          <FactList items={content.notableFacts} />
+        </BodySection>
+      )}
+
+      {content && (
+        <BodySection title="Exploration">
+          <FactList items={content.exploration} />
+        </BodySection>
+      )}
+    </BodyPage>
+  );
+}
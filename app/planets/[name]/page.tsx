@@ -0,0 +1,129 @@
+import type { Metadata } from 'next';
+import Link from 'next/link';
+import { notFound } from 'next/navigation';
+import { EDUCATIONAL_CONTENT } from '@/lib/educational-content';
+import { MOON_CONTENT } from '@/lib/moon-content';
+import {
+  getPlanetParams,
+  getPlanetBySlug,
+  getPlanetPath,
+  getMoonPath,
+  describePlanet,
+} from '@/lib/body-pages';
+import { SITE_NAME, OG_IMAGE } from '@/lib/site';
+import BodyPage, { BodySection, StatList, FactList } from '../_components/BodyPage';
+
+// Only bodies in planetsData have pages
+export const dynamicParams = false;
+
+export function generateStaticParams() {
+  return getPlanetParams();
+}
+
+export async function generateMetadata(
+  { params }: { params: Promise<{ name: string }> }
+): Promise<Metadata> {
+  const { name } = await params;
+  const planet = getPlanetBySlug(name);
+  if (!planet) return {};
+
+  const title = `${planet.name} | ${SITE_NAME}`;
+  const description = describePlanet(planet);
+  const path = getPlanetPath(planet.name);
+
+  return {
+    title,
+    description,
+    alternates: { canonical: path },
+    openGraph: {
+      title,
+      description,
+      url: path,
+      siteName: SITE_NAME,
+      images: [{ ...OG_IMAGE, alt: `${planet.name} in the ${SITE_NAME}` }],
+      locale: 'en_US',
+      type: 'article',
+    },
+    twitter: {
+      card: 'summary_large_image',
+      title,
+      description,
+      images: [OG_IMAGE.url],
+    },
+  };
+}
+
+export default async function PlanetPage(
+  { params }: { params: Promise<{ name: string }> }
+) {
+  const { name } = await params;
+  const planet = getPlanetBySlug(name);
+  if (!planet) notFound();
+
+  const stats = planet.displayStats;
+  const content = EDUCATIONAL_CONTENT[planet.name];
+  const moons = planet.moons ?? [];
+
+  return (
+    <BodyPage
+      title={planet.name}
+      subtitle={stats.classification}
+      breadcrumbs={[{ label: 'Solar System', href: '/' }, { label: planet.name }]}
+      body={planet.name}
+      explorerHref={`/?body=${encodeURIComponent(planet.name)}`}
+    >
+      <BodySection title="Key facts">
+        <StatList
+          stats={[
+            ['Orbital period', planet.isSun ? null : `${stats.orbitalPeriod} Earth days`],
+            ['Mean distance from Sun', planet.isSun ? null : `${stats.meanDistanceFromSun} AU`],
+            ['Radius', `${stats.accurateRadius.toLocaleString('en-US')} km`],
+            ['Mass', `${stats.mass} Earth masses`],
+            ['Surface gravity', `${stats.surfaceGravity} g`],
+            ['Rotation period', `${stats.rotationPeriod} Earth ${planet.isSun ? 'days' : 'hours'}`],
+            ['Axial tilt', stats.axialTilt === null ? null : `${stats.axialTilt}°`],
+            ['Known moons', planet.isSun ? null : stats.numberOfMoons],
+            ['Atmosphere', stats.atmosphericComposition],
+            ['Surface temperature', stats.surfaceTemp],
+            ['Core temperature', stats.coreTemp],
+            ['Age', stats.age],
+            ['Type', stats.type],
+          ]}
+        />
+      </BodySection>
+
+      {content && (
+        <BodySection title="Did you know?">
+          <FactList items={content.funFacts} />
+        </BodySection>
+      )}
+
+      {content && content.missions.length > 0 && (
+        <BodySection title="Missions">
+          <FactList items={content.missions} />
+          {content.nextEvents && <p className="text-gray-400 text-sm mt-3">{content.nextEvents}</p>}
+        </BodySection>
+      )}
+
+      {moons.length > 0 && (
+        <BodySection title={`Moons in the simulator (${moons.length})`}>
+          <ul className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            {moons.map(moon => (
+              <li key={moon.name}>
+                <Link
+                  href={getMoonPath(planet.name, moon.name)}
+                  className="block p-3 rounded-lg bg-gray-800/50 hover:bg-gray-700/60 transition-colors"
+                >
+                  <span className="font-medium">{moon.name}</span>
+                  <span className="block text-xs text-gray-400">
+                    {MOON_CONTENT[moon.name]?.diameter ?? moon.surfaceDetail}
+                  </span>
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </BodySection>
+      )}
+    </BodyPage>
+  );
+}
@@ -0,0 +1,114 @@
+import Link from 'next/link';
+import type { ReactNode } from 'react';
+import SolarSystemEmbed from '@/components/solar-system/SolarSystemEmbed';
+
+interface Crumb {
+  label: string;
+  href?: string;
+}
+
+interface BodyPageProps {
+  title: string;
+  subtitle: string;
+  breadcrumbs: Crumb[];
+  body: string; // planet (or Sun) to focus in the 3D view
+  moon?: string;
+  explorerHref: string;
+  children: ReactNode;
+}
+
+/**
+ * Shared layout for the server-rendered body pages: heading, a 3D view
+ * pre-focused on the body, then the page's own sections
+ */
+export default function BodyPage({
+  title,
+  subtitle,
+  breadcrumbs,
+  body,
+  moon,
+  explorerHref,
+  children,
+}: BodyPageProps) {
+  return (
+    <article className="min-h-screen bg-black text-white">
+      <div className="max-w-4xl mx-auto px-4 py-6 sm:py-10">
+        <nav aria-label="Breadcrumb" className="text-sm text-gray-400 mb-4">
+          <ol className="flex flex-wrap gap-1">
+            {breadcrumbs.map((crumb, index) => (
+              <li key={crumb.label} className="flex gap-1">
+                {index > 0 && <span aria-hidden="true">/</span>}
+                {crumb.href ? (
+                  <Link href={crumb.href} className="hover:text-blue-300 transition-colors">
+                    {crumb.label}
+                  </Link>
+                ) : (
+                  <span aria-current="page" className="text-white">{crumb.label}</span>
+                )}
+              </li>
+            ))}
+          </ol>
+        </nav>
+
+        <header className="mb-6">
+          <h1 className="text-3xl sm:text-4xl font-bold">{title}</h1>
+          <p className="text-blue-300 mt-1">{subtitle}</p>
+        </header>
+
+        <div className="relative h-[50vh] min-h-[320px] rounded-2xl overflow-hidden border border-white/20 mb-8">
+          <SolarSystemEmbed body={body} moon={moon} />
+          <Link
+            href={explorerHref}
+            className="absolute bottom-3 right-3 z-10 bg-black/80 backdrop-blur-md rounded-full px-4 py-2 text-sm
+                       border border-blue-400/50 hover:border-blue-400/80 hover:bg-blue-500/10 transition-all duration-300"
+          >
+            Explore in 3D →
+          </Link>
+        </div>
+
+        <div className="space-y-8">{children}</div>
+      </div>
+    </article>
+  );
+}
+
+/**
+ * Titled section of a body page
+ */
+export function BodySection({ title, children }: { title: string; children: ReactNode }) {
+  return (
+    <section>
+      <h2 className="text-xl font-semibold mb-3 text-blue-200">{title}</h2>
+      {children}
+    </section>
+  );
+}
+
+/**
+ * Label/value table; rows without a value are skipped
+ */
+export function StatList({ stats }: { stats: [string, ReactNode][] }) {
+  return (
+    <dl className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-2 text-sm">
+      {stats
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([label, value]) => (
+          <div key={label} className="flex justify-between gap-4 border-b border-white/10 py-1">
+            <dt className="text-gray-400">{label}</dt>
+            <dd className="text-right">{value}</dd>
+          </div>
+        ))}
+    </dl>
+  );
+}
+
+/**
+ * Bulleted list of facts
+ */
+export function FactList({ items }: { items: string[] }) {
+  return (
+    <ul className="list-disc list-inside space-y-1 text-gray-200">
+      {items.map(item => <li key={item}>{item}</li>)}
+    </ul>
+  );
+}
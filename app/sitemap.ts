@@ -0,0 +1,25 @@
+import type { MetadataRoute } from 'next';
+import { getAllBodyPaths } from '@/lib/body-pages';
+import { SITE_URL } from '@/lib/site';
+
+/**
+ * Generated sitemap: the simulator plus one page per planet and moon
+ */
+export default function sitemap(): MetadataRoute.Sitemap {
+  const lastModified = new Date();
+
+  return [
+    {
+      url: `${SITE_URL}/`,
+      lastModified,
+      changeFrequency: 'weekly',
+      priority: 1.0,
+    },
+    ...getAllBodyPaths().map(path => ({
+      url: `${SITE_URL}${path}`,
+      lastModified,
+      changeFrequency: 'monthly' as const,
+      priority: path.split('/').length > 3 ? 0.6 : 0.8,
+    })),
+  ];
+}
@@ -1,23 +1,46 @@
 // SolarSystem.js
 'use client';
-import { useState, Suspense, Component, useMemo } from "react";
+import { Suspense, Component, useMemo } from "react";
 import { Canvas } from "@react-three/fiber";
 import { AnimatePresence } from "framer-motion";
 import planetsData from "./lib/planetsData";
+import asteroidsData from "./lib/asteroidsData";
+import cometsData from "./lib/cometsData";
+import missionsData from "./lib/missionsData";
 import SceneBackground from "./SceneBackground";
 import Sun from "./celestial/Sun";
 import Planet from "./celestial/Planets";
 import AsteroidBelt from "./celestial/AsteroidBelt";
+import NamedAsteroids from "./celestial/NamedAsteroids";
+import KuiperBelt from "./celestial/KuiperBelt";
+import Comets from "./celestial/Comets";
+import Missions from "./celestial/Missions";
+import NearEarthObjects from "./celestial/NearEarthObjects";
 import CosmicDust from "./celestial/CosmicDust";
+import BodyLabels from "./celestial/BodyLabels";
 import { getOptimalSettings } from "./utils/performanceOptimizer";
 import CameraController from "./motion/CameraController";
 import PlanetsUpdater from "./motion/PlanetsUpdater";
+import SimulationClock from "./motion/SimulationClock";
+import TourDirector from "./motion/TourDirector";
 import PlanetMenu from "./ui/PlanetMenu";
 import SpeedControl from "./ui/SpeedControl";
+import TimelineControl from "./ui/TimelineControl";
 import ExitButton from "./ui/ExitButton";
+import SceneSettingsMenu from "./ui/SceneSettingsMenu";
 import PlanetDetail from "./ui/PlanetDetail";
+import BodyTooltip from "./ui/BodyTooltip";
+import NeoDetail from "./ui/NeoDetail";
+import MissionDetail from "./ui/MissionDetail";
+import SurfaceViewPanel from "./ui/SurfaceViewPanel";
+import CommandPalette from "./ui/CommandPalette";
+import TourMenu from "./ui/TourMenu";
+import TourPlayer from "./ui/TourPlayer";
 import ControlMenu from "./ui/ControlMenu";
 import KeyboardHandler from "./ui/KeyboardHandler";
+import KeyboardHelpOverlay from "./ui/KeyboardHelpOverlay";
+import UrlStateSync from "./ui/UrlStateSync";
+import InitialFocus from "./ui/InitialFocus";
 import MobileGestureHandler from "./ui/MobileGestureHandler";
 import MobileInstructions from "./ui/MobileInstructions";
 import SceneLighting from "./SceneLighting";
@@ -26,6 +49,9 @@ import SolarSystemProviders from "./SolarSystemProviders";
 import { Scene3DErrorBoundary } from "./Scene3DErrorBoundary";
 import { renderLogger } from '../../lib/logger';
 
+// Everything PlanetsUpdater keeps on a Keplerian orbit
+const orbitingBodies = [...planetsData, ...asteroidsData, ...cometsData];
+
 // Custom Error Boundary for the solar system
 class SolarSystemErrorBoundary extends Component {
   constructor(props) {
@@ -81,14 +107,14 @@ function CanvasLoader() {
   );
 }
 
-export default function SolarSystem() {
-  const [planetOrbitProgress, setPlanetOrbitProgress] = useState(
-    planetsData.reduce((acc, planet) => {
-      acc[planet.name] = 0;
-      return acc;
-    }, {})
-  );
-
+/**
+ * @param {Object} props
+ * @param {string} [props.initialBody] - Planet (or Sun) to focus on load
+ * @param {string} [props.initialMoon] - Moon of `initialBody` to focus instead
+ * @param {boolean} [props.embedded=false] - Drop the full-screen overlays and global input
+ *   handlers so the scene can sit inside a page
+ */
+export default function SolarSystem({ initialBody, initialMoon, embedded = false }) {
   // Get optimal settings based on device capabilities (mobile-first)
   const settings = useMemo(() => getOptimalSettings(), []);
 
@@ -116,11 +142,19 @@ export default function SolarSystem() {
                   renderLogger.error('Canvas error:', error);
                 }}
               >
+              <SimulationClock />
+              <TourDirector />
+              <PlanetsUpdater planets={orbitingBodies} />
               <CameraController />
               <SceneBackground texturePath="/images/background/stars_8k.webp" />
               <SceneLighting maxLights={settings.maxLights} />
               <Sun position={[0, 0, 0]} radius={planetsData.find(p => p.isSun)?.radius || 1} />
               <AsteroidBelt asteroidCount={settings.asteroidCount} />
+              <NamedAsteroids asteroids={asteroidsData} />
+              <KuiperBelt objectCount={settings.kuiperBeltCount} />
+              <Comets comets={cometsData} />
+              <Missions missions={missionsData} />
+              {!embedded && <NearEarthObjects />}
               <CosmicDust particleCount={settings.particleCount} />
               {planetsData.filter(planet => !planet.isSun).map((planet) => (
                 <Planet
@@ -132,32 +166,44 @@ export default function SolarSystem() {
                   radius={planet.radius}
                   rotationSpeed={planet.rotationSpeed}
                   tilt={planet.tilt}
-                  orbitSpeed={planet.orbitSpeed}
                   moons={planet.moons}
                   wobble={planet.wobble}
                   rings={planet.rings}
-                  orbitProgress={planetOrbitProgress[planet.name]}
                   displayStats={planet.displayStats}
                 />
               ))}
-              <PlanetsUpdater
-                setPlanetOrbitProgress={setPlanetOrbitProgress}
-                planets={planetsData}
-              />
+              {/* Last, so labels are laid out after the camera has moved this frame */}
+              <BodyLabels />
             </Canvas>
           </Scene3DErrorBoundary>
           </Suspense>
-          <PlanetMenu planets={planetsData} />
-          <SpeedControl />
-          <ExitButton />
-          <KeyboardHandler />
-          <MobileGestureHandler />
-          <MobileInstructions />
-          <AnimatePresence>
-            <PlanetDetail />
-          </AnimatePresence>
-          <ControlMenu />
-          <IntroText />
+          {initialBody && <InitialFocus body={initialBody} moon={initialMoon} />}
+          {!embedded && (
+            <>
+              <PlanetMenu planets={planetsData} />
+              <SpeedControl />
+              <TimelineControl />
+              <ExitButton />
+              <SceneSettingsMenu />
+              <KeyboardHandler />
+              <KeyboardHelpOverlay />
+              <UrlStateSync />
+              <MobileGestureHandler />
+              <MobileInstructions />
+              <BodyTooltip />
+              <AnimatePresence>
+                <PlanetDetail />
+              </AnimatePresence>
+              <NeoDetail />
+              <MissionDetail />
+              <SurfaceViewPanel />
+              <CommandPalette />
+              <TourMenu />
+              <TourPlayer />
+              <ControlMenu />
+              <IntroText />
+            </>
+          )}
         </div>
       </SolarSystemProviders>
     </SolarSystemErrorBoundary>
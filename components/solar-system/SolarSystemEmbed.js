@@ -0,0 +1,17 @@
+// SolarSystemEmbed.js - Client-only 3D view for server-rendered pages
+'use client';
+import dynamic from 'next/dynamic';
+
+// WebGL needs the browser, so the scene never renders on the server
+const SolarSystem = dynamic(() => import('./SolarSystem'), {
+  ssr: false,
+  loading: () => (
+    <div className="w-full h-full flex items-center justify-center bg-black">
+      <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+    </div>
+  ),
+});
+
+export default function SolarSystemEmbed({ body, moon }) {
+  return <SolarSystem initialBody={body} initialMoon={moon} embedded />;
+}
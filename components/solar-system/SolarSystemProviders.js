@@ -2,20 +2,35 @@
 
 
 import { SelectedPlanetProvider } from "./contexts/SelectedPlanetContext";
+import { HoveredBodyProvider } from "./contexts/HoveredBodyContext";
 import { SpeedControlProvider } from "./contexts/SpeedControlContext";
+import { SimulationTimeProvider } from "./contexts/SimulationTimeContext";
 import { PlanetPositionsProvider } from "./contexts/PlanetPositionsContext";
 import { CameraProvider } from "./contexts/CameraContext";
+import { SceneSettingsProvider } from "./contexts/SceneSettingsContext";
+import { TourProvider } from "./contexts/TourContext";
+import { KeymapProvider } from "./contexts/KeymapContext";
 
 export default function SolarSystemProviders({ children }) {
   return (
     <SelectedPlanetProvider>
-      <SpeedControlProvider>
-        <PlanetPositionsProvider>
-          <CameraProvider>
-            {children}
-          </CameraProvider>
-        </PlanetPositionsProvider>
-      </SpeedControlProvider>
+      <HoveredBodyProvider>
+        <SpeedControlProvider>
+          <SimulationTimeProvider>
+            <PlanetPositionsProvider>
+              <CameraProvider>
+                <SceneSettingsProvider>
+                  <TourProvider>
+                    <KeymapProvider>
+                      {children}
+                    </KeymapProvider>
+                  </TourProvider>
+                </SceneSettingsProvider>
+              </CameraProvider>
+            </PlanetPositionsProvider>
+          </SimulationTimeProvider>
+        </SpeedControlProvider>
+      </HoveredBodyProvider>
     </SelectedPlanetProvider>
   );
 }
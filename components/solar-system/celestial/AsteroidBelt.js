@@ -1,74 +1,52 @@
 // AsteroidBelt.js - Realistic asteroid belt between Mars and Jupiter
 'use client';
-import { useMemo, useRef, useEffect, useState } from 'react';
+import { useMemo, useRef } from 'react';
 import { useFrame } from '@react-three/fiber';
 import { Object3D, MathUtils } from 'three';
-import { nasaAPI } from '../services/nasaAPI';
-import { nasaLogger } from '../../../lib/logger';
+import { useSimulationTime } from '../contexts/SimulationTimeContext';
+import { useOrbitKeyframes } from '../hooks/useOrbitKeyframes';
+import { generateBeltOrbits } from '../lib/asteroidBelt';
+
+// Kepler is solved for keyframes this many simulated days apart; frames in between interpolate.
+// Belt orbits take years, so the chord between keyframes stays within ~1e-4 AU of the arc.
+const KEYFRAME_DAYS = 2;
 
 export default function AsteroidBelt({ asteroidCount = 500 }) {
   const meshRef = useRef();
   const tempObject = useMemo(() => new Object3D(), []);
-  const [neoData, setNeoData] = useState(null);
-  
-  // Asteroid belt parameters (between Mars ~1.5 AU and Jupiter ~5.2 AU)
-  const innerRadius = 3.5;
-  const outerRadius = 4.8;
-  
-  // Optionally fetch real Near-Earth Object data from NASA
-  useEffect(() => {
-    nasaAPI.getNearEarthObjects().then((data) => {
-      if (data?.element_count > 0) {
-        nasaLogger.debug(`Loaded ${data.element_count} near-Earth objects`);
-        setNeoData(data);
-        // Future enhancement: Use neoData to position asteroids based on real orbital data
-        nasaLogger.debug('Integration ready for enhanced asteroid positioning');
-      }
-    }).catch((error) => {
-      nasaLogger.warn('Failed to fetch NEO data, using procedural generation:', error);
-    });
-  }, []);
-  
-  // Log NEO data status for debugging
-  useEffect(() => {
-    if (neoData) {
-      nasaLogger.debug('Data available:', neoData.element_count, 'objects');
-    }
-  }, [neoData]);
+  const { julianDateRef } = useSimulationTime();
   
-  // Generate asteroid positions and properties
+  // Orbits follow the real belt, Kirkwood gaps included (see lib/asteroidBelt.js)
   const asteroids = useMemo(() => {
-    return Array.from({ length: asteroidCount }, (_, i) => {
-      const angle = (i / asteroidCount) * Math.PI * 2;
-      const radius = MathUtils.lerp(innerRadius, outerRadius, Math.random());
-      const heightVariation = (Math.random() - 0.5) * 0.3;
-      
-      return {
-        x: Math.cos(angle) * radius + (Math.random() - 0.5) * 0.5,
-        y: heightVariation,
-        z: Math.sin(angle) * radius + (Math.random() - 0.5) * 0.5,
-        scale: MathUtils.lerp(0.002, 0.008, Math.random()),
-        rotationX: Math.random() * Math.PI,
-        rotationY: Math.random() * Math.PI,
-        rotationZ: Math.random() * Math.PI,
-        rotationSpeedX: (Math.random() - 0.5) * 0.02,
-        rotationSpeedY: (Math.random() - 0.5) * 0.02,
-        rotationSpeedZ: (Math.random() - 0.5) * 0.02,
-      };
-    });
+    return generateBeltOrbits(asteroidCount).map((orbitalElements) => ({
+      orbitalElements,
+      scale: MathUtils.lerp(0.002, 0.008, Math.random()),
+      rotationX: Math.random() * Math.PI,
+      rotationY: Math.random() * Math.PI,
+      rotationZ: Math.random() * Math.PI,
+      rotationSpeedX: (Math.random() - 0.5) * 0.02,
+      rotationSpeedY: (Math.random() - 0.5) * 0.02,
+      rotationSpeedZ: (Math.random() - 0.5) * 0.02,
+    }));
   }, [asteroidCount]);
 
+  const getKeyframes = useOrbitKeyframes(asteroids, KEYFRAME_DAYS);
+
   useFrame(() => {
     if (!meshRef.current) return;
-    
+    const { from, to, t } = getKeyframes(julianDateRef.current);
+
     asteroids.forEach((asteroid, i) => {
       // Update rotation
       asteroid.rotationX += asteroid.rotationSpeedX;
       asteroid.rotationY += asteroid.rotationSpeedY;
       asteroid.rotationZ += asteroid.rotationSpeedZ;
       
-      // Set transform
-      tempObject.position.set(asteroid.x, asteroid.y, asteroid.z);
+      tempObject.position.set(
+        MathUtils.lerp(from[i * 3], to[i * 3], t),
+        MathUtils.lerp(from[i * 3 + 1], to[i * 3 + 1], t),
+        MathUtils.lerp(from[i * 3 + 2], to[i * 3 + 2], t)
+      );
       tempObject.rotation.set(asteroid.rotationX, asteroid.rotationY, asteroid.rotationZ);
       tempObject.scale.setScalar(asteroid.scale);
       tempObject.updateMatrix();
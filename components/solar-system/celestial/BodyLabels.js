@@ -0,0 +1,154 @@
+// BodyLabels.js - Screen-space name labels for planets, moons and spacecraft, decluttered every frame
+'use client';
+import { useMemo, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { Html } from '@react-three/drei';
+import { Vector3, MathUtils } from 'three';
+import { usePlanetPositions } from '../contexts/PlanetPositionsContext';
+import { useSelectedPlanet } from '../contexts/SelectedPlanetContext';
+import { useHoveredBody } from '../contexts/HoveredBodyContext';
+import { useCameraContext } from '../contexts/CameraContext';
+import { useSceneSettings } from '../contexts/SceneSettingsContext';
+import { useSimulationTime } from '../contexts/SimulationTimeContext';
+import planetsData from '../lib/planetsData';
+import missionsData from '../lib/missionsData';
+import { createMoonSelection, getSelectionKey } from '../lib/bodyLookup';
+import { createMissionSelection, getMissionScenePosition } from '../lib/missions';
+import { getSceneRadius, getMoonOrbitRadius } from '../lib/scale';
+import {
+  LABEL_HEIGHT,
+  declutterLabels,
+  estimateLabelWidth,
+  getLabelOpacity,
+  getLabelPriority,
+} from '../lib/labels';
+
+const LABELLED_BODIES = [
+  ...planetsData,
+  ...planetsData.flatMap(planet => (planet.moons ?? []).map(moon => createMoonSelection(moon, planet))),
+  ...missionsData.map(createMissionSelection),
+];
+
+const LABEL = {
+  // Fully shown from this many body radii out; closer, the label fades so close-ups stay clean
+  NEAR_RADII: 12,
+  // Moon labels fade out beyond this many orbit radii, so they appear as the camera reaches the system
+  MOON_FAR_ORBITS: 12,
+  // Gap between a body's disc and its label (px)
+  OFFSET_PX: 4,
+  MIN_OPACITY: 0.05,
+};
+
+// The overlay covers the canvas instead of following a point in the scene
+const anchorToCanvas = (el, camera, size) => [size.width / 2, size.height / 2];
+const ignoreOcclusion = () => {};
+
+export default function BodyLabels() {
+  const { getPlanetPosition } = usePlanetPositions();
+  const [selectedPlanet] = useSelectedPlanet();
+  const { hoveredBody } = useHoveredBody();
+  const { cameraState } = useCameraContext();
+  const { showLabels, distanceScale, sizeScale } = useSceneSettings();
+  const { julianDateRef } = useSimulationTime();
+  const labelRefs = useRef([]);
+  const missionPosition = useMemo(() => new Vector3(), []);
+  const projected = useMemo(() => new Vector3(), []);
+
+  // Everything about a label that only changes with the size scale
+  const labels = useMemo(() => LABELLED_BODIES.map(body => ({
+    body,
+    key: getSelectionKey(body),
+    width: estimateLabelWidth(body.name),
+    priority: getLabelPriority(body),
+    radius: getSceneRadius(body, sizeScale),
+    far: body.isMoon
+      ? getMoonOrbitRadius(body, body.parentPlanetData, sizeScale) * LABEL.MOON_FAR_ORBITS
+      : Infinity,
+  })), [sizeScale]);
+
+  const selectedKey = getSelectionKey(selectedPlanet);
+  const hoveredKey = getSelectionKey(hoveredBody);
+
+  useFrame(({ camera, size }) => {
+    const elements = labelRefs.current;
+    if (!showLabels || cameraState === 'INTRO_ANIMATION') return;
+
+    const julianDate = julianDateRef.current;
+    const focalLength = (size.height / 2) / Math.tan(MathUtils.degToRad(camera.fov) / 2);
+    const candidates = [];
+    const layout = [];
+
+    labels.forEach(({ body, key, width, priority, radius, far }, index) => {
+      let position;
+      if (body.isMission) {
+        const scenePosition = getMissionScenePosition(body, julianDate, distanceScale, sizeScale);
+        position = scenePosition && missionPosition.set(...scenePosition);
+      } else {
+        position = getPlanetPosition(key);
+      }
+      if (!position) return;
+
+      const distance = camera.position.distanceTo(position);
+      const opacity = getLabelOpacity(distance, { near: radius * LABEL.NEAR_RADII, far });
+      if (opacity < LABEL.MIN_OPACITY) return;
+
+      // Off screen or behind the camera
+      projected.copy(position).project(camera);
+      if (projected.z > 1 || Math.abs(projected.x) > 1 || Math.abs(projected.y) > 1) return;
+
+      const x = (projected.x + 1) / 2 * size.width;
+      const y = (1 - projected.y) / 2 * size.height + (radius / distance) * focalLength + LABEL.OFFSET_PX;
+      candidates.push({
+        key,
+        x,
+        y,
+        width,
+        height: LABEL_HEIGHT,
+        priority,
+        pinned: key === selectedKey || key === hoveredKey,
+      });
+      layout[index] = { x: x - width / 2, y, opacity };
+    });
+
+    const visible = declutterLabels(candidates);
+    labels.forEach(({ key }, index) => {
+      const element = elements[index];
+      if (!element) return;
+
+      const placement = visible.has(key) && layout[index];
+      element.style.opacity = placement ? placement.opacity : 0;
+      if (placement) {
+        element.style.transform = `translate3d(${placement.x}px, ${placement.y}px, 0)`;
+      }
+    });
+  });
+
+  if (!showLabels || cameraState === 'INTRO_ANIMATION') return null;
+
+  return (
+    <Html
+      fullscreen
+      calculatePosition={anchorToCanvas}
+      onOcclude={ignoreOcclusion}
+      zIndexRange={[1, 0]}
+      pointerEvents="none"
+      style={{ pointerEvents: 'none', overflow: 'hidden' }}
+    >
+      <div aria-hidden="true">
+        {labels.map(({ body, key }, index) => (
+          <span
+            key={key}
+            ref={(el) => (labelRefs.current[index] = el)}
+            className={`absolute top-0 left-0 whitespace-nowrap rounded px-1.5 text-[11px] leading-[18px]
+                        bg-black/40 transition-opacity duration-200 ${
+              key === selectedKey ? 'text-blue-200' : body.isMoon ? 'text-white/70' : 'text-white/90'
+            }`}
+            style={{ opacity: 0, color: body.isMission ? body.color : undefined }}
+          >
+            {body.name}
+          </span>
+        ))}
+      </div>
+    </Html>
+  );
+}
@@ -0,0 +1,327 @@
+// Comets.js - Comet nuclei with comas and GPU particle ion and dust tails
+'use client';
+import { useMemo, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { AdditiveBlending, Color, Vector3 } from 'three';
+import { usePlanetPositions } from '../contexts/PlanetPositionsContext';
+import { useSelectedPlanet } from '../contexts/SelectedPlanetContext';
+import { useSceneSettings } from '../contexts/SceneSettingsContext';
+import { useSimulationTime } from '../contexts/SimulationTimeContext';
+import { useHoveredBody } from '../contexts/HoveredBodyContext';
+import { useSelectBody } from '../hooks/useSelectBody';
+import { getOrbitPath, toScenePosition } from '../lib/ephemeris';
+import { getCometTail } from '../lib/comets';
+import { getSceneRadius } from '../lib/scale';
+
+const EARTH_ROTATION_HOURS = 23.93;
+
+const ION_TAIL = {
+  color: '#8fc3ff',
+  particleCount: 400,
+  width: 0.03,
+  curvature: 0,
+  speed: 0.6,
+  size: 0.03,
+};
+
+const DUST_TAIL = {
+  color: '#ffe7c2',
+  particleCount: 600,
+  width: 0.09,
+  curvature: 0.45,
+  speed: 0.12,
+  size: 0.04,
+};
+
+// Particles stream from the nucleus along the tail; the whole shape is evaluated on the GPU
+const tailVertexShader = `
+  attribute float aOffset;
+  attribute vec3 aSpread;
+  uniform float uTime;
+  uniform float uSpeed;
+  uniform float uLength;
+  uniform float uWidth;
+  uniform float uCurvature;
+  uniform float uSize;
+  uniform float uScale;
+  uniform vec3 uDirection;
+  uniform vec3 uBend;
+  varying float vFade;
+
+  void main() {
+    float t = fract(aOffset + uTime * uSpeed);
+    vec3 position = uDirection * t * uLength
+      + uBend * t * t * uLength * uCurvature
+      + aSpread * uWidth * (0.2 + t) * uLength;
+    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    gl_PointSize = uSize * (1.0 - 0.5 * t) * (uScale / -mvPosition.z);
+    gl_Position = projectionMatrix * mvPosition;
+    vFade = 1.0 - t;
+  }
+`;
+
+const tailFragmentShader = `
+  uniform vec3 uColor;
+  uniform float uOpacity;
+  varying float vFade;
+
+  void main() {
+    float distanceToCenter = length(gl_PointCoord - 0.5);
+    if (distanceToCenter > 0.5) discard;
+    gl_FragColor = vec4(uColor, (1.0 - distanceToCenter * 2.0) * vFade * uOpacity);
+  }
+`;
+
+// One tail as a points cloud; the comet drives its uniforms through materialRef
+function CometTail({ config, materialRef }) {
+  const particles = useMemo(() => {
+    const offsets = new Float32Array(config.particleCount);
+    const spreads = new Float32Array(config.particleCount * 3);
+    // Positions are computed in the vertex shader; the attribute only sizes the draw call
+    const positions = new Float32Array(config.particleCount * 3);
+
+    for (let i = 0; i < config.particleCount; i++) {
+      const i3 = i * 3;
+      offsets[i] = Math.random();
+
+      // Random point in a unit sphere for the tail's cross-section
+      const radius = Math.cbrt(Math.random());
+      const theta = Math.random() * Math.PI * 2;
+      const phi = Math.acos(2 * Math.random() - 1);
+      spreads[i3] = radius * Math.sin(phi) * Math.cos(theta);
+      spreads[i3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
+      spreads[i3 + 2] = radius * Math.cos(phi);
+    }
+
+    return { offsets, spreads, positions };
+  }, [config.particleCount]);
+
+  const uniforms = useMemo(() => ({
+    uTime: { value: 0 },
+    uSpeed: { value: config.speed },
+    uLength: { value: 0 },
+    uWidth: { value: config.width },
+    uCurvature: { value: config.curvature },
+    uSize: { value: config.size },
+    uScale: { value: 1 },
+    uDirection: { value: new Vector3(1, 0, 0) },
+    uBend: { value: new Vector3() },
+    uColor: { value: new Color(config.color) },
+    uOpacity: { value: 0 },
+  }), [config]);
+
+  return (
+    // The tail's bounds move with its uniforms, so skip frustum culling
+    <points frustumCulled={false}>
+      <bufferGeometry>
+        <bufferAttribute
+          attach="attributes-position"
+          count={config.particleCount}
+          array={particles.positions}
+          itemSize={3}
+        />
+        <bufferAttribute
+          attach="attributes-aOffset"
+          count={config.particleCount}
+          array={particles.offsets}
+          itemSize={1}
+        />
+        <bufferAttribute
+          attach="attributes-aSpread"
+          count={config.particleCount}
+          array={particles.spreads}
+          itemSize={3}
+        />
+      </bufferGeometry>
+      <shaderMaterial
+        ref={materialRef}
+        uniforms={uniforms}
+        vertexShader={tailVertexShader}
+        fragmentShader={tailFragmentShader}
+        transparent
+        blending={AdditiveBlending}
+        depthWrite={false}
+      />
+    </points>
+  );
+}
+
+const updateTail = (material, { time, scale, length, direction, bend, opacity }) => {
+  if (!material) return;
+  const { uniforms } = material;
+  uniforms.uTime.value = time;
+  uniforms.uScale.value = scale;
+  uniforms.uLength.value = length;
+  uniforms.uDirection.value.set(...direction);
+  uniforms.uBend.value.set(...bend);
+  uniforms.uOpacity.value = opacity;
+};
+
+function Comet({ comet, radius, isSelected, isHovered, onClick, onPointerOver, onPointerOut }) {
+  const { getPlanetPosition } = usePlanetPositions();
+  const { julianDateRef } = useSimulationTime();
+  const groupRef = useRef();
+  const nucleusRef = useRef();
+  const comaRef = useRef();
+  const ionMaterialRef = useRef();
+  const dustMaterialRef = useRef();
+
+  useFrame((state, delta) => {
+    // Keplerian position computed by PlanetsUpdater, in scene units
+    const position = getPlanetPosition(comet.name);
+    if (!groupRef.current || !position) return;
+    groupRef.current.position.copy(position);
+
+    if (nucleusRef.current) {
+      nucleusRef.current.rotation.y += (EARTH_ROTATION_HOURS / comet.displayStats.rotationPeriod) * delta * 2.0;
+    }
+
+    const { activity, antiSolar, dustBend } = getCometTail(comet.orbitalElements, julianDateRef.current);
+    const length = comet.tailLength * activity;
+
+    if (comaRef.current) {
+      comaRef.current.visible = activity > 0;
+      comaRef.current.scale.setScalar(radius * (1.5 + 6 * activity));
+    }
+
+    const frame = {
+      time: state.clock.getElapsedTime(),
+      // Matches three's point size attenuation: half the drawing buffer height
+      scale: state.size.height * 0.5 * state.gl.getPixelRatio(),
+      length,
+      direction: antiSolar,
+      bend: dustBend,
+    };
+    // Fainter tails stay visible a little longer than a linear fade would allow
+    updateTail(ionMaterialRef.current, { ...frame, opacity: 0.8 * Math.sqrt(activity) });
+    updateTail(dustMaterialRef.current, { ...frame, opacity: 0.6 * Math.sqrt(activity) });
+  });
+
+  return (
+    <group ref={groupRef}>
+      <mesh
+        ref={nucleusRef}
+        onClick={onClick}
+        onPointerOver={onPointerOver}
+        onPointerOut={onPointerOut}
+      >
+        {/* Low-poly for an irregular, rocky silhouette */}
+        <icosahedronGeometry args={[radius, 1]} />
+        <meshStandardMaterial
+          color={comet.color}
+          roughness={1}
+          metalness={0}
+          emissive={isSelected ? '#4488ff' : '#000000'}
+          emissiveIntensity={isSelected ? 0.4 : 0}
+        />
+      </mesh>
+
+      {/* Coma: unit sphere scaled with activity each frame */}
+      <mesh ref={comaRef} visible={false}>
+        <sphereGeometry args={[1, 16, 16]} />
+        <meshBasicMaterial
+          color="#bfe3ff"
+          transparent
+          opacity={0.25}
+          blending={AdditiveBlending}
+          depthWrite={false}
+        />
+      </mesh>
+
+      {(isSelected || isHovered) && (
+        <mesh>
+          <sphereGeometry args={[radius * 1.6, 16, 16]} />
+          <meshBasicMaterial
+            color={isSelected ? '#4488ff' : '#88aaff'}
+            transparent
+            opacity={isSelected ? 0.3 : 0.15}
+            depthWrite={false}
+          />
+        </mesh>
+      )}
+
+      <CometTail config={ION_TAIL} materialRef={ionMaterialRef} />
+      <CometTail config={DUST_TAIL} materialRef={dustMaterialRef} />
+    </group>
+  );
+}
+
+export default function Comets({ comets }) {
+  const [selectedPlanet] = useSelectedPlanet();
+  const selectBody = useSelectBody();
+  const { distanceScale, sizeScale } = useSceneSettings();
+  const { hoveredBody, hoverBody, unhoverBody } = useHoveredBody();
+
+  const radii = useMemo(
+    () => comets.map(comet => getSceneRadius(comet, sizeScale)),
+    [comets, sizeScale]
+  );
+
+  const selectedComet = selectedPlanet?.isComet ? selectedPlanet : null;
+
+  // Orbit guide for the selected comet only; eccentric orbits cross everything else
+  const selectedOrbit = useMemo(() => {
+    if (!selectedComet) return null;
+    return new Float32Array(
+      getOrbitPath(selectedComet.orbitalElements, 512)
+        .flatMap(point => toScenePosition(point, null, distanceScale))
+    );
+  }, [selectedComet, distanceScale]);
+
+  const handleCometClick = (comet, event) => {
+    event.stopPropagation();
+
+    selectBody(comet);
+  };
+
+  const handlePointerOver = (body, event) => {
+    event.stopPropagation();
+    hoverBody(body);
+    if (typeof document !== 'undefined') {
+      document.body.style.cursor = 'pointer';
+    }
+  };
+
+  const handlePointerOut = (body) => {
+    unhoverBody(body);
+    if (typeof document !== 'undefined') {
+      document.body.style.cursor = 'auto';
+    }
+  };
+
+  return (
+    <group>
+      {comets.map((comet, index) => (
+        <Comet
+          key={comet.id}
+          comet={comet}
+          radius={radii[index]}
+          isSelected={selectedComet?.name === comet.name}
+          isHovered={hoveredBody?.isComet && hoveredBody.name === comet.name}
+          onClick={(e) => handleCometClick(comet, e)}
+          onPointerOver={(e) => handlePointerOver(comet, e)}
+          onPointerOut={() => handlePointerOut(comet)}
+        />
+      ))}
+
+      {selectedOrbit && (
+        <line key={`orbit-${selectedComet.name}-${distanceScale}`}>
+          <bufferGeometry>
+            <bufferAttribute
+              attach="attributes-position"
+              count={selectedOrbit.length / 3}
+              array={selectedOrbit}
+              itemSize={3}
+            />
+          </bufferGeometry>
+          <lineBasicMaterial
+            color="#8fc3ff"
+            transparent
+            opacity={0.4}
+            depthWrite={false}
+          />
+        </line>
+      )}
+    </group>
+  );
+}
@@ -1,11 +1,42 @@
-// GuideRing.js
+// GuideRing.js - Keplerian orbit path with optional apsis/node markers and traversed arc
 'use client';
-import { Torus } from "@react-three/drei";
+import { useMemo, useRef, useEffect } from "react";
+import { BufferGeometry, Float32BufferAttribute } from "three";
+import { useFrame } from "@react-three/fiber";
+import { useSpring, animated } from "@react-spring/three";
 import { useCameraContext } from "../contexts/CameraContext";
-import { useSpring, animated } from "@react-spring/web";
+import { useSceneSettings } from "../contexts/SceneSettingsContext";
+import { useSimulationTime } from "../contexts/SimulationTimeContext";
+import {
+  getOrbitPath,
+  getOrbitMarkers,
+  getEccentricAnomaly,
+  getPositionAtEccentricAnomaly,
+  toScenePosition,
+} from "../lib/ephemeris";
 
-export default function GuideRing({ radius }) {
+const ORBIT_SEGMENTS = 256;
+const MARKER_RADIUS = 0.05;
+
+const MARKER_COLORS = {
+  perihelion: '#ffaa33',
+  aphelion: '#66ccff',
+  ascendingNode: '#66ff99',
+  descendingNode: '#ff6680',
+};
+
+const createLineGeometry = (positions) => {
+  const geometry = new BufferGeometry();
+  geometry.setAttribute('position', new Float32BufferAttribute(positions, 3));
+  return geometry;
+};
+
+export default function GuideRing({ body }) {
   const { cameraState } = useCameraContext();
+  const { showOrbits, showOrbitMarkers, showTraversedArc, distanceScale } = useSceneSettings();
+  const { julianDateRef } = useSimulationTime();
+  const elements = body.orbitalElements;
+  const lastArcIndexRef = useRef(null);
 
   const targetOpacity = (() => {
     switch (cameraState) {
@@ -29,25 +60,97 @@ export default function GuideRing({ radius }) {
     config: { duration: 1000 },
   });
 
-  const AnimatedMaterial = animated("meshBasicMaterial");
+  // Orbit samples in scene units, starting and ending at perihelion
+  const pathPositions = useMemo(
+    () => new Float32Array(
+      getOrbitPath(elements, ORBIT_SEGMENTS).flatMap(point => toScenePosition(point, body, distanceScale))
+    ),
+    [elements, body, distanceScale]
+  );
+
+  const orbitGeometry = useMemo(() => createLineGeometry(pathPositions), [pathPositions]);
+
+  // The traversed arc owns a copy of the path so its last vertex can be moved onto the body
+  const arcGeometry = useMemo(() => {
+    lastArcIndexRef.current = null;
+    const geometry = createLineGeometry(new Float32Array(pathPositions));
+    geometry.setDrawRange(0, 0);
+    return geometry;
+  }, [pathPositions]);
+
+  useEffect(() => () => orbitGeometry.dispose(), [orbitGeometry]);
+  useEffect(() => () => arcGeometry.dispose(), [arcGeometry]);
+
+  const markers = useMemo(
+    () => Object.entries(getOrbitMarkers(elements)).map(([key, point]) => ({
+      key,
+      color: MARKER_COLORS[key],
+      position: toScenePosition(point, body, distanceScale),
+    })),
+    [elements, body, distanceScale]
+  );
+
+  useFrame(() => {
+    if (!showTraversedArc) return;
+
+    // Arc from the last perihelion passage up to the body's current position
+    const eccentricAnomaly = getEccentricAnomaly(elements, julianDateRef.current);
+    const index = Math.min(
+      ORBIT_SEGMENTS - 1,
+      Math.floor((eccentricAnomaly / (Math.PI * 2)) * ORBIT_SEGMENTS)
+    );
+    const positionAttribute = arcGeometry.attributes.position;
+    const array = positionAttribute.array;
+
+    // Put back the sample that held the body's position last frame
+    const lastIndex = lastArcIndexRef.current;
+    if (lastIndex !== null && lastIndex !== index) {
+      const offset = (lastIndex + 1) * 3;
+      array.set(pathPositions.subarray(offset, offset + 3), offset);
+    }
+
+    const current = toScenePosition(
+      getPositionAtEccentricAnomaly(elements, eccentricAnomaly),
+      body,
+      distanceScale
+    );
+    array.set(current, (index + 1) * 3);
+    lastArcIndexRef.current = index;
+
+    arcGeometry.setDrawRange(0, index + 2);
+    positionAttribute.needsUpdate = true;
+  });
 
   return (
-    <mesh>
-      <Torus
-        args={[radius, 0.001, 8, 256]}
-        position={[0, 0, 0]}
-        rotation={[Math.PI / 2, 0, 0]}
-      >
-        <AnimatedMaterial 
-          color="#4488ff" 
-          transparent 
-          opacity={opacity}
-          emissive="#001144"
-          emissiveIntensity={0.2}
-        />
-        {/* Fallback material for safety */}
-        <meshBasicMaterial attach="material" color="#ffffff" opacity={0} transparent />
-      </Torus>
-    </mesh>
+    <group>
+      {showOrbits && (
+        <line geometry={orbitGeometry}>
+          <animated.lineBasicMaterial
+            color="#4488ff"
+            transparent
+            opacity={opacity.to(o => o * 0.6)}
+            depthWrite={false}
+          />
+        </line>
+      )}
+
+      {showTraversedArc && (
+        <line geometry={arcGeometry}>
+          <animated.lineBasicMaterial
+            color="#aaddff"
+            transparent
+            opacity={opacity}
+            depthWrite={false}
+          />
+        </line>
+      )}
+
+      {showOrbitMarkers && markers.map(({ key, color, position }) => (
+        <mesh key={key} position={position}>
+          <sphereGeometry args={[MARKER_RADIUS, 12, 12]} />
+          <animated.meshBasicMaterial color={color} transparent opacity={opacity} />
+        </mesh>
+      ))}
+    </group>
   );
 }
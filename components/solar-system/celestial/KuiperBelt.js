@@ -0,0 +1,84 @@
+// KuiperBelt.js - Kuiper belt and scattered disc beyond Neptune
+'use client';
+import { useMemo, useRef, useLayoutEffect } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { Object3D, Color, MathUtils } from 'three';
+import { useSimulationTime } from '../contexts/SimulationTimeContext';
+import { useOrbitKeyframes } from '../hooks/useOrbitKeyframes';
+import { generateKuiperBeltOrbits } from '../lib/kuiperBelt';
+
+// Icy classical objects look blue-grey; resonant and scattered ones are redder
+const POPULATION_COLORS = {
+  plutino: '#b89a88',
+  classical: '#9fb0c2',
+  scattered: '#a47f6f',
+};
+
+// Periods run to centuries, so keyframes a month apart stay within ~2e-4 AU of the orbit
+const KEYFRAME_DAYS = 30;
+
+export default function KuiperBelt({ objectCount = 600 }) {
+  const meshRef = useRef();
+  const tempObject = useMemo(() => new Object3D(), []);
+  const { julianDateRef } = useSimulationTime();
+
+  const objects = useMemo(() => {
+    return generateKuiperBeltOrbits(objectCount).map(({ population, size, spin, ...orbitalElements }) => ({
+      population,
+      orbitalElements,
+      scale: MathUtils.lerp(0.004, 0.012, size),
+      rotationY: spin,
+    }));
+  }, [objectCount]);
+
+  // Colours only change with the population, so set them once
+  useLayoutEffect(() => {
+    if (!meshRef.current) return;
+    const color = new Color();
+    objects.forEach((object, i) => {
+      meshRef.current.setColorAt(i, color.set(POPULATION_COLORS[object.population]));
+    });
+    meshRef.current.instanceColor.needsUpdate = true;
+  }, [objects]);
+
+  const getKeyframes = useOrbitKeyframes(objects, KEYFRAME_DAYS);
+  // What the instances were last placed for; nothing else moves them
+  const placedRef = useRef({ julianDate: NaN, getKeyframes: null });
+
+  useFrame(() => {
+    if (!meshRef.current) return;
+    const julianDate = julianDateRef.current;
+    const placed = placedRef.current;
+    if (julianDate === placed.julianDate && getKeyframes === placed.getKeyframes) return;
+    placed.julianDate = julianDate;
+    placed.getKeyframes = getKeyframes;
+    const { from, to, t } = getKeyframes(julianDate);
+
+    objects.forEach((object, i) => {
+      tempObject.position.set(
+        MathUtils.lerp(from[i * 3], to[i * 3], t),
+        MathUtils.lerp(from[i * 3 + 1], to[i * 3 + 1], t),
+        MathUtils.lerp(from[i * 3 + 2], to[i * 3 + 2], t)
+      );
+      tempObject.rotation.set(0, object.rotationY, 0);
+      tempObject.scale.setScalar(object.scale);
+      tempObject.updateMatrix();
+
+      meshRef.current.setMatrixAt(i, tempObject.matrix);
+    });
+
+    meshRef.current.instanceMatrix.needsUpdate = true;
+  });
+
+  return (
+    <instancedMesh ref={meshRef} args={[null, null, objectCount]}>
+      <icosahedronGeometry args={[1, 0]} />
+      {/* Faint self-illumination: sunlight out here is ~1/1000 of Earth's */}
+      <meshStandardMaterial
+        roughness={0.8}
+        metalness={0}
+        emissive="#1a1d24"
+      />
+    </instancedMesh>
+  );
+}
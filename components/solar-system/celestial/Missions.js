@@ -0,0 +1,139 @@
+// Missions.js - Spacecraft flight paths with a marker for where each craft is at the simulation date
+'use client';
+import { useMemo, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { useSelectedPlanet } from '../contexts/SelectedPlanetContext';
+import { useSceneSettings } from '../contexts/SceneSettingsContext';
+import { useSimulationTime } from '../contexts/SimulationTimeContext';
+import { useHoveredBody } from '../contexts/HoveredBodyContext';
+import { useSelectBody } from '../hooks/useSelectBody';
+import { toScenePosition } from '../lib/ephemeris';
+import { getMissionPath, getMissionScenePosition, createMissionSelection } from '../lib/missions';
+
+// Markers keep at least this size relative to their distance from the camera,
+// so a craft 170 AU out can still be seen and clicked
+const MIN_ANGULAR_SIZE = 0.006;
+
+function Mission({ mission, path, isSelected, isHovered, onClick, onPointerOver, onPointerOut }) {
+  const { julianDateRef } = useSimulationTime();
+  const { distanceScale, sizeScale } = useSceneSettings();
+  const markerRef = useRef();
+  const selection = useMemo(() => createMissionSelection(mission), [mission]);
+
+  useFrame(({ camera }) => {
+    const marker = markerRef.current;
+    if (!marker) return;
+
+    const position = getMissionScenePosition(mission, julianDateRef.current, distanceScale, sizeScale);
+    // Hidden before launch and once the mission has ended
+    marker.visible = Boolean(position);
+    if (!position) return;
+
+    marker.position.set(...position);
+    const minimumRadius = marker.position.distanceTo(camera.position) * MIN_ANGULAR_SIZE;
+    marker.scale.setScalar(Math.max(1, minimumRadius / selection.radius));
+  });
+
+  return (
+    <group>
+      {path.map((segment, index) => (
+        <line key={`${mission.id}-${index}-${distanceScale}`}>
+          <bufferGeometry>
+            <bufferAttribute
+              attach="attributes-position"
+              count={segment.length / 3}
+              array={segment}
+              itemSize={3}
+            />
+          </bufferGeometry>
+          <lineBasicMaterial
+            color={mission.color}
+            transparent
+            opacity={isSelected ? 0.8 : 0.35}
+            depthWrite={false}
+          />
+        </line>
+      ))}
+
+      <mesh
+        ref={markerRef}
+        visible={false}
+        onClick={onClick}
+        onPointerOver={onPointerOver}
+        onPointerOut={onPointerOut}
+      >
+        <octahedronGeometry args={[selection.radius, 0]} />
+        <meshBasicMaterial color={mission.color} />
+
+        {(isSelected || isHovered) && (
+          <mesh>
+            <sphereGeometry args={[selection.radius * 1.8, 16, 16]} />
+            <meshBasicMaterial
+              color={mission.color}
+              transparent
+              opacity={isSelected ? 0.3 : 0.15}
+              depthWrite={false}
+            />
+          </mesh>
+        )}
+      </mesh>
+    </group>
+  );
+}
+
+export default function Missions({ missions }) {
+  const [selectedPlanet] = useSelectedPlanet();
+  const selectBody = useSelectBody();
+  const { distanceScale } = useSceneSettings();
+  const { hoveredBody, hoverBody, unhoverBody } = useHoveredBody();
+
+  // Trajectories are fixed; only their mapping into the scene depends on the distance scale
+  const paths = useMemo(
+    () => missions.map(mission =>
+      getMissionPath(mission).map(segment =>
+        new Float32Array(segment.flatMap(point => toScenePosition(point, null, distanceScale)))
+      )
+    ),
+    [missions, distanceScale]
+  );
+
+  const selectedMission = selectedPlanet?.isMission ? selectedPlanet : null;
+
+  const handleMissionClick = (mission, event) => {
+    event.stopPropagation();
+
+    selectBody(createMissionSelection(mission));
+  };
+
+  const handlePointerOver = (body, event) => {
+    event.stopPropagation();
+    hoverBody(body);
+    if (typeof document !== 'undefined') {
+      document.body.style.cursor = 'pointer';
+    }
+  };
+
+  const handlePointerOut = (body) => {
+    unhoverBody(body);
+    if (typeof document !== 'undefined') {
+      document.body.style.cursor = 'auto';
+    }
+  };
+
+  return (
+    <group>
+      {missions.map((mission, index) => (
+        <Mission
+          key={mission.id}
+          mission={mission}
+          path={paths[index]}
+          isSelected={selectedMission?.id === mission.id}
+          isHovered={hoveredBody?.isMission && hoveredBody.id === mission.id}
+          onClick={(e) => handleMissionClick(mission, e)}
+          onPointerOver={(e) => handlePointerOver(createMissionSelection(mission), e)}
+          onPointerOut={() => handlePointerOut(createMissionSelection(mission))}
+        />
+      ))}
+    </group>
+  );
+}
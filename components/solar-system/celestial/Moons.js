@@ -1,20 +1,34 @@
 // Moons.js - Realistic moon rendering with orbital mechanics and interactivity
 'use client';
-import { useRef, useMemo, useEffect, useState } from 'react';
+import { useRef, useMemo, useEffect } from 'react';
 import { useFrame } from '@react-three/fiber';
 import { Sphere } from '@react-three/drei';
-import { useSpeedControl } from '../contexts/SpeedControlContext';
+import { useSimulationTime } from '../contexts/SimulationTimeContext';
+import { getMoonLocalPosition, getMoonOrbitPath } from '../lib/ephemeris';
 import { useSelectedPlanet } from '../contexts/SelectedPlanetContext';
-import { useCameraContext } from '../contexts/CameraContext';
+import { useSceneSettings } from '../contexts/SceneSettingsContext';
+import { usePlanetPositions } from '../contexts/PlanetPositionsContext';
+import { useHoveredBody } from '../contexts/HoveredBodyContext';
+import { useSelectBody } from '../hooks/useSelectBody';
+import { getSceneRadius, getMoonOrbitRadius } from '../lib/scale';
+import { createMoonSelection, getSelectionKey } from '../lib/bodyLookup';
 import * as THREE from 'three';
 import { renderLogger } from '../../../lib/logger';
 
-export default function Moons({ planetPosition, moons, planetName, planetData, adaptiveDetail = true }) {
-  const { speedFactor, overrideSpeedFactor } = useSpeedControl();
-  const [selectedPlanet, setSelectedPlanet] = useSelectedPlanet();
-  const { setCameraState } = useCameraContext();
-  const [hoveredMoon, setHoveredMoon] = useState(null);
+// Orbit guides are redrawn once a precessing node has turned this far (deg)
+const ORBIT_PATH_REFRESH_DEG = 0.5;
+
+export default function Moons({ planetPosition, moons, planetData, adaptiveDetail = true }) {
+  const selectBody = useSelectBody();
+  const { julianDateRef } = useSimulationTime();
+  const [selectedPlanet] = useSelectedPlanet();
+  const { sizeScale } = useSceneSettings();
+  const { setBodyObject } = usePlanetPositions();
+  const { hoveredBody, hoverBody, unhoverBody } = useHoveredBody();
   const moonRefs = useRef([]);
+  const orbitAttributeRefs = useRef([]);
+  // Date the orbit guides were last drawn for
+  const orbitPathDateRef = useRef(julianDateRef.current);
 
   // Texture mapping for realistic moon surfaces
   // Primary textures: Dedicated moon texture files
@@ -87,27 +101,50 @@ export default function Moons({ planetPosition, moons, planetName, planetData, a
     return isMobile ? 16 : 32;
   }, [adaptiveDetail]);
 
-  // Initialize moon orbital progress
-  const moonOrbits = useRef(moons.map(() => Math.random() * Math.PI * 2));
+  // Rendered radii and orbit radii for the current size scale mode
+  const moonScales = useMemo(() => moons.map(moon => ({
+    radius: moon.radius ? getSceneRadius(moon, sizeScale) : 0.05,
+    orbitRadius: getMoonOrbitRadius(moon, planetData, sizeScale),
+  })), [moons, planetData, sizeScale]);
+
+  // Orbit guides in each moon's own plane, rebuilt when the scale changes
+  const orbitPaths = useMemo(() => {
+    orbitPathDateRef.current = julianDateRef.current;
+    return moons.map((moon, index) => new Float32Array(
+      getMoonOrbitPath(moon, orbitPathDateRef.current, moonScales[index].orbitRadius, planetData?.tilt).flat()
+    ));
+  }, [moons, moonScales, planetData, julianDateRef]);
+
+  // Simulated days for the fastest-precessing node in this system to turn ORBIT_PATH_REFRESH_DEG
+  const orbitPathRefreshDays = useMemo(() => {
+    const fastestNodeRate = Math.max(0, ...moons.map(moon => Math.abs(moon.orbitalElements?.nodeRate ?? 0)));
+    return fastestNodeRate > 0 ? ORBIT_PATH_REFRESH_DEG / fastestNodeRate : Infinity;
+  }, [moons]);
+
+  useFrame(() => {
+    const julianDate = julianDateRef.current;
+
+    // Follow the node as the clock runs or jumps, writing into the existing buffers
+    if (Math.abs(julianDate - orbitPathDateRef.current) > orbitPathRefreshDays) {
+      orbitPathDateRef.current = julianDate;
+      moons.forEach((moon, index) => {
+        const attribute = orbitAttributeRefs.current[index];
+        if (!attribute) return;
+        attribute.array.set(getMoonOrbitPath(moon, julianDate, moonScales[index].orbitRadius, planetData?.tilt).flat());
+        attribute.needsUpdate = true;
+      });
+    }
 
-  useFrame((state, delta) => {
     moons.forEach((moon, index) => {
       if (moonRefs.current[index]) {
-        // Update orbital progress
-        const orbitSpeed = moon.orbitSpeed || 0.5;
-        moonOrbits.current[index] += orbitSpeed * delta * speedFactor;
-
-        // Calculate position relative to parent planet
-        const angle = moonOrbits.current[index];
-        const orbitRadius = moon.orbitRadius || 0.5;
-        
-        const x = Math.cos(angle) * orbitRadius;
-        const z = Math.sin(angle) * orbitRadius;
+        // Position relative to the parent from the moon's orbital elements
+        const { orbitRadius } = moonScales[index];
+        const [x, y, z] = getMoonLocalPosition(moon, julianDate, orbitRadius, planetData?.tilt);
         
-        moonRefs.current[index].position.set(x, 0, z);
+        moonRefs.current[index].position.set(x, y, z);
         
-        // Moon self-rotation (tidally locked moons rotate once per orbit)
-        moonRefs.current[index].rotation.y = angle;
+        // Tidally locked: the prime meridian (texture centre, the near side) faces the parent
+        moonRefs.current[index].rotation.y = Math.atan2(z, -x);
       }
     });
   });
@@ -115,51 +152,27 @@ export default function Moons({ planetPosition, moons, planetName, planetData, a
   if (!moons || moons.length === 0) return null;
 
   // Handle moon click to select it
-  const handleMoonClick = (moon, moonIndex, event) => {
+  const handleMoonClick = (moon, event) => {
     event.stopPropagation();
     
-    // Get the moon's world position by combining planet position with moon's local position
-    const moonRef = moonRefs.current[moonIndex];
-    let moonWorldPosition = {
-      x: planetPosition[0],
-      y: planetPosition[1],
-      z: planetPosition[2]
-    };
-    
-    if (moonRef) {
-      // Add moon's local offset to planet's position
-      moonWorldPosition = {
-        x: planetPosition[0] + moonRef.position.x,
-        y: planetPosition[1] + moonRef.position.y,
-        z: planetPosition[2] + moonRef.position.z
-      };
-    }
-    
-    // Create moon selection object with parent planet info
-    const moonSelection = {
-      ...moon,
-      isMoon: true,
-      parentPlanet: planetName,
-      parentPlanetData: planetData,
-      // Position info for camera targeting
-      position: moonWorldPosition
-    };
+    // The camera follows the moon live through the position store
+    const moonSelection = createMoonSelection(moon, planetData);
     
-    setSelectedPlanet(moonSelection);
-    overrideSpeedFactor();
-    setCameraState('ZOOMING_IN');
+    selectBody(moonSelection);
   };
 
   // Handle moon hover
-  const handleMoonPointerOver = (moonName) => {
-    setHoveredMoon(moonName);
+  const handleMoonPointerOver = (moon, event) => {
+    // Nearest body only, so the planet behind doesn't take over the hover
+    event.stopPropagation();
+    hoverBody(createMoonSelection(moon, planetData));
     if (typeof document !== 'undefined') {
       document.body.style.cursor = 'pointer';
     }
   };
 
-  const handleMoonPointerOut = () => {
-    setHoveredMoon(null);
+  const handleMoonPointerOut = (moon) => {
+    unhoverBody(createMoonSelection(moon, planetData));
     if (typeof document !== 'undefined') {
       document.body.style.cursor = 'auto';
     }
@@ -173,20 +186,25 @@ export default function Moons({ planetPosition, moons, planetName, planetData, a
   return (
     <group position={planetPosition}>
       {moons.map((moon, index) => {
-        const moonArgs = [moon.radius || 0.05, geometryDetail, geometryDetail];
+        const { radius } = moonScales[index];
+        const moonArgs = [radius, geometryDetail, geometryDetail];
         const hasTexture = textures[moon.name];
         const isSelected = isSelectedMoon(moon.name);
-        const isHovered = hoveredMoon === moon.name;
+        const isHovered = hoveredBody?.isMoon && hoveredBody.name === moon.name;
         
         return (
           <mesh
             key={`${moon.name}-${index}`}
-            ref={(el) => (moonRefs.current[index] = el)}
+            ref={(el) => {
+              moonRefs.current[index] = el;
+              // Registered under the moon's selection key for surface views
+              setBodyObject(getSelectionKey(createMoonSelection(moon, planetData)), el);
+            }}
             castShadow
             receiveShadow
-            onClick={(e) => handleMoonClick(moon, index, e)}
-            onPointerOver={() => handleMoonPointerOver(moon.name)}
-            onPointerOut={handleMoonPointerOut}
+            onClick={(e) => handleMoonClick(moon, e)}
+            onPointerOver={(e) => handleMoonPointerOver(moon, e)}
+            onPointerOut={() => handleMoonPointerOut(moon)}
           >
             <Sphere args={moonArgs}>
               {hasTexture ? (
@@ -211,7 +229,7 @@ export default function Moons({ planetPosition, moons, planetName, planetData, a
             {/* Selection highlight - glowing outline */}
             {(isSelected || isHovered) && (
               <mesh>
-                <Sphere args={[moon.radius * 1.15, 16, 16]}>
+                <Sphere args={[radius * 1.15, 16, 16]}>
                   <meshBasicMaterial
                     color={isSelected ? '#4488ff' : '#88aaff'}
                     transparent
@@ -226,7 +244,7 @@ export default function Moons({ planetPosition, moons, planetName, planetData, a
             {moon.name === 'Europa' && (
               // Subtle ice glow for Europa
               <mesh>
-                <Sphere args={[moon.radius * 1.05, 16, 16]}>
+                <Sphere args={[radius * 1.05, 16, 16]}>
                   <meshBasicMaterial
                     color="#aaddff"
                     transparent
@@ -240,7 +258,7 @@ export default function Moons({ planetPosition, moons, planetName, planetData, a
             {moon.name === 'Titan' && (
               // Thick atmosphere for Titan
               <mesh>
-                <Sphere args={[moon.radius * 1.08, 16, 16]}>
+                <Sphere args={[radius * 1.08, 16, 16]}>
                   <meshPhysicalMaterial
                     color="#ffcc88"
                     transparent
@@ -257,9 +275,9 @@ export default function Moons({ planetPosition, moons, planetName, planetData, a
             {moon.name === 'Enceladus' && (
               // Ice geysers glow for Enceladus
               <pointLight
-                position={[0, moon.radius, 0]}
+                position={[0, radius, 0]}
                 intensity={0.2}
-                distance={moon.radius * 3}
+                distance={radius * 3}
                 color="#ffffff"
               />
             )}
@@ -269,25 +287,16 @@ export default function Moons({ planetPosition, moons, planetName, planetData, a
 
       {/* Orbital paths (optional, subtle guides) */}
       {moons.map((moon, index) => {
-        const orbitRadius = moon.orbitRadius || 0.5;
-        const segments = 64;
+        const orbitPath = orbitPaths[index];
         
         return (
-          <line key={`orbit-${moon.name}-${index}`}>
+          <line key={`orbit-${moon.name}-${index}-${sizeScale}`}>
             <bufferGeometry>
               <bufferAttribute
+                ref={(el) => (orbitAttributeRefs.current[index] = el)}
                 attach="attributes-position"
-                count={segments + 1}
-                array={new Float32Array(
-                  Array.from({ length: segments + 1 }, (_, i) => {
-                    const angle = (i / segments) * Math.PI * 2;
-                    return [
-                      Math.cos(angle) * orbitRadius,
-                      0,
-                      Math.sin(angle) * orbitRadius
-                    ];
-                  }).flat()
-                )}
+                count={orbitPath.length / 3}
+                array={orbitPath}
                 itemSize={3}
               />
             </bufferGeometry>
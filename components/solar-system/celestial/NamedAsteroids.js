@@ -0,0 +1,137 @@
+// NamedAsteroids.js - Ceres, Vesta, Pallas and Hygiea as selectable bodies
+'use client';
+import { useMemo, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { Sphere } from '@react-three/drei';
+import { usePlanetPositions } from '../contexts/PlanetPositionsContext';
+import { useSelectedPlanet } from '../contexts/SelectedPlanetContext';
+import { useSceneSettings } from '../contexts/SceneSettingsContext';
+import { useHoveredBody } from '../contexts/HoveredBodyContext';
+import { useSelectBody } from '../hooks/useSelectBody';
+import { getOrbitPath, toScenePosition } from '../lib/ephemeris';
+import { getSceneRadius } from '../lib/scale';
+
+const EARTH_ROTATION_HOURS = 23.93;
+
+export default function NamedAsteroids({ asteroids }) {
+  const { getPlanetPosition } = usePlanetPositions();
+  const [selectedPlanet] = useSelectedPlanet();
+  const selectBody = useSelectBody();
+  const { distanceScale, sizeScale } = useSceneSettings();
+  const { hoveredBody, hoverBody, unhoverBody } = useHoveredBody();
+  const asteroidRefs = useRef([]);
+
+  const radii = useMemo(
+    () => asteroids.map(asteroid => getSceneRadius(asteroid, sizeScale)),
+    [asteroids, sizeScale]
+  );
+
+  const selectedAsteroid = selectedPlanet?.isAsteroid ? selectedPlanet : null;
+
+  // Orbit guide for the selected asteroid only, so the belt stays readable
+  const selectedOrbit = useMemo(() => {
+    if (!selectedAsteroid) return null;
+    return new Float32Array(
+      getOrbitPath(selectedAsteroid.orbitalElements)
+        .flatMap(point => toScenePosition(point, selectedAsteroid, distanceScale))
+    );
+  }, [selectedAsteroid, distanceScale]);
+
+  useFrame((state, delta) => {
+    asteroids.forEach((asteroid, index) => {
+      const mesh = asteroidRefs.current[index];
+      // Keplerian position computed by PlanetsUpdater, in scene units
+      const position = getPlanetPosition(asteroid.name);
+      if (!mesh || !position) return;
+
+      mesh.position.copy(position);
+      // Same visible rotation scaling as the planets
+      mesh.rotation.y += (EARTH_ROTATION_HOURS / asteroid.displayStats.rotationPeriod) * delta * 2.0;
+    });
+  });
+
+  const handleAsteroidClick = (asteroid, event) => {
+    event.stopPropagation();
+
+    selectBody(asteroid);
+  };
+
+  const handlePointerOver = (body, event) => {
+    event.stopPropagation();
+    hoverBody(body);
+    if (typeof document !== 'undefined') {
+      document.body.style.cursor = 'pointer';
+    }
+  };
+
+  const handlePointerOut = (body) => {
+    unhoverBody(body);
+    if (typeof document !== 'undefined') {
+      document.body.style.cursor = 'auto';
+    }
+  };
+
+  return (
+    <group>
+      {asteroids.map((asteroid, index) => {
+        const radius = radii[index];
+        const isSelected = selectedAsteroid?.name === asteroid.name;
+        const isHovered = hoveredBody?.isAsteroid && hoveredBody.name === asteroid.name;
+
+        return (
+          <mesh
+            key={asteroid.id}
+            ref={(el) => (asteroidRefs.current[index] = el)}
+            castShadow
+            receiveShadow
+            onClick={(e) => handleAsteroidClick(asteroid, e)}
+            onPointerOver={(e) => handlePointerOver(asteroid, e)}
+            onPointerOut={() => handlePointerOut(asteroid)}
+          >
+            <Sphere args={[radius, 24, 24]}>
+              <meshStandardMaterial
+                color={asteroid.color}
+                roughness={0.95}
+                metalness={0.05}
+                emissive={isSelected ? '#4488ff' : '#000000'}
+                emissiveIntensity={isSelected ? 0.4 : 0}
+              />
+            </Sphere>
+
+            {(isSelected || isHovered) && (
+              <mesh>
+                <Sphere args={[radius * 1.15, 16, 16]}>
+                  <meshBasicMaterial
+                    color={isSelected ? '#4488ff' : '#88aaff'}
+                    transparent
+                    opacity={isSelected ? 0.3 : 0.15}
+                    depthWrite={false}
+                  />
+                </Sphere>
+              </mesh>
+            )}
+          </mesh>
+        );
+      })}
+
+      {selectedOrbit && (
+        <line key={`orbit-${selectedAsteroid.name}-${distanceScale}`}>
+          <bufferGeometry>
+            <bufferAttribute
+              attach="attributes-position"
+              count={selectedOrbit.length / 3}
+              array={selectedOrbit}
+              itemSize={3}
+            />
+          </bufferGeometry>
+          <lineBasicMaterial
+            color={selectedAsteroid.color}
+            transparent
+            opacity={0.4}
+            depthWrite={false}
+          />
+        </line>
+      )}
+    </group>
+  );
+}
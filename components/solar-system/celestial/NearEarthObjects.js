@@ -0,0 +1,176 @@
+// NearEarthObjects.js - Today's closest near-Earth objects from NASA's NEO feed
+'use client';
+import { useRef, useMemo, useEffect, useState } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { nasaAPI } from '../services/nasaAPI';
+import { nasaLogger } from '../../../lib/logger';
+import { useSimulationTime } from '../contexts/SimulationTimeContext';
+import { useSelectedPlanet } from '../contexts/SelectedPlanetContext';
+import { useSceneSettings } from '../contexts/SceneSettingsContext';
+import { useHoveredBody } from '../contexts/HoveredBodyContext';
+import { useSelectBody } from '../hooks/useSelectBody';
+import { getOrbitPath, toScenePosition } from '../lib/ephemeris';
+import { getSceneRadius } from '../lib/scale';
+import { parseNeoFeed, createNeoSelection, getNeoScenePosition } from '../lib/neo';
+
+const MAX_OBJECTS = 12;
+const HAZARD_COLOR = '#ff4d4d';
+const NEO_COLOR = '#a8a29e';
+
+// NeoWs has no usable osculating orbit for some objects
+const hasBoundOrbit = (elements) =>
+  elements &&
+  Object.values(elements).every(Number.isFinite) &&
+  elements.eccentricity < 1;
+
+export default function NearEarthObjects({ maxObjects = MAX_OBJECTS }) {
+  const selectBody = useSelectBody();
+  const { julianDateRef } = useSimulationTime();
+  const [selectedPlanet] = useSelectedPlanet();
+  const { distanceScale, sizeScale } = useSceneSettings();
+  const [neos, setNeos] = useState([]);
+  const { hoveredBody, hoverBody, unhoverBody } = useHoveredBody();
+  const neoRefs = useRef([]);
+
+  // Fetch today's feed with the closest objects' orbits attached by the route
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadNeos = async () => {
+      const feed = await nasaAPI.getNearEarthObjects(undefined, undefined, { orbits: maxObjects });
+      const summaries = parseNeoFeed(feed, maxObjects);
+      if (summaries.length === 0) return;
+
+      const loaded = summaries
+        .map((summary) => {
+          const orbit = feed.orbits?.[summary.id];
+          if (!hasBoundOrbit(orbit?.orbitalElements)) return null;
+          return createNeoSelection(summary, orbit);
+        })
+        .filter(Boolean);
+
+      nasaLogger.debug(`Loaded orbits for ${loaded.length} of ${summaries.length} near-Earth objects`);
+      if (!cancelled) setNeos(loaded);
+    };
+
+    loadNeos().catch((error) => {
+      nasaLogger.warn('Failed to load near-Earth objects:', error);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [maxObjects]);
+
+  const radii = useMemo(
+    () => neos.map(neo => getSceneRadius(neo, sizeScale)),
+    [neos, sizeScale]
+  );
+
+  const selectedNeo = selectedPlanet?.isNeo ? selectedPlanet : null;
+
+  // Only the selected object's orbit is drawn; a dozen crossing ellipses would bury Earth's
+  const selectedOrbit = useMemo(() => {
+    if (!selectedNeo) return null;
+    return new Float32Array(
+      getOrbitPath(selectedNeo.orbitalElements)
+        .flatMap(point => toScenePosition(point, null, distanceScale))
+    );
+  }, [selectedNeo, distanceScale]);
+
+  useFrame(() => {
+    const julianDate = julianDateRef.current;
+
+    neos.forEach((neo, index) => {
+      const mesh = neoRefs.current[index];
+      if (!mesh) return;
+      mesh.position.set(...getNeoScenePosition(neo, julianDate, distanceScale));
+      mesh.rotation.y += 0.01;
+    });
+  });
+
+  if (neos.length === 0) return null;
+
+  const handleNeoClick = (neo, event) => {
+    event.stopPropagation();
+
+    selectBody(neo);
+  };
+
+  const handlePointerOver = (body, event) => {
+    event.stopPropagation();
+    hoverBody(body);
+    if (typeof document !== 'undefined') {
+      document.body.style.cursor = 'pointer';
+    }
+  };
+
+  const handlePointerOut = (body) => {
+    unhoverBody(body);
+    if (typeof document !== 'undefined') {
+      document.body.style.cursor = 'auto';
+    }
+  };
+
+  return (
+    <group>
+      {neos.map((neo, index) => {
+        const radius = radii[index];
+        const color = neo.isPotentiallyHazardous ? HAZARD_COLOR : NEO_COLOR;
+        const isSelected = selectedNeo?.id === neo.id;
+        const isHovered = hoveredBody?.isNeo && hoveredBody.id === neo.id;
+
+        return (
+          <mesh
+            key={neo.id}
+            ref={(el) => (neoRefs.current[index] = el)}
+            onClick={(e) => handleNeoClick(neo, e)}
+            onPointerOver={(e) => handlePointerOver(neo, e)}
+            onPointerOut={() => handlePointerOut(neo)}
+          >
+            {/* Low-poly for an irregular, rocky silhouette */}
+            <icosahedronGeometry args={[radius, 0]} />
+            <meshStandardMaterial
+              color={color}
+              roughness={0.9}
+              metalness={0.1}
+              emissive={neo.isPotentiallyHazardous ? HAZARD_COLOR : '#000000'}
+              emissiveIntensity={neo.isPotentiallyHazardous ? 0.4 : 0}
+            />
+
+            {(isSelected || isHovered) && (
+              <mesh>
+                <sphereGeometry args={[radius * 1.6, 16, 16]} />
+                <meshBasicMaterial
+                  color={color}
+                  transparent
+                  opacity={isSelected ? 0.3 : 0.15}
+                  depthWrite={false}
+                />
+              </mesh>
+            )}
+          </mesh>
+        );
+      })}
+
+      {selectedOrbit && (
+        <line key={`orbit-${selectedNeo.id}-${distanceScale}`}>
+          <bufferGeometry>
+            <bufferAttribute
+              attach="attributes-position"
+              count={selectedOrbit.length / 3}
+              array={selectedOrbit}
+              itemSize={3}
+            />
+          </bufferGeometry>
+          <lineBasicMaterial
+            color={selectedNeo.isPotentiallyHazardous ? HAZARD_COLOR : NEO_COLOR}
+            transparent
+            opacity={0.4}
+            depthWrite={false}
+          />
+        </line>
+      )}
+    </group>
+  );
+}
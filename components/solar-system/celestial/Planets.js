@@ -4,45 +4,50 @@ import { useMemo, useEffect, useRef } from "react";
 import { TextureLoader } from "three";
 import { useLoader, useFrame } from "@react-three/fiber";
 import { Sphere } from "@react-three/drei";
-import Ring from "./GuideRing";
+import GuideRing from "./GuideRing";
 import Moons from "./Moons";
 import { usePlanetPositions } from "../contexts/PlanetPositionsContext";
-import { useSelectedPlanet } from "../contexts/SelectedPlanetContext";
-import { useCameraContext } from "../contexts/CameraContext";
-import { useSpeedControl } from "../contexts/SpeedControlContext";
+import { useSceneSettings } from "../contexts/SceneSettingsContext";
+import { useHoveredBody } from "../contexts/HoveredBodyContext";
+import { useSelectBody } from "../hooks/useSelectBody";
 import SaturnRings from "./SaturnRings";
 import planetsData from "../lib/planetsData";
+import { getSceneRadius } from "../lib/scale";
 import { renderLogger } from '../../../lib/logger';
 
 export default function Planet({
   id,
   name,
   texturePath,
-  position,
   radius,
-  orbitProgress,
   tilt,
   rings,
   moons,
 }) {
-  const { setPlanetPosition } = usePlanetPositions();
-  const [, setSelectedPlanet] = useSelectedPlanet();
-  const { setCameraState } = useCameraContext();
-  const { overrideSpeedFactor } = useSpeedControl();
+  const { getPlanetPosition, setBodyObject } = usePlanetPositions();
+  const selectBody = useSelectBody();
+  const { sizeScale } = useSceneSettings();
+  const { hoverBody, unhoverBody } = useHoveredBody();
   
   // Load planet texture with error handling
   const textureToLoad = texturePath || "/images/bodies/placeholder_2k.webp";
   const texture = useLoader(TextureLoader, textureToLoad);
   
+  // Use new realData and effects for advanced rendering
+  const planetData = useMemo(() => planetsData.find(p => p.id === id), [id]);
+
+  // `radius` is the compressed size; other size modes derive it from the real radius
+  const sceneRadius = useMemo(
+    () => getSceneRadius({ ...planetData, radius }, sizeScale),
+    [planetData, radius, sizeScale]
+  );
+  const ringScale = sceneRadius / radius;
+
   const sphereArgs = useMemo(
-    () => [radius, 64, 64],
-    [radius]
+    () => [sceneRadius, 64, 64],
+    [sceneRadius]
   );
   
-  // Realistic orbital mechanics
-  const orbitRadius = position.x;
-  const x = Math.cos(orbitProgress) * orbitRadius;
-  const z = Math.sin(orbitProgress) * orbitRadius;
   
   // Calculate distance from Sun for realistic lighting with minimum brightness for dark side
   // const distanceFromSun = Math.sqrt(x * x + z * z);
@@ -50,6 +55,7 @@ export default function Planet({
 
 
   const ref = useRef(null);
+  const groupRef = useRef(null);
   const atmosphereRef = useRef(null);
 
   // Debug: Log when planet has moons
@@ -59,6 +65,12 @@ export default function Planet({
     }
   }, [name, moons]);
 
+  // Surface views ride on the rotating mesh
+  useEffect(() => {
+    setBodyObject(name, ref.current);
+    return () => setBodyObject(name, null);
+  }, [name, setBodyObject]);
+
   // Planet-specific material properties for realism
   const materialProps = useMemo(() => {
     const baseProps = {
@@ -89,8 +101,6 @@ export default function Planet({
     }
   }, [texture, name]);
 
-  // Use new realData and effects for advanced rendering
-  const planetData = useMemo(() => planetsData.find(p => p.id === id), [id]);
   const hasAtmosphere = planetData?.effects?.atmosphericGlow || planetData?.effects?.atmosphericScattering || planetData?.effects?.clouds;
   const hasClouds = planetData?.effects?.clouds;
   const hasAurora = planetData?.effects?.aurora || planetData?.effects?.aurorae;
@@ -100,13 +110,35 @@ export default function Planet({
   const handlePlanetClick = () => {
     const planetData = planetsData.find(planet => planet.id === id);
     if (planetData) {
-      setSelectedPlanet(planetData);
-      overrideSpeedFactor();
-      setCameraState('ZOOMING_IN');
+      selectBody(planetData);
+    }
+  };
+
+  const handlePlanetPointerOver = (event) => {
+    // Nearest body only; a moon in front keeps its own hover
+    event.stopPropagation();
+    if (!planetData) return;
+    hoverBody(planetData);
+    if (typeof document !== 'undefined') {
+      document.body.style.cursor = 'pointer';
+    }
+  };
+
+  const handlePlanetPointerOut = () => {
+    if (!planetData) return;
+    unhoverBody(planetData);
+    if (typeof document !== 'undefined') {
+      document.body.style.cursor = 'auto';
     }
   };
 
   useFrame((state, delta) => {
+    // Keplerian position computed by PlanetsUpdater, in scene units
+    const orbitPosition = getPlanetPosition(name);
+    if (groupRef.current && orbitPosition) {
+      groupRef.current.position.copy(orbitPosition);
+    }
+
     if (ref.current) {
       // Calculate rotation using actual planetary rotation periods
       // rotationPeriod from displayStats is in Earth hours
@@ -133,16 +165,20 @@ export default function Planet({
     }
   });
 
-  useEffect(() => {
-    setPlanetPosition(name, [x, 0, z]);
-  }, [x, z, name, setPlanetPosition]);
-
   return (
     <>
-      <group position={[x, 0, z]} rotation={[tilt, 0, 0]}>
+      <group ref={groupRef} rotation={[tilt, 0, 0]}>
         {/* Main planet mesh with enhanced materials */}
-        <mesh ref={ref} onClick={handlePlanetClick} castShadow receiveShadow>
-          <Sphere args={sphereArgs}>
+        <mesh
+          ref={ref}
+          onClick={handlePlanetClick}
+          onPointerOver={handlePlanetPointerOver}
+          onPointerOut={handlePlanetPointerOut}
+          castShadow
+          receiveShadow
+        >
+          {/* Shape is applied to the sphere so the rotating frame stays unscaled for surface views */}
+          <Sphere args={sphereArgs} scale={planetData?.shape ?? 1}>
             <meshStandardMaterial 
               {...materialProps}
               clearcoat={hasAtmosphere ? 0.3 : 0.0}
@@ -160,7 +196,7 @@ export default function Planet({
         {/* Enhanced atmospheric layer for better visibility */}
         {hasAtmosphere && (
           <mesh ref={atmosphereRef}>
-            <Sphere args={[radius * 1.03, 64, 64]}>
+            <Sphere args={[sceneRadius * 1.03, 64, 64]}>
               <meshPhysicalMaterial
                 color={hasClouds ? '#ffffff' : '#d4f1ff'}
                 transparent={true}
@@ -185,7 +221,7 @@ export default function Planet({
         {/* Polar caps for Mars and Earth */}
         {hasPolarCaps && (
           <mesh>
-            <Sphere args={[radius * 1.01, 32, 32]}>
+            <Sphere args={[sceneRadius * 1.01, 32, 32]}>
               <meshBasicMaterial
                 attach="material"
                 color={'#f8f8ff'}
@@ -200,7 +236,7 @@ export default function Planet({
         {/* Dust storms for Mars */}
         {hasDust && (
           <mesh>
-            <Sphere args={[radius * 1.04, 32, 32]}>
+            <Sphere args={[sceneRadius * 1.04, 32, 32]}>
               <meshBasicMaterial
                 attach="material"
                 color={'#e0b97a'}
@@ -216,8 +252,8 @@ export default function Planet({
         {rings && (
           <SaturnRings
             texturePath={rings.texturePath}
-            innerRadius={rings.size[0]}
-            outerRadius={rings.size[1]}
+            innerRadius={rings.size[0] * ringScale}
+            outerRadius={rings.size[1] * ringScale}
           />
         )}
 
@@ -226,7 +262,7 @@ export default function Planet({
           <pointLight
             position={[0, 0, 0]}
             intensity={0.1}
-            distance={radius * 5}
+            distance={sceneRadius * 5}
             color={name === 'Jupiter' ? '#ff8844' : '#ffcc88'}
           />
         )}
@@ -236,15 +272,14 @@ export default function Planet({
           <Moons
             planetPosition={[0, 0, 0]}
             moons={moons}
-            planetName={name}
             planetData={planetData}
             adaptiveDetail={true}
           />
         )}
       </group>
       
-      {/* Orbital guide ring */}
-      <Ring radius={orbitRadius} />
+      {/* Orbit path, apsis/node markers and traversed arc */}
+      {planetData?.orbitalElements && <GuideRing body={planetData} />}
     </>
   );
 }
@@ -3,11 +3,12 @@
 import { useRef, useMemo } from 'react';
 import { TextureLoader, Color, AdditiveBlending } from "three";
 import { useLoader, useFrame } from "@react-three/fiber";
-import { useSelectedPlanet } from '../contexts/SelectedPlanetContext';
-import { useCameraContext } from '../contexts/CameraContext';
-import { useSpeedControl } from '../contexts/SpeedControlContext';
 import { createGlowTexture } from '../utils/glowTexture';
+import { useSceneSettings } from '../contexts/SceneSettingsContext';
+import { useHoveredBody } from '../contexts/HoveredBodyContext';
+import { useSelectBody } from '../hooks/useSelectBody';
 import planetsData from '../lib/planetsData';
+import { getSceneRadius } from '../lib/scale';
 import { renderLogger } from '../../../lib/logger';
 
 export default function Sun({ position, radius }) {
@@ -20,23 +21,43 @@ export default function Sun({ position, radius }) {
   const innerGlowRef = useRef();
   const outerGlowRef = useRef();
   
-  const [, setSelectedPlanet] = useSelectedPlanet();
-  const { setCameraState } = useCameraContext();
-  const { overrideSpeedFactor } = useSpeedControl();
+  const selectBody = useSelectBody();
+  const { sizeScale } = useSceneSettings();
+  const { hoverBody, unhoverBody } = useHoveredBody();
+
+  // `radius` is the compressed size; other size modes derive it from the real radius
+  const sceneRadius = useMemo(() => {
+    const sunData = planetsData.find(planet => planet.isSun);
+    return getSceneRadius({ ...sunData, radius }, sizeScale);
+  }, [radius, sizeScale]);
 
   const handleSunClick = () => {
     try {
       const sunData = planetsData.find(planet => planet.isSun);
       if (sunData) {
-        setSelectedPlanet(sunData);
-        overrideSpeedFactor();
-        setCameraState('ZOOMING_IN');
+        selectBody(sunData);
       }
     } catch (error) {
       renderLogger.error('Error handling sun click:', error);
     }
   };
 
+  // Hover follows the disc only, not the wide glow layers around it
+  const handleSunPointerOver = (event) => {
+    event.stopPropagation();
+    hoverBody(planetsData.find(planet => planet.isSun));
+    if (typeof document !== 'undefined') {
+      document.body.style.cursor = 'pointer';
+    }
+  };
+
+  const handleSunPointerOut = () => {
+    unhoverBody(planetsData.find(planet => planet.isSun));
+    if (typeof document !== 'undefined') {
+      document.body.style.cursor = 'auto';
+    }
+  };
+
   useFrame((state) => {
     try {
       if (sunRef.current) {
@@ -69,8 +90,8 @@ export default function Sun({ position, radius }) {
   return (
     <group position={position} onClick={handleSunClick}>
       {/* Main Sun Sphere with realistic material */}
-      <mesh ref={sunRef}>
-        <sphereGeometry args={[radius, 64, 64]} />
+      <mesh ref={sunRef} onPointerOver={handleSunPointerOver} onPointerOut={handleSunPointerOut}>
+        <sphereGeometry args={[sceneRadius, 64, 64]} />
         <meshPhongMaterial
           map={sunTexture}
           emissiveMap={sunTexture}
@@ -83,7 +104,7 @@ export default function Sun({ position, radius }) {
 
       {/* Inner Atmospheric Glow Layer */}
       <mesh ref={innerGlowRef}>
-        <sphereGeometry args={[radius * 1.05, 32, 32]} />
+        <sphereGeometry args={[sceneRadius * 1.05, 32, 32]} />
         <meshBasicMaterial
           color={new Color(0xffa500)}
           transparent={true}
@@ -95,7 +116,7 @@ export default function Sun({ position, radius }) {
 
       {/* Outer Atmospheric Glow Layer */}
       <mesh ref={outerGlowRef}>
-        <sphereGeometry args={[radius * 1.15, 16, 16]} />
+        <sphereGeometry args={[sceneRadius * 1.15, 16, 16]} />
         <meshBasicMaterial
           color={new Color(0xff6600)}
           transparent={true}
@@ -106,7 +127,7 @@ export default function Sun({ position, radius }) {
       </mesh>
 
       {/* Corona/Sprite Glow Effect */}
-      <sprite ref={glowRef} scale={[radius * 4, radius * 4, 1]}>
+      <sprite ref={glowRef} scale={[sceneRadius * 4, sceneRadius * 4, 1]}>
         <spriteMaterial
           map={glowTexture}
           color={new Color(0xffcc88)}
@@ -1,14 +1,43 @@
 // CameraContext.js
 'use client';
-import React, { createContext, useContext, useState } from 'react';
+import React, { createContext, useContext, useState, useRef, useCallback, useMemo } from 'react';
 
 const CameraContext = createContext(null);
 
+// Camera states that show the selected body's detail panel; following keeps it open
+export const showsBodyDetails = (cameraState) => cameraState === 'DETAIL_VIEW' || cameraState === 'FOLLOW';
+
 export const CameraProvider = ({ children }) => {
   const [cameraState, setCameraState] = useState('INTRO_ANIMATION');
+  // OrbitControls instance, registered by CameraController, for reading the current pose
+  const controlsRef = useRef(null);
+  // Pose ({ target, offset }) waiting to be applied by CameraController, e.g. restored from a URL
+  const pendingPoseRef = useRef(null);
+  // Bumped when the user finishes moving the camera, so pose observers don't poll per frame
+  const [poseRevision, setPoseRevision] = useState(0);
+  // Where the surface view stands on the selected body (degrees, longitude east of the prime meridian)
+  const [surfaceLocation, setSurfaceLocation] = useState({ latitude: 0, longitude: 0 });
+  // Surface view look direction ({ azimuth, elevation } in degrees, azimuth from north through east)
+  // plus an optional `aim` request ('sun', 'parent' or 'sunrise') resolved by CameraController;
+  // dragging changes it every frame, so it stays out of React state
+  const surfaceViewRef = useRef({ azimuth: 90, elevation: 10, aim: null });
+
+  const notifyPoseSettled = useCallback(() => setPoseRevision(revision => revision + 1), []);
+
+  const value = useMemo(() => ({
+    cameraState,
+    setCameraState,
+    controlsRef,
+    pendingPoseRef,
+    poseRevision,
+    notifyPoseSettled,
+    surfaceLocation,
+    setSurfaceLocation,
+    surfaceViewRef,
+  }), [cameraState, poseRevision, notifyPoseSettled, surfaceLocation]);
 
   return (
-    <CameraContext.Provider value={{ cameraState, setCameraState }}>
+    <CameraContext.Provider value={value}>
       {children}
     </CameraContext.Provider>
   );
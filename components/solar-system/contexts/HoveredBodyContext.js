@@ -0,0 +1,39 @@
+// HoveredBodyContext.js - The body under the pointer, for hover tooltips and pinned labels
+'use client';
+import React, { createContext, useContext, useState, useCallback, useMemo } from 'react';
+import { getSelectionKey } from '../lib/bodyLookup';
+
+const HoveredBodyContext = createContext(undefined);
+
+export const useHoveredBody = () => {
+  const context = useContext(HoveredBodyContext);
+  if (!context) {
+    throw new Error('useHoveredBody must be used within a HoveredBodyProvider');
+  }
+  return context;
+};
+
+export const HoveredBodyProvider = ({ children }) => {
+  // Same shape as a selection (planet, moon, asteroid, comet, NEO or mission)
+  const [hoveredBody, setHoveredBody] = useState(null);
+
+  const hoverBody = useCallback((body) => setHoveredBody(body), []);
+
+  // Only clears if the body is still the hovered one: moving straight onto a
+  // neighbour can deliver its pointerover before this body's pointerout
+  const unhoverBody = useCallback((body) => {
+    setHoveredBody(prev => (getSelectionKey(prev) === getSelectionKey(body) ? null : prev));
+  }, []);
+
+  const value = useMemo(() => ({
+    hoveredBody,
+    hoverBody,
+    unhoverBody,
+  }), [hoveredBody, hoverBody, unhoverBody]);
+
+  return (
+    <HoveredBodyContext.Provider value={value}>
+      {children}
+    </HoveredBodyContext.Provider>
+  );
+};
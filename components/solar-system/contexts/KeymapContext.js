@@ -0,0 +1,92 @@
+// KeymapContext.js - Keyboard shortcut bindings, user rebinding and the help overlay
+'use client';
+import React, { createContext, useContext, useState, useCallback, useMemo, useEffect } from 'react';
+import {
+  KEYMAP_ACTIONS,
+  loadKeymapOverrides,
+  saveKeymapOverrides,
+  resolveKeymap,
+  findKeyConflicts,
+  formatKey,
+} from '../lib/keymap';
+
+const KeymapContext = createContext(undefined);
+
+export const useKeymap = () => {
+  const context = useContext(KeymapContext);
+  if (!context) {
+    throw new Error('useKeymap must be used within a KeymapProvider');
+  }
+  return context;
+};
+
+export const KeymapProvider = ({ children }) => {
+  // Only the user's changes are stored, so new defaults reach everyone else
+  const [overrides, setOverrides] = useState({});
+  const [isHelpOpen, setHelpOpen] = useState(false);
+  // Browser layout map (Chromium), so labels match the keys printed on non-QWERTY keyboards
+  const [layoutMap, setLayoutMap] = useState(null);
+
+  useEffect(() => {
+    setOverrides(loadKeymapOverrides());
+    navigator.keyboard?.getLayoutMap?.()
+      .then(setLayoutMap)
+      .catch(() => {});
+  }, []);
+
+  const updateOverrides = useCallback((update) => {
+    setOverrides(prev => {
+      const next = update(prev);
+      saveKeymapOverrides(next);
+      return next;
+    });
+  }, []);
+
+  // Binding a key takes it away from any other action, so the keymap stays conflict-free
+  const bindKey = useCallback((actionId, code) => {
+    updateOverrides(prev => {
+      const keymap = resolveKeymap(prev);
+      const next = { ...prev, [actionId]: [code] };
+      Object.entries(keymap).forEach(([id, keys]) => {
+        if (id !== actionId && keys.includes(code)) {
+          next[id] = keys.filter(key => key !== code);
+        }
+      });
+      return next;
+    });
+  }, [updateOverrides]);
+
+  const resetBinding = useCallback((actionId) => {
+    updateOverrides(prev => {
+      const next = { ...prev };
+      delete next[actionId];
+      return next;
+    });
+  }, [updateOverrides]);
+
+  const resetAllBindings = useCallback(() => updateOverrides(() => ({})), [updateOverrides]);
+
+  const keymap = useMemo(() => resolveKeymap(overrides), [overrides]);
+  // Resetting one action can hand back a key another action took over
+  const conflicts = useMemo(() => findKeyConflicts(keymap), [keymap]);
+  const getKeyLabel = useCallback((code) => formatKey(code, layoutMap), [layoutMap]);
+
+  const value = useMemo(() => ({
+    actions: KEYMAP_ACTIONS,
+    keymap,
+    overrides,
+    conflicts,
+    bindKey,
+    resetBinding,
+    resetAllBindings,
+    getKeyLabel,
+    isHelpOpen,
+    setHelpOpen,
+  }), [keymap, overrides, conflicts, bindKey, resetBinding, resetAllBindings, getKeyLabel, isHelpOpen]);
+
+  return (
+    <KeymapContext.Provider value={value}>
+      {children}
+    </KeymapContext.Provider>
+  );
+};
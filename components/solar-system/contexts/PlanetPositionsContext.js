@@ -1,21 +1,50 @@
-//PlanetPositionsContext.js
+//PlanetPositionsContext.js - Mutable transform store for body positions
 'use client';
-import React, { createContext, useState, useContext, useCallback } from 'react';
+import React, { createContext, useContext, useRef, useMemo } from 'react';
+import { Vector3 } from 'three';
 
+// Positions change every frame, so they live in a mutable Map rather than React state:
+// PlanetsUpdater writes them and meshes/camera read them inside useFrame without re-rendering.
+// Moons are keyed by selection key (see getSelectionKey), e.g. "Jupiter/Io".
 export const PlanetPositionsContext = createContext({
-  planetPositions: {},
+  getPlanetPosition: () => undefined,
   setPlanetPosition: () => {},
+  getBodyObject: () => undefined,
+  setBodyObject: () => {},
 });
 
 export const PlanetPositionsProvider = ({ children }) => {
-  const [planetPositions, setPlanetPositions] = useState({});
+  const positionsRef = useRef(new Map());
+  // Rotating meshes by selection key (see getSelectionKey), for views fixed to a body's surface
+  const objectsRef = useRef(new Map());
 
-  const setPlanetPosition = useCallback((name, position) => {
-    setPlanetPositions((prev) => ({ ...prev, [name]: position }));
-  }, []);
+  const store = useMemo(() => ({
+    // Returns the live Vector3 for a body - copy it before holding on to it
+    getPlanetPosition: (name) => positionsRef.current.get(name),
+
+    setPlanetPosition: (name, [x, y, z]) => {
+      const position = positionsRef.current.get(name);
+      if (position) {
+        position.set(x, y, z);
+      } else {
+        positionsRef.current.set(name, new Vector3(x, y, z));
+      }
+    },
+
+    getBodyObject: (key) => objectsRef.current.get(key),
+
+    // Pass null to unregister, e.g. when the mesh unmounts
+    setBodyObject: (key, object) => {
+      if (object) {
+        objectsRef.current.set(key, object);
+      } else {
+        objectsRef.current.delete(key);
+      }
+    },
+  }), []);
 
   return (
-    <PlanetPositionsContext.Provider value={{ planetPositions, setPlanetPosition }}>
+    <PlanetPositionsContext.Provider value={store}>
       {children}
     </PlanetPositionsContext.Provider>
   );
@@ -0,0 +1,48 @@
+// SceneSettingsContext.js - User toggles for scene overlays and scale modes
+'use client';
+import React, { createContext, useContext, useState, useCallback, useMemo } from 'react';
+import { DEFAULT_SCALE_MODE } from '../lib/scale';
+
+const DEFAULT_SCENE_SETTINGS = {
+  showOrbits: true,
+  showOrbitMarkers: false,
+  showTraversedArc: false,
+  showLabels: true,
+  // Scale modes from lib/scale.js, chosen independently for distances and sizes
+  distanceScale: DEFAULT_SCALE_MODE,
+  sizeScale: DEFAULT_SCALE_MODE,
+};
+
+const SceneSettingsContext = createContext(undefined);
+
+export const useSceneSettings = () => {
+  const context = useContext(SceneSettingsContext);
+  if (!context) {
+    throw new Error('useSceneSettings must be used within a SceneSettingsProvider');
+  }
+  return context;
+};
+
+export const SceneSettingsProvider = ({ children }) => {
+  const [settings, setSettings] = useState(DEFAULT_SCENE_SETTINGS);
+
+  const setSetting = useCallback((key, value) => {
+    setSettings(prev => ({ ...prev, [key]: value }));
+  }, []);
+
+  const toggleSetting = useCallback((key) => {
+    setSettings(prev => ({ ...prev, [key]: !prev[key] }));
+  }, []);
+
+  const value = useMemo(() => ({
+    ...settings,
+    setSetting,
+    toggleSetting,
+  }), [settings, setSetting, toggleSetting]);
+
+  return (
+    <SceneSettingsContext.Provider value={value}>
+      {children}
+    </SceneSettingsContext.Provider>
+  );
+};
@@ -0,0 +1,75 @@
+// SimulationTimeContext.js - Absolute simulation clock shared by planets and moons
+'use client';
+import React, { createContext, useContext, useState, useRef, useCallback, useMemo, useEffect } from 'react';
+import { julianDateFromDate, dateFromJulianDate } from '../lib/ephemeris';
+
+// Simulated days per real second at 1x speed
+export const DEFAULT_SIMULATION_RATE = 7;
+
+const SimulationTimeContext = createContext(undefined);
+
+export const useSimulationTime = () => {
+  const context = useContext(SimulationTimeContext);
+  if (!context) {
+    throw new Error('useSimulationTime must be used within a SimulationTimeProvider');
+  }
+  return context;
+};
+
+export const SimulationTimeProvider = ({ children }) => {
+  // The Julian date lives in a ref: it advances every frame and is read inside
+  // useFrame, so keeping it out of React state avoids per-frame re-renders
+  const julianDateRef = useRef(julianDateFromDate(new Date()));
+  const [isPlaying, setIsPlaying] = useState(true);
+  const [rate, setRate] = useState(DEFAULT_SIMULATION_RATE);
+  // Bumped on explicit jumps (not per-frame advances) so observers can react to them
+  const [dateRevision, setDateRevision] = useState(0);
+
+  const setDate = useCallback((date) => {
+    julianDateRef.current = date instanceof Date ? julianDateFromDate(date) : date;
+    setDateRevision(revision => revision + 1);
+  }, []);
+
+  const getDate = useCallback(() => dateFromJulianDate(julianDateRef.current), []);
+
+  const play = useCallback(() => setIsPlaying(true), []);
+  const pause = useCallback(() => setIsPlaying(false), []);
+
+  const value = useMemo(() => ({
+    julianDateRef,
+    setDate,
+    getDate,
+    dateRevision,
+    isPlaying,
+    play,
+    pause,
+    rate,
+    setRate,
+  }), [setDate, getDate, dateRevision, isPlaying, play, pause, rate]);
+
+  return (
+    <SimulationTimeContext.Provider value={value}>
+      {children}
+    </SimulationTimeContext.Provider>
+  );
+};
+
+/**
+ * Reads the simulated Julian date for display purposes
+ * Polls the clock instead of subscribing per frame so UI re-renders stay cheap
+ * @param {number} [intervalMs=250] - Polling interval in milliseconds
+ * @returns {number} Current simulated Julian date
+ */
+export const useSimulationDate = (intervalMs = 250) => {
+  const { julianDateRef } = useSimulationTime();
+  const [julianDate, setJulianDate] = useState(julianDateRef.current);
+
+  useEffect(() => {
+    const intervalId = setInterval(() => {
+      setJulianDate(julianDateRef.current);
+    }, intervalMs);
+    return () => clearInterval(intervalId);
+  }, [julianDateRef, intervalMs]);
+
+  return julianDate;
+};
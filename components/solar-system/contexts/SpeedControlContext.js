@@ -21,8 +21,9 @@ export const SpeedControlProvider = ({ children }) => {
     setSpeedFactorState(value);
   };
 
-  const overrideSpeedFactor = () => {
-    setLastSpeedFactor(speedFactor);
+  // Pauses for a close-up; restoreValue lets callers that just set a speed pick what to restore
+  const overrideSpeedFactor = (restoreValue = speedFactor) => {
+    setLastSpeedFactor(restoreValue);
     setSpeedFactorState(0);
   };
 
@@ -31,7 +32,7 @@ export const SpeedControlProvider = ({ children }) => {
   };
 
   return (
-    <SpeedControlContext.Provider value={{ speedFactor, setSpeedFactor, overrideSpeedFactor, restoreSpeedFactor }}>
+    <SpeedControlContext.Provider value={{ speedFactor, lastSpeedFactor, setSpeedFactor, overrideSpeedFactor, restoreSpeedFactor }}>
       {children}
     </SpeedControlContext.Provider>
   );
@@ -0,0 +1,116 @@
+// TourContext.js - Plays guided tours: keyframe sequencing, pause and skip
+'use client';
+import React, { createContext, useContext, useState, useRef, useEffect } from 'react';
+import { useSelectedPlanet } from './SelectedPlanetContext';
+import { useCameraContext } from './CameraContext';
+import { useSpeedControl } from './SpeedControlContext';
+import { useSimulationTime } from './SimulationTimeContext';
+import { HELD_SPEED_CAMERA_STATES } from '../hooks/useSelectBody';
+import { getKeyframeSelection } from '../lib/tours';
+
+const TourContext = createContext(undefined);
+
+export const useTour = () => {
+  const context = useContext(TourContext);
+  if (!context) {
+    throw new Error('useTour must be used within a TourProvider');
+  }
+  return context;
+};
+
+export const TourProvider = ({ children }) => {
+  const [, setSelectedPlanet] = useSelectedPlanet();
+  const { cameraState, setCameraState } = useCameraContext();
+  const { speedFactor, lastSpeedFactor, setSpeedFactor, overrideSpeedFactor } = useSpeedControl();
+  const { setDate, play, pause } = useSimulationTime();
+
+  const [tour, setTour] = useState(null);
+  const [keyframeIndex, setKeyframeIndex] = useState(0);
+  const [isPaused, setIsPaused] = useState(false);
+  // Seconds spent on the current keyframe; TourDirector advances it every frame
+  const progressRef = useRef(0);
+  // Speed to go back to when the tour ends
+  const savedSpeedRef = useRef(1);
+
+  const keyframe = tour?.keyframes[keyframeIndex] ?? null;
+
+  // Select the keyframe's body and apply its date and speed; CameraController flies there
+  const showKeyframe = (activeTour, index) => {
+    const next = activeTour.keyframes[index];
+    progressRef.current = 0;
+    setKeyframeIndex(index);
+    setSelectedPlanet(getKeyframeSelection(next));
+    if (next.date) setDate(new Date(`${next.date}T00:00:00Z`));
+    if (next.speed !== undefined) setSpeedFactor(next.speed);
+  };
+
+  const startTour = (nextTour) => {
+    // Close-ups hold the paused speed, so fall back to the one they restore
+    savedSpeedRef.current = speedFactor || lastSpeedFactor;
+    setTour(nextTour);
+    setIsPaused(false);
+    play();
+    showKeyframe(nextTour, 0);
+    setCameraState('TOUR');
+  };
+
+  const stopTour = () => {
+    if (!tour) return;
+    setTour(null);
+    setIsPaused(false);
+    play();
+    setSpeedFactor(savedSpeedRef.current);
+    setSelectedPlanet(null);
+    setCameraState('MOVING_TO_HOME');
+  };
+
+  const togglePause = () => {
+    if (!tour) return;
+    if (isPaused) play();
+    else pause();
+    setIsPaused(!isPaused);
+  };
+
+  const nextKeyframe = () => {
+    if (!tour) return;
+    if (keyframeIndex + 1 < tour.keyframes.length) {
+      showKeyframe(tour, keyframeIndex + 1);
+    } else {
+      stopTour();
+    }
+  };
+
+  const previousKeyframe = () => {
+    if (!tour) return;
+    showKeyframe(tour, Math.max(0, keyframeIndex - 1));
+  };
+
+  // Anything else taking the camera (e.g. clicking a planet) ends the tour where it is.
+  // The keyframe's speed goes too: a close-up keeps its pause and restores the pre-tour speed.
+  useEffect(() => {
+    if (tour && cameraState !== 'TOUR') {
+      setTour(null);
+      setIsPaused(false);
+      play();
+      if (HELD_SPEED_CAMERA_STATES.includes(cameraState)) overrideSpeedFactor(savedSpeedRef.current);
+      else setSpeedFactor(savedSpeedRef.current);
+    }
+  }, [tour, cameraState, play, overrideSpeedFactor, setSpeedFactor]);
+
+  return (
+    <TourContext.Provider value={{
+      tour,
+      keyframeIndex,
+      keyframe,
+      isPaused,
+      progressRef,
+      startTour,
+      stopTour,
+      togglePause,
+      nextKeyframe,
+      previousKeyframe,
+    }}>
+      {children}
+    </TourContext.Provider>
+  );
+};
@@ -0,0 +1,61 @@
+// useCameraModes.js
+'use client';
+import { useCallback } from 'react';
+import { useSelectedPlanet } from '../contexts/SelectedPlanetContext';
+import { useCameraContext, showsBodyDetails } from '../contexts/CameraContext';
+import { useSpeedControl } from '../contexts/SpeedControlContext';
+import { hasSurfaceView } from '../lib/bodyLookup';
+
+// Following and surface views from a close-up. Both run the clock (the body moves along its
+// orbit, the sky turns overhead), and leaving either holds it paused again for the close-up,
+// so every control switching these modes goes through here.
+export const useCameraModes = () => {
+  const [selectedPlanet] = useSelectedPlanet();
+  const { cameraState, setCameraState } = useCameraContext();
+  const { overrideSpeedFactor, restoreSpeedFactor } = useSpeedControl();
+
+  const canFollow = showsBodyDetails(cameraState);
+  const canViewSurface = cameraState === 'DETAIL_VIEW' && hasSurfaceView(selectedPlanet);
+
+  const startFollowing = useCallback(() => {
+    setCameraState('FOLLOW');
+    restoreSpeedFactor();
+  }, [setCameraState, restoreSpeedFactor]);
+
+  const stopFollowing = useCallback(() => {
+    setCameraState('DETAIL_VIEW');
+    overrideSpeedFactor();
+  }, [setCameraState, overrideSpeedFactor]);
+
+  const toggleFollow = useCallback(() => {
+    if (cameraState === 'DETAIL_VIEW') startFollowing();
+    else if (cameraState === 'FOLLOW') stopFollowing();
+  }, [cameraState, startFollowing, stopFollowing]);
+
+  const enterSurfaceView = useCallback(() => {
+    setCameraState('SURFACE_VIEW');
+    restoreSpeedFactor();
+  }, [setCameraState, restoreSpeedFactor]);
+
+  // Flies back out to the close-up rather than jumping there
+  const leaveSurfaceView = useCallback(() => {
+    setCameraState('ZOOMING_IN');
+    overrideSpeedFactor();
+  }, [setCameraState, overrideSpeedFactor]);
+
+  const toggleSurfaceView = useCallback(() => {
+    if (cameraState === 'SURFACE_VIEW') leaveSurfaceView();
+    else if (canViewSurface) enterSurfaceView();
+  }, [cameraState, canViewSurface, enterSurfaceView, leaveSurfaceView]);
+
+  return {
+    canFollow,
+    canViewSurface,
+    startFollowing,
+    stopFollowing,
+    toggleFollow,
+    enterSurfaceView,
+    leaveSurfaceView,
+    toggleSurfaceView,
+  };
+};
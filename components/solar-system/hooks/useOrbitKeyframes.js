@@ -0,0 +1,44 @@
+// useOrbitKeyframes.js
+'use client';
+import { useCallback, useMemo } from 'react';
+import { useSceneSettings } from '../contexts/SceneSettingsContext';
+import { getHeliocentricPosition, toScenePosition } from '../lib/ephemeris';
+
+// Scene positions for a procedural belt, solved for keyframes `keyframeDays` apart and
+// interpolated in between, so instanced belts don't solve Kepler for every member every
+// frame. Returns a function of the Julian date giving the keyframes either side of it as
+// flat xyz arrays, with `t` in [0, 1) between them.
+export const useOrbitKeyframes = (bodies, keyframeDays) => {
+  const { distanceScale } = useSceneSettings();
+
+  const keyframes = useMemo(() => ({
+    start: NaN,
+    distanceScale: null,
+    from: new Float32Array(bodies.length * 3),
+    to: new Float32Array(bodies.length * 3),
+  }), [bodies]);
+
+  return useCallback((julianDate) => {
+    // Keplerian positions for a date; no planet anchor, so compressed mode interpolates
+    const fillPositions = (target, date) => {
+      bodies.forEach(({ orbitalElements }, i) => {
+        target.set(toScenePosition(getHeliocentricPosition(orbitalElements, date), null, distanceScale), i * 3);
+      });
+    };
+
+    const start = Math.floor(julianDate / keyframeDays) * keyframeDays;
+    if (start !== keyframes.start || distanceScale !== keyframes.distanceScale) {
+      // Running forwards, the old end keyframe is the new start
+      if (start === keyframes.start + keyframeDays && distanceScale === keyframes.distanceScale) {
+        [keyframes.from, keyframes.to] = [keyframes.to, keyframes.from];
+      } else {
+        fillPositions(keyframes.from, start);
+      }
+      fillPositions(keyframes.to, start + keyframeDays);
+      keyframes.start = start;
+      keyframes.distanceScale = distanceScale;
+    }
+
+    return { from: keyframes.from, to: keyframes.to, t: (julianDate - start) / keyframeDays };
+  }, [bodies, keyframeDays, keyframes, distanceScale]);
+};
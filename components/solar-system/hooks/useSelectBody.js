@@ -0,0 +1,25 @@
+// useSelectBody.js
+'use client';
+import { useCallback } from 'react';
+import { useSelectedPlanet } from '../contexts/SelectedPlanetContext';
+import { useCameraContext } from '../contexts/CameraContext';
+import { useSpeedControl } from '../contexts/SpeedControlContext';
+
+// Close-ups hold the clock paused; a speed picked there is what leaving restores
+export const HELD_SPEED_CAMERA_STATES = ['ZOOMING_IN', 'DETAIL_VIEW'];
+
+// Flies to a body (planet, moon, asteroid, comet, NEO or mission selection) and pauses for
+// the close-up. Hopping from one close-up to the next keeps the speed that leaving restores,
+// rather than the pause it is holding.
+export const useSelectBody = () => {
+  const [, setSelectedPlanet] = useSelectedPlanet();
+  const { cameraState, setCameraState } = useCameraContext();
+  const { speedFactor, lastSpeedFactor, overrideSpeedFactor } = useSpeedControl();
+
+  return useCallback((selection) => {
+    if (!selection) return;
+    setSelectedPlanet(selection);
+    overrideSpeedFactor(HELD_SPEED_CAMERA_STATES.includes(cameraState) ? lastSpeedFactor : speedFactor);
+    setCameraState('ZOOMING_IN');
+  }, [setSelectedPlanet, cameraState, setCameraState, speedFactor, lastSpeedFactor, overrideSpeedFactor]);
+};
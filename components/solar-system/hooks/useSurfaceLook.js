@@ -0,0 +1,48 @@
+// useSurfaceLook.js
+'use client';
+import { useThree } from '@react-three/fiber';
+import { useEffect } from 'react';
+
+// Degrees turned per pixel dragged
+const LOOK_SENSITIVITY = 0.15;
+const MAX_ELEVATION = 89;
+
+// Drag (mouse or touch) to look around while standing on a body; orbit controls are off then
+export const useSurfaceLook = (enabled, surfaceViewRef) => {
+  const { gl } = useThree();
+
+  useEffect(() => {
+    if (!enabled) return;
+    const element = gl.domElement;
+    let lastPointer = null;
+
+    const handlePointerDown = (event) => {
+      lastPointer = { x: event.clientX, y: event.clientY };
+    };
+
+    const handlePointerMove = (event) => {
+      if (!lastPointer) return;
+      const view = surfaceViewRef.current;
+      // Dragging moves the sky with the pointer, so the view turns the other way
+      view.azimuth = (view.azimuth - (event.clientX - lastPointer.x) * LOOK_SENSITIVITY + 360) % 360;
+      view.elevation = Math.max(
+        -MAX_ELEVATION,
+        Math.min(MAX_ELEVATION, view.elevation + (event.clientY - lastPointer.y) * LOOK_SENSITIVITY)
+      );
+      lastPointer = { x: event.clientX, y: event.clientY };
+    };
+
+    const handlePointerUp = () => {
+      lastPointer = null;
+    };
+
+    element.addEventListener('pointerdown', handlePointerDown);
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('pointerup', handlePointerUp);
+    return () => {
+      element.removeEventListener('pointerdown', handlePointerDown);
+      window.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('pointerup', handlePointerUp);
+    };
+  }, [enabled, gl, surfaceViewRef]);
+};
@@ -0,0 +1,83 @@
+/**
+ * Procedural main asteroid belt
+ * Generates orbital elements for belt members. Semi-major axes follow the belt's
+ * real distribution, thinned out at the Kirkwood gaps where mean-motion
+ * resonances with Jupiter have cleared asteroids away. Members then move on
+ * their orbits with the same Keplerian engine as the planets.
+ */
+import { createRandom, halfNormal, uniform } from './random';
+
+// Kirkwood gaps: semi-major axes (AU) of the resonances with Jupiter's orbital period
+export const KIRKWOOD_GAPS = [
+  { resonance: '4:1', semiMajorAxis: 2.06 },
+  { resonance: '3:1', semiMajorAxis: 2.50 },
+  { resonance: '5:2', semiMajorAxis: 2.82 },
+  { resonance: '7:3', semiMajorAxis: 2.95 },
+  { resonance: '2:1', semiMajorAxis: 3.28 },
+];
+
+// Sampling range (AU); the 4:1 and 2:1 gaps bound the main belt
+const MIN_SEMI_MAJOR_AXIS = 2.0;
+const MAX_SEMI_MAJOR_AXIS = 3.4;
+const GAP_WIDTH_AU = 0.015;
+const GAP_DEPTH = 0.95;
+
+// Typical spreads of main-belt eccentricities and inclinations
+const ECCENTRICITY_SIGMA = 0.08;
+const MAX_ECCENTRICITY = 0.3;
+const INCLINATION_SIGMA_DEG = 7;
+const MAX_INCLINATION_DEG = 30;
+
+const DEFAULT_SEED = 0x5eed;
+
+/**
+ * Hermite step from 0 at edge0 to 1 at edge1
+ * @param {number} edge0 - Start of the transition
+ * @param {number} edge1 - End of the transition
+ * @param {number} x - Input value
+ * @returns {number} Value in [0, 1]
+ */
+const smoothstep = (edge0, edge1, x) => {
+  const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+  return t * t * (3 - 2 * t);
+};
+
+/**
+ * Relative number of belt asteroids at a semi-major axis, between 0 and 1
+ * @param {number} semiMajorAxis - Semi-major axis (AU)
+ * @returns {number} Relative density
+ */
+export const getBeltDensity = (semiMajorAxis) => {
+  const envelope = smoothstep(2.0, 2.2, semiMajorAxis) * (1 - smoothstep(3.15, 3.3, semiMajorAxis));
+  return KIRKWOOD_GAPS.reduce((density, gap) => {
+    const offset = (semiMajorAxis - gap.semiMajorAxis) / GAP_WIDTH_AU;
+    return density * (1 - GAP_DEPTH * Math.exp(-0.5 * offset * offset));
+  }, envelope);
+};
+
+/**
+ * Generates orbital elements for belt asteroids
+ * @param {number} count - Number of asteroids
+ * @param {number} [seed] - PRNG seed, so the same count gives the same belt
+ * @returns {Array<Object>} Orbital elements (AU and degrees, epoch J2000)
+ */
+export const generateBeltOrbits = (count, seed = DEFAULT_SEED) => {
+  const random = createRandom(seed);
+
+  const sampleSemiMajorAxis = () => {
+    // Rejection sampling against the density profile
+    for (;;) {
+      const a = uniform(random, MIN_SEMI_MAJOR_AXIS, MAX_SEMI_MAJOR_AXIS);
+      if (random() < getBeltDensity(a)) return a;
+    }
+  };
+
+  return Array.from({ length: count }, () => ({
+    semiMajorAxis: sampleSemiMajorAxis(),
+    eccentricity: Math.min(halfNormal(random, ECCENTRICITY_SIGMA), MAX_ECCENTRICITY),
+    inclination: Math.min(halfNormal(random, INCLINATION_SIGMA_DEG), MAX_INCLINATION_DEG),
+    longitudeOfAscendingNode: random() * 360,
+    argumentOfPerihelion: random() * 360,
+    meanAnomaly: random() * 360,
+  }));
+};
@@ -0,0 +1,133 @@
+// The largest main-belt bodies, rendered individually and selectable like planets.
+// `orbitalElements` are JPL Small-Body Database osculating elements at epoch
+// JD 2459000.5 (2020-05-31); mean motion follows from the semi-major axis.
+// `radius` is the compressed scene size, exaggerated like the moons' so they
+// stay visible and clickable; `displayStats` has the same shape as the planets'.
+// They have no `position`: the compressed layout interpolates between planets.
+
+const ASTEROID_EPOCH = 2459000.5;
+
+const asteroidsData = [
+  {
+    id: 101,
+    name: "Ceres",
+    radius: 0.035,
+    accurateRadius: 470,
+    color: "#8a8580",
+    isAsteroid: true,
+    orbitalElements: {
+      semiMajorAxis: 2.76916515,
+      eccentricity: 0.07600903,
+      inclination: 10.59406704,
+      longitudeOfAscendingNode: 80.30553157,
+      argumentOfPerihelion: 73.59769469,
+      meanAnomaly: 77.37209589,
+      epoch: ASTEROID_EPOCH,
+    },
+    displayStats: {
+      classification: "Dwarf planet",
+      orbitalPeriod: 1680,
+      meanDistanceFromSun: 2.77,
+      accurateRadius: 470,
+      mass: 0.000157,
+      surfaceGravity: 0.029,
+      rotationPeriod: 9.07,
+      axialTilt: 4,
+      numberOfMoons: 0,
+      atmosphericComposition: "None (transient water vapour detected)",
+      surfaceTemp: "-143 to -38°C",
+    },
+  },
+  {
+    id: 102,
+    name: "Vesta",
+    radius: 0.028,
+    accurateRadius: 263,
+    color: "#a39e93",
+    isAsteroid: true,
+    orbitalElements: {
+      semiMajorAxis: 2.36179,
+      eccentricity: 0.08874,
+      inclination: 7.1422,
+      longitudeOfAscendingNode: 103.811,
+      argumentOfPerihelion: 150.728,
+      meanAnomaly: 205.549,
+      epoch: ASTEROID_EPOCH,
+    },
+    displayStats: {
+      classification: "Main-belt asteroid (V-type)",
+      orbitalPeriod: 1325,
+      meanDistanceFromSun: 2.36,
+      accurateRadius: 263,
+      mass: 0.0000434,
+      surfaceGravity: 0.025,
+      rotationPeriod: 5.34,
+      axialTilt: 29,
+      numberOfMoons: 0,
+      atmosphericComposition: "None",
+      surfaceTemp: "-188 to -18°C",
+    },
+  },
+  {
+    id: 103,
+    name: "Pallas",
+    radius: 0.027,
+    accurateRadius: 256,
+    color: "#8f959c",
+    isAsteroid: true,
+    orbitalElements: {
+      semiMajorAxis: 2.7723,
+      eccentricity: 0.2302,
+      inclination: 34.83623,
+      longitudeOfAscendingNode: 173.0962,
+      argumentOfPerihelion: 310.0488,
+      meanAnomaly: 78.2287,
+      epoch: ASTEROID_EPOCH,
+    },
+    displayStats: {
+      classification: "Main-belt asteroid (B-type)",
+      orbitalPeriod: 1686,
+      meanDistanceFromSun: 2.77,
+      accurateRadius: 256,
+      mass: 0.0000342,
+      surfaceGravity: 0.022,
+      rotationPeriod: 7.81,
+      axialTilt: 84,
+      numberOfMoons: 0,
+      atmosphericComposition: "None",
+      surfaceTemp: "About -109°C",
+    },
+  },
+  {
+    id: 104,
+    name: "Hygiea",
+    radius: 0.025,
+    accurateRadius: 217,
+    color: "#6e6a66",
+    isAsteroid: true,
+    orbitalElements: {
+      semiMajorAxis: 3.1415,
+      eccentricity: 0.1125,
+      inclination: 3.8316,
+      longitudeOfAscendingNode: 283.2,
+      argumentOfPerihelion: 312.32,
+      meanAnomaly: 152.18,
+      epoch: ASTEROID_EPOCH,
+    },
+    displayStats: {
+      classification: "Main-belt asteroid (C-type)",
+      orbitalPeriod: 2031,
+      meanDistanceFromSun: 3.14,
+      accurateRadius: 217,
+      mass: 0.0000146,
+      surfaceGravity: 0.009,
+      rotationPeriod: 13.83,
+      axialTilt: 60,
+      numberOfMoons: 0,
+      atmosphericComposition: "None",
+      surfaceTemp: "About -110°C",
+    },
+  },
+];
+
+export default asteroidsData;
@@ -0,0 +1,151 @@
+/**
+ * Lookup helpers for selectable bodies
+ * Resolves planets and moons by name and builds selection objects in the shape
+ * SelectedPlanetContext expects, so clicks, menus and URLs all select alike.
+ */
+import planetsData from './planetsData';
+import asteroidsData from './asteroidsData';
+import cometsData from './cometsData';
+import missionsData from './missionsData';
+import { createMissionSelection } from './missions';
+
+/**
+ * Returns the URL slug for a body name, e.g. "Saturn" -> "saturn"
+ * Names match by slug, so lookups ignore case, spacing and apostrophes.
+ * @param {string} name - Body name
+ * @returns {string} Slug
+ */
+export const getBodySlug = (name) =>
+  name.trim().toLowerCase().replace(/['’]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * Finds a planet (or the Sun, a named asteroid or a comet) by name or slug
+ * @param {string} name - Body name
+ * @returns {Object|undefined} Planet, asteroid or comet data
+ */
+export const findPlanet = (name) => {
+  if (!name) return undefined;
+  const slug = getBodySlug(name);
+  return [...planetsData, ...asteroidsData, ...cometsData].find(planet => getBodySlug(planet.name) === slug);
+};
+
+/**
+ * Finds a spacecraft mission by name or slug, e.g. "voyager-1"
+ * @param {string} name - Mission name
+ * @returns {Object|undefined} Mission data
+ */
+export const findMission = (name) => {
+  if (!name) return undefined;
+  const slug = getBodySlug(name);
+  return missionsData.find(mission => getBodySlug(mission.name) === slug);
+};
+
+/**
+ * Finds a moon by name or slug, optionally restricted to one parent
+ * @param {string} name - Moon name
+ * @param {string} [parentName] - Parent planet name
+ * @returns {{moon: Object, parent: Object}|undefined} Moon data and its parent planet
+ */
+export const findMoon = (name, parentName) => {
+  if (!name) return undefined;
+  const slug = getBodySlug(name);
+  const parents = parentName ? [findPlanet(parentName)].filter(Boolean) : planetsData;
+
+  for (const parent of parents) {
+    const moon = parent.moons?.find(m => getBodySlug(m.name) === slug);
+    if (moon) return { moon, parent };
+  }
+  return undefined;
+};
+
+/**
+ * Builds the selection object for a moon
+ * The camera tracks the moon live from the position PlanetsUpdater publishes under its selection key.
+ * @param {Object} moon - Moon data
+ * @param {Object} parent - Parent planet data
+ * @returns {Object} Moon selection
+ */
+export const createMoonSelection = (moon, parent) => ({
+  ...moon,
+  isMoon: true,
+  parentPlanet: parent.name,
+  parentPlanetData: parent,
+});
+
+/**
+ * Resolves a planet name and optional moon name to a selection object
+ * @param {string} bodyName - Planet (or Sun, asteroid, comet or mission) name
+ * @param {string} [moonName] - Moon name
+ * @returns {Object|null} Selection, or null when nothing matches
+ */
+export const findSelection = (bodyName, moonName) => {
+  if (moonName) {
+    const match = findMoon(moonName, bodyName);
+    return match ? createMoonSelection(match.moon, match.parent) : null;
+  }
+  const planet = findPlanet(bodyName);
+  if (planet) return planet;
+  const mission = findMission(bodyName);
+  return mission ? createMissionSelection(mission) : null;
+};
+
+/**
+ * Returns the planet a moon orbits
+ * @param {Object|null} selection - Selected body
+ * @returns {Object|null} Parent planet data, or null for anything but a moon
+ */
+export const getParentSelection = (selection) =>
+  selection?.isMoon ? findPlanet(selection.parentPlanet) ?? null : null;
+
+/**
+ * Steps through a planet's system: from the planet into its first (or last) moon,
+ * or from a moon to its neighbour, wrapping around
+ * @param {Object|null} selection - Selected planet or moon
+ * @param {number} step - 1 for the next moon, -1 for the previous one
+ * @returns {Object|null} Moon selection, or null when the body has no moons
+ */
+export const getAdjacentMoon = (selection, step) => {
+  if (!selection) return null;
+  const planet = selection.isMoon ? getParentSelection(selection) : findPlanet(selection.name);
+  const moons = planet?.moons ?? [];
+  if (moons.length === 0) return null;
+
+  if (!selection.isMoon) {
+    return createMoonSelection(moons[step > 0 ? 0 : moons.length - 1], planet);
+  }
+  const index = moons.findIndex(moon => moon.name === selection.name);
+  return createMoonSelection(moons[(index + step + moons.length) % moons.length], planet);
+};
+
+/**
+ * Whether a selection can be viewed from its surface: planets, dwarf planets and moons
+ * @param {Object|null} selection - Selected body
+ * @returns {boolean}
+ */
+export const hasSurfaceView = (selection) => {
+  if (!selection || selection.isSun) return false;
+  return Boolean(selection.isMoon || planetsData.some(planet => planet.name === selection.name));
+};
+
+/**
+ * Describes what kind of body a selection is, e.g. "Gas giant" or "Moon of Saturn"
+ * @param {Object} selection - Selected body
+ * @returns {string} Kind label
+ */
+export const getBodyKind = (selection) => {
+  if (selection.isMoon) return `Moon of ${selection.parentPlanet}`;
+  if (selection.isMission) return `${selection.agency} spacecraft`;
+  if (selection.isNeo) return 'Near-Earth object';
+  const fallback = selection.isComet ? 'Comet' : selection.isAsteroid ? 'Asteroid' : 'Planet';
+  return selection.displayStats?.classification ?? fallback;
+};
+
+/**
+ * Returns a stable key for a selection, e.g. "Saturn" or "Saturn/Titan"
+ * @param {Object|null} selection - Selected planet or moon
+ * @returns {string|null} Selection key
+ */
+export const getSelectionKey = (selection) => {
+  if (!selection) return null;
+  return selection.isMoon ? `${selection.parentPlanet}/${selection.name}` : selection.name;
+};
@@ -0,0 +1,79 @@
+/**
+ * Comet activity and tail geometry
+ * A nucleus only grows a coma and tails once sunlight is strong enough to sublimate
+ * its ices. The ion tail is blown straight out by the solar wind, so it points away
+ * from the Sun; the heavier dust grains keep some of the comet's orbital motion and
+ * trail behind it in a curve along the orbit.
+ */
+import { getHeliocentricState, getMeanAnomaly, getMeanMotion } from './ephemeris';
+
+// Beyond ~5 AU nuclei are mostly inert; water ice sublimates strongly inside ~3 AU
+const ACTIVITY_ONSET_AU = 5;
+// Distance at which the tails reach their full length
+const FULL_ACTIVITY_AU = 1;
+
+const DEG_TO_RAD = Math.PI / 180;
+
+/**
+ * Normalizes a vector, leaving zero vectors as they are
+ * @param {[number, number, number]} vector - Vector
+ * @returns {[number, number, number]} Unit vector
+ */
+const normalize = ([x, y, z]) => {
+  const length = Math.sqrt(x * x + y * y + z * z);
+  return length > 0 ? [x / length, y / length, z / length] : [0, 0, 0];
+};
+
+// Same Y-up axis mapping as toScenePosition; directions don't depend on the distance scale
+const toSceneDirection = ({ x, y, z }) => normalize([x, z, -y]);
+
+/**
+ * Relative activity of a comet at a heliocentric distance, between 0 and 1
+ * Gas production rises roughly with the inverse square of the distance.
+ * @param {number} distanceAU - Heliocentric distance (AU)
+ * @returns {number} Activity
+ */
+export const getCometActivity = (distanceAU) => {
+  if (distanceAU >= ACTIVITY_ONSET_AU) return 0;
+  const falloff = Math.min(1, (FULL_ACTIVITY_AU / distanceAU) ** 2);
+  const onset = Math.min(1, (ACTIVITY_ONSET_AU - distanceAU) / (ACTIVITY_ONSET_AU - FULL_ACTIVITY_AU));
+  return falloff * onset;
+};
+
+/**
+ * Computes a comet's activity and tail directions at a given Julian date
+ * @param {Object} elements - Orbital elements
+ * @param {number} julianDate - Julian date
+ * @returns {{distanceAU: number, activity: number, antiSolar: number[], dustBend: number[]}}
+ *   Scene-space unit vectors: `antiSolar` points away from the Sun, `dustBend` is the
+ *   direction the dust tail curves towards (behind the comet, across the anti-solar line)
+ */
+export const getCometTail = (elements, julianDate) => {
+  const { position, velocity } = getHeliocentricState(elements, julianDate);
+  const distanceAU = Math.sqrt(position.x ** 2 + position.y ** 2 + position.z ** 2);
+  const antiSolar = toSceneDirection(position);
+
+  // The part of the trailing direction perpendicular to the anti-solar line
+  const trailing = toSceneDirection({ x: -velocity.x, y: -velocity.y, z: -velocity.z });
+  const along = trailing[0] * antiSolar[0] + trailing[1] * antiSolar[1] + trailing[2] * antiSolar[2];
+  const dustBend = normalize(trailing.map((component, i) => component - along * antiSolar[i]));
+
+  return {
+    distanceAU,
+    activity: getCometActivity(distanceAU),
+    antiSolar,
+    dustBend,
+  };
+};
+
+/**
+ * Returns the Julian date of the next perihelion passage after a given date
+ * @param {Object} elements - Orbital elements
+ * @param {number} julianDate - Julian date
+ * @returns {number} Julian date of the next perihelion
+ */
+export const getNextPerihelion = (elements, julianDate) => {
+  const twoPi = Math.PI * 2;
+  const meanAnomaly = ((getMeanAnomaly(elements, julianDate) % twoPi) + twoPi) % twoPi;
+  return julianDate + (twoPi - meanAnomaly) / (getMeanMotion(elements) * DEG_TO_RAD);
+};
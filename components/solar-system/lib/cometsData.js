@@ -0,0 +1,141 @@
+// Periodic and long-period comets, rendered with dynamic tails and selectable like planets.
+// `orbitalElements` are JPL Small-Body Database osculating elements with the epoch set
+// to the time of perihelion, so `meanAnomaly` is 0 there; mean motion follows from the
+// semi-major axis. Hale-Bopp's elements describe its 1997 apparition only: planetary
+// perturbations change its period by centuries between passages.
+// `radius` is the compressed scene size of the nucleus, exaggerated so it stays clickable;
+// `tailLength` is the scene length of the tails at full activity.
+// They have no `position`: the compressed layout interpolates between planets.
+
+const cometsData = [
+  {
+    id: 201,
+    name: "Halley",
+    designation: "1P/Halley",
+    radius: 0.02,
+    accurateRadius: 5.5,
+    color: "#6b655e",
+    isComet: true,
+    tailLength: 1.6,
+    orbitalElements: {
+      semiMajorAxis: 17.834,
+      eccentricity: 0.96714,
+      inclination: 162.262,
+      longitudeOfAscendingNode: 58.42,
+      argumentOfPerihelion: 111.332,
+      meanAnomaly: 0,
+      epoch: 2446467.395,
+    },
+    displayStats: {
+      classification: "Halley-type comet",
+      orbitalPeriod: 27510,
+      meanDistanceFromSun: 17.83,
+      accurateRadius: 5.5,
+      mass: 3.7e-11,
+      surfaceGravity: 0.00001,
+      rotationPeriod: 52.8,
+      axialTilt: null,
+      numberOfMoons: 0,
+      atmosphericComposition: "Coma of water vapour, CO, CO₂ and dust near perihelion",
+      surfaceTemp: "About -70 to 80°C near perihelion",
+    },
+  },
+  {
+    id: 202,
+    name: "Hale-Bopp",
+    designation: "C/1995 O1",
+    radius: 0.03,
+    accurateRadius: 30,
+    color: "#5e5a55",
+    isComet: true,
+    tailLength: 2.6,
+    orbitalElements: {
+      semiMajorAxis: 186,
+      eccentricity: 0.99507,
+      inclination: 89.43,
+      longitudeOfAscendingNode: 282.47,
+      argumentOfPerihelion: 130.59,
+      meanAnomaly: 0,
+      epoch: 2450539.636,
+    },
+    displayStats: {
+      classification: "Long-period comet",
+      orbitalPeriod: 926000,
+      meanDistanceFromSun: 186,
+      accurateRadius: 30,
+      mass: 1.7e-9,
+      surfaceGravity: 0.00004,
+      rotationPeriod: 11.35,
+      axialTilt: null,
+      numberOfMoons: 0,
+      atmosphericComposition: "Coma of water vapour, CO, sodium and dust near perihelion",
+      surfaceTemp: "Unknown",
+    },
+  },
+  {
+    id: 203,
+    name: "Churyumov-Gerasimenko",
+    designation: "67P/Churyumov-Gerasimenko",
+    radius: 0.015,
+    accurateRadius: 2,
+    color: "#4a4744",
+    isComet: true,
+    tailLength: 0.5,
+    orbitalElements: {
+      semiMajorAxis: 3.46278,
+      eccentricity: 0.64096,
+      inclination: 7.0405,
+      longitudeOfAscendingNode: 50.136,
+      argumentOfPerihelion: 12.780,
+      meanAnomaly: 0,
+      epoch: 2457247.59,
+    },
+    displayStats: {
+      classification: "Jupiter-family comet",
+      orbitalPeriod: 2353,
+      meanDistanceFromSun: 3.46,
+      accurateRadius: 2,
+      mass: 1.7e-12,
+      surfaceGravity: 0.00002,
+      rotationPeriod: 12.4,
+      axialTilt: 52,
+      numberOfMoons: 0,
+      atmosphericComposition: "Coma of water vapour, CO₂, CO and dust near perihelion",
+      surfaceTemp: "-70 to 30°C",
+    },
+  },
+  {
+    id: 204,
+    name: "Encke",
+    designation: "2P/Encke",
+    radius: 0.016,
+    accurateRadius: 2.4,
+    color: "#57524c",
+    isComet: true,
+    tailLength: 0.7,
+    orbitalElements: {
+      semiMajorAxis: 2.2153,
+      eccentricity: 0.8483,
+      inclination: 11.78,
+      longitudeOfAscendingNode: 334.57,
+      argumentOfPerihelion: 186.54,
+      meanAnomaly: 0,
+      epoch: 2460240.0,
+    },
+    displayStats: {
+      classification: "Encke-type comet",
+      orbitalPeriod: 1204,
+      meanDistanceFromSun: 2.22,
+      accurateRadius: 2.4,
+      mass: 1.5e-11,
+      surfaceGravity: 0.00003,
+      rotationPeriod: 11.1,
+      axialTilt: null,
+      numberOfMoons: 0,
+      atmosphericComposition: "Faint coma of water vapour and dust near perihelion",
+      surfaceTemp: "Unknown",
+    },
+  },
+];
+
+export default cometsData;
@@ -0,0 +1,359 @@
+/**
+ * Keplerian ephemeris engine
+ * Computes heliocentric positions from classical orbital elements so that
+ * bodies follow real elliptical, inclined orbits for any date.
+ *
+ * Coordinates are heliocentric ecliptic J2000 in AU:
+ * x points to the vernal equinox, z to the north ecliptic pole.
+ */
+
+import { getDistanceScaleFactor } from './scale';
+
+export const J2000 = 2451545.0; // Julian date of 2000-01-01 12:00 TT
+export const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const UNIX_EPOCH_JD = 2440587.5; // Julian date of 1970-01-01 00:00 UTC
+
+// Gaussian gravitational constant expressed as mean motion for a = 1 AU (deg/day)
+export const SOLAR_MEAN_MOTION = 0.9856076686;
+
+const DEG_TO_RAD = Math.PI / 180;
+const KEPLER_TOLERANCE = 1e-10;
+const KEPLER_MAX_ITERATIONS = 30;
+
+/**
+ * Converts a JavaScript Date to a Julian date
+ * @param {Date} date - Date to convert
+ * @returns {number} Julian date
+ */
+export const julianDateFromDate = (date) => date.getTime() / MS_PER_DAY + UNIX_EPOCH_JD;
+
+/**
+ * Converts a Julian date to a JavaScript Date
+ * @param {number} julianDate - Julian date to convert
+ * @returns {Date} Corresponding date
+ */
+export const dateFromJulianDate = (julianDate) => new Date((julianDate - UNIX_EPOCH_JD) * MS_PER_DAY);
+
+/**
+ * Normalizes an angle in radians to the range [-PI, PI)
+ * @param {number} angle - Angle in radians
+ * @returns {number} Normalized angle
+ */
+const normalizeAngle = (angle) => {
+  const twoPi = Math.PI * 2;
+  return ((((angle + Math.PI) % twoPi) + twoPi) % twoPi) - Math.PI;
+};
+
+/**
+ * Returns the mean motion of an orbit in degrees per day
+ * Falls back to Kepler's third law when the elements don't carry one
+ * @param {Object} elements - Orbital elements
+ * @returns {number} Mean motion (deg/day)
+ */
+export const getMeanMotion = (elements) =>
+  elements.meanMotion ?? SOLAR_MEAN_MOTION / Math.pow(elements.semiMajorAxis, 1.5);
+
+/**
+ * Returns the orbital period in days
+ * @param {Object} elements - Orbital elements
+ * @returns {number} Orbital period (days)
+ */
+export const getOrbitalPeriod = (elements) => 360 / getMeanMotion(elements);
+
+/**
+ * Solves Kepler's equation M = E - e sin(E) for the eccentric anomaly
+ * Uses Newton-Raphson iteration, starting from PI for highly eccentric orbits
+ * @param {number} meanAnomaly - Mean anomaly in radians
+ * @param {number} eccentricity - Orbital eccentricity (0 <= e < 1)
+ * @returns {number} Eccentric anomaly in radians
+ */
+export const solveKepler = (meanAnomaly, eccentricity) => {
+  const M = normalizeAngle(meanAnomaly);
+  let E = eccentricity < 0.8 ? M : Math.PI * Math.sign(M || 1);
+
+  for (let i = 0; i < KEPLER_MAX_ITERATIONS; i++) {
+    const delta = (E - eccentricity * Math.sin(E) - M) / (1 - eccentricity * Math.cos(E));
+    E -= delta;
+    if (Math.abs(delta) < KEPLER_TOLERANCE) break;
+  }
+
+  return E;
+};
+
+/**
+ * Computes the mean anomaly of a body at a given Julian date
+ * @param {Object} elements - Orbital elements
+ * @param {number} julianDate - Julian date
+ * @returns {number} Mean anomaly in radians
+ */
+export const getMeanAnomaly = (elements, julianDate) => {
+  const epoch = elements.epoch ?? J2000;
+  const meanAnomaly = elements.meanAnomaly + getMeanMotion(elements) * (julianDate - epoch);
+  return meanAnomaly * DEG_TO_RAD;
+};
+
+/**
+ * Rotates a point from the orbital plane into heliocentric ecliptic coordinates
+ * @param {Object} elements - Orbital elements (angles in degrees)
+ * @param {number} xOrbit - Coordinate towards perihelion
+ * @param {number} yOrbit - Coordinate 90° ahead of perihelion in the direction of motion
+ * @returns {{x: number, y: number, z: number}} Ecliptic coordinates
+ */
+export const orbitalPlaneToEcliptic = (elements, xOrbit, yOrbit) => {
+  const w = elements.argumentOfPerihelion * DEG_TO_RAD;
+  const node = elements.longitudeOfAscendingNode * DEG_TO_RAD;
+  const inc = elements.inclination * DEG_TO_RAD;
+
+  const cosW = Math.cos(w);
+  const sinW = Math.sin(w);
+  const cosNode = Math.cos(node);
+  const sinNode = Math.sin(node);
+  const cosI = Math.cos(inc);
+  const sinI = Math.sin(inc);
+
+  return {
+    x: (cosW * cosNode - sinW * sinNode * cosI) * xOrbit + (-sinW * cosNode - cosW * sinNode * cosI) * yOrbit,
+    y: (cosW * sinNode + sinW * cosNode * cosI) * xOrbit + (-sinW * sinNode + cosW * cosNode * cosI) * yOrbit,
+    z: (sinW * sinI) * xOrbit + (cosW * sinI) * yOrbit,
+  };
+};
+
+/**
+ * Computes the position of a body on its orbit for a given eccentric anomaly
+ * Useful for drawing orbit paths without going through time
+ * @param {Object} elements - Orbital elements
+ * @param {number} eccentricAnomaly - Eccentric anomaly in radians
+ * @returns {{x: number, y: number, z: number}} Heliocentric ecliptic position (AU)
+ */
+export const getPositionAtEccentricAnomaly = (elements, eccentricAnomaly) => {
+  const { semiMajorAxis: a, eccentricity: e } = elements;
+  const xOrbit = a * (Math.cos(eccentricAnomaly) - e);
+  const yOrbit = a * Math.sqrt(1 - e * e) * Math.sin(eccentricAnomaly);
+  return orbitalPlaneToEcliptic(elements, xOrbit, yOrbit);
+};
+
+/**
+ * Computes the eccentric anomaly of a body at a given Julian date, measured from perihelion
+ * @param {Object} elements - Orbital elements
+ * @param {number} julianDate - Julian date
+ * @returns {number} Eccentric anomaly in radians, in the range [0, 2PI)
+ */
+export const getEccentricAnomaly = (elements, julianDate) => {
+  const E = solveKepler(getMeanAnomaly(elements, julianDate), elements.eccentricity);
+  return E < 0 ? E + Math.PI * 2 : E;
+};
+
+/**
+ * Computes the position of a body on its orbit for a given true anomaly
+ * @param {Object} elements - Orbital elements
+ * @param {number} trueAnomaly - True anomaly in radians
+ * @returns {{x: number, y: number, z: number}} Heliocentric ecliptic position (AU)
+ */
+export const getPositionAtTrueAnomaly = (elements, trueAnomaly) => {
+  const { semiMajorAxis: a, eccentricity: e } = elements;
+  const r = (a * (1 - e * e)) / (1 + e * Math.cos(trueAnomaly));
+  return orbitalPlaneToEcliptic(elements, r * Math.cos(trueAnomaly), r * Math.sin(trueAnomaly));
+};
+
+/**
+ * Samples a closed orbit path, starting and ending at perihelion
+ * Sampling is uniform in eccentric anomaly, which keeps points dense near perihelion
+ * where the curvature of eccentric orbits is highest.
+ * @param {Object} elements - Orbital elements
+ * @param {number} [segments=256] - Number of line segments
+ * @returns {Array<{x: number, y: number, z: number}>} segments + 1 positions (AU)
+ */
+export const getOrbitPath = (elements, segments = 256) =>
+  Array.from({ length: segments + 1 }, (_, i) =>
+    getPositionAtEccentricAnomaly(elements, (i / segments) * Math.PI * 2)
+  );
+
+/**
+ * Returns the notable points of an orbit: the apsides and the nodes where it crosses the ecliptic
+ * @param {Object} elements - Orbital elements
+ * @returns {{perihelion: Object, aphelion: Object, ascendingNode: Object, descendingNode: Object}}
+ *   Heliocentric ecliptic positions (AU)
+ */
+export const getOrbitMarkers = (elements) => {
+  // The ascending node lies where the argument of latitude (w + true anomaly) is zero
+  const w = elements.argumentOfPerihelion * DEG_TO_RAD;
+  return {
+    perihelion: getPositionAtEccentricAnomaly(elements, 0),
+    aphelion: getPositionAtEccentricAnomaly(elements, Math.PI),
+    ascendingNode: getPositionAtTrueAnomaly(elements, -w),
+    descendingNode: getPositionAtTrueAnomaly(elements, Math.PI - w),
+  };
+};
+
+/**
+ * Computes the heliocentric state vector of a body at a given Julian date
+ * @param {Object} elements - Orbital elements
+ * @param {number} elements.semiMajorAxis - Semi-major axis (AU)
+ * @param {number} elements.eccentricity - Eccentricity
+ * @param {number} elements.inclination - Inclination to the ecliptic (deg)
+ * @param {number} elements.longitudeOfAscendingNode - Longitude of ascending node (deg)
+ * @param {number} elements.argumentOfPerihelion - Argument of perihelion (deg)
+ * @param {number} elements.meanAnomaly - Mean anomaly at epoch (deg)
+ * @param {number} [elements.meanMotion] - Mean motion (deg/day), derived from a if omitted
+ * @param {number} [elements.epoch] - Epoch of the elements as a Julian date (defaults to J2000)
+ * @param {number} julianDate - Julian date
+ * @returns {{position: {x: number, y: number, z: number}, velocity: {x: number, y: number, z: number}}}
+ *   Position in AU and velocity in AU/day
+ */
+export const getHeliocentricState = (elements, julianDate) => {
+  const { semiMajorAxis: a, eccentricity: e } = elements;
+  const E = solveKepler(getMeanAnomaly(elements, julianDate), e);
+  const cosE = Math.cos(E);
+  const sinE = Math.sin(E);
+  const sqrtOneMinusE2 = Math.sqrt(1 - e * e);
+
+  // Rate of change of the eccentric anomaly (rad/day)
+  const meanMotionRad = getMeanMotion(elements) * DEG_TO_RAD;
+  const dE = meanMotionRad / (1 - e * cosE);
+
+  const position = orbitalPlaneToEcliptic(elements, a * (cosE - e), a * sqrtOneMinusE2 * sinE);
+  const velocity = orbitalPlaneToEcliptic(elements, -a * sinE * dE, a * sqrtOneMinusE2 * cosE * dE);
+
+  return { position, velocity };
+};
+
+/**
+ * Computes the heliocentric position of a body at a given Julian date
+ * @param {Object} elements - Orbital elements (see getHeliocentricState)
+ * @param {number} julianDate - Julian date
+ * @returns {{x: number, y: number, z: number}} Heliocentric ecliptic position (AU)
+ */
+export const getHeliocentricPosition = (elements, julianDate) =>
+  getHeliocentricState(elements, julianDate).position;
+
+/**
+ * Returns perihelion and aphelion distances of an orbit
+ * @param {Object} elements - Orbital elements
+ * @returns {{perihelion: number, aphelion: number}} Distances in AU
+ */
+export const getApsides = (elements) => ({
+  perihelion: elements.semiMajorAxis * (1 - elements.eccentricity),
+  aphelion: elements.semiMajorAxis * (1 + elements.eccentricity),
+});
+
+/**
+ * Computes the mean longitude of a moon on its circular orbit
+ * @param {Object} elements - Moon orbital elements
+ * @param {number} elements.period - Orbital period (days)
+ * @param {number} elements.meanLongitude - Mean longitude at epoch (deg)
+ * @param {number} [elements.epoch] - Epoch as a Julian date (defaults to J2000)
+ * @param {number} julianDate - Julian date
+ * @returns {number} Mean longitude (deg)
+ */
+export const getMoonMeanLongitude = (elements, julianDate) =>
+  elements.meanLongitude + (360 / elements.period) * (julianDate - (elements.epoch ?? J2000));
+
+/**
+ * Returns the longitude of a moon's ascending node, including nodal precession
+ * @param {Object} elements - Moon orbital elements
+ * @param {number} julianDate - Julian date
+ * @returns {number} Longitude of the ascending node (deg)
+ */
+const getMoonNode = (elements, julianDate) =>
+  (elements.longitudeOfAscendingNode ?? 0) + (elements.nodeRate ?? 0) * (julianDate - (elements.epoch ?? J2000));
+
+/**
+ * Places a moon on its circular orbit at a given mean longitude
+ * @param {Object} elements - Moon orbital elements
+ * @param {number} longitude - Mean longitude (deg)
+ * @param {number} node - Longitude of the ascending node (deg)
+ * @param {number} radius - Orbit radius in scene units
+ * @param {number} parentTilt - Parent's axial tilt in the scene (rad)
+ * @returns {[number, number, number]} Position in the parent's tilted frame
+ */
+const getMoonPositionAtLongitude = (elements, longitude, node, radius, parentTilt) => {
+  // Circular orbit: the argument of latitude is measured from the ascending node
+  const argumentOfLatitude = (longitude - node) * DEG_TO_RAD;
+  const plane = {
+    inclination: elements.inclination,
+    longitudeOfAscendingNode: node,
+    argumentOfPerihelion: 0,
+  };
+  const { x, y, z } = orbitalPlaneToEcliptic(
+    plane,
+    radius * Math.cos(argumentOfLatitude),
+    radius * Math.sin(argumentOfLatitude)
+  );
+
+  // Same Y-up mapping as toScenePosition, within the reference plane
+  const sceneY = z;
+  const sceneZ = -y;
+  if (elements.referencePlane !== 'ecliptic' || !parentTilt) {
+    return [x, sceneY, sceneZ];
+  }
+
+  // Moons referenced to the ecliptic are rendered inside the parent's tilted group, so undo the tilt
+  const cosTilt = Math.cos(parentTilt);
+  const sinTilt = Math.sin(parentTilt);
+  return [x, sceneY * cosTilt + sceneZ * sinTilt, -sceneY * sinTilt + sceneZ * cosTilt];
+};
+
+/**
+ * Computes a moon's position relative to its parent at a given Julian date
+ * Orbits are circular; prograde or retrograde motion follows from the inclination
+ * (Triton's 157° orbit runs backwards).
+ * @param {Object} moon - Moon data with `orbitalElements`
+ * @param {number} julianDate - Julian date
+ * @param {number} radius - Orbit radius in scene units (see getMoonOrbitRadius in lib/scale.js)
+ * @param {number} [parentTilt=0] - Parent's axial tilt in the scene (rad)
+ * @returns {[number, number, number]} Position in the parent's tilted frame
+ */
+export const getMoonLocalPosition = (moon, julianDate, radius, parentTilt = 0) => {
+  const elements = moon.orbitalElements;
+  const node = getMoonNode(elements, julianDate);
+  return getMoonPositionAtLongitude(elements, getMoonMeanLongitude(elements, julianDate), node, radius, parentTilt);
+};
+
+/**
+ * Computes a moon's offset from its parent in scene axes, with the parent's tilt applied
+ * @param {Object} moon - Moon data with `orbitalElements`
+ * @param {number} julianDate - Julian date
+ * @param {number} radius - Orbit radius in scene units
+ * @param {number} [parentTilt=0] - Parent's axial tilt in the scene (rad)
+ * @returns {[number, number, number]} Offset from the parent's centre
+ */
+export const getMoonSceneOffset = (moon, julianDate, radius, parentTilt = 0) => {
+  const [x, y, z] = getMoonLocalPosition(moon, julianDate, radius, parentTilt);
+  const cosTilt = Math.cos(parentTilt);
+  const sinTilt = Math.sin(parentTilt);
+  return [x, y * cosTilt - z * sinTilt, y * sinTilt + z * cosTilt];
+};
+
+/**
+ * Samples a moon's full orbit at a given Julian date (the node may precess)
+ * @param {Object} moon - Moon data with `orbitalElements`
+ * @param {number} julianDate - Julian date
+ * @param {number} radius - Orbit radius in scene units
+ * @param {number} [parentTilt=0] - Parent's axial tilt in the scene (rad)
+ * @param {number} [segments=64] - Number of line segments
+ * @returns {Array<[number, number, number]>} segments + 1 positions in the parent's tilted frame
+ */
+export const getMoonOrbitPath = (moon, julianDate, radius, parentTilt = 0, segments = 64) => {
+  const elements = moon.orbitalElements;
+  const node = getMoonNode(elements, julianDate);
+  return Array.from({ length: segments + 1 }, (_, i) =>
+    getMoonPositionAtLongitude(elements, node + (i / segments) * 360, node, radius, parentTilt)
+  );
+};
+
+/**
+ * Maps a heliocentric ecliptic position (AU) into scene coordinates
+ * The scene is Y-up, so the ecliptic north pole maps to +Y.
+ * Distances follow the distance scale mode; in compressed mode a planet's
+ * semi-major axis lands on its configured scene distance (`position.x`),
+ * preserving the shape of the orbit.
+ * @param {{x: number, y: number, z: number}} eclipticPosition - Position in AU
+ * @param {Object} [body] - Body data from planetsData, if the position belongs to a planet
+ * @param {string} [distanceMode='compressed'] - Distance scale mode (see lib/scale.js)
+ * @returns {[number, number, number]} Scene position
+ */
+export const toScenePosition = (eclipticPosition, body, distanceMode) => {
+  const { x, y, z } = eclipticPosition;
+  const scale = getDistanceScaleFactor(Math.sqrt(x * x + y * y + z * z), body, distanceMode);
+  return [x * scale, z * scale, -y * scale];
+};
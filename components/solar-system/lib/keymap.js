@@ -0,0 +1,175 @@
+/**
+ * Keyboard shortcut registry
+ * Every shortcut is a named action with default keys, so KeyboardHandler dispatches by
+ * action and the help overlay is generated from the same list. Keys are
+ * KeyboardEvent.code values (physical positions); users on other layouts rebind them,
+ * and labels follow the active layout where the browser exposes it.
+ */
+import { keymapOverridesSchema } from '../../../lib/validation';
+
+export const KEYMAP_STORAGE_KEY = 'solar-system-keymap';
+
+// Body shortcuts by planetsData name: a digit plus a letter picked from the name
+const BODY_SHORTCUTS = [
+  { name: 'Sun', keys: ['Digit0', 'KeyS'] },
+  { name: 'Mercury', keys: ['Digit1', 'KeyM'] },
+  { name: 'Venus', keys: ['Digit2', 'KeyV'] },
+  { name: 'Earth', keys: ['Digit3', 'KeyE'] },
+  { name: 'Mars', keys: ['Digit4', 'KeyJ'] },
+  { name: 'Jupiter', keys: ['Digit5', 'KeyU'] },
+  { name: 'Saturn', keys: ['Digit6', 'KeyN'] },
+  { name: 'Uranus', keys: ['Digit7', 'KeyP'] },
+  { name: 'Neptune', keys: ['Digit8', 'KeyQ'] },
+  { name: 'Pluto', keys: ['Digit9', 'KeyL'] },
+  { name: 'Haumea', keys: ['KeyA'] },
+  { name: 'Makemake', keys: ['KeyK'] },
+  { name: 'Eris', keys: ['KeyI'] },
+];
+
+/**
+ * Named keyboard actions in help overlay order
+ * `select:<name>` actions carry the body name they jump to.
+ */
+export const KEYMAP_ACTIONS = [
+  { id: 'exit', category: 'Navigation', label: 'Exit the current view (ends a tour)', defaultKeys: ['Escape'] },
+  { id: 'home', category: 'Navigation', label: 'Fly back to the overview', defaultKeys: ['KeyH', 'Home'] },
+  { id: 'previousBody', category: 'Navigation', label: 'Previous planet (previous tour stop)', defaultKeys: ['ArrowLeft'] },
+  { id: 'nextBody', category: 'Navigation', label: 'Next planet (next tour stop)', defaultKeys: ['ArrowRight'] },
+  { id: 'nextMoon', category: 'Navigation', label: 'Next moon (from a planet, its first moon)', defaultKeys: ['BracketRight'] },
+  { id: 'previousMoon', category: 'Navigation', label: 'Previous moon (from a planet, its last moon)', defaultKeys: ['BracketLeft'] },
+  { id: 'parentBody', category: 'Navigation', label: 'Back up from a moon to its planet', defaultKeys: ['Backspace'] },
+  { id: 'follow', category: 'Navigation', label: 'Follow the selected body', defaultKeys: ['KeyF'] },
+  { id: 'surfaceView', category: 'Navigation', label: 'View the sky from the surface', defaultKeys: ['KeyG'] },
+  { id: 'togglePause', category: 'Time', label: 'Pause or resume (pauses a tour)', defaultKeys: ['Space'] },
+  { id: 'speedUp', category: 'Time', label: 'Faster', defaultKeys: ['ArrowUp', 'Equal'] },
+  { id: 'speedDown', category: 'Time', label: 'Slower', defaultKeys: ['ArrowDown', 'Minus'] },
+  { id: 'resetSpeed', category: 'Time', label: 'Normal speed', defaultKeys: ['KeyR'] },
+  ...BODY_SHORTCUTS.map(({ name, keys }) => ({
+    id: `select:${name}`,
+    category: 'Bodies',
+    label: `Go to ${name}`,
+    body: name,
+    defaultKeys: keys,
+  })),
+  { id: 'toggleOrbits', category: 'Display', label: 'Show or hide orbit paths', defaultKeys: ['KeyO'] },
+  { id: 'toggleLabels', category: 'Display', label: 'Show or hide name labels', defaultKeys: ['KeyT'] },
+  { id: 'help', category: 'Help', label: 'Keyboard shortcuts', defaultKeys: ['F1', 'Slash'] },
+];
+
+const ACTION_IDS = new Set(KEYMAP_ACTIONS.map(action => action.id));
+
+// Keys that can't be bound: they only modify other keys or belong to the browser
+const RESERVED_KEYS = new Set([
+  'ShiftLeft', 'ShiftRight', 'ControlLeft', 'ControlRight', 'AltLeft', 'AltRight',
+  'MetaLeft', 'MetaRight', 'CapsLock', 'Tab', 'F5', 'F11', 'F12',
+]);
+
+const KEY_LABELS = {
+  Escape: 'Esc',
+  Space: 'Space',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  Equal: '=',
+  Minus: '-',
+  Slash: '/',
+  Backslash: '\\',
+  Comma: ',',
+  Period: '.',
+  Semicolon: ';',
+  Quote: "'",
+  BracketLeft: '[',
+  BracketRight: ']',
+  Backquote: '`',
+  Enter: 'Enter',
+  Backspace: 'Backspace',
+  Home: 'Home',
+  End: 'End',
+  PageUp: 'Page Up',
+  PageDown: 'Page Down',
+};
+
+/**
+ * Whether a key can be bound to an action
+ * @param {string} code - KeyboardEvent.code
+ * @returns {boolean}
+ */
+export const isBindableKey = (code) => Boolean(code) && !RESERVED_KEYS.has(code);
+
+/**
+ * Reads the user's saved overrides, dropping unknown actions and malformed data
+ * @returns {Object<string, string[]>} Keys by action id
+ */
+export const loadKeymapOverrides = () => {
+  try {
+    const stored = localStorage.getItem(KEYMAP_STORAGE_KEY);
+    if (!stored) return {};
+    const result = keymapOverridesSchema.safeParse(JSON.parse(stored));
+    if (!result.success) return {};
+    return Object.fromEntries(Object.entries(result.data).filter(([id]) => ACTION_IDS.has(id)));
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Saves the user's overrides; an empty set clears the stored keymap
+ * @param {Object<string, string[]>} overrides - Keys by action id
+ */
+export const saveKeymapOverrides = (overrides) => {
+  try {
+    if (Object.keys(overrides).length === 0) localStorage.removeItem(KEYMAP_STORAGE_KEY);
+    else localStorage.setItem(KEYMAP_STORAGE_KEY, JSON.stringify(overrides));
+  } catch {
+    // Private browsing or a full quota: the bindings still apply for this session
+  }
+};
+
+/**
+ * Applies overrides to the defaults
+ * @param {Object<string, string[]>} overrides - Keys by action id
+ * @returns {Object<string, string[]>} Keys for every action
+ */
+export const resolveKeymap = (overrides) =>
+  Object.fromEntries(KEYMAP_ACTIONS.map(action => [action.id, overrides[action.id] ?? action.defaultKeys]));
+
+/**
+ * Finds keys bound to more than one action
+ * @param {Object<string, string[]>} keymap - Resolved keymap
+ * @returns {Object<string, string[]>} Action ids by conflicting key
+ */
+export const findKeyConflicts = (keymap) => {
+  const actionsByKey = {};
+  Object.entries(keymap).forEach(([id, keys]) => {
+    keys.forEach(code => {
+      actionsByKey[code] = [...(actionsByKey[code] ?? []), id];
+    });
+  });
+  return Object.fromEntries(Object.entries(actionsByKey).filter(([, ids]) => ids.length > 1));
+};
+
+/**
+ * Finds the action a key triggers; on a conflict the action listed first wins
+ * @param {Object<string, string[]>} keymap - Resolved keymap
+ * @param {string} code - KeyboardEvent.code
+ * @returns {Object|undefined} Action from KEYMAP_ACTIONS
+ */
+export const findActionForKey = (keymap, code) =>
+  KEYMAP_ACTIONS.find(action => keymap[action.id]?.includes(code));
+
+/**
+ * Human-readable label for a key
+ * @param {string} code - KeyboardEvent.code
+ * @param {Map<string, string>} [layoutMap] - Browser keyboard layout map, when available
+ * @returns {string} Label, e.g. "F" or "Esc"
+ */
+export const formatKey = (code, layoutMap) => {
+  const layoutLabel = layoutMap?.get(code);
+  if (layoutLabel && layoutLabel.trim()) return layoutLabel.toUpperCase();
+  if (KEY_LABELS[code]) return KEY_LABELS[code];
+  if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+  if (/^Digit\d$/.test(code)) return code.slice(5);
+  if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`;
+  return code;
+};
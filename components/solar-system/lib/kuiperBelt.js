@@ -0,0 +1,92 @@
+/**
+ * Procedural trans-Neptunian populations
+ * Generates orbital elements for the Kuiper belt and the scattered disc:
+ *   plutinos  - trapped in the 3:2 resonance with Neptune at ~39.4 AU, like Pluto
+ *   classical - the main belt from ~42 AU to the 2:1 resonance at ~47.7 AU, with a
+ *               dynamically cold (flat, circular) and a hot (inclined) component
+ *   scattered - eccentric orbits with perihelia near Neptune reaching far out, like Eris
+ */
+import { createRandom, halfNormal, uniform } from './random';
+
+export const KUIPER_POPULATIONS = ['plutino', 'classical', 'scattered'];
+
+// Share of each population in the generated set
+const POPULATION_WEIGHTS = { plutino: 0.2, classical: 0.55, scattered: 0.25 };
+
+const PLUTINO_SEMI_MAJOR_AXIS = 39.4;
+const CLASSICAL_RANGE = [42, 47.7];
+const SCATTERED_RANGE = [50, 100];
+const SCATTERED_PERIHELION_RANGE = [30, 40];
+
+const DEFAULT_SEED = 0xbe17;
+
+/**
+ * Picks a population according to POPULATION_WEIGHTS
+ * @param {number} value - Uniform sample in [0, 1)
+ * @returns {string} Population name
+ */
+const pickPopulation = (value) => {
+  let cumulative = 0;
+  return KUIPER_POPULATIONS.find(population => {
+    cumulative += POPULATION_WEIGHTS[population];
+    return value < cumulative;
+  }) ?? KUIPER_POPULATIONS[KUIPER_POPULATIONS.length - 1];
+};
+
+/**
+ * Draws the size and shape of an orbit for a population
+ * @param {string} population - Population name
+ * @param {() => number} random - Uniform generator
+ * @returns {{semiMajorAxis: number, eccentricity: number, inclination: number}}
+ */
+const sampleOrbitShape = (population, random) => {
+  switch (population) {
+    case 'plutino':
+      return {
+        semiMajorAxis: PLUTINO_SEMI_MAJOR_AXIS + (random() - 0.5) * 0.4,
+        eccentricity: uniform(random, 0.1, 0.3),
+        inclination: Math.min(halfNormal(random, 12), 40),
+      };
+    case 'scattered': {
+      const semiMajorAxis = uniform(random, ...SCATTERED_RANGE);
+      const perihelion = uniform(random, ...SCATTERED_PERIHELION_RANGE);
+      return {
+        semiMajorAxis,
+        eccentricity: 1 - perihelion / semiMajorAxis,
+        inclination: Math.min(halfNormal(random, 18), 45),
+      };
+    }
+    default: {
+      const isCold = random() < 0.5;
+      return {
+        semiMajorAxis: uniform(random, ...CLASSICAL_RANGE),
+        eccentricity: Math.min(halfNormal(random, isCold ? 0.03 : 0.08), 0.2),
+        inclination: Math.min(halfNormal(random, isCold ? 2 : 12), 35),
+      };
+    }
+  }
+};
+
+/**
+ * Generates orbital elements for Kuiper belt and scattered disc objects
+ * @param {number} count - Number of objects
+ * @param {number} [seed] - PRNG seed, so the same count gives the same belt
+ * @returns {Array<Object>} Orbital elements (AU and degrees, epoch J2000) with a `population` name,
+ *   plus a relative `size` in [0, 1) and a `spin` angle (rad) for drawing, from the same seed
+ */
+export const generateKuiperBeltOrbits = (count, seed = DEFAULT_SEED) => {
+  const random = createRandom(seed);
+
+  return Array.from({ length: count }, () => {
+    const population = pickPopulation(random());
+    return {
+      population,
+      ...sampleOrbitShape(population, random),
+      longitudeOfAscendingNode: random() * 360,
+      argumentOfPerihelion: random() * 360,
+      meanAnomaly: random() * 360,
+      size: random(),
+      spin: random() * Math.PI,
+    };
+  });
+};
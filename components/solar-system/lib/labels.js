@@ -0,0 +1,167 @@
+/**
+ * Layout helpers for body name labels and hover tooltips
+ * Labels are placed in screen space each frame: this module decides which ones fit
+ * (higher-priority labels win overlaps), how far they fade with camera distance, and
+ * what the tooltip reports about a body's distance from the Sun and Earth.
+ */
+import planetsData from './planetsData';
+import { getHeliocentricPosition, getMoonSceneOffset } from './ephemeris';
+import { getMissionPosition } from './missions';
+import { getBodyRadiusKm, AU_IN_KM } from './scale';
+
+// Rough glyph width of the label font (11px), so layout never has to measure the DOM
+const LABEL_CHAR_WIDTH = 6.5;
+const LABEL_PADDING_X = 12;
+export const LABEL_HEIGHT = 18;
+// Gap kept between neighbouring labels
+const LABEL_MARGIN = 4;
+
+// Larger classes claim screen space first; within a class, larger bodies do
+const PRIORITY = {
+  star: 5,
+  planet: 4,
+  dwarfPlanet: 3,
+  moon: 2,
+  spacecraft: 1,
+};
+
+// Closer than this, a distance reads better in km than in AU
+const KM_DISTANCE_LIMIT_AU = 0.05;
+
+const earth = planetsData.find(planet => planet.name === 'Earth');
+
+const smoothstep = (edge0, edge1, value) => {
+  const t = Math.min(Math.max((value - edge0) / (edge1 - edge0), 0), 1);
+  return t * t * (3 - 2 * t);
+};
+
+const distanceBetween = (a, b) => Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+
+/**
+ * Ranks a body's label for decluttering
+ * @param {Object} body - Planet, moon or mission selection
+ * @returns {number} Priority; higher wins overlaps
+ */
+export const getLabelPriority = (body) => {
+  let group = PRIORITY.planet;
+  if (body.isSun) group = PRIORITY.star;
+  else if (body.isDwarfPlanet) group = PRIORITY.dwarfPlanet;
+  else if (body.isMoon) group = PRIORITY.moon;
+  else if (body.isMission) group = PRIORITY.spacecraft;
+  // The Sun's radius (~696,000 km) stays below one priority step
+  return group * 1e6 + (getBodyRadiusKm(body) ?? 0);
+};
+
+/**
+ * Fades a label in as the camera backs away from the body and out beyond `far`
+ * Both fades span a factor of two in distance, so labels never pop.
+ * @param {number} distance - Camera distance to the body (scene units)
+ * @param {{near?: number, far?: number}} range - Fully visible between near and far
+ * @returns {number} Opacity from 0 to 1
+ */
+export const getLabelOpacity = (distance, { near = 0, far = Infinity }) => {
+  const fadeIn = near > 0 ? smoothstep(near / 2, near, distance) : 1;
+  const fadeOut = Number.isFinite(far) ? 1 - smoothstep(far, far * 2, distance) : 1;
+  return fadeIn * fadeOut;
+};
+
+/**
+ * Estimates a label's on-screen width
+ * @param {string} text - Label text
+ * @returns {number} Width (px)
+ */
+export const estimateLabelWidth = (text) => text.length * LABEL_CHAR_WIDTH + LABEL_PADDING_X;
+
+/**
+ * Picks the labels that can be shown without overlapping
+ * Candidates are taken greedily in priority order; pinned ones (selected or hovered)
+ * go first, so they are never hidden by a neighbour.
+ * @param {Array<{key: string, x: number, y: number, width: number, height: number, priority: number, pinned?: boolean}>} candidates
+ *   Label boxes centred horizontally on x, with their top edge at y (px)
+ * @returns {Set<string>} Keys of the labels to show
+ */
+export const declutterLabels = (candidates) => {
+  const ordered = [...candidates].sort((a, b) =>
+    (Number(Boolean(b.pinned)) - Number(Boolean(a.pinned))) || (b.priority - a.priority));
+  const placed = [];
+  const visible = new Set();
+
+  ordered.forEach(label => {
+    const box = {
+      left: label.x - label.width / 2 - LABEL_MARGIN,
+      right: label.x + label.width / 2 + LABEL_MARGIN,
+      top: label.y - LABEL_MARGIN,
+      bottom: label.y + label.height + LABEL_MARGIN,
+    };
+    const overlaps = placed.some(other =>
+      box.left < other.right && box.right > other.left && box.top < other.bottom && box.bottom > other.top);
+    if (overlaps) return;
+
+    placed.push(box);
+    visible.add(label.key);
+  });
+
+  return visible;
+};
+
+/**
+ * Computes a body's heliocentric position
+ * Moons add their offset from the parent, so the Moon's distance from Earth is its own.
+ * @param {Object} body - Selection from SelectedPlanetContext (planet, moon, asteroid, comet, NEO or mission)
+ * @param {number} julianDate - Julian date
+ * @returns {{x: number, y: number, z: number}|null} Position (AU), or null when the body isn't there
+ *   (a spacecraft before launch)
+ */
+export const getBodyHeliocentricPosition = (body, julianDate) => {
+  if (!body) return null;
+  if (body.isSun) return { x: 0, y: 0, z: 0 };
+  if (body.isMission) return getMissionPosition(body, julianDate);
+
+  if (body.isMoon) {
+    const parent = body.parentPlanetData;
+    const semiMajorAxisKm = body.orbitalElements?.semiMajorAxis;
+    if (!parent?.orbitalElements) return null;
+    const parentPosition = getHeliocentricPosition(parent.orbitalElements, julianDate);
+    if (!semiMajorAxisKm) return parentPosition;
+
+    // Scene axes back to ecliptic ones (see toScenePosition)
+    const [x, y, z] = getMoonSceneOffset(body, julianDate, semiMajorAxisKm, parent.tilt);
+    return {
+      x: parentPosition.x + x / AU_IN_KM,
+      y: parentPosition.y - z / AU_IN_KM,
+      z: parentPosition.z + y / AU_IN_KM,
+    };
+  }
+
+  return body.orbitalElements ? getHeliocentricPosition(body.orbitalElements, julianDate) : null;
+};
+
+/**
+ * Measures how far a body is from the Sun and from Earth
+ * @param {Object} body - Selection from SelectedPlanetContext
+ * @param {number} julianDate - Julian date
+ * @returns {{fromSun: number, fromEarth: number|null}|null} Distances (AU); fromEarth is null for Earth itself
+ */
+export const getBodyDistances = (body, julianDate) => {
+  const position = getBodyHeliocentricPosition(body, julianDate);
+  if (!position) return null;
+
+  const isEarth = body.name === 'Earth' && !body.isMoon;
+  return {
+    fromSun: Math.sqrt(position.x ** 2 + position.y ** 2 + position.z ** 2),
+    fromEarth: isEarth ? null : distanceBetween(position, getHeliocentricPosition(earth.orbitalElements, julianDate)),
+  };
+};
+
+/**
+ * Formats a distance for a tooltip: km when close, AU otherwise
+ * @param {number} distanceAU - Distance (AU)
+ * @returns {string} Label, e.g. "384,400 km" or "5.20 AU"
+ */
+export const formatDistance = (distanceAU) => {
+  if (distanceAU < KM_DISTANCE_LIMIT_AU) {
+    const km = Math.round((distanceAU * AU_IN_KM) / 100) * 100;
+    return `${km.toLocaleString('en-US')} km`;
+  }
+  return `${distanceAU.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} AU`;
+};
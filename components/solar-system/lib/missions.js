@@ -0,0 +1,379 @@
+/**
+ * Spacecraft trajectories
+ * Builds each mission's path from its waypoints (see lib/missionsData.js). Planet
+ * encounters come from the planets' own ephemeris, and between waypoints the craft
+ * coasts on the two-body transfer arc that joins them: the solution of Lambert's
+ * problem for the two positions and the flight time. Far from the Sun, between two
+ * deep-space fixes, escaping craft move in nearly straight lines at nearly constant
+ * speed, so those legs are interpolated linearly instead.
+ *
+ * These are reconstructions, not sampled ephemerides: there are no navigation (SPICE)
+ * kernels behind them, and the encounter dates are all they are fitted to. Transfer arcs
+ * meet each planet at its encounter, but the coast between ignores the planets' pull and
+ * the craft's own manoeuvres, so mid-cruise a craft can be a few percent of its solar
+ * distance off its real track. Orbits entered at a flyby (Parker Solar Probe's) come from
+ * the published perihelion and period only, so at the next flyby the craft jumps up to
+ * about 0.02 AU to meet the planet. Good enough to show where a craft is, not to navigate it.
+ *
+ * Positions are heliocentric ecliptic J2000 in AU, like lib/ephemeris.js.
+ */
+import planetsData from './planetsData';
+import { getHeliocentricPosition, getOrbitalPeriod, julianDateFromDate, toScenePosition, J2000, MS_PER_DAY } from './ephemeris';
+import { AU_IN_KM, getSceneRadius } from './scale';
+
+// Sun's gravitational parameter (AU^3/day^2), the square of the Gaussian constant
+const GM_SUN = 0.01720209895 ** 2;
+const DEG_TO_RAD = Math.PI / 180;
+const DAYS_PER_YEAR = 365.25;
+
+// Open-ended coasts are drawn up to the end of the timeline
+const PATH_HORIZON_JD = J2000 + 100 * DAYS_PER_YEAR;
+const PATH_POINTS_PER_SEGMENT = 128;
+
+// Compressed scene size of the craft marker
+const MARKER_RADIUS = 0.015;
+// While a craft stays with a planet its marker floats this many planet radii above it
+const BODY_MARKER_OFFSET = 1.6;
+
+const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y, z: a.z + b.z });
+const scale = (a, s) => ({ x: a.x * s, y: a.y * s, z: a.z * s });
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const length = (a) => Math.sqrt(dot(a, a));
+
+/**
+ * Stumpff functions C(z) and S(z) for universal-variable orbits
+ * @param {number} z - Universal variable alpha * chi^2
+ * @returns {{c: number, s: number}}
+ */
+const stumpff = (z) => {
+  if (z > 1e-6) {
+    const sqrtZ = Math.sqrt(z);
+    return { c: (1 - Math.cos(sqrtZ)) / z, s: (sqrtZ - Math.sin(sqrtZ)) / (sqrtZ ** 3) };
+  }
+  if (z < -1e-6) {
+    const sqrtZ = Math.sqrt(-z);
+    return { c: (Math.cosh(sqrtZ) - 1) / -z, s: (Math.sinh(sqrtZ) - sqrtZ) / (sqrtZ ** 3) };
+  }
+  return { c: 1 / 2 - z / 24, s: 1 / 6 - z / 120 };
+};
+
+/**
+ * Propagates a heliocentric state along its conic (elliptic or hyperbolic)
+ * @param {{x: number, y: number, z: number}} position - Initial position (AU)
+ * @param {{x: number, y: number, z: number}} velocity - Initial velocity (AU/day)
+ * @param {number} days - Time of flight
+ * @returns {{x: number, y: number, z: number}} Position after `days` (AU)
+ */
+const propagate = (position, velocity, days) => {
+  if (days === 0) return position;
+  const sqrtMu = Math.sqrt(GM_SUN);
+  const r0 = length(position);
+  const radialVelocity = dot(position, velocity) / r0;
+  const alpha = 2 / r0 - dot(velocity, velocity) / GM_SUN;
+
+  // Solve the universal Kepler equation for chi with Newton's method
+  let chi = sqrtMu * Math.abs(alpha) * days;
+  for (let i = 0; i < 100; i++) {
+    const z = alpha * chi * chi;
+    const { c, s } = stumpff(z);
+    const f = (r0 * radialVelocity / sqrtMu) * chi * chi * c
+      + (1 - alpha * r0) * chi ** 3 * s + r0 * chi - sqrtMu * days;
+    const df = (r0 * radialVelocity / sqrtMu) * chi * (1 - z * s)
+      + (1 - alpha * r0) * chi * chi * c + r0;
+    const delta = f / df;
+    chi -= delta;
+    if (Math.abs(delta) < 1e-10) break;
+  }
+
+  const { c, s } = stumpff(alpha * chi * chi);
+  const f = 1 - (chi * chi / r0) * c;
+  const g = days - (chi ** 3 / sqrtMu) * s;
+  return add(scale(position, f), scale(velocity, g));
+};
+
+/**
+ * Solves Lambert's problem for a prograde transfer of less than one revolution
+ * @param {{x: number, y: number, z: number}} from - Departure position (AU)
+ * @param {{x: number, y: number, z: number}} to - Arrival position (AU)
+ * @param {number} days - Time of flight
+ * @returns {{x: number, y: number, z: number}} Departure velocity (AU/day)
+ */
+const solveLambert = (from, to, days) => {
+  const r1 = length(from);
+  const r2 = length(to);
+  const crossZ = from.x * to.y - from.y * to.x;
+  let angle = Math.acos(Math.min(1, Math.max(-1, dot(from, to) / (r1 * r2))));
+  if (crossZ < 0) angle = Math.PI * 2 - angle;
+
+  const a = Math.sin(angle) * Math.sqrt((r1 * r2) / (1 - Math.cos(angle)));
+  const y = (z) => {
+    const { c, s } = stumpff(z);
+    return r1 + r2 + a * (z * s - 1) / Math.sqrt(c);
+  };
+  const timeOfFlight = (z) => {
+    const { c, s } = stumpff(z);
+    const yz = y(z);
+    return ((yz / c) ** 1.5 * s + a * Math.sqrt(yz)) / Math.sqrt(GM_SUN);
+  };
+
+  // Flight time grows monotonically with z, so bisect between a hyperbolic
+  // lower bound (where y turns positive) and the single-revolution limit.
+  // Flight time drops to zero where y does, and steeply, so that bound is bisected too
+  let low = -4 * Math.PI * Math.PI;
+  let high = 4 * Math.PI * Math.PI - 1e-6;
+  if (y(low) < 0) {
+    let positive = high;
+    for (let i = 0; i < 200; i++) {
+      const mid = (low + positive) / 2;
+      if (y(mid) < 0) low = mid;
+      else positive = mid;
+    }
+    low = positive;
+  }
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    if (timeOfFlight(mid) < days) low = mid;
+    else high = mid;
+  }
+
+  const yz = y((low + high) / 2);
+  const f = 1 - yz / r1;
+  const g = a * Math.sqrt(yz / GM_SUN);
+  return scale(add(to, scale(from, -f)), 1 / g);
+};
+
+/**
+ * Heliocentric position of a deep-space waypoint
+ * @param {Object} waypoint - Waypoint with ecliptic longitude, latitude (deg) and distance (AU)
+ * @returns {{x: number, y: number, z: number}} Position (AU)
+ */
+const fromEcliptic = ({ longitude, latitude, distanceAU }) => ({
+  x: distanceAU * Math.cos(latitude * DEG_TO_RAD) * Math.cos(longitude * DEG_TO_RAD),
+  y: distanceAU * Math.cos(latitude * DEG_TO_RAD) * Math.sin(longitude * DEG_TO_RAD),
+  z: distanceAU * Math.sin(latitude * DEG_TO_RAD),
+});
+
+const toJulianDate = (isoDate) => julianDateFromDate(new Date(`${isoDate}T00:00:00Z`));
+
+const findBody = (name) => planetsData.find(planet => planet.name === name);
+
+/**
+ * Orbital elements of a heliocentric orbit entered at a flyby position
+ * The orbit is taken to lie in the flyby planet's orbital plane: gravity assists turn a
+ * craft within a few degrees of it, and only the orbit's size, shape and phase matter here.
+ * @param {{x: number, y: number, z: number}} position - Flyby position (AU)
+ * @param {number} julianDate - Flyby date
+ * @param {{perihelionAU: number, periodDays: number, outbound?: boolean}} orbit - Orbit after
+ *   the flyby, entered heading towards perihelion unless `outbound`
+ * @param {Object} planeElements - Orbital elements of the flyby planet
+ * @returns {Object} Orbital elements
+ */
+const getOrbitFromFlyby = (position, julianDate, { perihelionAU, periodDays, outbound = false }, planeElements) => {
+  const semiMajorAxis = Math.cbrt((periodDays / DAYS_PER_YEAR) ** 2);
+  const eccentricity = 1 - perihelionAU / semiMajorAxis;
+  const r = length(position);
+  const cosTrueAnomaly = ((semiMajorAxis * (1 - eccentricity ** 2)) / r - 1) / eccentricity;
+  const trueAnomaly = (outbound ? 1 : -1) * Math.acos(Math.min(1, Math.max(-1, cosTrueAnomaly)));
+  const eccentricAnomaly = 2 * Math.atan(Math.sqrt((1 - eccentricity) / (1 + eccentricity)) * Math.tan(trueAnomaly / 2));
+  const meanAnomaly = eccentricAnomaly - eccentricity * Math.sin(eccentricAnomaly);
+
+  // Angle from the ascending node to the flyby position, within the plane
+  const { inclination, longitudeOfAscendingNode } = planeElements;
+  const node = longitudeOfAscendingNode * DEG_TO_RAD;
+  const alongNode = position.x * Math.cos(node) + position.y * Math.sin(node);
+  const acrossNode = (position.y * Math.cos(node) - position.x * Math.sin(node)) * Math.cos(inclination * DEG_TO_RAD)
+    + position.z * Math.sin(inclination * DEG_TO_RAD);
+  const argumentOfLatitude = Math.atan2(acrossNode, alongNode);
+
+  return {
+    semiMajorAxis,
+    eccentricity,
+    inclination,
+    longitudeOfAscendingNode,
+    argumentOfPerihelion: (argumentOfLatitude - trueAnomaly) / DEG_TO_RAD,
+    meanAnomaly: meanAnomaly / DEG_TO_RAD,
+    epoch: julianDate,
+  };
+};
+
+/**
+ * Builds a mission's trajectory segments from its waypoints
+ * Each segment covers [start, end) in Julian dates and is one of:
+ * - transfer: coasting from a departure state
+ * - cruise:   moving in a straight line at constant velocity
+ * - body:     staying with a planet
+ * - orbit:    following heliocentric orbital elements
+ * @param {Object} mission - Mission data
+ * @returns {Array<Object>} Segments in date order
+ */
+const buildSegments = (mission) => {
+  const waypoints = mission.trajectory.map(waypoint => {
+    const julianDate = toJulianDate(waypoint.date);
+    const body = waypoint.body ? findBody(waypoint.body) : null;
+    return {
+      ...waypoint,
+      julianDate,
+      departureDate: waypoint.until ? toJulianDate(waypoint.until) : julianDate,
+      body,
+      elements: body?.orbitalElements,
+    };
+  });
+
+  const positionAt = (waypoint, julianDate) =>
+    waypoint.elements ? getHeliocentricPosition(waypoint.elements, julianDate) : fromEcliptic(waypoint);
+
+  const segments = [];
+  waypoints.forEach((waypoint, index) => {
+    const next = waypoints[index + 1];
+
+    if (waypoint.until) {
+      segments.push({
+        type: 'body',
+        start: waypoint.julianDate,
+        end: waypoint.departureDate,
+        body: waypoint.body,
+        elements: waypoint.elements,
+      });
+    }
+    if (waypoint.orbit) {
+      const elements = getOrbitFromFlyby(
+        positionAt(waypoint, waypoint.julianDate), waypoint.julianDate, waypoint.orbit, waypoint.elements
+      );
+      segments.push({ type: 'orbit', start: waypoint.julianDate, end: next?.julianDate ?? Infinity, elements });
+      return;
+    }
+    if (!next) return;
+
+    const position = positionAt(waypoint, waypoint.departureDate);
+    const target = positionAt(next, next.julianDate);
+    const days = next.julianDate - waypoint.departureDate;
+    // Lambert's problem degenerates for fixes along the same direction from the Sun
+    const type = waypoint.elements || next.elements ? 'transfer' : 'cruise';
+    const velocity = type === 'transfer'
+      ? solveLambert(position, target, days)
+      : scale(add(target, scale(position, -1)), 1 / days);
+    segments.push({ type, start: waypoint.departureDate, end: next.julianDate, position, velocity });
+  });
+
+  // Active missions keep coasting (or orbiting) past their last waypoint
+  const last = segments[segments.length - 1];
+  last.end = mission.endDate ? Math.min(last.end, toJulianDate(mission.endDate)) : Infinity;
+  return segments;
+};
+
+const segmentCache = new Map();
+
+const getSegments = (mission) => {
+  if (!segmentCache.has(mission.id)) {
+    segmentCache.set(mission.id, buildSegments(mission));
+  }
+  return segmentCache.get(mission.id);
+};
+
+const getSegmentPosition = (segment, julianDate) => {
+  switch (segment.type) {
+    case 'transfer':
+      return propagate(segment.position, segment.velocity, julianDate - segment.start);
+    case 'cruise':
+      return add(segment.position, scale(segment.velocity, julianDate - segment.start));
+    default:
+      return getHeliocentricPosition(segment.elements, julianDate);
+  }
+};
+
+const findSegment = (mission, julianDate) =>
+  getSegments(mission).find(({ start, end }) => julianDate >= start && julianDate < end);
+
+/**
+ * Computes a spacecraft's heliocentric position at a given Julian date
+ * @param {Object} mission - Mission data
+ * @param {number} julianDate - Julian date
+ * @returns {{x: number, y: number, z: number}|null} Position (AU), or null before launch or after the mission
+ */
+export const getMissionPosition = (mission, julianDate) => {
+  const segment = findSegment(mission, julianDate);
+  return segment ? getSegmentPosition(segment, julianDate) : null;
+};
+
+/**
+ * Returns the planet a spacecraft is staying with (e.g. orbiting) at a given Julian date
+ * @param {Object} mission - Mission data
+ * @param {number} julianDate - Julian date
+ * @returns {Object|null} Planet data, or null while the craft is in heliocentric flight
+ */
+export const getMissionBody = (mission, julianDate) => {
+  const segment = findSegment(mission, julianDate);
+  return segment?.type === 'body' ? segment.body : null;
+};
+
+/**
+ * Returns a mission's launch and end dates
+ * @param {Object} mission - Mission data
+ * @returns {{launch: number, end: number|null}} Julian dates; `end` is null for active missions
+ */
+export const getMissionTimespan = (mission) => ({
+  launch: toJulianDate(mission.launchDate),
+  end: mission.endDate ? toJulianDate(mission.endDate) : null,
+});
+
+/**
+ * Computes a spacecraft's heliocentric speed at a given Julian date
+ * @param {Object} mission - Mission data
+ * @param {number} julianDate - Julian date
+ * @returns {number|null} Speed (km/s), or null when the craft isn't flying
+ */
+export const getMissionSpeed = (mission, julianDate) => {
+  const before = getMissionPosition(mission, julianDate - 0.5);
+  const after = getMissionPosition(mission, julianDate + 0.5);
+  if (!before || !after) return null;
+  return length(add(after, scale(before, -1))) * AU_IN_KM / (MS_PER_DAY / 1000);
+};
+
+/**
+ * Samples a mission's flight path for drawing
+ * Stays with a planet are left out (the planet's orbit already shows them) and
+ * orbits are drawn for one revolution.
+ * @param {Object} mission - Mission data
+ * @returns {Array<Array<{x: number, y: number, z: number}>>} Polylines (AU), one per segment
+ */
+export const getMissionPath = (mission) =>
+  getSegments(mission)
+    .filter(segment => segment.type !== 'body')
+    .map(segment => {
+      const period = segment.type === 'orbit' ? getOrbitalPeriod(segment.elements) : Infinity;
+      const end = Math.min(segment.end, segment.start + period, PATH_HORIZON_JD);
+      return Array.from({ length: PATH_POINTS_PER_SEGMENT + 1 }, (_, i) =>
+        getSegmentPosition(segment, segment.start + ((end - segment.start) * i) / PATH_POINTS_PER_SEGMENT)
+      );
+    });
+
+/**
+ * Computes a spacecraft's scene position
+ * Planet orbiters are drawn just above their planet, which would otherwise hide them.
+ * @param {Object} mission - Mission data
+ * @param {number} julianDate - Julian date
+ * @param {string} [distanceMode] - Distance scale mode (see lib/scale.js)
+ * @param {string} [sizeMode] - Size scale mode, for the planet an orbiter floats above
+ * @returns {[number, number, number]|null} Scene position, or null when the craft isn't flying
+ */
+export const getMissionScenePosition = (mission, julianDate, distanceMode, sizeMode) => {
+  const segment = findSegment(mission, julianDate);
+  if (!segment) return null;
+
+  const position = getSegmentPosition(segment, julianDate);
+  if (segment.type !== 'body') return toScenePosition(position, null, distanceMode);
+
+  const [x, y, z] = toScenePosition(position, segment.body, distanceMode);
+  return [x, y + getSceneRadius(segment.body, sizeMode) * BODY_MARKER_OFFSET, z];
+};
+
+/**
+ * Builds the selection object for a mission, in the shape SelectedPlanetContext expects
+ * @param {Object} mission - Mission data
+ * @returns {Object} Mission selection
+ */
+export const createMissionSelection = (mission) => ({
+  ...mission,
+  isMission: true,
+  radius: MARKER_RADIUS,
+});
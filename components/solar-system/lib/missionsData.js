@@ -0,0 +1,163 @@
+// Spacecraft missions drawn in the scene, with the waypoints their trajectories are built from.
+// We don't bundle navigation kernels: each trajectory is reconstructed from its launch
+// and encounter dates (lib/missions.js), which is accurate to a few percent of the
+// distances involved - plenty to show where a craft is, not to navigate it.
+//
+// Waypoint types, in date order:
+// - { date, body }                    craft is at a planet (launch, flyby, arrival)
+// - { date, body, until }             craft stays with the planet, e.g. in orbit around it
+// - { date, longitude, latitude, distanceAU }
+//                                     deep-space fix in heliocentric ecliptic coordinates (deg)
+// - { date, body, orbit: { perihelionAU, periodDays, outbound? } }
+//                                     after this flyby the craft follows a heliocentric orbit
+//                                     in the planet's plane, entered inbound towards perihelion
+//                                     (or outbound, away from it)
+// Between waypoints craft coast on the Keplerian transfer arc joining them, or in a
+// straight line between two deep-space fixes. Missions without an `endDate` keep
+// coasting past their last waypoint.
+
+const missionsData = [
+  {
+    id: "voyager-1",
+    name: "Voyager 1",
+    agency: "NASA / JPL",
+    color: "#ffd166",
+    launchDate: "1977-09-05",
+    endDate: null,
+    status: "Interstellar space, still returning data",
+    description: "The most distant human-made object. After flying past Jupiter and Saturn (and Titan) it left the heliosphere in August 2012, the first craft to reach interstellar space.",
+    highlights: [
+      "Discovered active volcanoes on Io (1979)",
+      "Took the 'Pale Blue Dot' photo of Earth from 40 AU (1990)",
+      "Crossed the heliopause at 121.6 AU (2012)",
+      "Reaches one light-day from Earth in November 2026"
+    ],
+    trajectory: [
+      { date: "1977-09-05", body: "Earth" },
+      { date: "1979-03-05", body: "Jupiter" },
+      { date: "1980-11-12", body: "Saturn" },
+      { date: "1990-02-14", longitude: 255.9, latitude: 35.0, distanceAU: 40.1 },
+      { date: "2012-08-25", longitude: 255.9, latitude: 35.0, distanceAU: 121.6 },
+      { date: "2026-11-15", longitude: 255.9, latitude: 35.0, distanceAU: 173.1 },
+    ],
+  },
+  {
+    id: "voyager-2",
+    name: "Voyager 2",
+    agency: "NASA / JPL",
+    color: "#06d6a0",
+    launchDate: "1977-08-20",
+    endDate: null,
+    status: "Interstellar space, still returning data",
+    description: "The only spacecraft to visit Uranus and Neptune, using a rare alignment of the outer planets for its Grand Tour. It crossed the heliopause in November 2018.",
+    highlights: [
+      "Only flybys of Uranus (1986) and Neptune (1989)",
+      "Discovered 11 moons of Uranus and 5 of Neptune",
+      "Imaged Neptune's Great Dark Spot and Triton's geysers",
+      "Crossed the heliopause at 119 AU (2018)"
+    ],
+    trajectory: [
+      { date: "1977-08-20", body: "Earth" },
+      { date: "1979-07-09", body: "Jupiter" },
+      { date: "1981-08-26", body: "Saturn" },
+      { date: "1986-01-24", body: "Uranus" },
+      { date: "1989-08-25", body: "Neptune" },
+      { date: "2018-11-05", longitude: 288.7, latitude: -36.9, distanceAU: 119.0 },
+      { date: "2026-11-15", longitude: 288.7, latitude: -36.9, distanceAU: 145.0 },
+    ],
+  },
+  {
+    id: "new-horizons",
+    name: "New Horizons",
+    agency: "NASA / JHUAPL",
+    color: "#ef476f",
+    launchDate: "2006-01-19",
+    endDate: null,
+    status: "Exploring the Kuiper belt",
+    description: "The fastest spacecraft ever launched from Earth. It made the first flyby of Pluto and Charon in 2015, then of the Kuiper belt object Arrokoth in 2019.",
+    highlights: [
+      "Jupiter gravity assist in 2007, 3 years shaved off the trip",
+      "First close-up images of Pluto and Charon (2015)",
+      "Most distant flyby ever, of Arrokoth at 43 AU (2019)"
+    ],
+    trajectory: [
+      { date: "2006-01-19", body: "Earth" },
+      { date: "2007-02-28", body: "Jupiter" },
+      { date: "2015-07-14", body: "Pluto" },
+      { date: "2019-01-01", longitude: 287.5, latitude: 1.8, distanceAU: 43.4 },
+      { date: "2026-11-15", longitude: 287.5, latitude: 1.8, distanceAU: 66.0 },
+    ],
+  },
+  {
+    id: "parker-solar-probe",
+    name: "Parker Solar Probe",
+    agency: "NASA / JHUAPL",
+    color: "#ff9f1c",
+    launchDate: "2018-08-12",
+    endDate: null,
+    status: "Orbiting the Sun, passing 6.1 million km from its surface",
+    description: "Flies through the Sun's outer corona. Seven Venus flybys shrank its orbit until it became the closest and fastest spacecraft ever, at 0.046 AU and about 190 km/s.",
+    highlights: [
+      "First spacecraft to fly through the solar corona (2021)",
+      "Fastest human-made object, about 190 km/s at perihelion",
+      "Seven Venus gravity assists between 2018 and 2024"
+    ],
+    trajectory: [
+      { date: "2018-08-12", body: "Earth" },
+      { date: "2018-10-03", body: "Venus", orbit: { perihelionAU: 0.166, periodDays: 150 } },
+      { date: "2019-12-26", body: "Venus", orbit: { perihelionAU: 0.130, periodDays: 130 } },
+      { date: "2020-07-11", body: "Venus", orbit: { perihelionAU: 0.095, periodDays: 112, outbound: true } },
+      { date: "2021-02-20", body: "Venus", orbit: { perihelionAU: 0.074, periodDays: 102, outbound: true } },
+      { date: "2021-10-16", body: "Venus", orbit: { perihelionAU: 0.062, periodDays: 96 } },
+      { date: "2023-08-21", body: "Venus", orbit: { perihelionAU: 0.053, periodDays: 92 } },
+      { date: "2024-11-06", body: "Venus", orbit: { perihelionAU: 0.046, periodDays: 88 } },
+    ],
+  },
+  {
+    id: "juno",
+    name: "Juno",
+    agency: "NASA / JPL",
+    color: "#118ab2",
+    launchDate: "2011-08-05",
+    endDate: "2025-09-30",
+    status: "Jupiter polar orbiter (extended mission through September 2025)",
+    description: "Studies Jupiter's interior, magnetic field and aurorae from a polar orbit. An Earth flyby two years after launch gave it the speed to reach Jupiter.",
+    highlights: [
+      "First solar-powered spacecraft at Jupiter",
+      "Mapped Jupiter's diluted core and deep winds",
+      "Close flybys of Ganymede (2021), Europa (2022) and Io (2023-2024)"
+    ],
+    trajectory: [
+      { date: "2011-08-05", body: "Earth" },
+      // Deep space manoeuvres near aphelion set up the Earth flyby
+      { date: "2012-08-30", longitude: 132, latitude: 0, distanceAU: 2.3 },
+      { date: "2013-10-09", body: "Earth" },
+      { date: "2016-07-05", body: "Jupiter", until: "2025-09-30" },
+    ],
+  },
+  {
+    id: "cassini",
+    name: "Cassini",
+    agency: "NASA / ESA / ASI",
+    color: "#c77dff",
+    launchDate: "1997-10-15",
+    endDate: "2017-09-15",
+    status: "Ended with a plunge into Saturn",
+    description: "Orbited Saturn for 13 years and delivered ESA's Huygens probe to Titan's surface. It was deliberately flown into Saturn to protect Enceladus and Titan from contamination.",
+    highlights: [
+      "Huygens landed on Titan, the most distant landing ever (2005)",
+      "Found water-ice geysers erupting from Enceladus",
+      "Grand Finale dives between Saturn and its rings (2017)"
+    ],
+    trajectory: [
+      { date: "1997-10-15", body: "Earth" },
+      { date: "1998-04-26", body: "Venus" },
+      { date: "1999-06-24", body: "Venus" },
+      { date: "1999-08-18", body: "Earth" },
+      { date: "2000-12-30", body: "Jupiter" },
+      { date: "2004-07-01", body: "Saturn", until: "2017-09-15" },
+    ],
+  },
+];
+
+export default missionsData;
@@ -0,0 +1,102 @@
+/**
+ * Near-Earth objects from NASA's NeoWs feed
+ * Turns feed entries into selectable bodies: a close approach from the feed, plus
+ * the orbital elements the feed route attaches from NeoWs lookups so the object can be placed
+ * and animated with the same Keplerian engine as the planets.
+ */
+import { getHeliocentricPosition, julianDateFromDate, toScenePosition } from './ephemeris';
+
+// Compressed scene radius: R = 0.012 + 0.006 * log10(1 + m / 10), so a 1 km asteroid is ~0.024
+const COMPRESSED_BASE_RADIUS = 0.012;
+const COMPRESSED_LOG_SCALE = 0.006;
+const COMPRESSED_REFERENCE_M = 10;
+
+/**
+ * Returns the close approach a feed entry was listed for (its first one with Earth)
+ * @param {Object} entry - NeoWs feed entry
+ * @returns {Object|null} NeoWs close approach data
+ */
+const getFeedApproach = (entry) =>
+  entry.close_approach_data?.find(approach => approach.orbiting_body === 'Earth') ?? null;
+
+/**
+ * Returns the mean of a NeoWs diameter range in km
+ * @param {Object} entry - NeoWs feed entry
+ * @returns {number|null} Estimated diameter (km)
+ */
+const getMeanDiameterKm = (entry) => {
+  const range = entry.estimated_diameter?.kilometers;
+  if (!range) return null;
+  return (range.estimated_diameter_min + range.estimated_diameter_max) / 2;
+};
+
+/**
+ * Flattens a NeoWs feed into the objects passing closest to Earth
+ * @param {Object} feed - NeoWs feed response ({ near_earth_objects: { [date]: entries } })
+ * @param {number} [limit=12] - Maximum number of objects
+ * @returns {Array<Object>} Summaries sorted by miss distance
+ */
+export const parseNeoFeed = (feed, limit = 12) => {
+  const entries = Object.values(feed?.near_earth_objects ?? {}).flat();
+
+  return entries
+    .map(entry => {
+      const approach = getFeedApproach(entry);
+      if (!approach) return null;
+
+      return {
+        id: entry.id,
+        name: entry.name.replace(/^\((.*)\)$/, '$1'),
+        nasaJplUrl: entry.nasa_jpl_url,
+        isPotentiallyHazardous: !!entry.is_potentially_hazardous_asteroid,
+        diameterKm: getMeanDiameterKm(entry),
+        closeApproach: {
+          date: new Date(approach.epoch_date_close_approach).toISOString(),
+          missDistanceKm: Number(approach.miss_distance.kilometers),
+          missDistanceLunar: Number(approach.miss_distance.lunar),
+          missDistanceAU: Number(approach.miss_distance.astronomical),
+          relativeVelocityKmS: Number(approach.relative_velocity.kilometers_per_second),
+        },
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.closeApproach.missDistanceKm - b.closeApproach.missDistanceKm)
+    .slice(0, limit);
+};
+
+/**
+ * Builds the selection object for a near-Earth object
+ * `accurateRadius` feeds the logarithmic and true size modes; `radius` is the
+ * compressed size, exaggerated like the moons' so small objects stay clickable.
+ * @param {Object} summary - Feed summary from parseNeoFeed
+ * @param {Object} orbit - The object's entry in the feed's `orbits` ({ orbitalElements, orbitClass })
+ * @returns {Object} NEO selection
+ */
+export const createNeoSelection = (summary, orbit) => {
+  const diameterKm = summary.diameterKm ?? 0.1;
+
+  return {
+    ...summary,
+    isNeo: true,
+    accurateRadius: diameterKm / 2,
+    radius: COMPRESSED_BASE_RADIUS +
+      COMPRESSED_LOG_SCALE * Math.log10(1 + (diameterKm * 1000) / COMPRESSED_REFERENCE_M),
+    orbitalElements: orbit.orbitalElements,
+    orbitClass: orbit.orbitClass,
+    closeApproach: {
+      ...summary.closeApproach,
+      julianDate: julianDateFromDate(new Date(summary.closeApproach.date)),
+    },
+  };
+};
+
+/**
+ * Computes a near-Earth object's scene position at a given Julian date
+ * NEOs have no anchor of their own, so compressed mode interpolates between the planets.
+ * @param {Object} neo - NEO selection from createNeoSelection
+ * @param {number} julianDate - Julian date
+ * @param {string} [distanceMode] - Distance scale mode (see lib/scale.js)
+ * @returns {[number, number, number]} Scene position
+ */
+export const getNeoScenePosition = (neo, julianDate, distanceMode) =>
+  toScenePosition(getHeliocentricPosition(neo.orbitalElements, julianDate), null, distanceMode);
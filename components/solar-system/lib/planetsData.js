@@ -1,8 +1,21 @@
 // Sun has radius of 1 and position of 0,0,0
+// `position.x` is the compressed scene distance of each planet's semi-major axis.
+// `orbitalElements` are JPL approximate Keplerian elements at epoch J2000
+// (a in AU, angles in degrees, meanMotion in degrees per day). The dwarf planets
+// other than Pluto use JPL Small-Body Database elements at their own `epoch`.
+// `radius`/`orbitRadius` are compressed scene sizes; `accurateRadius` (km) is the
+// real size, used by the true and logarithmic scale modes.
+// Moon `orbitalElements` describe circular orbits from JPL mean satellite elements:
+// a in km, period in days, inclination and node relative to the parent's equator
+// (or the ecliptic when `referencePlane` says so) and mean longitude at `epoch`
+// (J2000 unless given). The Galilean moons use Meeus' mean longitudes, which keep
+// the Io-Europa-Ganymede Laplace resonance exact. Dysnomia's phase is not
+// published as mean elements, and MK2's orbit is barely constrained, so their
+// positions along the orbit are illustrative.
+// The dwarf planets' maps are stylised (see scripts/generate-dwarf-planet-textures.js):
+// only Pluto has been imaged up close, and only on one side.
 import { Vector3 } from 'three';
 
-const baseOrbitSpeed = 1;
-
 const planetsData = [
   {
     id: 0,
@@ -12,7 +25,7 @@ const planetsData = [
     radius: 1,
     rotationSpeed: 0.5,
     tilt: 0,
-    orbitSpeed: 0, // Sun doesn't orbit
+    orbitalElements: null, // Sun doesn't orbit
     displayStats: {
       classification: "G-type main-sequence star",
       orbitalPeriod: 0,
@@ -40,7 +53,15 @@ const planetsData = [
     radius: 0.1,
     rotationSpeed: 1,
     tilt: 0.00017,
-    orbitSpeed: baseOrbitSpeed / 0.24,
+    orbitalElements: {
+      semiMajorAxis: 0.38709927,
+      eccentricity: 0.20563593,
+      inclination: 7.00497902,
+      longitudeOfAscendingNode: 48.33076593,
+      argumentOfPerihelion: 29.12703035,
+      meanAnomaly: 174.79252722,
+      meanMotion: 4.09233878,
+    },
     displayStats: {
       classification: "Terrestrial planet",
       orbitalPeriod: 88,
@@ -64,7 +85,15 @@ const planetsData = [
     radius: 0.15,
     rotationSpeed: 1,
     tilt: 3.09639,
-    orbitSpeed: baseOrbitSpeed / 0.62,
+    orbitalElements: {
+      semiMajorAxis: 0.72333566,
+      eccentricity: 0.00677672,
+      inclination: 3.39467605,
+      longitudeOfAscendingNode: 76.67984255,
+      argumentOfPerihelion: 54.92262463,
+      meanAnomaly: 50.37663232,
+      meanMotion: 1.60213047,
+    },
     displayStats: {
       classification: "Terrestrial planet",
       orbitalPeriod: 225,
@@ -88,7 +117,15 @@ const planetsData = [
     radius: 0.15,
     rotationSpeed: 1,
     tilt: 0.40928,
-    orbitSpeed: 0.6,
+    orbitalElements: {
+      semiMajorAxis: 1.00000261,
+      eccentricity: 0.01671123,
+      inclination: -0.00001531,
+      longitudeOfAscendingNode: 0,
+      argumentOfPerihelion: 102.93768193,
+      meanAnomaly: -2.47311027,
+      meanMotion: 0.98560910,
+    },
     displayStats: {
       classification: "Terrestrial planet",
       orbitalPeriod: 365.25,
@@ -107,7 +144,16 @@ const planetsData = [
         name: "Moon",
         radius: 0.041,
         orbitRadius: 0.6,
-        orbitSpeed: 0.5,
+        accurateRadius: 1737.4,
+        orbitalElements: {
+          semiMajorAxis: 384400,
+          period: 27.321661,
+          inclination: 5.145,
+          longitudeOfAscendingNode: 125.04452,
+          nodeRate: -0.0529538083, // Regression of the nodes, one turn in 18.6 years
+          meanLongitude: 218.3164477,
+          referencePlane: "ecliptic",
+        },
         color: "#888888",
         surfaceDetail: "heavily cratered",
       }
@@ -121,7 +167,15 @@ const planetsData = [
     radius: 0.13,
     rotationSpeed: 0.5,
     tilt: 0.43965,
-    orbitSpeed: baseOrbitSpeed / 1.88,
+    orbitalElements: {
+      semiMajorAxis: 1.52371034,
+      eccentricity: 0.09339410,
+      inclination: 1.84969142,
+      longitudeOfAscendingNode: 49.55953891,
+      argumentOfPerihelion: -73.50316850,
+      meanAnomaly: 19.39019754,
+      meanMotion: 0.52403293,
+    },
     displayStats: {
       classification: "Terrestrial planet",
       orbitalPeriod: 687,
@@ -140,7 +194,14 @@ const planetsData = [
         name: "Phobos",
         radius: 0.02,
         orbitRadius: 0.35,
-        orbitSpeed: 1.5,
+        accurateRadius: 11.3,
+        orbitalElements: {
+          semiMajorAxis: 9376,
+          period: 0.31891023,
+          inclination: 1.075,
+          longitudeOfAscendingNode: 207.784,
+          meanLongitude: 89.09,
+        },
         color: "#4a4a4a",
         surfaceDetail: "irregular, cratered",
       },
@@ -148,7 +209,14 @@ const planetsData = [
         name: "Deimos",
         radius: 0.015,
         orbitRadius: 0.55,
-        orbitSpeed: 0.8,
+        accurateRadius: 6.2,
+        orbitalElements: {
+          semiMajorAxis: 23463,
+          period: 1.26244,
+          inclination: 1.788,
+          longitudeOfAscendingNode: 24.525,
+          meanLongitude: 251.25,
+        },
         color: "#555555",
         surfaceDetail: "smooth, less cratered",
       }
@@ -162,7 +230,15 @@ const planetsData = [
     radius: 0.25,
     rotationSpeed: 0.2,
     tilt: 0.05463,
-    orbitSpeed: baseOrbitSpeed / 11.86,
+    orbitalElements: {
+      semiMajorAxis: 5.20288700,
+      eccentricity: 0.04838624,
+      inclination: 1.30439695,
+      longitudeOfAscendingNode: 100.47390909,
+      argumentOfPerihelion: -85.74542926,
+      meanAnomaly: 19.66796068,
+      meanMotion: 0.08308682,
+    },
     displayStats: {
       classification: "Gas giant",
       orbitalPeriod: 11.86,
@@ -181,7 +257,15 @@ const planetsData = [
         name: "Io",
         radius: 0.055,
         orbitRadius: 0.7,
-        orbitSpeed: 1.2,
+        accurateRadius: 1821.6,
+        orbitalElements: {
+          semiMajorAxis: 421700,
+          period: 1.769137786,
+          inclination: 0.036,
+          longitudeOfAscendingNode: 43.977,
+          meanLongitude: 106.07719,
+          epoch: 2443000.5,
+        },
         color: "#ffcc44",
         surfaceDetail: "volcanic, sulfurous",
       },
@@ -189,7 +273,15 @@ const planetsData = [
         name: "Europa",
         radius: 0.047,
         orbitRadius: 1.0,
-        orbitSpeed: 0.9,
+        accurateRadius: 1560.8,
+        orbitalElements: {
+          semiMajorAxis: 671034,
+          period: 3.551181041,
+          inclination: 0.466,
+          longitudeOfAscendingNode: 219.106,
+          meanLongitude: 175.73161,
+          epoch: 2443000.5,
+        },
         color: "#aaddff",
         surfaceDetail: "icy, smooth cracks",
       },
@@ -197,7 +289,15 @@ const planetsData = [
         name: "Ganymede",
         radius: 0.08,
         orbitRadius: 1.4,
-        orbitSpeed: 0.6,
+        accurateRadius: 2634.1,
+        orbitalElements: {
+          semiMajorAxis: 1070412,
+          period: 7.15455296,
+          inclination: 0.177,
+          longitudeOfAscendingNode: 63.552,
+          meanLongitude: 120.55883,
+          epoch: 2443000.5,
+        },
         color: "#8899aa",
         surfaceDetail: "mixed ice and rock",
       },
@@ -205,7 +305,15 @@ const planetsData = [
         name: "Callisto",
         radius: 0.073,
         orbitRadius: 1.8,
-        orbitSpeed: 0.4,
+        accurateRadius: 2410.3,
+        orbitalElements: {
+          semiMajorAxis: 1882709,
+          period: 16.6890184,
+          inclination: 0.192,
+          longitudeOfAscendingNode: 298.848,
+          meanLongitude: 84.44459,
+          epoch: 2443000.5,
+        },
         color: "#665544",
         surfaceDetail: "ancient, heavily cratered",
       }
@@ -219,7 +327,15 @@ const planetsData = [
     radius: 0.2,
     rotationSpeed: 0.1,
     tilt: 0.46653,
-    orbitSpeed: baseOrbitSpeed / 29.46,
+    orbitalElements: {
+      semiMajorAxis: 9.53667594,
+      eccentricity: 0.05386179,
+      inclination: 2.48599187,
+      longitudeOfAscendingNode: 113.66242448,
+      argumentOfPerihelion: -21.06354617,
+      meanAnomaly: -42.64463408,
+      meanMotion: 0.03347005,
+    },
     rings: {
       texturePath: "/images/bodies/saturn_ring.webp",
       size: [0.2, 0.46],
@@ -242,7 +358,14 @@ const planetsData = [
         name: "Mimas",
         radius: 0.03,
         orbitRadius: 0.55,
-        orbitSpeed: 1.1,
+        accurateRadius: 198.2,
+        orbitalElements: {
+          semiMajorAxis: 185539,
+          period: 0.942421813,
+          inclination: 1.574,
+          longitudeOfAscendingNode: 173.027,
+          meanLongitude: 160.37,
+        },
         color: "#cccccc",
         surfaceDetail: "Death Star crater",
       },
@@ -250,7 +373,14 @@ const planetsData = [
         name: "Enceladus",
         radius: 0.038,
         orbitRadius: 0.75,
-        orbitSpeed: 0.95,
+        accurateRadius: 252.1,
+        orbitalElements: {
+          semiMajorAxis: 237948,
+          period: 1.370218,
+          inclination: 0.003,
+          longitudeOfAscendingNode: 342.507,
+          meanLongitude: 182.27,
+        },
         color: "#f0f8ff",
         surfaceDetail: "icy geysers",
       },
@@ -258,7 +388,14 @@ const planetsData = [
         name: "Tethys",
         radius: 0.042,
         orbitRadius: 0.9,
-        orbitSpeed: 0.85,
+        accurateRadius: 531.1,
+        orbitalElements: {
+          semiMajorAxis: 294619,
+          period: 1.887802,
+          inclination: 1.091,
+          longitudeOfAscendingNode: 259.842,
+          meanLongitude: 188.41,
+        },
         color: "#ddeeff",
         surfaceDetail: "icy, smooth",
       },
@@ -266,7 +403,14 @@ const planetsData = [
         name: "Dione",
         radius: 0.045,
         orbitRadius: 1.1,
-        orbitSpeed: 0.75,
+        accurateRadius: 561.4,
+        orbitalElements: {
+          semiMajorAxis: 377396,
+          period: 2.736915,
+          inclination: 0.028,
+          longitudeOfAscendingNode: 290.415,
+          meanLongitude: 176.96,
+        },
         color: "#d0d8e0",
         surfaceDetail: "wispy terrain",
       },
@@ -274,7 +418,14 @@ const planetsData = [
         name: "Rhea",
         radius: 0.058,
         orbitRadius: 1.4,
-        orbitSpeed: 0.6,
+        accurateRadius: 763.8,
+        orbitalElements: {
+          semiMajorAxis: 527108,
+          period: 4.5175,
+          inclination: 0.333,
+          longitudeOfAscendingNode: 351.042,
+          meanLongitude: 52.44,
+        },
         color: "#c8d0d8",
         surfaceDetail: "heavily cratered",
       },
@@ -282,7 +433,14 @@ const planetsData = [
         name: "Titan",
         radius: 0.078,
         orbitRadius: 2.0,
-        orbitSpeed: 0.4,
+        accurateRadius: 2574.7,
+        orbitalElements: {
+          semiMajorAxis: 1221870,
+          period: 15.945421,
+          inclination: 0.306,
+          longitudeOfAscendingNode: 28.060,
+          meanLongitude: 11.90,
+        },
         color: "#ffcc88",
         surfaceDetail: "thick atmosphere, lakes",
       },
@@ -290,7 +448,14 @@ const planetsData = [
         name: "Iapetus",
         radius: 0.056,
         orbitRadius: 2.6,
-        orbitSpeed: 0.25,
+        accurateRadius: 734.5,
+        orbitalElements: {
+          semiMajorAxis: 3560820,
+          period: 79.3215,
+          inclination: 15.47,
+          longitudeOfAscendingNode: 81.105,
+          meanLongitude: 194.50,
+        },
         color: "#888888",
         surfaceDetail: "two-toned coloring",
       }
@@ -304,7 +469,15 @@ const planetsData = [
     radius: 0.18,
     rotationSpeed: 0.07,
     tilt: 1.70622,
-    orbitSpeed: baseOrbitSpeed / 84.01,
+    orbitalElements: {
+      semiMajorAxis: 19.18916464,
+      eccentricity: 0.04725744,
+      inclination: 0.77263783,
+      longitudeOfAscendingNode: 74.01692503,
+      argumentOfPerihelion: 96.93735127,
+      meanAnomaly: 142.28382821,
+      meanMotion: 0.01173120,
+    },
     displayStats: {
       classification: "Ice giant",
       orbitalPeriod: 84,
@@ -323,7 +496,14 @@ const planetsData = [
         name: "Miranda",
         radius: 0.036,
         orbitRadius: 0.6,
-        orbitSpeed: 1.3,
+        accurateRadius: 235.8,
+        orbitalElements: {
+          semiMajorAxis: 129390,
+          period: 1.413479,
+          inclination: 4.338,
+          longitudeOfAscendingNode: 326.438,
+          meanLongitude: 346.08,
+        },
         color: "#bfbfbf",
         surfaceDetail: "extreme terrain",
       },
@@ -331,7 +511,14 @@ const planetsData = [
         name: "Ariel",
         radius: 0.044,
         orbitRadius: 0.9,
-        orbitSpeed: 1.0,
+        accurateRadius: 578.9,
+        orbitalElements: {
+          semiMajorAxis: 190900,
+          period: 2.520379,
+          inclination: 0.041,
+          longitudeOfAscendingNode: 22.394,
+          meanLongitude: 177.22,
+        },
         color: "#c8c8c8",
         surfaceDetail: "valleys, fault canyons",
       },
@@ -339,7 +526,14 @@ const planetsData = [
         name: "Umbriel",
         radius: 0.045,
         orbitRadius: 1.2,
-        orbitSpeed: 0.8,
+        accurateRadius: 584.7,
+        orbitalElements: {
+          semiMajorAxis: 266000,
+          period: 4.144177,
+          inclination: 0.128,
+          longitudeOfAscendingNode: 33.485,
+          meanLongitude: 130.66,
+        },
         color: "#5a5a5a",
         surfaceDetail: "dark surface",
       },
@@ -347,7 +541,14 @@ const planetsData = [
         name: "Titania",
         radius: 0.06,
         orbitRadius: 1.6,
-        orbitSpeed: 0.6,
+        accurateRadius: 788.4,
+        orbitalElements: {
+          semiMajorAxis: 435910,
+          period: 8.705872,
+          inclination: 0.079,
+          longitudeOfAscendingNode: 99.771,
+          meanLongitude: 48.79,
+        },
         color: "#a8a8a8",
         surfaceDetail: "icy, cratered",
       },
@@ -355,7 +556,14 @@ const planetsData = [
         name: "Oberon",
         radius: 0.058,
         orbitRadius: 2.0,
-        orbitSpeed: 0.45,
+        accurateRadius: 761.4,
+        orbitalElements: {
+          semiMajorAxis: 583520,
+          period: 13.463239,
+          inclination: 0.068,
+          longitudeOfAscendingNode: 279.771,
+          meanLongitude: 307.26,
+        },
         color: "#999999",
         surfaceDetail: "heavily cratered, icy",
       }
@@ -369,7 +577,15 @@ const planetsData = [
     radius: 0.18,
     rotationSpeed: 0.06,
     tilt: 0.49428,
-    orbitSpeed: baseOrbitSpeed / 164.8,
+    orbitalElements: {
+      semiMajorAxis: 30.06992276,
+      eccentricity: 0.00859048,
+      inclination: 1.77004347,
+      longitudeOfAscendingNode: 131.78422574,
+      argumentOfPerihelion: -86.81946347,
+      meanAnomaly: -100.08479196,
+      meanMotion: 0.00598109,
+    },
     displayStats: {
       classification: "Ice giant",
       orbitalPeriod: 164.8,
@@ -388,7 +604,14 @@ const planetsData = [
         name: "Triton",
         radius: 0.065,
         orbitRadius: 1.2,
-        orbitSpeed: -1.1,
+        accurateRadius: 1353.4,
+        orbitalElements: {
+          semiMajorAxis: 354759,
+          period: 5.876854,
+          inclination: 156.865,
+          longitudeOfAscendingNode: 177.608,
+          meanLongitude: 82.38,
+        },
         color: "#ffddee",
         surfaceDetail: "nitrogen geysers, retrograde",
       },
@@ -396,12 +619,226 @@ const planetsData = [
         name: "Proteus",
         radius: 0.032,
         orbitRadius: 0.7,
-        orbitSpeed: 1.3,
+        accurateRadius: 210,
+        orbitalElements: {
+          semiMajorAxis: 117647,
+          period: 1.122315,
+          inclination: 0.524,
+          longitudeOfAscendingNode: 162.690,
+          meanLongitude: 221.45,
+        },
         color: "#a0a0a0",
         surfaceDetail: "irregular, dark",
       }
     ],
   },
+  {
+    id: 9,
+    name: "Pluto",
+    texturePath: "/images/bodies/pluto_2k.webp",
+    color: "#e3c9a6",
+    isDwarfPlanet: true,
+    position: new Vector3(21, 0, 0),
+    radius: 0.05,
+    rotationSpeed: 0.02,
+    tilt: 2.13855,
+    orbitalElements: {
+      semiMajorAxis: 39.48211675,
+      eccentricity: 0.2488273,
+      inclination: 17.14001206,
+      longitudeOfAscendingNode: 110.30393684,
+      argumentOfPerihelion: 113.76497945,
+      meanAnomaly: 14.86012204,
+      meanMotion: 0.00397557,
+    },
+    displayStats: {
+      classification: "Dwarf planet (plutino)",
+      orbitalPeriod: 90560,
+      meanDistanceFromSun: 39.48,
+      accurateRadius: 1188,
+      mass: 0.0022,
+      surfaceGravity: 0.063,
+      rotationPeriod: -153.3,
+      axialTilt: 122.53,
+      numberOfMoons: 5,
+      atmosphericComposition: "Thin nitrogen, methane, carbon monoxide",
+      surfaceTemp: "-240 to -218°C",
+    },
+    moons: [
+      {
+        name: "Charon",
+        radius: 0.026,
+        orbitRadius: 0.22,
+        accurateRadius: 606,
+        orbitalElements: {
+          semiMajorAxis: 19591,
+          period: 6.3872304,
+          inclination: 0.08,
+          longitudeOfAscendingNode: 26.928,
+          meanLongitude: 304.104,
+        },
+        color: "#a9a39c",
+        surfaceDetail: "reddish polar cap, mutually tidally locked",
+      }
+    ],
+  },
+  {
+    id: 10,
+    name: "Haumea",
+    texturePath: "/images/bodies/haumea_2k.webp",
+    color: "#f2f0ec",
+    isDwarfPlanet: true,
+    position: new Vector3(23, 0, 0),
+    radius: 0.045,
+    // Rapid rotation stretches Haumea into an ellipsoid (~2100 x 1680 x 1070 km)
+    shape: [1, 0.51, 0.8],
+    rotationSpeed: 1.5,
+    tilt: 0,
+    orbitalElements: {
+      semiMajorAxis: 43.116,
+      eccentricity: 0.19642,
+      inclination: 28.2137,
+      longitudeOfAscendingNode: 121.9,
+      argumentOfPerihelion: 238.778,
+      meanAnomaly: 218.205,
+      epoch: 2459000.5,
+    },
+    displayStats: {
+      classification: "Dwarf planet",
+      orbitalPeriod: 103410,
+      meanDistanceFromSun: 43.12,
+      accurateRadius: 780,
+      mass: 0.00067,
+      surfaceGravity: 0.04,
+      rotationPeriod: 3.92,
+      axialTilt: null,
+      numberOfMoons: 2,
+      atmosphericComposition: "None",
+      surfaceTemp: "About -241°C",
+    },
+    moons: [
+      {
+        name: "Hi'iaka",
+        radius: 0.016,
+        orbitRadius: 0.3,
+        accurateRadius: 160,
+        orbitalElements: {
+          semiMajorAxis: 49880,
+          period: 49.12,
+          inclination: 126.356,
+          longitudeOfAscendingNode: 206.766,
+          meanLongitude: 153.67,
+          epoch: 2454615.0,
+          referencePlane: "ecliptic",
+        },
+        color: "#dcdcdc",
+        surfaceDetail: "crystalline water ice",
+      }
+    ],
+  },
+  {
+    id: 11,
+    name: "Makemake",
+    texturePath: "/images/bodies/makemake_2k.webp",
+    color: "#c9906a",
+    isDwarfPlanet: true,
+    position: new Vector3(24, 0, 0),
+    radius: 0.042,
+    rotationSpeed: 0.3,
+    tilt: 0,
+    orbitalElements: {
+      semiMajorAxis: 45.43,
+      eccentricity: 0.16126,
+      inclination: 29.0066,
+      longitudeOfAscendingNode: 79.62,
+      argumentOfPerihelion: 294.834,
+      meanAnomaly: 165.514,
+      epoch: 2459000.5,
+    },
+    displayStats: {
+      classification: "Dwarf planet",
+      orbitalPeriod: 111845,
+      meanDistanceFromSun: 45.43,
+      accurateRadius: 715,
+      mass: 0.00052,
+      surfaceGravity: 0.058,
+      rotationPeriod: 22.83,
+      axialTilt: null,
+      numberOfMoons: 1,
+      atmosphericComposition: "None detected",
+      surfaceTemp: "About -243°C",
+    },
+    moons: [
+      {
+        // S/2015 (136472) 1, nicknamed MK2; seen nearly edge-on, so its orbit is poorly constrained
+        name: "MK2",
+        radius: 0.012,
+        orbitRadius: 0.25,
+        accurateRadius: 87,
+        orbitalElements: {
+          semiMajorAxis: 22250,
+          period: 12.4,
+          inclination: 83,
+          longitudeOfAscendingNode: 0,
+          meanLongitude: 0,
+          referencePlane: "ecliptic",
+        },
+        color: "#3b3430",
+        surfaceDetail: "charcoal-dark, reflects about 4% of sunlight",
+      }
+    ],
+  },
+  {
+    id: 12,
+    name: "Eris",
+    texturePath: "/images/bodies/eris_2k.webp",
+    color: "#f4f4f6",
+    isDwarfPlanet: true,
+    position: new Vector3(28, 0, 0),
+    radius: 0.05,
+    rotationSpeed: 0.01,
+    tilt: 0,
+    orbitalElements: {
+      semiMajorAxis: 67.864,
+      eccentricity: 0.43607,
+      inclination: 44.04,
+      longitudeOfAscendingNode: 35.951,
+      argumentOfPerihelion: 151.639,
+      meanAnomaly: 205.989,
+      epoch: 2459000.5,
+    },
+    displayStats: {
+      classification: "Dwarf planet (scattered disc)",
+      orbitalPeriod: 203830,
+      meanDistanceFromSun: 67.86,
+      accurateRadius: 1163,
+      mass: 0.0028,
+      surfaceGravity: 0.084,
+      rotationPeriod: 378.9,
+      axialTilt: null,
+      numberOfMoons: 1,
+      atmosphericComposition: "None (frozen nitrogen and methane surface)",
+      surfaceTemp: "-243 to -217°C",
+    },
+    moons: [
+      {
+        name: "Dysnomia",
+        radius: 0.02,
+        orbitRadius: 0.3,
+        accurateRadius: 350,
+        orbitalElements: {
+          semiMajorAxis: 37273,
+          period: 15.786,
+          inclination: 61.3,
+          longitudeOfAscendingNode: 139.6,
+          meanLongitude: 0,
+          referencePlane: "ecliptic",
+        },
+        color: "#5a5652",
+        surfaceDetail: "very dark, tidally locks Eris",
+      }
+    ],
+  },
 ];
 
 export default planetsData;
@@ -0,0 +1,38 @@
+/**
+ * Seeded random helpers for procedural populations (asteroid and Kuiper belts)
+ * A fixed seed keeps a generated layout stable across re-renders and reloads.
+ */
+
+/**
+ * Small seeded PRNG (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {() => number} Generator of floats in [0, 1)
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Draws from a half-normal distribution with the given spread
+ * @param {() => number} random - Uniform generator
+ * @param {number} sigma - Standard deviation of the underlying normal
+ * @returns {number} Non-negative sample
+ */
+export const halfNormal = (random, sigma) =>
+  Math.abs(Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random())) * sigma;
+
+/**
+ * Draws uniformly from a range
+ * @param {() => number} random - Uniform generator
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} Sample in [min, max)
+ */
+export const uniform = (random, min, max) => min + random() * (max - min);
@@ -0,0 +1,127 @@
+/**
+ * Scale modes for distances and sizes
+ * Maps real distances (AU) and radii (km) into scene units. Distance and size
+ * modes are independent, so the scene can combine e.g. true distances with
+ * exaggerated bodies.
+ *
+ * - compressed:  the hand-tuned layout from planetsData (default)
+ * - logarithmic: log-compressed, so inner and outer planets both stay readable
+ * - true:        everything on one linear scale - space really is that empty
+ */
+import planetsData from './planetsData';
+
+export const SCALE_MODES = ['compressed', 'logarithmic', 'true'];
+export const DEFAULT_SCALE_MODE = 'compressed';
+
+export const AU_IN_KM = 149597870.7;
+
+// True scale keeps Earth's orbit where the compressed layout puts it
+export const TRUE_SCALE_UNITS_PER_AU = 3;
+const TRUE_SCALE_UNITS_PER_KM = TRUE_SCALE_UNITS_PER_AU / AU_IN_KM;
+
+// Logarithmic distance: d = 3 * log2(1 + r), so Earth still sits at 3 units
+const LOG_DISTANCE_SCALE = 3;
+// Logarithmic size: R = 0.05 * log10(1 + km / 10), Earth ~0.14 and the Sun ~0.24
+const LOG_SIZE_SCALE = 0.05;
+const LOG_SIZE_REFERENCE_KM = 10;
+
+// Compressed layout anchors (semi-major axis in AU -> scene distance), sorted outwards
+const COMPRESSED_ANCHORS = [
+  [0, 0],
+  ...planetsData
+    .filter(body => body.orbitalElements)
+    .map(body => [body.orbitalElements.semiMajorAxis, body.position.x])
+    .sort((a, b) => a[0] - b[0]),
+];
+
+/**
+ * Interpolates the compressed layout for objects without their own anchor (belts, comets, moons' parents)
+ * Piecewise linear between planets, extrapolated with the outermost segment's slope
+ * @param {number} distanceAU - Heliocentric distance (AU)
+ * @returns {number} Scene distance
+ */
+const compressDistance = (distanceAU) => {
+  const upper = COMPRESSED_ANCHORS.findIndex(([a]) => a >= distanceAU);
+  const index = upper === -1 ? COMPRESSED_ANCHORS.length - 1 : Math.max(upper, 1);
+  const [a0, d0] = COMPRESSED_ANCHORS[index - 1];
+  const [a1, d1] = COMPRESSED_ANCHORS[index];
+  return d0 + ((distanceAU - a0) / (a1 - a0)) * (d1 - d0);
+};
+
+/**
+ * Maps a heliocentric distance to a scene distance
+ * @param {number} distanceAU - Heliocentric distance (AU)
+ * @param {string} [mode='compressed'] - Distance scale mode
+ * @returns {number} Scene distance
+ */
+export const getSceneDistance = (distanceAU, mode = DEFAULT_SCALE_MODE) => {
+  switch (mode) {
+    case 'true':
+      return distanceAU * TRUE_SCALE_UNITS_PER_AU;
+    case 'logarithmic':
+      return LOG_DISTANCE_SCALE * Math.log2(1 + distanceAU);
+    default:
+      return compressDistance(distanceAU);
+  }
+};
+
+/**
+ * Returns the factor that turns a heliocentric vector (AU) into scene units
+ * Planets in compressed mode use their own factor so their orbit keeps its exact
+ * shape and the semi-major axis lands on the configured `position.x`.
+ * @param {number} distanceAU - Heliocentric distance of the point (AU)
+ * @param {Object} [body] - Body data from planetsData, if the point belongs to a planet
+ * @param {string} [mode='compressed'] - Distance scale mode
+ * @returns {number} Scene units per AU
+ */
+export const getDistanceScaleFactor = (distanceAU, body, mode = DEFAULT_SCALE_MODE) => {
+  if (mode === 'compressed' && body?.orbitalElements && body.position) {
+    return body.position.x / body.orbitalElements.semiMajorAxis;
+  }
+  if (distanceAU === 0) {
+    // Limit of d(r) / r as r -> 0
+    return mode === 'logarithmic' ? LOG_DISTANCE_SCALE / Math.LN2 : getSceneDistance(1, mode);
+  }
+  return getSceneDistance(distanceAU, mode) / distanceAU;
+};
+
+/**
+ * Returns a body's real radius in km
+ * @param {Object} body - Planet, moon or Sun data
+ * @returns {number|undefined} Radius (km)
+ */
+export const getBodyRadiusKm = (body) => body.accurateRadius ?? body.displayStats?.accurateRadius;
+
+/**
+ * Returns the rendered radius of a body for a size scale mode
+ * @param {Object} body - Planet, moon or Sun data
+ * @param {string} [mode='compressed'] - Size scale mode
+ * @returns {number} Scene radius
+ */
+export const getSceneRadius = (body, mode = DEFAULT_SCALE_MODE) => {
+  const radiusKm = getBodyRadiusKm(body);
+  if (mode === 'compressed' || !radiusKm) return body.radius;
+
+  if (mode === 'true') return radiusKm * TRUE_SCALE_UNITS_PER_KM;
+  return LOG_SIZE_SCALE * Math.log10(1 + radiusKm / LOG_SIZE_REFERENCE_KM);
+};
+
+/**
+ * Returns a moon's orbit radius around its parent in scene units
+ * Moon orbits follow the size mode rather than the distance mode: they are
+ * measured against the parent's rendered radius and must clear it.
+ * @param {Object} moon - Moon data
+ * @param {Object} parent - Parent planet data
+ * @param {string} [mode='compressed'] - Size scale mode
+ * @returns {number} Scene orbit radius
+ */
+export const getMoonOrbitRadius = (moon, parent, mode = DEFAULT_SCALE_MODE) => {
+  const orbitRadius = moon.orbitRadius || 0.5;
+  if (mode === 'true' && moon.orbitalElements?.semiMajorAxis) {
+    return moon.orbitalElements.semiMajorAxis * TRUE_SCALE_UNITS_PER_KM;
+  }
+  if (mode === 'compressed' || !parent) return orbitRadius;
+
+  // Keep the compressed layout's spacing relative to the rescaled parent
+  return orbitRadius * (getSceneRadius(parent, mode) / parent.radius);
+};
@@ -0,0 +1,175 @@
+/**
+ * Fuzzy search for the command palette
+ * Indexes every selectable body (planets, dwarf planets, moons, named asteroids, comets and
+ * spacecraft) plus named features from the planet and moon databases, and ranks entries
+ * against a typed query. Actions are added by the palette, which owns the contexts.
+ */
+import planetsData from './planetsData';
+import asteroidsData from './asteroidsData';
+import cometsData from './cometsData';
+import missionsData from './missionsData';
+import { createMissionSelection } from './missions';
+import { findPlanet, findMoon, createMoonSelection, getSelectionKey, getBodyKind } from './bodyLookup';
+import { EDUCATIONAL_CONTENT } from '../../../lib/educational-content';
+import { MOON_CONTENT } from '../../../lib/moon-content';
+
+// Keyword matches rank below title matches of the same quality
+const KEYWORD_PENALTY = 150;
+// Letters scattered across a long description aren't a match
+const MIN_SUBSEQUENCE_SCORE = 290;
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Commas inside parentheses belong to the feature, e.g. "Maria (dark basaltic plains)"
+const splitFeatures = (text) =>
+  text.split(/[,;](?![^(]*\))/).map(part => part.trim()).filter(Boolean).map(capitalize);
+
+const createBodyEntry = (selection, subtitle, keywords = []) => ({
+  id: `body:${getSelectionKey(selection)}`,
+  group: 'Bodies',
+  title: selection.name,
+  subtitle,
+  keywords: keywords.filter(Boolean),
+  selection,
+});
+
+/**
+ * Builds the searchable list of bodies and features
+ * @returns {Array<{id: string, group: string, title: string, subtitle: string, keywords: string[], selection: Object}>}
+ */
+export const buildSearchIndex = () => {
+  const entries = [];
+
+  planetsData.forEach(planet => {
+    entries.push(createBodyEntry(planet, getBodyKind(planet), [
+      planet.displayStats?.classification,
+      planet.isDwarfPlanet ? 'dwarf planet' : 'planet',
+    ]));
+    if (planet.rings) {
+      entries.push({
+        id: `feature:${planet.name}/rings`,
+        group: 'Features',
+        title: `${planet.name}'s rings`,
+        subtitle: `Feature of ${planet.name}`,
+        keywords: ['rings'],
+        selection: planet,
+      });
+    }
+  });
+
+  planetsData.forEach(planet => {
+    planet.moons?.forEach(moon => {
+      const selection = createMoonSelection(moon, planet);
+      entries.push(createBodyEntry(selection, getBodyKind(selection), [
+        'moon',
+        planet.name,
+        moon.surfaceDetail,
+      ]));
+    });
+  });
+
+  asteroidsData.forEach(asteroid => {
+    entries.push(createBodyEntry(asteroid, getBodyKind(asteroid), ['asteroid']));
+  });
+  cometsData.forEach(comet => {
+    entries.push(createBodyEntry(comet, getBodyKind(comet), ['comet']));
+  });
+  missionsData.forEach(mission => {
+    const selection = createMissionSelection(mission);
+    entries.push(createBodyEntry(selection, getBodyKind(selection), [
+      'spacecraft',
+      'mission',
+      mission.id,
+    ]));
+  });
+
+  Object.entries(EDUCATIONAL_CONTENT).forEach(([bodyName, content]) => {
+    const selection = findPlanet(bodyName);
+    if (!selection) return;
+    content.surfaceFeatures?.forEach(feature => {
+      entries.push({
+        id: `feature:${getSelectionKey(selection)}/${feature}`,
+        group: 'Features',
+        title: feature,
+        subtitle: `Feature of ${bodyName}`,
+        keywords: [bodyName],
+        selection,
+      });
+    });
+  });
+
+  Object.entries(MOON_CONTENT).forEach(([moonName, content]) => {
+    const match = findMoon(moonName);
+    if (!match) return;
+    const selection = createMoonSelection(match.moon, match.parent);
+    splitFeatures(content.surfaceFeatures).forEach(feature => {
+      entries.push({
+        id: `feature:${getSelectionKey(selection)}/${feature}`,
+        group: 'Features',
+        title: feature,
+        subtitle: `Feature of ${moonName}`,
+        keywords: [moonName],
+        selection,
+      });
+    });
+  });
+
+  return entries;
+};
+
+/**
+ * Scores how well a query matches a text: whole-substring matches beat scattered letters,
+ * and matches at the start of the text or of a word beat ones in the middle
+ * @param {string} query - Lowercase query
+ * @param {string} text - Text to match
+ * @returns {number|null} Score (higher is better), or null when the query doesn't match
+ */
+export const fuzzyScore = (query, text) => {
+  const target = text.toLowerCase();
+  const index = target.indexOf(query);
+  if (index === 0) return 1000 - target.length;
+  if (index > 0) {
+    const atWord = /[^a-z0-9]/.test(target[index - 1]);
+    return (atWord ? 800 : 600) - index;
+  }
+
+  // Letters in order, e.g. "gnm" -> "Ganymede"
+  let score = 300;
+  let position = -1;
+  for (const char of query) {
+    const next = target.indexOf(char, position + 1);
+    if (next === -1) return null;
+    if (next === position + 1) score += 5;
+    else if (next === 0 || /[^a-z0-9]/.test(target[next - 1])) score += 10;
+    else score -= next - position;
+    position = next;
+  }
+  return score >= MIN_SUBSEQUENCE_SCORE ? score : null;
+};
+
+/**
+ * Ranks entries against a query by their title and keywords
+ * @param {Array<{title: string, keywords?: string[]}>} entries - Searchable entries
+ * @param {string} query - Typed query
+ * @param {number} [limit=12] - Maximum results
+ * @returns {Array} Matching entries, best first; the first `limit` entries for an empty query
+ */
+export const searchEntries = (entries, query, limit = 12) => {
+  const normalized = query.trim().toLowerCase();
+  if (!normalized) return entries.slice(0, limit);
+
+  return entries
+    .map((entry, order) => {
+      const titleScore = fuzzyScore(normalized, entry.title);
+      const keywordScores = (entry.keywords ?? [])
+        .map(keyword => fuzzyScore(normalized, keyword))
+        .filter(score => score !== null)
+        .map(score => score - KEYWORD_PENALTY);
+      const scores = [titleScore, ...keywordScores].filter(score => score !== null);
+      return scores.length ? { entry, order, score: Math.max(...scores) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .slice(0, limit)
+    .map(({ entry }) => entry);
+};
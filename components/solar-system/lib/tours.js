@@ -0,0 +1,76 @@
+/**
+ * Guided tours
+ * Tours are JSON files in public/tours, listed in public/tours/index.json, so lessons
+ * can be authored without code. Each keyframe selects a body, optionally jumps the
+ * simulation date and sets the speed, then flies the camera to an offset from the body
+ * over `duration` seconds and holds there for `hold` seconds while its caption and
+ * narration are shown. See tourSchema in lib/validation.ts for the format.
+ */
+import { tourSchema, tourIndexSchema } from '../../../lib/validation';
+import { findSelection } from './bodyLookup';
+
+const TOURS_PATH = '/tours';
+
+/**
+ * Easing curves for keyframe transitions, mapping progress in [0, 1] to [0, 1]
+ */
+export const EASINGS = {
+  linear: (t) => t,
+  easeIn: (t) => t * t * t,
+  easeOut: (t) => 1 - (1 - t) ** 3,
+  easeInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - ((-2 * t + 2) ** 3) / 2),
+};
+
+const fetchJson = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to load ${url}: HTTP ${response.status}`);
+  return response.json();
+};
+
+const describeIssue = (error) => {
+  const issue = error.errors[0];
+  return issue ? `${issue.path.join('.')}: ${issue.message}` : 'invalid format';
+};
+
+/**
+ * Builds the selection object a keyframe flies to
+ * @param {Object} keyframe - Tour keyframe
+ * @returns {Object|null} Selection, or null when the body is unknown
+ */
+export const getKeyframeSelection = (keyframe) => findSelection(keyframe.body, keyframe.moon);
+
+/**
+ * Total time a keyframe is on screen
+ * @param {Object} keyframe - Tour keyframe
+ * @returns {number} Seconds
+ */
+export const getKeyframeLength = (keyframe) => keyframe.duration + keyframe.hold;
+
+/**
+ * Loads the list of available tours
+ * @returns {Promise<Array<{id: string, title: string, description?: string}>>} Tour summaries
+ */
+export const loadTourIndex = async () => {
+  const result = tourIndexSchema.safeParse(await fetchJson(`${TOURS_PATH}/index.json`));
+  if (!result.success) throw new Error(`Invalid tour index: ${describeIssue(result.error)}`);
+  return result.data;
+};
+
+/**
+ * Loads and validates a tour, including that every keyframe targets a known body
+ * @param {string} id - Tour id
+ * @returns {Promise<Object>} Tour with defaults applied
+ */
+export const loadTour = async (id) => {
+  const result = tourSchema.safeParse(await fetchJson(`${TOURS_PATH}/${encodeURIComponent(id)}.json`));
+  if (!result.success) throw new Error(`Invalid tour "${id}": ${describeIssue(result.error)}`);
+
+  const tour = result.data;
+  tour.keyframes.forEach((keyframe, index) => {
+    if (!getKeyframeSelection(keyframe)) {
+      const name = keyframe.moon ? `${keyframe.body}/${keyframe.moon}` : keyframe.body;
+      throw new Error(`Invalid tour "${id}": keyframes.${index}.body: unknown body "${name}"`);
+    }
+  });
+  return tour;
+};
@@ -0,0 +1,120 @@
+/**
+ * URL encoding of the shareable scene state
+ * Query parameters:
+ *   body   - selected planet (or Sun), e.g. "Saturn"
+ *   moon   - selected moon of `body`, e.g. "Titan"
+ *   date   - simulation date, YYYY-MM-DD or a UTC ISO timestamp
+ *   speed  - speed factor (the one restored when leaving a close-up)
+ *   target - camera look-at point "x,y,z" (free camera only; bodies are their own target)
+ *   offset - camera position relative to the target "x,y,z"
+ */
+import { findSelection } from './bodyLookup';
+import { toISODateString } from '../utils/timeFormat';
+
+export const URL_PARAMS = {
+  BODY: 'body',
+  MOON: 'moon',
+  DATE: 'date',
+  SPEED: 'speed',
+  TARGET: 'target',
+  OFFSET: 'offset',
+};
+
+const DEFAULT_SPEED = 1;
+const VECTOR_PRECISION = 5;
+const MS_PER_MINUTE = 60 * 1000;
+
+/**
+ * Parses an "x,y,z" vector parameter
+ * @param {string|null} value - Raw parameter
+ * @returns {[number, number, number]|null} Vector, or null when missing or malformed
+ */
+const parseVector = (value) => {
+  if (!value) return null;
+  const parts = value.split(',').map(Number);
+  return parts.length === 3 && parts.every(Number.isFinite) ? parts : null;
+};
+
+/**
+ * Formats a vector as a compact "x,y,z" parameter
+ * @param {{x: number, y: number, z: number}} vector - Vector to format
+ * @returns {string} Parameter value
+ */
+const formatVector = ({ x, y, z }) =>
+  [x, y, z].map(n => Number(n.toPrecision(VECTOR_PRECISION))).join(',');
+
+/**
+ * Parses a date parameter (calendar date or ISO timestamp, read as UTC)
+ * @param {string|null} value - Raw parameter
+ * @returns {Date|null} Date, or null when missing or invalid
+ */
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Formats a date parameter: a plain calendar date at midnight, otherwise minute precision
+ * @param {Date} date - Simulation date
+ * @returns {string} Parameter value
+ */
+const formatDate = (date) => {
+  const minutes = Math.round(date.getTime() / MS_PER_MINUTE) * MS_PER_MINUTE;
+  const rounded = new Date(minutes);
+  if (minutes % (24 * 60 * MS_PER_MINUTE) === 0) return toISODateString(rounded);
+  return `${rounded.toISOString().slice(0, 16)}Z`;
+};
+
+/**
+ * Reads the scene state from a query string
+ * Unknown bodies and malformed values are ignored rather than rejected, so a
+ * partly broken link still opens what it can.
+ * @param {string} search - Query string, e.g. window.location.search
+ * @returns {{selection: Object|null, date: Date|null, speed: number|null, target: number[]|null, offset: number[]|null}} Parsed state
+ */
+export const parseUrlState = (search) => {
+  const params = new URLSearchParams(search);
+  const bodyName = params.get(URL_PARAMS.BODY);
+  const speed = Number(params.get(URL_PARAMS.SPEED) ?? NaN);
+
+  return {
+    selection: bodyName ? findSelection(bodyName, params.get(URL_PARAMS.MOON)) : null,
+    date: parseDate(params.get(URL_PARAMS.DATE)),
+    speed: Number.isFinite(speed) && speed >= 0 ? speed : null,
+    target: parseVector(params.get(URL_PARAMS.TARGET)),
+    offset: parseVector(params.get(URL_PARAMS.OFFSET)),
+  };
+};
+
+/**
+ * Builds the query string for a scene state
+ * @param {Object} state - Scene state
+ * @param {Object|null} state.selection - Selected planet, moon or near-Earth object
+ * @param {Date} state.date - Simulation date
+ * @param {number} state.speed - Speed factor
+ * @param {{x: number, y: number, z: number}} [state.target] - Free camera target
+ * @param {{x: number, y: number, z: number}} [state.offset] - Camera offset from the target
+ * @returns {string} Query string including the leading "?", or "" when empty
+ */
+export const buildUrlSearch = ({ selection, date, speed, target, offset }) => {
+  const params = new URLSearchParams();
+  // Near-Earth objects come from a daily feed and can't be resolved from a URL later,
+  // so their view is shared as a free camera pose instead
+  const body = selection?.isNeo ? null : selection;
+
+  if (body) {
+    params.set(URL_PARAMS.BODY, body.isMoon ? body.parentPlanet : body.name);
+    if (body.isMoon) params.set(URL_PARAMS.MOON, body.name);
+  }
+  params.set(URL_PARAMS.DATE, formatDate(date));
+  if (speed !== DEFAULT_SPEED) params.set(URL_PARAMS.SPEED, String(speed));
+  if (!body && target && (target.x || target.y || target.z)) {
+    params.set(URL_PARAMS.TARGET, formatVector(target));
+  }
+  if (offset) params.set(URL_PARAMS.OFFSET, formatVector(offset));
+
+  // Commas and colons are valid in a query string; keep vectors and times readable
+  const query = params.toString().replace(/%2C|%3A/g, decodeURIComponent);
+  return query ? `?${query}` : '';
+};
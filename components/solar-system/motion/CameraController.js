@@ -1,13 +1,22 @@
 // CameraController.js
 'use client';
-import { useRef, useEffect, useCallback } from "react";
+import { useRef, useEffect, useCallback, useMemo } from "react";
 import { useThree, useFrame } from "@react-three/fiber";
-import { Vector3 } from "three";
+import { Vector3, Quaternion, Matrix4 } from "three";
 import { OrbitControls as DreiOrbitControls } from "@react-three/drei";
 import { useSelectedPlanet } from "../contexts/SelectedPlanetContext";
 import { usePlanetPositions } from "../contexts/PlanetPositionsContext";
 import { useCameraContext } from "../contexts/CameraContext";
+import { useSceneSettings } from "../contexts/SceneSettingsContext";
+import { useSimulationTime } from "../contexts/SimulationTimeContext";
+import { useTour } from "../contexts/TourContext";
 import { useCameraSetup } from "../hooks/useCameraSetup";
+import { useSurfaceLook } from "../hooks/useSurfaceLook";
+import { getSceneDistance, getSceneRadius } from "../lib/scale";
+import { getSelectionKey } from "../lib/bodyLookup";
+import { getNeoScenePosition } from "../lib/neo";
+import { getMissionScenePosition } from "../lib/missions";
+import { EASINGS } from "../lib/tours";
 
 // Constants for camera configuration
 const CAMERA = {
@@ -15,6 +24,13 @@ const CAMERA = {
   POSITION_EPSILON: 0.1,
   FAST_LERP_FACTOR: 0.04,
   HOME_POSITION: new Vector3(11, 1, 1),
+  // Heliocentric distance the home position sits at in the compressed layout
+  HOME_DISTANCE_AU: 14.4,
+  // Beyond this many body radii the zoom uses the fast lerp, so true-scale approaches don't crawl
+  FAST_APPROACH_RADII: 20,
+  // Near plane as a fraction of the distance to the orbit target, for depth precision at any scale
+  NEAR_PLANE_FACTOR: 0.01,
+  MAX_NEAR_PLANE: 0.1,
   ORBIT_CONTROLS: {
     ROTATE_SPEED: 0.8,
     ZOOM_SPEED: 1.0,
@@ -25,7 +41,7 @@ const CAMERA = {
   }
 };
 
-// Camera distance factors relative to planet radius
+// Camera distance factors relative to the body's rendered radius (see lib/scale.js)
 const DISTANCE_FACTORS = {
   SUN: {
     MIN: 1.5,
@@ -39,6 +55,13 @@ const DISTANCE_FACTORS = {
     VERTICAL_OFFSET: 2.0,
     DISTANCE_FACTOR: 5
   },
+  // Comets are framed from well above the orbit so the tails fit in view
+  COMET: {
+    MIN: 1.5,
+    MAX: 120,
+    VERTICAL_OFFSET: 1.5,
+    DISTANCE_FACTOR: 40
+  },
   DEFAULT_PLANET: {
     MIN: 1.2,
     MAX: 3,
@@ -47,34 +70,59 @@ const DISTANCE_FACTORS = {
   }
 };
 
-const getPlanetPosition = (selectedPlanet, planetPositions) => {
+// First-person view from a body's surface, in body radii and degrees
+const SURFACE = {
+  // Clears the sphere's facets and the polar cap shell
+  EYE_HEIGHT: 0.02,
+  NEAR_PLANE: 0.005,
+  // Sun elevation the sunrise preset puts the observer at
+  SUNRISE_ELEVATION: 2,
+  // Looking straight up leaves no horizon to orient the camera by
+  MAX_ELEVATION: 89,
+  // Where the "see the parent" preset stands: this far east of the near side's centre
+  PARENT_VIEW_LONGITUDE: 45
+};
+
+const DEG_TO_RAD = Math.PI / 180;
+
+const getSelectionPosition = (selectedPlanet, getPlanetPosition, { julianDate, sizeScale, distanceScale }) => {
   if (!selectedPlanet) return null;
   
   if (selectedPlanet.isSun) {
     return new Vector3(0, 0, 0);
   }
+
+  // Near-Earth objects move on their own heliocentric orbits
+  if (selectedPlanet.isNeo) {
+    return new Vector3(...getNeoScenePosition(selectedPlanet, julianDate, distanceScale));
+  }
+
+  // Spacecraft follow their reconstructed trajectories; nothing to frame before launch
+  if (selectedPlanet.isMission) {
+    const position = getMissionScenePosition(selectedPlanet, julianDate, distanceScale, sizeScale);
+    return position ? new Vector3(...position) : null;
+  }
   
-  // Handle moon selection
-  if (selectedPlanet.isMoon && selectedPlanet.position) {
-    // Moon position is stored in the selection object
-    return new Vector3(
-      selectedPlanet.position.x,
-      selectedPlanet.position.y,
-      selectedPlanet.position.z
-    );
+  // Moons are published by PlanetsUpdater under their selection key, so they track live
+  // as they orbit and as their parent moves
+  if (selectedPlanet.isMoon) {
+    const moonPosition = getPlanetPosition(getSelectionKey(selectedPlanet));
+    return moonPosition ? moonPosition.clone() : null;
   }
   
   // Handle planet selection
-  const currentPosition = planetPositions?.[selectedPlanet.name];
-  return currentPosition ? new Vector3(...currentPosition) : null;
+  const currentPosition = getPlanetPosition(selectedPlanet.name);
+  return currentPosition ? currentPosition.clone() : null;
 };
 
-const calculateCameraOffset = (planetPosition, selectedPlanet) => {
+const calculateCameraOffset = (planetPosition, selectedPlanet, bodyRadius) => {
   const sunDirection = new Vector3().sub(planetPosition).normalize();
   
-  // For moons, use smaller distance factors since they're smaller
+  // For moons, asteroids, NEOs and spacecraft, use smaller distance factors since they're smaller
   let config;
-  if (selectedPlanet.isMoon) {
+  if (selectedPlanet.isComet) {
+    config = DISTANCE_FACTORS.COMET;
+  } else if (selectedPlanet.isMoon || selectedPlanet.isAsteroid || selectedPlanet.isNeo || selectedPlanet.isMission) {
     config = {
       VERTICAL_OFFSET: 0.3,
       DISTANCE_FACTOR: 8  // Closer zoom for smaller moons
@@ -90,23 +138,149 @@ const calculateCameraOffset = (planetPosition, selectedPlanet) => {
     .multiplyScalar(-1)
     .add(new Vector3(0.3, 0.7, 0.2).normalize().multiplyScalar(config.VERTICAL_OFFSET))
     .normalize()
-    .multiplyScalar(selectedPlanet.radius * config.DISTANCE_FACTOR);
+    .multiplyScalar(bodyRadius * config.DISTANCE_FACTOR);
+};
+
+// Unit vector from a body's centre in its rotating frame: +y is the spin axis,
+// +x the prime meridian (texture centre), and east runs towards -z with the spin
+const getSurfaceDirection = ({ latitude, longitude }) => {
+  const lat = latitude * DEG_TO_RAD;
+  const lon = longitude * DEG_TO_RAD;
+  return new Vector3(Math.cos(lat) * Math.cos(lon), Math.sin(lat), -Math.cos(lat) * Math.sin(lon));
+};
+
+const getSurfaceLocation = (direction) => ({
+  latitude: Math.asin(Math.max(-1, Math.min(1, direction.y))) / DEG_TO_RAD,
+  longitude: Math.atan2(-direction.z, direction.x) / DEG_TO_RAD,
+});
+
+// Local horizon at a surface direction; at the poles any horizontal direction serves as north
+const getHorizonFrame = (up) => {
+  const east = new Vector3(0, 1, 0).cross(up);
+  if (east.lengthSq() < 1e-8) east.set(0, 0, -1);
+  east.normalize();
+  return { up, east, north: new Vector3().crossVectors(up, east) };
+};
+
+// Camera position and orientation in the body's rotating frame
+const getSurfaceCameraPose = (location, { azimuth, elevation }, radius, shape) => {
+  const { up, east, north } = getHorizonFrame(getSurfaceDirection(location));
+  const position = up.clone()
+    .multiply(new Vector3(...(shape ?? [1, 1, 1])))
+    .multiplyScalar(radius)
+    .addScaledVector(up, radius * SURFACE.EYE_HEIGHT);
+
+  const az = azimuth * DEG_TO_RAD;
+  const el = Math.min(elevation, SURFACE.MAX_ELEVATION) * DEG_TO_RAD;
+  const forward = north.clone().multiplyScalar(Math.cos(az))
+    .addScaledVector(east, Math.sin(az))
+    .multiplyScalar(Math.cos(el))
+    .addScaledVector(up, Math.sin(el));
+  const right = forward.clone().cross(up).normalize();
+  const cameraUp = right.clone().cross(forward);
+  const quaternion = new Quaternion().setFromRotationMatrix(
+    new Matrix4().makeBasis(right, cameraUp, forward.clone().negate())
+  );
+
+  return { position, quaternion };
+};
+
+// Azimuth and elevation of a point given in the body's rotating frame, seen from a surface position
+const getLookDirection = (location, eye, point) => {
+  const { up, east, north } = getHorizonFrame(getSurfaceDirection(location));
+  const direction = point.clone().sub(eye).normalize();
+  return {
+    azimuth: Math.atan2(direction.dot(east), direction.dot(north)) / DEG_TO_RAD,
+    elevation: Math.asin(Math.max(-1, Math.min(1, direction.dot(up)))) / DEG_TO_RAD,
+  };
+};
+
+// Sense of a body's spin about its +y axis: planets from their rotation period,
+// tidally locked moons from the direction of their orbit
+const getSpinSign = (body) => {
+  if (body.isMoon) return body.orbitalElements?.inclination > 90 ? -1 : 1;
+  return Math.sign(body.displayStats?.rotationPeriod ?? 1) || 1;
+};
+
+// A point on the morning terminator where the Sun stands just above the horizon
+const getSunriseLocation = (sunDirection, spinSign) => {
+  const dawn = sunDirection.clone().cross(new Vector3(0, spinSign, 0));
+  if (dawn.lengthSq() < 1e-8) return null;
+  const elevation = SURFACE.SUNRISE_ELEVATION * DEG_TO_RAD;
+  dawn.normalize().multiplyScalar(Math.cos(elevation)).addScaledVector(sunDirection, Math.sin(elevation));
+  return getSurfaceLocation(dawn);
+};
+
+// Hands a camera riding on a body back to world space, keeping its pose
+const detachCamera = (camera) => {
+  camera.updateWorldMatrix(true, false);
+  camera.removeFromParent();
+  camera.matrixWorld.decompose(camera.position, camera.quaternion, camera.scale);
+};
+
+// Orbit controls zoom limits around a selection, in body radii
+const getViewDistanceConfig = (selectedPlanet) => {
+  if (selectedPlanet.isSun) return DISTANCE_FACTORS.SUN;
+  if (selectedPlanet.isComet) return DISTANCE_FACTORS.COMET;
+  // Moons, asteroids, NEOs and spacecraft need closer viewing distances
+  if (selectedPlanet.isMoon || selectedPlanet.isAsteroid || selectedPlanet.isNeo || selectedPlanet.isMission) {
+    return { MIN: 1.5, MAX: 15 };
+  }
+  if (selectedPlanet.name === 'Jupiter') return DISTANCE_FACTORS.JUPITER;
+  return DISTANCE_FACTORS.DEFAULT_PLANET;
+};
+
+// Scale the home position with the distance mode so the overview frames the same planets
+const getHomePosition = (distanceScale) => {
+  const scale = getSceneDistance(CAMERA.HOME_DISTANCE_AU, distanceScale) /
+    getSceneDistance(CAMERA.HOME_DISTANCE_AU, 'compressed');
+  return CAMERA.HOME_POSITION.clone().multiplyScalar(scale);
 };
 
 export default function CameraController() {
   useCameraSetup();
 
   // Refs
-  const orbitControlsRef = useRef(null);
   const invisibleTargetRef = useRef(new Vector3());
   const introAnimationCompleted = useRef(false);
+  // Where the current tour keyframe's flight started, captured when a keyframe begins
+  const tourLegRef = useRef({ keyframe: null, progress: 0, position: new Vector3(), target: new Vector3() });
 
   // State and context
   const { camera } = useThree();
   const [selectedPlanet] = useSelectedPlanet();
-  const { planetPositions } = usePlanetPositions();
-  const { cameraState, setCameraState } = useCameraContext();
-  const homePosition = useRef(CAMERA.HOME_POSITION.clone()).current;
+  const { getPlanetPosition, getBodyObject } = usePlanetPositions();
+  const {
+    cameraState,
+    setCameraState,
+    controlsRef: orbitControlsRef,
+    pendingPoseRef,
+    notifyPoseSettled,
+    surfaceLocation,
+    setSurfaceLocation,
+    surfaceViewRef,
+  } = useCameraContext();
+  const { distanceScale, sizeScale } = useSceneSettings();
+  const { julianDateRef } = useSimulationTime();
+  const { keyframe: tourKeyframe, progressRef: tourProgressRef } = useTour();
+  const homePosition = useMemo(() => getHomePosition(distanceScale), [distanceScale]);
+  const bodyRadius = selectedPlanet ? getSceneRadius(selectedPlanet, sizeScale) : 0;
+  const getScaleState = useCallback(
+    () => ({ julianDate: julianDateRef.current, sizeScale, distanceScale }),
+    [julianDateRef, sizeScale, distanceScale]
+  );
+
+  useSurfaceLook(cameraState === 'SURFACE_VIEW', surfaceViewRef);
+
+  // Fly back to the overview when the distance scale changes under a free camera
+  const previousDistanceScale = useRef(distanceScale);
+  useEffect(() => {
+    if (previousDistanceScale.current === distanceScale) return;
+    previousDistanceScale.current = distanceScale;
+    if (cameraState === 'FREE') {
+      setCameraState('MOVING_TO_HOME');
+    }
+  }, [distanceScale, cameraState, setCameraState]);
 
   // Initialize and cleanup orbit controls target
   useEffect(() => {
@@ -121,12 +295,74 @@ export default function CameraController() {
       // Cleanup if needed when component unmounts
       controls.dispose();
     };
-  }, [invisibleTargetRef]);
+  }, [orbitControlsRef, invisibleTargetRef]);
+
+  // Let pose observers (e.g. the URL) know when the user stops moving the camera
+  useEffect(() => {
+    const controls = orbitControlsRef.current;
+    if (!controls) return;
+
+    controls.addEventListener('end', notifyPoseSettled);
+    return () => controls.removeEventListener('end', notifyPoseSettled);
+  }, [orbitControlsRef, notifyPoseSettled]);
+
+  // Apply a requested pose ({ selectionKey, target, offset }) once its selection is current
+  const applyPendingPose = useCallback((controls) => {
+    const pose = pendingPoseRef.current;
+    if (!pose || pose.selectionKey !== getSelectionKey(selectedPlanet)) return false;
+
+    const target = selectedPlanet
+      ? getSelectionPosition(selectedPlanet, getPlanetPosition, getScaleState())
+      : new Vector3(...(pose.target ?? [0, 0, 0]));
+    if (!target) return false;
+
+    pendingPoseRef.current = null;
+    introAnimationCompleted.current = true;
+    if (camera.parent) detachCamera(camera);
+    invisibleTargetRef.current.copy(target);
+    controls.target.copy(target);
+    camera.position.copy(target).add(new Vector3(...pose.offset));
+    camera.lookAt(target);
+    controls.update();
+    setCameraState(selectedPlanet ? 'DETAIL_VIEW' : 'FREE');
+    return true;
+  }, [camera, pendingPoseRef, selectedPlanet, getPlanetPosition, getScaleState, setCameraState]);
+
+  // Turn a surface view aim request into a look direction (and, for presets, a new location)
+  const resolveSurfaceAim = useCallback((object) => {
+    const view = surfaceViewRef.current;
+    if (!view.aim) return;
+    const aim = view.aim;
+    view.aim = null;
+
+    object.updateWorldMatrix(true, false);
+    const sun = object.worldToLocal(new Vector3(0, 0, 0));
+    const parentPosition = selectedPlanet.isMoon && getPlanetPosition(selectedPlanet.parentPlanet);
+    const parent = parentPosition && object.worldToLocal(parentPosition.clone());
+
+    let location = surfaceLocation;
+    if (aim === 'sunrise') {
+      location = getSunriseLocation(sun.clone().normalize(), getSpinSign(selectedPlanet)) ?? location;
+    } else if (aim === 'parent') {
+      location = { latitude: 0, longitude: SURFACE.PARENT_VIEW_LONGITUDE };
+    }
+    if (location !== surfaceLocation) setSurfaceLocation(location);
+
+    const target = aim === 'parent' ? parent : sun;
+    if (!target) return;
+    const { position } = getSurfaceCameraPose(location, view, bodyRadius, selectedPlanet.shape);
+    Object.assign(view, getLookDirection(location, position, target));
+  }, [surfaceViewRef, selectedPlanet, getPlanetPosition, surfaceLocation, setSurfaceLocation, bodyRadius]);
 
   // Handle camera state changes
   const updateCameraState = useCallback((state, controls) => {
     if (!controls) return;
 
+    // Only the surface view rides on a body
+    if (state !== 'SURFACE_VIEW' && camera.parent) {
+      detachCamera(camera);
+    }
+
     switch (state) {
       case 'FREE':
         controls.enabled = true;
@@ -137,33 +373,82 @@ export default function CameraController() {
       case 'DETAIL_VIEW':
         if (!selectedPlanet) return;
         
-        const planetPos = getPlanetPosition(selectedPlanet, planetPositions);
+        const planetPos = getSelectionPosition(selectedPlanet, getPlanetPosition, getScaleState());
         if (!planetPos) return;
         
         controls.enabled = true;
         controls.target.copy(planetPos);
         
-        // Determine distance factors based on celestial body type
-        let distanceConfig;
-        if (selectedPlanet.isSun) {
-          distanceConfig = DISTANCE_FACTORS.SUN;
-        } else if (selectedPlanet.isMoon) {
-          // Moons need closer viewing distances
-          distanceConfig = {
-            MIN: 1.5,
-            MAX: 15
-          };
-        } else if (selectedPlanet.name === 'Jupiter') {
-          distanceConfig = DISTANCE_FACTORS.JUPITER;
-        } else {
-          distanceConfig = DISTANCE_FACTORS.DEFAULT_PLANET;
-        }
-            
-        controls.minDistance = selectedPlanet.radius * distanceConfig.MIN;
-        controls.maxDistance = selectedPlanet.radius * distanceConfig.MAX;
+        const distanceConfig = getViewDistanceConfig(selectedPlanet);
+        controls.minDistance = bodyRadius * distanceConfig.MIN;
+        controls.maxDistance = bodyRadius * distanceConfig.MAX;
         controls.update();
         break;
 
+      case 'FOLLOW': {
+        if (!selectedPlanet) return;
+
+        const followPos = getSelectionPosition(selectedPlanet, getPlanetPosition, getScaleState());
+        if (!followPos) return;
+
+        // Carry the camera along with the body so the user's orbit and zoom are kept
+        controls.enabled = true;
+        camera.position.add(followPos.clone().sub(controls.target));
+        controls.target.copy(followPos);
+        invisibleTargetRef.current.copy(followPos);
+
+        const followConfig = getViewDistanceConfig(selectedPlanet);
+        controls.minDistance = bodyRadius * followConfig.MIN;
+        controls.maxDistance = bodyRadius * followConfig.MAX;
+        controls.update();
+        break;
+      }
+
+      case 'SURFACE_VIEW': {
+        const object = selectedPlanet && getBodyObject(getSelectionKey(selectedPlanet));
+        if (!object) {
+          setCameraState('ZOOMING_IN');
+          return;
+        }
+
+        // Riding on the rotating mesh picks up the body's orbit, tilt and spin at render time
+        controls.enabled = false;
+        if (camera.parent !== object) object.add(camera);
+        resolveSurfaceAim(object);
+
+        const pose = getSurfaceCameraPose(surfaceLocation, surfaceViewRef.current, bodyRadius, selectedPlanet.shape);
+        camera.position.copy(pose.position);
+        camera.quaternion.copy(pose.quaternion);
+        break;
+      }
+
+      case 'TOUR': {
+        if (!tourKeyframe || !selectedPlanet) return;
+
+        const bodyPos = getSelectionPosition(selectedPlanet, getPlanetPosition, getScaleState());
+        if (!bodyPos) return;
+
+        // A new keyframe (or a restarted one) flies from wherever the camera is now
+        const leg = tourLegRef.current;
+        const progress = tourProgressRef.current;
+        if (leg.keyframe !== tourKeyframe || progress < leg.progress) {
+          leg.keyframe = tourKeyframe;
+          leg.position.copy(camera.position);
+          leg.target.copy(invisibleTargetRef.current);
+        }
+        leg.progress = progress;
+
+        // Offsets are in body radii; once arrived the camera rides along with the body
+        controls.enabled = false;
+        const t = EASINGS[tourKeyframe.easing](Math.min(1, progress / tourKeyframe.duration));
+        const tourPosition = bodyPos.clone().add(new Vector3(...tourKeyframe.offset).multiplyScalar(bodyRadius));
+        camera.position.lerpVectors(leg.position, tourPosition, t);
+        invisibleTargetRef.current.lerpVectors(leg.target, bodyPos, t);
+        controls.target.copy(invisibleTargetRef.current);
+        camera.lookAt(invisibleTargetRef.current);
+        break;
+      }
+
       case 'INTRO_ANIMATION':
         if (!introAnimationCompleted.current) {
           controls.enabled = false;
@@ -198,7 +483,7 @@ export default function CameraController() {
       case 'ZOOMING_IN':
         if (!selectedPlanet) return;
         
-        const position = getPlanetPosition(selectedPlanet, planetPositions);
+        const position = getSelectionPosition(selectedPlanet, getPlanetPosition, getScaleState());
         if (!position) return;
         
         controls.enabled = false;
@@ -208,23 +493,26 @@ export default function CameraController() {
         if (selectedPlanet.isSun) {
           targetPosition = position.clone().add(
             DISTANCE_FACTORS.SUN.OFFSET.clone()
-              .multiplyScalar(selectedPlanet.radius * DISTANCE_FACTORS.SUN.SCALE)
+              .multiplyScalar(bodyRadius * DISTANCE_FACTORS.SUN.SCALE)
           );
         } else {
-          const offset = calculateCameraOffset(position, selectedPlanet);
+          const offset = calculateCameraOffset(position, selectedPlanet, bodyRadius);
           targetPosition = position.clone().add(offset);
         }
         
         // Smooth camera movement
-        camera.position.lerp(targetPosition, CAMERA.LERP_FACTOR);
+        const approachLerp = camera.position.distanceTo(targetPosition) > bodyRadius * CAMERA.FAST_APPROACH_RADII
+          ? CAMERA.FAST_LERP_FACTOR
+          : CAMERA.LERP_FACTOR;
+        camera.position.lerp(targetPosition, approachLerp);
         invisibleTargetRef.current.lerp(position, CAMERA.FAST_LERP_FACTOR);
         camera.lookAt(invisibleTargetRef.current);
         
         // Check if we've reached the target
         const reachedPosition = camera.position.distanceTo(targetPosition) < 
-          selectedPlanet.radius * CAMERA.POSITION_EPSILON;
+          bodyRadius * CAMERA.POSITION_EPSILON;
         const reachedLookAt = invisibleTargetRef.current.distanceTo(position) < 
-          selectedPlanet.radius * CAMERA.POSITION_EPSILON;
+          bodyRadius * CAMERA.POSITION_EPSILON;
         
         if (reachedPosition && reachedLookAt) {
           controls.target.copy(invisibleTargetRef.current);
@@ -233,13 +521,42 @@ export default function CameraController() {
         }
         break;
     }
-  }, [camera, homePosition, planetPositions, selectedPlanet, setCameraState]);
+  }, [
+    camera,
+    homePosition,
+    getPlanetPosition,
+    getBodyObject,
+    getScaleState,
+    selectedPlanet,
+    bodyRadius,
+    setCameraState,
+    surfaceLocation,
+    surfaceViewRef,
+    resolveSurfaceAim,
+    tourKeyframe,
+    tourProgressRef,
+  ]);
 
   // Main animation loop
   useFrame(() => {
     const controls = orbitControlsRef.current;
     if (controls) {
-      updateCameraState(cameraState, controls);
+      // Skip this frame's state update: cameraState only catches up on the next render
+      if (!applyPendingPose(controls)) {
+        updateCameraState(cameraState, controls);
+      }
+
+      // Keep the near plane proportional to the viewing distance so true-scale bodies aren't clipped
+      const near = cameraState === 'SURFACE_VIEW'
+        ? bodyRadius * SURFACE.NEAR_PLANE
+        : Math.min(
+          CAMERA.MAX_NEAR_PLANE,
+          camera.position.distanceTo(controls.target) * CAMERA.NEAR_PLANE_FACTOR
+        );
+      if (near > 0 && Math.abs(near - camera.near) > camera.near * 0.1) {
+        camera.near = near;
+        camera.updateProjectionMatrix();
+      }
     }
   });
 
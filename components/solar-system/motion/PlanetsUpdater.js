@@ -1,58 +1,41 @@
-// PlanetsUpdater.js - Enhanced with realistic orbital mechanics
+// PlanetsUpdater.js - Keplerian orbital mechanics driven by a simulated date
 'use client';
-import { useRef } from "react";
 import { useFrame } from "@react-three/fiber";
-import { useSpeedControl } from "../contexts/SpeedControlContext";
-
-const ORBIT_SPEED_FACTOR = 50;
-
-export default function PlanetsUpdater({
-  setPlanetOrbitProgress,
-  planets,
-}) {
-  const { speedFactor } = useSpeedControl();
-  const lastElapsedTimeRef = useRef(0);
-
-  useFrame(({ clock }) => {
-    const elapsedTime = clock.getElapsedTime();
-    const deltaTime = elapsedTime - lastElapsedTimeRef.current;
-    lastElapsedTimeRef.current = elapsedTime;
-
-    // Optimize state update - only create new object if values actually changed
-    setPlanetOrbitProgress((prevOrbitProgress) => {
-      const nextProgress = { ...prevOrbitProgress };
-      let hasChanges = false;
-
-      planets.forEach((planet) => {
-        // Skip Sun as it doesn't orbit
-        if (planet.isSun) {
-          if (nextProgress[planet.name] !== 0) {
-            nextProgress[planet.name] = 0;
-            hasChanges = true;
-          }
-          return;
-        }
-
-        // Kepler's laws: orbital speed decreases with distance from Sun
-        const distanceFromSun = Array.isArray(planet.position) ? planet.position[0] : planet.position.x;
-        const keplerFactor = Math.sqrt(1 / Math.pow(distanceFromSun, 3));
-        
-        const orbitSpeedRadians =
-          ((planet.orbitSpeed * ORBIT_SPEED_FACTOR * keplerFactor) / 360) *
-          (2 * Math.PI) *
-          speedFactor;
-          
-        const newValue = (prevOrbitProgress[planet.name] || 0) + orbitSpeedRadians * deltaTime;
-        
-        // Only update if value actually changed (avoid unnecessary re-renders)
-        if (nextProgress[planet.name] !== newValue) {
-          nextProgress[planet.name] = newValue;
-          hasChanges = true;
-        }
+import { useSimulationTime } from "../contexts/SimulationTimeContext";
+import { useSceneSettings } from "../contexts/SceneSettingsContext";
+import { usePlanetPositions } from "../contexts/PlanetPositionsContext";
+import { getHeliocentricPosition, toScenePosition, getMoonSceneOffset } from "../lib/ephemeris";
+import { getMoonOrbitRadius } from "../lib/scale";
+import { getSelectionKey } from "../lib/bodyLookup";
+
+// Rendered before the bodies in the Canvas so its frame callback runs first
+// and every reader sees this frame's positions
+export default function PlanetsUpdater({ planets }) {
+  const { julianDateRef } = useSimulationTime();
+  const { distanceScale, sizeScale } = useSceneSettings();
+  const { setPlanetPosition } = usePlanetPositions();
+
+  useFrame(() => {
+    const julianDate = julianDateRef.current;
+
+    planets.forEach((planet) => {
+      // Sun stays at the origin
+      if (!planet.orbitalElements) {
+        setPlanetPosition(planet.name, [0, 0, 0]);
+        return;
+      }
+
+      const heliocentric = getHeliocentricPosition(planet.orbitalElements, julianDate);
+      const [x, y, z] = toScenePosition(heliocentric, planet, distanceScale);
+      setPlanetPosition(planet.name, [x, y, z]);
+
+      // Moons in world space under their selection key ("Jupiter/Io"), matching where Moons draws them
+      planet.moons?.forEach((moon) => {
+        const orbitRadius = getMoonOrbitRadius(moon, planet, sizeScale);
+        const [dx, dy, dz] = getMoonSceneOffset(moon, julianDate, orbitRadius, planet.tilt);
+        const key = getSelectionKey({ isMoon: true, name: moon.name, parentPlanet: planet.name });
+        setPlanetPosition(key, [x + dx, y + dy, z + dz]);
       });
-
-      // Return previous state if nothing changed
-      return hasChanges ? nextProgress : prevOrbitProgress;
     });
   });
 
@@ -0,0 +1,20 @@
+// SimulationClock.js - Advances the simulated date every frame
+'use client';
+import { useFrame } from "@react-three/fiber";
+import { useSimulationTime } from "../contexts/SimulationTimeContext";
+import { useSpeedControl } from "../contexts/SpeedControlContext";
+
+// Clamp long frames (e.g. after a background tab) so the sky doesn't jump
+const MAX_FRAME_DELTA = 0.1;
+
+export default function SimulationClock() {
+  const { julianDateRef, isPlaying, rate } = useSimulationTime();
+  const { speedFactor } = useSpeedControl();
+
+  useFrame((state, delta) => {
+    if (!isPlaying) return;
+    julianDateRef.current += Math.min(delta, MAX_FRAME_DELTA) * rate * speedFactor;
+  });
+
+  return null;
+}
@@ -0,0 +1,22 @@
+// TourDirector.js - Times the keyframes of a running guided tour
+'use client';
+import { useFrame } from "@react-three/fiber";
+import { useTour } from "../contexts/TourContext";
+import { getKeyframeLength } from "../lib/tours";
+
+// Clamp long frames (e.g. after a background tab) so keyframes aren't skipped
+const MAX_FRAME_DELTA = 0.1;
+
+export default function TourDirector() {
+  const { keyframe, isPaused, progressRef, nextKeyframe } = useTour();
+
+  useFrame((state, delta) => {
+    if (!keyframe || isPaused) return;
+    progressRef.current += Math.min(delta, MAX_FRAME_DELTA);
+    if (progressRef.current >= getKeyframeLength(keyframe)) {
+      nextKeyframe();
+    }
+  });
+
+  return null;
+}
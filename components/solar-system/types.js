@@ -9,7 +9,7 @@
  * @property {number} mass
  * @property {number} surfaceGravity
  * @property {number} rotationPeriod
- * @property {number} axialTilt
+ * @property {number|null} axialTilt
  * @property {number} numberOfMoons
  * @property {string} atmosphericComposition
  * @property {string} surfaceTemp
@@ -26,6 +26,18 @@
  * @property {[number, number]} size
  */
 
+/**
+ * @typedef {Object} OrbitalElements
+ * @property {number} semiMajorAxis - AU
+ * @property {number} eccentricity
+ * @property {number} inclination - degrees
+ * @property {number} longitudeOfAscendingNode - degrees
+ * @property {number} argumentOfPerihelion - degrees
+ * @property {number} meanAnomaly - degrees at epoch
+ * @property {number} [meanMotion] - degrees per day
+ * @property {number} [epoch] - Julian date, defaults to J2000
+ */
+
 /**
  * @typedef {Object} PlanetData
  * @property {number} id
@@ -35,7 +47,7 @@
  * @property {number} radius
  * @property {number} rotationSpeed
  * @property {number} tilt
- * @property {number} orbitSpeed
+ * @property {OrbitalElements|null} orbitalElements
  * @property {MoonData[]} moons
  * @property {boolean} [wobble]
  * @property {RingsData} [rings]
@@ -1,4 +1,4 @@
-import { Vector3, Mesh } from 'three';
+import { Vector3, Mesh, Object3D } from 'three';
 
 /**
  * Display statistics for celestial bodies
@@ -11,7 +11,7 @@ export interface DisplayStats {
   mass: number;
   surfaceGravity: number;
   rotationPeriod: number;
-  axialTilt: number;
+  axialTilt: number | null; // null where no rotation pole has been measured
   numberOfMoons: number;
   atmosphericComposition: string;
   surfaceTemp: string;
@@ -27,12 +27,27 @@ export interface MoonData {
   name: string;
   radius?: number;
   orbitRadius?: number;
-  orbitSpeed?: number;
+  accurateRadius?: number; // km
+  orbitalElements: MoonOrbitalElements;
   color?: string;
   surfaceDetail?: string;
   texture?: string;
 }
 
+/**
+ * Circular moon orbit, relative to the parent's equator unless referencePlane is 'ecliptic'
+ */
+export interface MoonOrbitalElements {
+  semiMajorAxis: number; // km
+  period: number; // days
+  inclination: number; // degrees, > 90 for retrograde orbits
+  longitudeOfAscendingNode?: number; // degrees
+  nodeRate?: number; // degrees per day
+  meanLongitude: number; // degrees at epoch
+  epoch?: number; // Julian date, defaults to J2000
+  referencePlane?: 'equator' | 'ecliptic';
+}
+
 /**
  * Ring system data
  */
@@ -57,6 +72,20 @@ export interface Effects {
   rings?: boolean;
 }
 
+/**
+ * Classical Keplerian orbital elements (heliocentric ecliptic J2000)
+ */
+export interface OrbitalElements {
+  semiMajorAxis: number; // AU
+  eccentricity: number;
+  inclination: number; // degrees
+  longitudeOfAscendingNode: number; // degrees
+  argumentOfPerihelion: number; // degrees
+  meanAnomaly: number; // degrees at epoch
+  meanMotion?: number; // degrees per day
+  epoch?: number; // Julian date, defaults to J2000
+}
+
 /**
  * Planet data structure
  */
@@ -68,17 +97,51 @@ export interface PlanetData {
   radius: number;
   rotationSpeed: number;
   tilt: number;
-  orbitSpeed: number;
+  orbitalElements: OrbitalElements | null;
   displayStats: DisplayStats;
   moons: MoonData[];
   wobble?: boolean;
   rings?: RingsData;
   isSun?: boolean;
+  isDwarfPlanet?: boolean;
+  shape?: [number, number, number]; // mesh scale for non-spherical bodies
   effects?: Effects;
   color?: string;
   emissive?: string;
 }
 
+/**
+ * Named main-belt asteroid (see lib/asteroidsData.js)
+ * Positioned by PlanetsUpdater like the planets, but without a compressed-layout anchor
+ */
+export interface AsteroidData {
+  id: number;
+  name: string;
+  radius: number;
+  accurateRadius: number; // km
+  color: string;
+  isAsteroid: true;
+  orbitalElements: OrbitalElements;
+  displayStats: DisplayStats;
+}
+
+/**
+ * Comet with a dynamic coma and tails (see lib/cometsData.js and lib/comets.js)
+ * Positioned by PlanetsUpdater like the named asteroids
+ */
+export interface CometData {
+  id: number;
+  name: string;
+  designation: string; // e.g. "1P/Halley"
+  radius: number;
+  accurateRadius: number; // km
+  color: string;
+  isComet: true;
+  tailLength: number; // scene units at full activity
+  orbitalElements: OrbitalElements;
+  displayStats: DisplayStats;
+}
+
 /**
  * Moon selection with parent planet context
  */
@@ -86,13 +149,73 @@ export interface MoonSelection extends MoonData {
   isMoon: true;
   parentPlanet: string;
   parentPlanetData?: PlanetData;
-  position?: { x: number; y: number; z: number };
+}
+
+/**
+ * Close approach of a near-Earth object to Earth
+ */
+export interface NeoCloseApproach {
+  date: string; // ISO timestamp
+  julianDate?: number;
+  missDistanceKm: number;
+  missDistanceLunar: number;
+  missDistanceAU: number;
+  relativeVelocityKmS: number;
+}
+
+/**
+ * Near-Earth object selection built from the NEO feed and lookup (see lib/neo.js)
+ */
+export interface NeoSelection {
+  id: string;
+  name: string;
+  isNeo: true;
+  isPotentiallyHazardous: boolean;
+  diameterKm: number | null;
+  accurateRadius: number; // km
+  radius: number; // compressed scene radius
+  nasaJplUrl?: string;
+  orbitClass?: string | null;
+  orbitalElements: OrbitalElements;
+  closeApproach: NeoCloseApproach;
+}
+
+/**
+ * Trajectory waypoint of a spacecraft mission (see lib/missionsData.js)
+ * Either a planet encounter or a deep-space fix in heliocentric ecliptic coordinates
+ */
+export interface MissionWaypoint {
+  date: string; // ISO date
+  body?: string;
+  until?: string; // ISO date the craft leaves the body
+  orbit?: { perihelionAU: number; periodDays: number };
+  longitude?: number; // degrees
+  latitude?: number; // degrees
+  distanceAU?: number;
+}
+
+/**
+ * Spacecraft mission selection (see lib/missions.js)
+ */
+export interface MissionSelection {
+  id: string;
+  name: string;
+  agency: string;
+  color: string;
+  launchDate: string; // ISO date
+  endDate: string | null;
+  status: string;
+  description: string;
+  highlights: string[];
+  trajectory: MissionWaypoint[];
+  isMission: true;
+  radius: number; // marker scene radius
 }
 
 /**
  * Union type for celestial body selection
  */
-export type CelestialSelection = PlanetData | MoonSelection | null;
+export type CelestialSelection = PlanetData | AsteroidData | CometData | MoonSelection | NeoSelection | MissionSelection | null;
 
 /**
  * Camera state machine
@@ -102,6 +225,9 @@ export type CameraState =
   | 'FREE' 
   | 'ZOOMING_IN' 
   | 'DETAIL_VIEW' 
+  | 'FOLLOW'
+  | 'SURFACE_VIEW'
+  | 'TOUR'
   | 'MOVING_TO_HOME';
 
 /**
@@ -109,25 +235,164 @@ export type CameraState =
  */
 export interface SpeedControlContextType {
   speedFactor: number;
+  lastSpeedFactor: number; // restored by restoreSpeedFactor
   setSpeedFactor: (value: number) => void;
-  overrideSpeedFactor: () => void;
+  overrideSpeedFactor: (restoreValue?: number) => void;
   restoreSpeedFactor: () => void;
 }
 
+/**
+ * Simulation time context type
+ */
+export interface SimulationTimeContextType {
+  julianDateRef: { current: number };
+  setDate: (date: Date | number) => void;
+  getDate: () => Date;
+  dateRevision: number; // bumped by setDate
+  isPlaying: boolean;
+  play: () => void;
+  pause: () => void;
+  rate: number; // simulated days per real second at 1x speed
+  setRate: (rate: number) => void;
+}
+
+/**
+ * Scale mode for distances or sizes
+ */
+export type ScaleMode = 'compressed' | 'logarithmic' | 'true';
+
+/**
+ * Scene settings context type
+ */
+export interface SceneSettingsContextType {
+  showOrbits: boolean;
+  showOrbitMarkers: boolean;
+  showTraversedArc: boolean;
+  showLabels: boolean;
+  distanceScale: ScaleMode;
+  sizeScale: ScaleMode;
+  setSetting: (key: string, value: boolean | ScaleMode) => void;
+  toggleSetting: (key: string) => void;
+}
+
 /**
  * Camera context type
  */
 export interface CameraContextType {
   cameraState: CameraState;
   setCameraState: (state: CameraState) => void;
+  controlsRef: { current: { target: Vector3; object: { position: Vector3 } } | null };
+  pendingPoseRef: { current: CameraPose | null };
+  poseRevision: number; // bumped when the user stops moving the camera
+  notifyPoseSettled: () => void;
+  surfaceLocation: SurfaceLocation;
+  setSurfaceLocation: (location: SurfaceLocation) => void;
+  surfaceViewRef: { current: SurfaceViewDirection };
+}
+
+/**
+ * Where the surface view stands on the selected body
+ */
+export interface SurfaceLocation {
+  latitude: number; // degrees
+  longitude: number; // degrees east of the prime meridian
+}
+
+/**
+ * Surface view look direction, with an optional aim request resolved by the camera
+ */
+export interface SurfaceViewDirection {
+  azimuth: number; // degrees from north through east
+  elevation: number; // degrees above the horizon
+  aim: 'sun' | 'parent' | 'sunrise' | null;
+}
+
+/**
+ * Camera pose to restore, e.g. from a shared URL
+ */
+export interface CameraPose {
+  selectionKey: string | null; // "Saturn", "Saturn/Titan", or null for the free camera
+  target?: [number, number, number] | null; // free camera only; bodies are their own target
+  offset: [number, number, number]; // camera position relative to the target
+}
+
+/**
+ * Guided tour keyframe (see tourKeyframeSchema in lib/validation.ts)
+ */
+export interface TourKeyframe {
+  body: string;
+  moon?: string;
+  offset: [number, number, number]; // camera position relative to the body, in body radii
+  date?: string; // YYYY-MM-DD simulation date to jump to
+  speed?: number; // speed factor while the keyframe plays
+  duration: number; // seconds spent flying to the offset
+  hold: number; // seconds spent there afterwards
+  easing: 'linear' | 'easeIn' | 'easeOut' | 'easeInOut';
+  caption: string;
+  narration?: string;
+}
+
+/**
+ * Guided tour (public/tours/<id>.json)
+ */
+export interface Tour {
+  id: string;
+  title: string;
+  description?: string;
+  keyframes: TourKeyframe[];
+}
+
+/**
+ * Tour context type
+ */
+export interface TourContextType {
+  tour: Tour | null;
+  keyframeIndex: number;
+  keyframe: TourKeyframe | null;
+  isPaused: boolean;
+  progressRef: { current: number }; // seconds into the current keyframe
+  startTour: (tour: Tour) => void;
+  stopTour: () => void;
+  togglePause: () => void;
+  nextKeyframe: () => void;
+  previousKeyframe: () => void;
+}
+
+/**
+ * Named keyboard action (see lib/keymap.js)
+ */
+export interface KeymapAction {
+  id: string; // e.g. "follow" or "select:Mars"
+  category: string;
+  label: string;
+  body?: string; // planetsData name for body shortcuts
+  defaultKeys: string[]; // KeyboardEvent.code values
+}
+
+/**
+ * Keymap context type
+ */
+export interface KeymapContextType {
+  actions: KeymapAction[];
+  keymap: Record<string, string[]>; // keys by action id, overrides applied
+  overrides: Record<string, string[]>; // user changes, saved in localStorage
+  conflicts: Record<string, string[]>; // action ids by key bound more than once
+  bindKey: (actionId: string, code: string) => void;
+  resetBinding: (actionId: string) => void;
+  resetAllBindings: () => void;
+  getKeyLabel: (code: string) => string;
+  isHelpOpen: boolean;
+  setHelpOpen: (open: boolean) => void;
 }
 
 /**
  * Planet positions context type
  */
 export interface PlanetPositionsContextType {
-  planetPositions: Record<string, [number, number, number]>;
+  getPlanetPosition: (name: string) => Vector3 | undefined; // live, mutated every frame
   setPlanetPosition: (name: string, position: [number, number, number]) => void;
+  getBodyObject: (key: string) => Object3D | undefined; // rotating mesh, by selection key
+  setBodyObject: (key: string, object: Object3D | null) => void;
 }
 
 /**
@@ -138,6 +403,15 @@ export interface SelectedPlanetContextType {
   setSelectedPlanet: (planet: CelestialSelection) => void;
 }
 
+/**
+ * Hovered body context type
+ */
+export interface HoveredBodyContextType {
+  hoveredBody: CelestialSelection;
+  hoverBody: (body: CelestialSelection) => void;
+  unhoverBody: (body: CelestialSelection) => void; // no-op if another body took over the hover
+}
+
 /**
  * Component props types
  */
@@ -147,7 +421,6 @@ export interface PlanetProps {
   texturePath: string;
   position: Vector3;
   radius: number;
-  orbitProgress: number;
   tilt: number;
   rotationSpeed: number;
   rings?: RingsData;
@@ -160,7 +433,6 @@ export interface MoonProps {
   parentPlanet: string;
   radius: number;
   orbitRadius: number;
-  orbitSpeed: number;
   texture?: string;
   color?: string;
 }
@@ -213,6 +485,7 @@ export interface NEOResponse {
   near_earth_objects: Record<string, Array<{
     id: string;
     name: string;
+    nasa_jpl_url: string;
     absolute_magnitude_h: number;
     estimated_diameter: {
       kilometers: {
@@ -223,16 +496,35 @@ export interface NEOResponse {
     is_potentially_hazardous_asteroid: boolean;
     close_approach_data: Array<{
       close_approach_date: string;
+      epoch_date_close_approach: number;
       relative_velocity: {
+        kilometers_per_second: string;
         kilometers_per_hour: string;
       };
       miss_distance: {
+        astronomical: string;
+        lunar: string;
         kilometers: string;
       };
+      orbiting_body: string;
     }>;
   }>>;
 }
 
+/**
+ * Normalised NeoWs lookup returned by /api/nasa/neo/[id]
+ */
+export interface NEOLookupResponse {
+  id: string;
+  name: string;
+  nasaJplUrl: string;
+  isPotentiallyHazardous: boolean;
+  estimatedDiameterKm: { min: number; max: number } | null;
+  orbitClass: string | null;
+  orbitalElements: Required<OrbitalElements> | null;
+  closeApproaches: Array<Omit<NeoCloseApproach, 'julianDate'>>;
+}
+
 /**
  * Texture loading types
  */
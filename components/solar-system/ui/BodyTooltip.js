@@ -0,0 +1,84 @@
+// BodyTooltip.js - Name, kind and live distances of the body under the pointer
+'use client';
+import { useEffect, useLayoutEffect, useRef, useCallback } from 'react';
+import { useHoveredBody } from '../contexts/HoveredBodyContext';
+import { useCameraContext } from '../contexts/CameraContext';
+import { useSimulationDate } from '../contexts/SimulationTimeContext';
+import { getBodyKind } from '../lib/bodyLookup';
+import { getBodyDistances, formatDistance } from '../lib/labels';
+
+// Gap between the pointer and the tooltip (px)
+const POINTER_OFFSET = 14;
+
+const BodyTooltip = () => {
+  const { hoveredBody } = useHoveredBody();
+  const { cameraState } = useCameraContext();
+  // Distances only need to follow the clock loosely
+  const julianDate = useSimulationDate(500);
+  const tooltipRef = useRef(null);
+  const pointerRef = useRef({ x: 0, y: 0, isTouch: false });
+
+  // Beside the pointer, flipped to the other side near the window edges
+  const placeTooltip = useCallback(() => {
+    const tooltip = tooltipRef.current;
+    if (!tooltip) return;
+
+    const { x, y } = pointerRef.current;
+    const left = x + POINTER_OFFSET + tooltip.offsetWidth > window.innerWidth
+      ? x - POINTER_OFFSET - tooltip.offsetWidth
+      : x + POINTER_OFFSET;
+    const top = y + POINTER_OFFSET + tooltip.offsetHeight > window.innerHeight
+      ? y - POINTER_OFFSET - tooltip.offsetHeight
+      : y + POINTER_OFFSET;
+    tooltip.style.transform = `translate3d(${left}px, ${top}px, 0)`;
+  }, []);
+
+  // Moves with the pointer directly, without re-rendering on every move
+  useEffect(() => {
+    const handlePointerMove = (event) => {
+      pointerRef.current = { x: event.clientX, y: event.clientY, isTouch: event.pointerType === 'touch' };
+      placeTooltip();
+    };
+
+    window.addEventListener('pointermove', handlePointerMove);
+    return () => window.removeEventListener('pointermove', handlePointerMove);
+  }, [placeTooltip]);
+
+  // Taps select bodies rather than hover them, so touch gets no tooltip
+  const shouldDisplay = hoveredBody && cameraState !== 'INTRO_ANIMATION' && !pointerRef.current.isTouch;
+
+  useLayoutEffect(() => {
+    if (shouldDisplay) placeTooltip();
+  }, [shouldDisplay, hoveredBody, placeTooltip]);
+
+  if (!shouldDisplay) return null;
+
+  const distances = getBodyDistances(hoveredBody, julianDate);
+
+  return (
+    <div
+      ref={tooltipRef}
+      role="tooltip"
+      className="fixed top-0 left-0 z-40 pointer-events-none select-none
+                 bg-black/85 backdrop-blur-md rounded-lg border border-white/20
+                 px-3 py-2 text-xs text-white shadow-lg"
+    >
+      <div className="font-semibold text-sm">{hoveredBody.name}</div>
+      <div className="text-white/60 mb-1">{getBodyKind(hoveredBody)}</div>
+      {distances ? (
+        <>
+          {!hoveredBody.isSun && (
+            <div><span className="text-white/60">From the Sun:</span> {formatDistance(distances.fromSun)}</div>
+          )}
+          {distances.fromEarth !== null && (
+            <div><span className="text-white/60">From Earth:</span> {formatDistance(distances.fromEarth)}</div>
+          )}
+        </>
+      ) : (
+        <div className="text-white/60">Not in flight on this date</div>
+      )}
+    </div>
+  );
+};
+
+export default BodyTooltip;
@@ -0,0 +1,61 @@
+// CometOrbit.js - Orbit and activity of a selected comet, shown with its details
+'use client';
+import { useSimulationTime, useSimulationDate } from '../contexts/SimulationTimeContext';
+import { getApsides, getOrbitalPeriod, getHeliocentricPosition, dateFromJulianDate } from '../lib/ephemeris';
+import { getCometActivity, getNextPerihelion } from '../lib/comets';
+import { formatSimulationDate } from '../utils/timeFormat';
+
+const DAYS_PER_YEAR = 365.25;
+
+const formatNumber = (value, maximumFractionDigits = 0) =>
+  value.toLocaleString('en-US', { maximumFractionDigits });
+
+const CometOrbit = ({ comet }) => {
+  const { setDate } = useSimulationTime();
+  // Distance and activity only need to follow the clock loosely
+  const julianDate = useSimulationDate(1000);
+
+  const elements = comet.orbitalElements;
+  const { perihelion, aphelion } = getApsides(elements);
+  const period = getOrbitalPeriod(elements);
+  const nextPerihelion = getNextPerihelion(elements, julianDate);
+  // The last passage is always in recorded history, unlike Hale-Bopp's next one
+  const lastPerihelion = nextPerihelion - period;
+  const { x, y, z } = getHeliocentricPosition(elements, julianDate);
+  const distanceAU = Math.sqrt(x * x + y * y + z * z);
+  const activity = getCometActivity(distanceAU);
+
+  return (
+    <div className='mt-3 p-3 bg-gray-800 bg-opacity-50 rounded-lg'>
+      <h5 className='text-sm font-semibold text-blue-300 mb-2'>Orbit</h5>
+      <ul className='text-xs space-y-1'>
+        <li><span className='font-semibold'>Perihelion:</span> {formatNumber(perihelion, 3)} AU</li>
+        <li><span className='font-semibold'>Aphelion:</span> {formatNumber(aphelion, 1)} AU</li>
+        <li><span className='font-semibold'>Eccentricity:</span> {formatNumber(elements.eccentricity, 4)}</li>
+        <li><span className='font-semibold'>Inclination:</span> {formatNumber(elements.inclination, 1)}°</li>
+        <li><span className='font-semibold'>Period:</span> {formatNumber(period / DAYS_PER_YEAR, 1)} years</li>
+        <li><span className='font-semibold'>Distance from Sun:</span> {formatNumber(distanceAU, 2)} AU</li>
+        <li>
+          <span className='font-semibold'>Activity:</span>{' '}
+          {activity > 0 ? `Active, tails at ${formatNumber(activity * 100)}% of full length` : 'Dormant, no coma or tails'}
+        </li>
+        <li>
+          <span className='font-semibold'>Last perihelion:</span>{' '}
+          {formatSimulationDate(dateFromJulianDate(lastPerihelion))}
+        </li>
+        <li>
+          <span className='font-semibold'>Next perihelion:</span>{' '}
+          {formatSimulationDate(dateFromJulianDate(nextPerihelion))}
+        </li>
+      </ul>
+      <button
+        onClick={() => setDate(lastPerihelion)}
+        className='mt-3 px-3 py-1.5 bg-blue-600/60 hover:bg-blue-600/80 text-white rounded-lg transition-colors text-xs font-medium'
+      >
+        Jump to last perihelion
+      </button>
+    </div>
+  );
+};
+
+export default CometOrbit;
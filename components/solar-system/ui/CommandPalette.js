@@ -0,0 +1,322 @@
+// CommandPalette.js - Ctrl/Cmd+K fuzzy search over bodies, named features and actions
+'use client';
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { motion, AnimatePresence, useAnimationControls } from 'framer-motion';
+import { useSelectedPlanet } from '../contexts/SelectedPlanetContext';
+import { useCameraContext } from '../contexts/CameraContext';
+import { useSpeedControl } from '../contexts/SpeedControlContext';
+import { useSimulationTime } from '../contexts/SimulationTimeContext';
+import { useSceneSettings } from '../contexts/SceneSettingsContext';
+import { useTour } from '../contexts/TourContext';
+import { useKeymap } from '../contexts/KeymapContext';
+import { useSelectBody, HELD_SPEED_CAMERA_STATES } from '../hooks/useSelectBody';
+import { useCameraModes } from '../hooks/useCameraModes';
+import { buildSearchIndex, searchEntries } from '../lib/search';
+import { loadTourIndex, loadTour } from '../lib/tours';
+import { renderLogger } from '../../../lib/logger';
+
+const SPEED_OPTIONS = [0.5, 1, 2, 5, 10];
+const MAX_RESULTS = 12;
+
+const GROUP_STYLES = {
+  Actions: 'text-blue-300 border-blue-400/40',
+  Tours: 'text-amber-300 border-amber-400/40',
+  Bodies: 'text-purple-300 border-purple-400/40',
+  Features: 'text-emerald-300 border-emerald-400/40',
+};
+
+const CommandPalette = () => {
+  const [selectedPlanet, setSelectedPlanet] = useSelectedPlanet();
+  const { cameraState, setCameraState } = useCameraContext();
+  const { speedFactor, lastSpeedFactor, setSpeedFactor, overrideSpeedFactor, restoreSpeedFactor } = useSpeedControl();
+  const selectBody = useSelectBody();
+  const { canViewSurface, startFollowing, stopFollowing, enterSurfaceView } = useCameraModes();
+  const { setDate } = useSimulationTime();
+  const settings = useSceneSettings();
+  const { tour, startTour, stopTour } = useTour();
+  const { setHelpOpen } = useKeymap();
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [tours, setTours] = useState(null);
+  const inputRef = useRef(null);
+  const buttonControls = useAnimationControls();
+
+  const bodyEntries = useMemo(() => buildSearchIndex(), []);
+
+  // Ctrl+K (Cmd+K on macOS) toggles the palette from anywhere, including text fields
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k') {
+        event.preventDefault();
+        setIsOpen(open => !open);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  useEffect(() => {
+    if (cameraState === 'FREE') {
+      buttonControls.start('visible');
+    } else {
+      buttonControls.start('hidden');
+    }
+  }, [cameraState, buttonControls]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setQuery('');
+    setActiveIndex(0);
+    inputRef.current?.focus();
+  }, [isOpen]);
+
+  // Tours are listed once the palette is first opened
+  useEffect(() => {
+    if (!isOpen || tours) return;
+    let cancelled = false;
+    loadTourIndex()
+      .then(index => { if (!cancelled) setTours(index); })
+      .catch(err => {
+        renderLogger.error('Failed to load tours:', err);
+        if (!cancelled) setTours([]);
+      });
+    return () => { cancelled = true; };
+  }, [isOpen, tours]);
+
+  const setSpeed = (value) => {
+    if (HELD_SPEED_CAMERA_STATES.includes(cameraState)) overrideSpeedFactor(value);
+    else setSpeedFactor(value);
+  };
+
+  const goHome = () => {
+    if (tour) {
+      stopTour();
+      return;
+    }
+    setCameraState('MOVING_TO_HOME');
+    setSelectedPlanet(null);
+    if (selectedPlanet) restoreSpeedFactor();
+  };
+
+  const handleStartTour = async (id) => {
+    try {
+      startTour(await loadTour(id));
+    } catch (err) {
+      renderLogger.error(`Failed to load tour ${id}:`, err);
+    }
+  };
+
+  // Only actions that make sense right now are offered
+  const actionEntries = () => {
+    const isHeld = HELD_SPEED_CAMERA_STATES.includes(cameraState);
+    const actions = [
+      { id: 'home', title: 'Go home', subtitle: 'Fly back to the overview', keywords: ['reset view', 'exit'], run: goHome },
+    ];
+
+    if (!isHeld) {
+      actions.push(speedFactor === 0
+        ? { id: 'resume', title: 'Resume', subtitle: 'Start the simulation clock', keywords: ['play', 'unpause'], run: () => setSpeedFactor(lastSpeedFactor || 1) }
+        : { id: 'pause', title: 'Pause', subtitle: 'Stop the simulation clock', keywords: ['stop', 'freeze'], run: () => setSpeedFactor(0) });
+    }
+    SPEED_OPTIONS.forEach(value => {
+      actions.push({
+        id: `speed:${value}`,
+        title: `Set speed ${value}x`,
+        subtitle: isHeld ? 'Applies when you leave the close-up' : 'Simulation speed',
+        keywords: ['speed', `${value}x`, 'faster', 'slower'],
+        run: () => setSpeed(value),
+      });
+    });
+    actions.push({ id: 'today', title: 'Jump to today', subtitle: 'Set the simulation date to now', keywords: ['now', 'date', 'time'], run: () => setDate(new Date()) });
+
+    if (cameraState === 'DETAIL_VIEW') {
+      actions.push({ id: 'follow', title: `Follow ${selectedPlanet.name}`, subtitle: 'Keep it centred while time runs', keywords: ['track'], run: startFollowing });
+    } else if (cameraState === 'FOLLOW') {
+      actions.push({ id: 'unfollow', title: 'Stop following', subtitle: selectedPlanet.name, keywords: ['follow'], run: stopFollowing });
+    }
+    if (canViewSurface) {
+      actions.push({ id: 'surface', title: `Stand on ${selectedPlanet.name}`, subtitle: 'View the sky from the surface', keywords: ['surface view', 'sky', 'land'], run: enterSurfaceView });
+    }
+
+    [
+      { key: 'showOrbits', label: 'orbit paths' },
+      { key: 'showOrbitMarkers', label: 'apsides & nodes' },
+      { key: 'showTraversedArc', label: 'traversed arc' },
+      { key: 'showLabels', label: 'name labels', keywords: ['names', 'text'] },
+    ].forEach(({ key, label, keywords = ['orbits'] }) => {
+      actions.push({
+        id: `toggle:${key}`,
+        title: `${settings[key] ? 'Hide' : 'Show'} ${label}`,
+        subtitle: 'Display option',
+        keywords: ['toggle', 'display', ...keywords],
+        run: () => settings.toggleSetting(key),
+      });
+    });
+
+    actions.push({ id: 'shortcuts', title: 'Keyboard shortcuts', subtitle: 'List and rebind keys', keywords: ['help', 'keys', 'keymap'], run: () => setHelpOpen(true) });
+
+    return actions.map(action => ({ ...action, group: 'Actions' }));
+  };
+
+  const tourEntries = (tours ?? []).map(({ id, title, description }) => ({
+    id: `tour:${id}`,
+    group: 'Tours',
+    title,
+    subtitle: description ?? 'Guided tour',
+    keywords: ['tour', 'guided'],
+    run: () => handleStartTour(id),
+  }));
+
+  const results = isOpen
+    ? searchEntries([...actionEntries(), ...tourEntries, ...bodyEntries], query, MAX_RESULTS)
+    : [];
+  const activeOption = Math.min(activeIndex, results.length - 1);
+  const activeResult = results[activeOption];
+
+  const runEntry = (entry) => {
+    setIsOpen(false);
+    if (entry.run) entry.run();
+    else selectBody(entry.selection);
+  };
+
+  const handleInputKeyDown = (event) => {
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setActiveIndex(index => Math.min(index + 1, results.length - 1));
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setActiveIndex(index => Math.max(index - 1, 0));
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      if (activeResult) runEntry(activeResult);
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      setIsOpen(false);
+    }
+  };
+
+  const buttonVariants = {
+    hidden: { x: '120%', opacity: 0 },
+    visible: { x: 0, opacity: 1 }
+  };
+
+  return (
+    <>
+      {/* Touch screens have no Ctrl+K, so the palette also gets a button */}
+      <motion.button
+        onClick={() => setIsOpen(true)}
+        aria-label="Search bodies and actions"
+        title="Search (Ctrl+K)"
+        className="fixed top-28 right-4 z-50 select-none
+                   sm:top-32 sm:right-6
+                   bg-black/80 backdrop-blur-md rounded-full
+                   px-3 py-2 text-xs
+                   sm:px-4 sm:py-2 sm:text-sm
+                   border border-purple-400/50 hover:border-purple-400/80 hover:bg-purple-500/10
+                   transition-colors duration-300 group
+                   min-h-[40px] min-w-[40px]
+                   touch-manipulation"
+        variants={buttonVariants}
+        initial="hidden"
+        animate={buttonControls}
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+      >
+        <div className="flex items-center gap-1 sm:gap-2 text-white font-medium">
+          <span className="text-purple-400 group-hover:text-purple-300 transition-colors duration-200 text-base">
+            🔍
+          </span>
+          <span className="text-white group-hover:text-purple-200 transition-colors duration-200 hidden sm:inline">
+            Search
+          </span>
+        </div>
+      </motion.button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            key="command-palette"
+            className="fixed inset-0 z-[60] bg-black/50 backdrop-blur-sm flex justify-center items-start pt-[12vh] px-4"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            transition={{ duration: 0.15 }}
+            onClick={() => setIsOpen(false)}
+          >
+            <motion.div
+              role="dialog"
+              aria-modal="true"
+              aria-label="Command palette"
+              className="w-full max-w-xl bg-black/90 rounded-2xl border border-white/20 shadow-2xl overflow-hidden"
+              initial={{ y: -12, scale: 0.98 }}
+              animate={{ y: 0, scale: 1 }}
+              exit={{ y: -12, scale: 0.98 }}
+              transition={{ duration: 0.15 }}
+              onClick={event => event.stopPropagation()}
+            >
+              <input
+                ref={inputRef}
+                type="text"
+                role="combobox"
+                aria-expanded="true"
+                aria-controls="command-palette-results"
+                aria-activedescendant={activeResult ? `command-option-${activeOption}` : undefined}
+                aria-autocomplete="list"
+                placeholder="Search planets, moons, features or actions..."
+                value={query}
+                onChange={event => {
+                  setQuery(event.target.value);
+                  setActiveIndex(0);
+                }}
+                onKeyDown={handleInputKeyDown}
+                className="w-full bg-transparent px-4 py-3 text-white text-sm sm:text-base
+                           placeholder-white/40 border-b border-white/10 outline-none"
+              />
+              <ul
+                id="command-palette-results"
+                role="listbox"
+                aria-label="Results"
+                className="max-h-[50vh] overflow-y-auto py-1"
+              >
+                {results.length === 0 && (
+                  <li className="px-4 py-3 text-white/50 text-sm">No matches for &ldquo;{query}&rdquo;</li>
+                )}
+                {results.map((entry, index) => (
+                  <li
+                    key={entry.id}
+                    id={`command-option-${index}`}
+                    role="option"
+                    aria-selected={entry === activeResult}
+                    onMouseMove={() => setActiveIndex(index)}
+                    onClick={() => runEntry(entry)}
+                    className={`flex items-center gap-3 px-4 py-2 cursor-pointer ${
+                      entry === activeResult ? 'bg-white/10' : ''
+                    }`}
+                  >
+                    <span className="flex-1 min-w-0">
+                      <span className="block text-white text-sm truncate">{entry.title}</span>
+                      {entry.subtitle && (
+                        <span className="block text-white/50 text-xs truncate">{entry.subtitle}</span>
+                      )}
+                    </span>
+                    <span className={`text-[10px] uppercase tracking-wider border rounded px-1.5 py-0.5 ${GROUP_STYLES[entry.group]}`}>
+                      {entry.group}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+              <div className="px-4 py-2 border-t border-white/10 text-white/40 text-[11px] flex gap-3">
+                <span>↑↓ to choose</span>
+                <span>Enter to go</span>
+                <span>Esc to close</span>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </>
+  );
+};
+
+export default CommandPalette;
@@ -5,11 +5,13 @@ import { motion, useAnimationControls } from 'framer-motion';
 import { useSelectedPlanet } from '../contexts/SelectedPlanetContext';
 import { useCameraContext } from '../contexts/CameraContext';
 import { useSpeedControl } from '../contexts/SpeedControlContext';
+import { useCameraModes } from '../hooks/useCameraModes';
 
 const ControlMenu = () => {
   const [selectedPlanet, setSelectedPlanet] = useSelectedPlanet();
   const { cameraState, setCameraState } = useCameraContext();
   const { restoreSpeedFactor } = useSpeedControl();
+  const { canFollow, canViewSurface, toggleFollow, enterSurfaceView } = useCameraModes();
   const componentRef = useRef();
   
   // Animation controls
@@ -81,16 +83,72 @@ const ControlMenu = () => {
         </motion.button>
       </motion.div>
 
-      {/* Exit View Button for Selected Planet - Better mobile positioning */}
+      {/* Follow and Exit View Buttons for Selected Planet - Better mobile positioning */}
       {selectedPlanet && (
         <motion.div
-          className='fixed top-4 right-4 z-50 select-none
+          className='fixed top-4 right-4 z-50 select-none flex gap-2
                      sm:top-6 sm:right-4'
           initial={{ opacity: 0, x: 20 }}
           animate={{ opacity: 1, x: 0 }}
           exit={{ opacity: 0, x: 20 }}
           transition={{ duration: 0.3 }}
         >
+          {canViewSurface && (
+            <motion.button
+              onClick={enterSurfaceView}
+              aria-label={`View the sky from the surface of ${selectedPlanet.name}`}
+              title="View from Surface (G)"
+              className="bg-black/80 backdrop-blur-md rounded-full 
+                         px-3 py-2 text-xs
+                         sm:px-4 sm:py-2 sm:text-sm
+                         border border-amber-400/50 hover:border-amber-400/80 hover:bg-amber-500/10 
+                         transition-all duration-300 group
+                         min-h-[40px] min-w-[40px]
+                         touch-manipulation"
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              <div className="flex items-center gap-1 sm:gap-2 text-white font-medium">
+                <span className="text-amber-400 group-hover:text-amber-300 transition-colors duration-200 text-base">
+                  🔭
+                </span>
+                <span className="text-white group-hover:text-amber-200 transition-colors duration-200 hidden sm:inline">
+                  Surface
+                </span>
+              </div>
+            </motion.button>
+          )}
+          {canFollow && (
+            <motion.button
+              onClick={toggleFollow}
+              aria-label={cameraState === 'FOLLOW'
+                ? `Stop following ${selectedPlanet.name}`
+                : `Follow ${selectedPlanet.name} as time runs`}
+              aria-pressed={cameraState === 'FOLLOW'}
+              title={cameraState === 'FOLLOW' ? 'Stop Following (F)' : 'Follow (F)'}
+              className={`bg-black/80 backdrop-blur-md rounded-full 
+                         px-3 py-2 text-xs
+                         sm:px-4 sm:py-2 sm:text-sm
+                         border transition-all duration-300 group
+                         min-h-[40px] min-w-[40px]
+                         touch-manipulation ${
+                           cameraState === 'FOLLOW'
+                             ? 'border-green-400/80 bg-green-500/10'
+                             : 'border-green-400/50 hover:border-green-400/80 hover:bg-green-500/10'
+                         }`}
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              <div className="flex items-center gap-1 sm:gap-2 text-white font-medium">
+                <span className="text-green-400 group-hover:text-green-300 transition-colors duration-200 text-base">
+                  {cameraState === 'FOLLOW' ? '⏸' : '▶'}
+                </span>
+                <span className="text-white group-hover:text-green-200 transition-colors duration-200 hidden sm:inline">
+                  {cameraState === 'FOLLOW' ? 'Stop Following' : 'Follow'}
+                </span>
+              </div>
+            </motion.button>
+          )}
           <motion.button
             onClick={handleExitView}
             aria-label={`Exit ${selectedPlanet?.name || 'planet'} detail view`}
@@ -0,0 +1,22 @@
+// InitialFocus.js - Flies the camera to a given body once the scene loads
+'use client';
+import { useEffect, useRef } from 'react';
+import { useSelectBody } from '../hooks/useSelectBody';
+import { findSelection } from '../lib/bodyLookup';
+
+const InitialFocus = ({ body, moon }) => {
+  const selectBody = useSelectBody();
+  const focusedRef = useRef(false);
+
+  useEffect(() => {
+    if (focusedRef.current) return;
+    focusedRef.current = true;
+
+    // Same as picking the body from the menu
+    selectBody(findSelection(body, moon));
+  }, [body, moon, selectBody]);
+
+  return null; // This component doesn't render anything
+};
+
+export default InitialFocus;
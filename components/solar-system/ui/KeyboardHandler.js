@@ -4,24 +4,38 @@ import { useEffect, useCallback, useMemo } from 'react';
 import { useSelectedPlanet } from '../contexts/SelectedPlanetContext';
 import { useCameraContext } from '../contexts/CameraContext';
 import { useSpeedControl } from '../contexts/SpeedControlContext';
+import { useSceneSettings } from '../contexts/SceneSettingsContext';
+import { useTour } from '../contexts/TourContext';
+import { useKeymap } from '../contexts/KeymapContext';
+import { useSelectBody } from '../hooks/useSelectBody';
+import { useCameraModes } from '../hooks/useCameraModes';
 import planetsData from '../lib/planetsData';
+import { getAdjacentMoon, getParentSelection } from '../lib/bodyLookup';
+import { findActionForKey } from '../lib/keymap';
 import { useRouter } from 'next/navigation';
 
 const KeyboardHandler = () => {
   const [selectedPlanet, setSelectedPlanet] = useSelectedPlanet();
   const { cameraState, setCameraState } = useCameraContext();
-  const { speedFactor, setSpeedFactor, overrideSpeedFactor, restoreSpeedFactor } = useSpeedControl();
+  const { speedFactor, setSpeedFactor, restoreSpeedFactor } = useSpeedControl();
+  const { toggleFollow, toggleSurfaceView } = useCameraModes();
+  const { toggleSetting } = useSceneSettings();
+  const { stopTour, togglePause, nextKeyframe, previousKeyframe } = useTour();
+  const { keymap, isHelpOpen, setHelpOpen } = useKeymap();
   const router = useRouter();
+  const selectBody = useSelectBody();
 
-  // Planet navigation
   const selectPlanetByIndex = useCallback((index) => {
     if (index >= 0 && index < planetsData.length) {
-      const planet = planetsData[index];
-      setSelectedPlanet(planet);
-      overrideSpeedFactor();
-      setCameraState('ZOOMING_IN');
+      selectBody(planetsData[index]);
     }
-  }, [setSelectedPlanet, overrideSpeedFactor, setCameraState]);
+  }, [selectBody]);
+
+  // Moons step through their parent's place in the planet order
+  const getPlanetIndex = useCallback((selection) => {
+    const planetName = selection.isMoon ? selection.parentPlanet : selection.name;
+    return planetsData.findIndex(p => p.name === planetName);
+  }, []);
 
   // Speed control functions
   const speedPresets = useMemo(() => [0, 0.5, 1, 2, 5], []);
@@ -57,152 +71,160 @@ const KeyboardHandler = () => {
     router.push('/secret/orbital-command-center');
   }, [router]);
 
-  // Main keyboard event handler
+  // Main keyboard event handler: keys resolve to named actions through the keymap
   const handleKeyDown = useCallback((event) => {
-    // Prevent default behavior for handled keys
-    const handledKeys = [
-      'Escape', 'Space', 'Home', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight',
-      'Digit0', 'Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6', 'Digit7', 'Digit8',
-      'KeyS', 'KeyM', 'KeyV', 'KeyE', 'KeyJ', 'KeyU', 'KeyN', 'KeyP', 'KeyQ', 'KeyH', 'KeyR',
-      'F1', 'Slash'
-    ];
-
-    if (handledKeys.includes(event.code)) {
-      event.preventDefault();
+    // Skip if user is typing in an input field (date picker, timeline scrubber)
+    if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
+      return;
     }
 
-    // Skip if user is typing in an input field
-    if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
+    // Leave browser and palette shortcuts (Ctrl+R, Ctrl/Cmd+K) alone
+    if (event.ctrlKey || event.metaKey || event.altKey) {
+      return;
+    }
+
+    // The help overlay handles keys itself while open (rebinding captures them)
+    if (isHelpOpen) {
+      return;
+    }
+
+    // "?" opens help on every layout, wherever the layout puts it
+    const action = event.key === '?'
+      ? { id: 'help' }
+      : findActionForKey(keymap, event.code);
+    if (!action) return;
+    event.preventDefault();
+
+    // During a tour the keys drive the player; other shortcuts wait until it ends
+    if (cameraState === 'TOUR') {
+      if (action.id === 'exit') stopTour();
+      else if (action.id === 'togglePause') togglePause();
+      else if (action.id === 'nextBody') nextKeyframe();
+      else if (action.id === 'previousBody') previousKeyframe();
+      else if (action.id === 'help') setHelpOpen(true);
+      return;
+    }
+
+    if (action.body) {
+      selectPlanetByIndex(planetsData.findIndex(planet => planet.name === action.body));
       return;
     }
 
-    switch (event.code) {
+    switch (action.id) {
       // Navigation
-      case 'Escape':
-        if (selectedPlanet && cameraState === 'DETAIL_VIEW') {
+      case 'exit':
+        // Stop following first, so the next Escape leaves the close-up
+        if (cameraState === 'FOLLOW') {
+          toggleFollow();
+        } else if (cameraState === 'SURFACE_VIEW') {
+          toggleSurfaceView();
+        } else if (selectedPlanet && cameraState === 'DETAIL_VIEW') {
           exitView();
         } else {
           exitSolarSystem();
         }
         break;
 
-      case 'KeyH':
-      case 'Home':
+      case 'home':
         goHome();
         break;
 
-      // Speed Control
-      case 'Space':
-        setSpeedFactor(speedFactor === 0 ? 1 : 0); // Play/Pause
+      case 'previousBody':
+        if (selectedPlanet) {
+          const currentIndex = getPlanetIndex(selectedPlanet);
+          const prevIndex = currentIndex > 0 ? currentIndex - 1 : planetsData.length - 1;
+          selectPlanetByIndex(prevIndex);
+        } else {
+          selectPlanetByIndex(0);
+        }
         break;
 
-      case 'ArrowUp':
-      case 'Equal': // + key
-        cycleSpeedUp();
+      case 'nextBody':
+        if (selectedPlanet) {
+          const currentIndex = getPlanetIndex(selectedPlanet);
+          const nextIndex = currentIndex < planetsData.length - 1 ? currentIndex + 1 : 0;
+          selectPlanetByIndex(nextIndex);
+        } else {
+          selectPlanetByIndex(0);
+        }
         break;
 
-      case 'ArrowDown':
-      case 'Minus': // - key
-        cycleSpeedDown();
+      case 'nextMoon':
+        selectBody(getAdjacentMoon(selectedPlanet, 1));
         break;
 
-      case 'KeyR':
-        setSpeedFactor(1); // Reset to normal speed
+      case 'previousMoon':
+        selectBody(getAdjacentMoon(selectedPlanet, -1));
         break;
 
-      // Planet Selection (Numbers 0-8)
-      case 'Digit0':
-        selectPlanetByIndex(0); // Sun
-        break;
-      case 'Digit1':
-        selectPlanetByIndex(1); // Mercury
-        break;
-      case 'Digit2':
-        selectPlanetByIndex(2); // Venus
-        break;
-      case 'Digit3':
-        selectPlanetByIndex(3); // Earth
-        break;
-      case 'Digit4':
-        selectPlanetByIndex(4); // Mars
-        break;
-      case 'Digit5':
-        selectPlanetByIndex(5); // Jupiter
-        break;
-      case 'Digit6':
-        selectPlanetByIndex(6); // Saturn
-        break;
-      case 'Digit7':
-        selectPlanetByIndex(7); // Uranus
-        break;
-      case 'Digit8':
-        selectPlanetByIndex(8); // Neptune
+      case 'parentBody':
+        selectBody(getParentSelection(selectedPlanet));
         break;
 
-      // Planet Selection (Letter shortcuts)
-      case 'KeyS':
-        selectPlanetByIndex(0); // Sun
-        break;
-      case 'KeyM':
-        selectPlanetByIndex(1); // Mercury
-        break;
-      case 'KeyV':
-        selectPlanetByIndex(2); // Venus
+      case 'follow':
+        toggleFollow();
         break;
-      case 'KeyE':
-        selectPlanetByIndex(3); // Earth
+
+      case 'surfaceView':
+        toggleSurfaceView();
         break;
-      case 'KeyJ':
-        selectPlanetByIndex(4); // Mars (J for Jupiter-like, but Mars)
+
+      // Speed Control
+      case 'togglePause':
+        setSpeedFactor(speedFactor === 0 ? 1 : 0); // Play/Pause
         break;
-      case 'KeyU':
-        selectPlanetByIndex(5); // Jupiter (U for jUpiter)
+
+      case 'speedUp':
+        cycleSpeedUp();
         break;
-      case 'KeyN':
-        selectPlanetByIndex(6); // Saturn (N for saturN)
+
+      case 'speedDown':
+        cycleSpeedDown();
         break;
-      case 'KeyP':
-        selectPlanetByIndex(7); // Uranus (P for uranuS, but P)
+
+      case 'resetSpeed':
+        setSpeedFactor(1); // Reset to normal speed
         break;
-      case 'KeyQ':
-        selectPlanetByIndex(8); // Neptune (Q for neptune)
+
+      // Display options
+      case 'toggleOrbits':
+        toggleSetting('showOrbits');
         break;
 
-      // Arrow key navigation through planets
-      case 'ArrowLeft':
-        if (selectedPlanet) {
-          const currentIndex = planetsData.findIndex(p => p.id === selectedPlanet.id);
-          const prevIndex = currentIndex > 0 ? currentIndex - 1 : planetsData.length - 1;
-          selectPlanetByIndex(prevIndex);
-        } else {
-          selectPlanetByIndex(0);
-        }
+      case 'toggleLabels':
+        toggleSetting('showLabels');
         break;
 
-      case 'ArrowRight':
-        if (selectedPlanet) {
-          const currentIndex = planetsData.findIndex(p => p.id === selectedPlanet.id);
-          const nextIndex = currentIndex < planetsData.length - 1 ? currentIndex + 1 : 0;
-          selectPlanetByIndex(nextIndex);
-        } else {
-          selectPlanetByIndex(0);
-        }
+      case 'help':
+        setHelpOpen(true);
         break;
 
       default:
         break;
     }
   }, [
+    keymap,
+    isHelpOpen,
+    setHelpOpen,
     selectedPlanet,
     cameraState,
     speedFactor,
+    selectBody,
     selectPlanetByIndex,
+    getPlanetIndex,
     cycleSpeedUp,
     cycleSpeedDown,
     goHome,
     exitView,
+    toggleFollow,
+    toggleSurfaceView,
     exitSolarSystem,
-    setSpeedFactor
+    setSpeedFactor,
+    toggleSetting,
+    stopTour,
+    togglePause,
+    nextKeyframe,
+    previousKeyframe
   ]);
 
   // Attach keyboard event listener
@@ -0,0 +1,178 @@
+// KeyboardHelpOverlay.js - Shortcut list generated from the keymap, with rebinding
+'use client';
+import { useEffect, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useKeymap } from '../contexts/KeymapContext';
+import { isBindableKey, findActionForKey } from '../lib/keymap';
+
+const KeyboardHelpOverlay = () => {
+  const {
+    actions,
+    keymap,
+    overrides,
+    conflicts,
+    bindKey,
+    resetBinding,
+    resetAllBindings,
+    getKeyLabel,
+    isHelpOpen,
+    setHelpOpen,
+  } = useKeymap();
+  // Action waiting for its new key
+  const [capturingId, setCapturingId] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    if (!isHelpOpen) {
+      setCapturingId(null);
+      setNotice(null);
+    }
+  }, [isHelpOpen]);
+
+  // Capture phase, so a key pressed for rebinding never reaches KeyboardHandler
+  useEffect(() => {
+    if (!isHelpOpen) return;
+
+    const handleKeyDown = (event) => {
+      if (capturingId) {
+        event.preventDefault();
+        event.stopPropagation();
+        if (event.code === 'Escape') {
+          setCapturingId(null);
+          return;
+        }
+        if (!isBindableKey(event.code)) return;
+
+        const owner = findActionForKey(keymap, event.code);
+        setNotice(owner && owner.id !== capturingId
+          ? `${getKeyLabel(event.code)} was moved from "${owner.label}"`
+          : null);
+        bindKey(capturingId, event.code);
+        setCapturingId(null);
+        return;
+      }
+
+      if (event.code === 'Escape' || event.key === '?' || keymap.help.includes(event.code)) {
+        event.preventDefault();
+        event.stopPropagation();
+        setHelpOpen(false);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [isHelpOpen, capturingId, keymap, bindKey, getKeyLabel, setHelpOpen]);
+
+  const categories = [...new Set(actions.map(action => action.category))];
+  const hasOverrides = Object.keys(overrides).length > 0;
+
+  return (
+    <AnimatePresence>
+      {isHelpOpen && (
+        <motion.div
+          key="keyboard-help"
+          className="fixed inset-0 z-[60] bg-black/60 backdrop-blur-sm flex justify-center items-start pt-[8vh] px-4"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          transition={{ duration: 0.15 }}
+          onClick={() => setHelpOpen(false)}
+        >
+          <motion.div
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="keyboard-help-title"
+            className="w-full max-w-2xl max-h-[80vh] flex flex-col bg-black/90 rounded-2xl border border-white/20 shadow-2xl"
+            initial={{ y: -12, scale: 0.98 }}
+            animate={{ y: 0, scale: 1 }}
+            exit={{ y: -12, scale: 0.98 }}
+            transition={{ duration: 0.15 }}
+            onClick={event => event.stopPropagation()}
+          >
+            <div className="flex items-center justify-between px-4 py-3 border-b border-white/10">
+              <h2 id="keyboard-help-title" className="text-white font-semibold text-sm sm:text-base">
+                Keyboard shortcuts
+              </h2>
+              <button
+                onClick={() => setHelpOpen(false)}
+                aria-label="Close keyboard shortcuts"
+                className="text-white/60 hover:text-white text-lg leading-none px-2"
+              >
+                ×
+              </button>
+            </div>
+
+            <div className="overflow-y-auto px-4 py-3 space-y-4">
+              {notice && (
+                <p role="status" className="text-amber-300 text-xs">{notice}</p>
+              )}
+              {categories.map(category => (
+                <section key={category}>
+                  <h3 className="text-white/50 text-[10px] uppercase tracking-wider mb-1">{category}</h3>
+                  <ul className="divide-y divide-white/5">
+                    {actions.filter(action => action.category === category).map(action => {
+                      const keys = keymap[action.id];
+                      const isCapturing = capturingId === action.id;
+                      return (
+                        <li key={action.id} className="flex items-center gap-2 py-1.5">
+                          <span className="flex-1 text-white/80 text-sm">{action.label}</span>
+                          <span className="flex gap-1">
+                            {isCapturing ? (
+                              <span className="text-amber-300 text-xs animate-pulse">Press a key... (Esc cancels)</span>
+                            ) : keys.length === 0 ? (
+                              <span className="text-white/30 text-xs">Unbound</span>
+                            ) : keys.map(code => (
+                              <kbd
+                                key={code}
+                                title={conflicts[code] ? 'This key is bound to more than one action' : undefined}
+                                className={`min-w-[24px] text-center text-xs font-mono rounded px-1.5 py-0.5 border ${
+                                  conflicts[code]
+                                    ? 'text-red-300 border-red-400/60 bg-red-500/10'
+                                    : 'text-white border-white/30 bg-white/5'
+                                }`}
+                              >
+                                {getKeyLabel(code)}
+                              </kbd>
+                            ))}
+                          </span>
+                          <button
+                            onClick={() => setCapturingId(isCapturing ? null : action.id)}
+                            aria-label={`Change the key for ${action.label}`}
+                            className="text-blue-300 hover:text-blue-200 text-xs px-1"
+                          >
+                            {isCapturing ? 'Cancel' : 'Change'}
+                          </button>
+                          <button
+                            onClick={() => resetBinding(action.id)}
+                            disabled={!overrides[action.id]}
+                            aria-label={`Reset the key for ${action.label}`}
+                            className="text-white/50 hover:text-white text-xs px-1 disabled:invisible"
+                          >
+                            Reset
+                          </button>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </section>
+              ))}
+            </div>
+
+            <div className="flex items-center justify-between px-4 py-2 border-t border-white/10 text-[11px] text-white/40">
+              <span>Ctrl/Cmd+K opens search · changes are saved in this browser</span>
+              <button
+                onClick={resetAllBindings}
+                disabled={!hasOverrides}
+                className="text-white/60 hover:text-white disabled:opacity-30"
+              >
+                Reset all
+              </button>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default KeyboardHelpOverlay;
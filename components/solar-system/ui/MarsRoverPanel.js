@@ -0,0 +1,226 @@
+// MarsRoverPanel.js - Browsable Mars rover photos shown with the Mars details
+'use client';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import Image from 'next/image';
+import { nasaAPI } from '../services/nasaAPI';
+import { renderLogger } from '../../../lib/logger';
+
+const ROVERS = [
+  { id: 'curiosity', label: 'Curiosity' },
+  { id: 'perseverance', label: 'Perseverance' },
+  { id: 'opportunity', label: 'Opportunity' },
+  { id: 'spirit', label: 'Spirit' },
+];
+
+// Camera sets differ per rover; these are the ones with useful coverage
+const ROVER_CAMERAS = {
+  curiosity: ['FHAZ', 'RHAZ', 'MAST', 'CHEMCAM', 'MAHLI', 'MARDI', 'NAVCAM'],
+  perseverance: ['NAVCAM_LEFT', 'NAVCAM_RIGHT', 'MCZ_LEFT', 'MCZ_RIGHT', 'FRONT_HAZCAM_LEFT_A', 'REAR_HAZCAM_LEFT', 'SKYCAM', 'SHERLOC_WATSON', 'SUPERCAM_RMI'],
+  opportunity: ['FHAZ', 'RHAZ', 'NAVCAM', 'PANCAM', 'MINITES'],
+  spirit: ['FHAZ', 'RHAZ', 'NAVCAM', 'PANCAM', 'MINITES'],
+};
+
+// Spirit landed on 2004-01-04; the API has nothing earlier
+const FIRST_PHOTO_DATE = '2004-01-04';
+
+const toGalleryImages = (photos) => photos.map(photo => ({
+  url: photo.url,
+  alt: `${photo.cameraName} - sol ${photo.sol}`,
+  caption: `${photo.cameraName} · Sol ${photo.sol} · ${photo.earthDate}`,
+}));
+
+const MarsRoverPanel = ({ onOpenGallery }) => {
+  const [rover, setRover] = useState('curiosity');
+  const [camera, setCamera] = useState('');
+  // Photos are picked by sol (Mars day) or by Earth date; with neither, the latest are shown
+  const [dayMode, setDayMode] = useState('sol');
+  const [dayInput, setDayInput] = useState('');
+  const [sol, setSol] = useState(null);
+  const [earthDate, setEarthDate] = useState(null);
+  const [photos, setPhotos] = useState([]);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // Only the latest request may update the list; older ones answer for other filters
+  const requestIdRef = useRef(0);
+
+  const loadPage = useCallback(async (pageToLoad) => {
+    const requestId = ++requestIdRef.current;
+    const isCurrent = () => requestId === requestIdRef.current;
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await nasaAPI.getMarsRoverPhotos(rover, { sol, earthDate, camera, page: pageToLoad });
+      if (!isCurrent()) return;
+      setPhotos(previous => (pageToLoad === 1 ? data.photos : [...previous, ...data.photos]));
+      setHasMore(data.hasMore);
+      setPage(pageToLoad);
+    } catch (err) {
+      if (!isCurrent()) return;
+      renderLogger.warn('Rover photo fetch failed:', err);
+      setError('Rover photos are unavailable right now');
+      if (pageToLoad === 1) setPhotos([]);
+    } finally {
+      if (isCurrent()) setLoading(false);
+    }
+  }, [rover, sol, earthDate, camera]);
+
+  // Drop whatever is still in flight when the panel closes
+  useEffect(() => () => {
+    requestIdRef.current += 1;
+  }, []);
+
+  // Reload from the first page whenever the filters change
+  useEffect(() => {
+    loadPage(1);
+  }, [loadPage]);
+
+  const handleRoverChange = (id) => {
+    setRover(id);
+    setCamera('');
+  };
+
+  const handleDayModeChange = (mode) => {
+    setDayMode(mode);
+    setDayInput('');
+  };
+
+  const handleDaySubmit = (e) => {
+    e.preventDefault();
+    const value = dayInput.trim();
+    // An empty or unparseable value goes back to the latest photos
+    setSol(dayMode === 'sol' && /^\d+$/.test(value) ? Number(value) : null);
+    setEarthDate(dayMode === 'earthDate' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : null);
+  };
+
+  const chipClass = (active) => `px-2 py-1 rounded-full text-xs transition-colors ${
+    active ? 'bg-red-500/40 text-white' : 'bg-gray-700/50 text-gray-300 hover:bg-gray-600/60'
+  }`;
+
+  return (
+    <div className='mt-4 p-3 sm:p-4 bg-gray-800 bg-opacity-50 rounded-lg'>
+      <h5 className='text-sm sm:text-base font-semibold text-red-300 mb-2'>
+        Mars Rover Photos
+      </h5>
+
+      {/* Rover picker */}
+      <div className='flex flex-wrap gap-1 mb-2' role="group" aria-label="Rover">
+        {ROVERS.map(({ id, label }) => (
+          <button
+            key={id}
+            onClick={() => handleRoverChange(id)}
+            aria-pressed={rover === id}
+            className={chipClass(rover === id)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {/* Camera and day filters */}
+      <div className='flex flex-wrap items-center gap-2 mb-3 text-xs'>
+        <select
+          value={camera}
+          onChange={(e) => setCamera(e.target.value)}
+          aria-label="Camera"
+          className='bg-white/10 text-white rounded-md px-2 py-1 border border-white/20 [color-scheme:dark]'
+        >
+          <option value=''>All cameras</option>
+          {ROVER_CAMERAS[rover].map(name => (
+            <option key={name} value={name}>{name.replace(/_/g, ' ')}</option>
+          ))}
+        </select>
+        <form onSubmit={handleDaySubmit} className='flex items-center gap-1'>
+          <select
+            value={dayMode}
+            onChange={(e) => handleDayModeChange(e.target.value)}
+            aria-label="Pick photos by"
+            className='bg-white/10 text-white rounded-md px-2 py-1 border border-white/20 [color-scheme:dark]'
+          >
+            <option value='sol'>Sol</option>
+            <option value='earthDate'>Earth date</option>
+          </select>
+          {dayMode === 'sol' ? (
+            <input
+              type="number"
+              min={0}
+              max={10000}
+              value={dayInput}
+              onChange={(e) => setDayInput(e.target.value)}
+              placeholder='Latest'
+              aria-label="Sol (Mars day)"
+              className='w-24 bg-white/10 text-white rounded-md px-2 py-1 border border-white/20'
+            />
+          ) : (
+            <input
+              type="date"
+              min={FIRST_PHOTO_DATE}
+              max={new Date().toISOString().slice(0, 10)}
+              value={dayInput}
+              onChange={(e) => setDayInput(e.target.value)}
+              aria-label="Earth date"
+              className='bg-white/10 text-white rounded-md px-2 py-1 border border-white/20 [color-scheme:dark]'
+            />
+          )}
+          <button type="submit" className={chipClass(false)}>Go</button>
+        </form>
+      </div>
+
+      {error && <p className='text-xs text-red-300 mb-2'>{error}</p>}
+
+      {!loading && !error && photos.length === 0 && (
+        <p className='text-xs text-gray-400'>No photos for this selection - try another camera, sol or date.</p>
+      )}
+
+      {/* Thumbnails */}
+      {photos.length > 0 && (
+        <ul className='grid grid-cols-4 gap-1'>
+          {photos.map((photo, index) => (
+            <li key={photo.id}>
+              <button
+                onClick={() => onOpenGallery(toGalleryImages(photos), index)}
+                className='relative block w-full aspect-square overflow-hidden rounded hover:opacity-80 transition-opacity'
+                aria-label={`Open ${photo.cameraName} photo from sol ${photo.sol}`}
+              >
+                <Image
+                  src={photo.url}
+                  alt={`${photo.cameraName} - sol ${photo.sol}`}
+                  fill
+                  sizes="80px"
+                  className='object-cover'
+                  loading='lazy'
+                />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {loading && (
+        <div className='grid grid-cols-4 gap-1 mt-1'>
+          {Array.from({ length: 4 }, (_, i) => (
+            <div key={i} className='animate-pulse bg-gray-700 aspect-square rounded'></div>
+          ))}
+        </div>
+      )}
+
+      {hasMore && !loading && (
+        <button
+          onClick={() => loadPage(page + 1)}
+          className='mt-2 w-full py-1.5 bg-red-600/60 hover:bg-red-600/80 text-white rounded-lg transition-colors text-xs font-medium'
+        >
+          Load more
+        </button>
+      )}
+
+      {photos.length > 0 && (
+        <p className='text-[10px] text-gray-500 mt-2'>
+          Sol {photos[0].sol} · {photos[0].earthDate} · NASA/JPL-Caltech
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default MarsRoverPanel;
@@ -0,0 +1,153 @@
+// MissionDetail.js - Where a selected spacecraft is at the simulation date, with its mission story
+'use client';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useSelectedPlanet } from '../contexts/SelectedPlanetContext';
+import { useCameraContext, showsBodyDetails } from '../contexts/CameraContext';
+import { useSimulationTime, useSimulationDate } from '../contexts/SimulationTimeContext';
+import planetsData from '../lib/planetsData';
+import { getHeliocentricPosition, julianDateFromDate, dateFromJulianDate } from '../lib/ephemeris';
+import { getMissionPosition, getMissionSpeed, getMissionBody, getMissionTimespan } from '../lib/missions';
+import { formatSimulationDate } from '../utils/timeFormat';
+
+const LIGHT_SECONDS_PER_AU = 499.005;
+const DAYS_PER_YEAR = 365.25;
+
+const earth = planetsData.find(planet => planet.name === 'Earth');
+
+const formatNumber = (value, maximumFractionDigits = 0) =>
+  value.toLocaleString('en-US', { maximumFractionDigits });
+
+const formatLightTime = (distanceAU) => {
+  const minutes = (distanceAU * LIGHT_SECONDS_PER_AU) / 60;
+  return minutes < 60
+    ? `${formatNumber(minutes, 1)} light-minutes`
+    : `${formatNumber(minutes / 60, 1)} light-hours`;
+};
+
+const formatElapsed = (days) =>
+  days < DAYS_PER_YEAR ? `${formatNumber(days)} days` : `${formatNumber(days / DAYS_PER_YEAR, 1)} years`;
+
+const distanceBetween = (a, b) => Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+
+const MissionDetail = () => {
+  const [selectedPlanet] = useSelectedPlanet();
+  const { cameraState } = useCameraContext();
+  const { setDate } = useSimulationTime();
+  // Distances only need to follow the clock loosely
+  const julianDate = useSimulationDate(1000);
+
+  const mission = selectedPlanet?.isMission ? selectedPlanet : null;
+  const shouldDisplay = mission && showsBodyDetails(cameraState);
+
+  const variants = {
+    hidden: { opacity: 0, y: 20 },
+    visible: { opacity: 1, y: 0 },
+    exit: { opacity: 0, y: -20 }
+  };
+
+  const renderPosition = () => {
+    const { launch, end } = getMissionTimespan(mission);
+    if (julianDate < launch) {
+      return <p className='text-xs sm:text-sm'>Launches {formatSimulationDate(dateFromJulianDate(launch))}</p>;
+    }
+    if (end !== null && julianDate >= end) {
+      return <p className='text-xs sm:text-sm'>Mission ended {formatSimulationDate(dateFromJulianDate(end))}</p>;
+    }
+
+    const position = getMissionPosition(mission, julianDate);
+    const fromSun = Math.sqrt(position.x ** 2 + position.y ** 2 + position.z ** 2);
+    const fromEarth = distanceBetween(position, getHeliocentricPosition(earth.orbitalElements, julianDate));
+    const speed = getMissionSpeed(mission, julianDate);
+    const body = getMissionBody(mission, julianDate);
+
+    return (
+      <ul className='text-xs sm:text-sm space-y-1 w-full'>
+        {body && (
+          <li><span className='font-semibold'>Location:</span> In orbit around {body.name}</li>
+        )}
+        <li><span className='font-semibold'>Distance from Sun:</span> {formatNumber(fromSun, 2)} AU</li>
+        <li>
+          <span className='font-semibold'>Distance from Earth:</span>{' '}
+          {formatNumber(fromEarth, 2)} AU ({formatLightTime(fromEarth)})
+        </li>
+        {speed !== null && !body && (
+          <li><span className='font-semibold'>Speed relative to the Sun:</span> {formatNumber(speed, 1)} km/s</li>
+        )}
+        <li><span className='font-semibold'>Time since launch:</span> {formatElapsed(julianDate - launch)}</li>
+      </ul>
+    );
+  };
+
+  const handleJumpToNow = () => {
+    setDate(julianDateFromDate(new Date()));
+  };
+
+  const handleJumpToLaunch = () => {
+    setDate(getMissionTimespan(mission).launch);
+  };
+
+  return (
+    <AnimatePresence>
+      {shouldDisplay && (
+        <motion.div
+          key={mission.id}
+          className='absolute z-40
+                     left-4 right-4 top-16
+                     sm:left-5 sm:right-5 sm:top-20 sm:mt-4
+                     max-w-[95vw] sm:max-w-[420px]
+                     max-h-[80vh] overflow-y-auto
+                     pb-20'
+          initial="hidden"
+          animate="visible"
+          exit="exit"
+          variants={variants}
+          transition={{ duration: 0.5, ease: "easeOut" }}
+        >
+          <h1 className='tracking-tight font-semibold opacity-90 text-white
+                         text-3xl sm:text-4xl md:text-5xl
+                         mb-2 sm:mb-4'>
+            {mission.name}
+          </h1>
+
+          <h4 className='tracking-tight mb-3 sm:mb-5 ml-1 font-semibold text-base sm:text-lg md:text-xl'
+              style={{ color: mission.color }}>
+            {mission.status}
+            <span className='text-gray-400 font-normal'> · {mission.agency}</span>
+          </h4>
+
+          <div className='ml-2 text-gray-200'>
+            {renderPosition()}
+
+            <p className='text-xs sm:text-sm mt-3 leading-relaxed'>{mission.description}</p>
+
+            <div className='mt-3 p-3 bg-gray-800 bg-opacity-50 rounded-lg'>
+              <h5 className='text-sm font-semibold text-blue-300 mb-2'>Highlights</h5>
+              <ul className='text-xs space-y-1 list-disc list-inside'>
+                {mission.highlights.map(highlight => (
+                  <li key={highlight}>{highlight}</li>
+                ))}
+              </ul>
+            </div>
+
+            <div className='flex flex-wrap gap-2 mt-3'>
+              <button
+                onClick={handleJumpToNow}
+                className='px-3 py-1.5 bg-blue-600/60 hover:bg-blue-600/80 text-white rounded-lg transition-colors text-xs font-medium'
+              >
+                Where is it now?
+              </button>
+              <button
+                onClick={handleJumpToLaunch}
+                className='px-3 py-1.5 bg-purple-600/60 hover:bg-purple-600/80 text-white rounded-lg transition-colors text-xs font-medium'
+              >
+                Jump to launch
+              </button>
+            </div>
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default MissionDetail;
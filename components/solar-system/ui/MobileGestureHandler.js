@@ -4,13 +4,33 @@ import { useEffect, useRef } from 'react';
 import { useSelectedPlanet } from '../contexts/SelectedPlanetContext';
 import { useCameraContext } from '../contexts/CameraContext';
 import { useSpeedControl } from '../contexts/SpeedControlContext';
+import { useSelectBody } from '../hooks/useSelectBody';
 import planetsData from '../lib/planetsData';
+import { getAdjacentMoon, getParentSelection } from '../lib/bodyLookup';
+
+const SWIPE = {
+  MIN_DISTANCE: 50,
+  MAX_DURATION: 500,
+  // Two-finger swipes whose finger spread changes more than this are pinches
+  MAX_SPREAD_CHANGE: 40,
+};
+
+const getMidpoint = (touches) => ({
+  x: (touches[0].clientX + touches[1].clientX) / 2,
+  y: (touches[0].clientY + touches[1].clientY) / 2,
+});
+
+const getSpread = (touches) =>
+  Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
 
 const MobileGestureHandler = () => {
   const touchStartRef = useRef({ x: 0, y: 0, time: 0 });
+  // Two-finger gesture in progress ({ start, end, startSpread, endSpread, time }), or null
+  const twoFingerRef = useRef(null);
   const [selectedPlanet, setSelectedPlanet] = useSelectedPlanet();
   const { cameraState, setCameraState } = useCameraContext();
-  const { overrideSpeedFactor, restoreSpeedFactor } = useSpeedControl();
+  const { restoreSpeedFactor } = useSpeedControl();
+  const selectBody = useSelectBody();
 
   useEffect(() => {
     const handleTouchStart = (e) => {
@@ -21,10 +41,52 @@ const MobileGestureHandler = () => {
           y: touch.clientY,
           time: Date.now()
         };
+        twoFingerRef.current = null;
+      } else if (e.touches.length === 2) {
+        const midpoint = getMidpoint(e.touches);
+        const spread = getSpread(e.touches);
+        twoFingerRef.current = { start: midpoint, end: midpoint, startSpread: spread, endSpread: spread, time: Date.now() };
+      }
+    };
+
+    const handleTouchMove = (e) => {
+      if (twoFingerRef.current && e.touches.length === 2) {
+        twoFingerRef.current.end = getMidpoint(e.touches);
+        twoFingerRef.current.endSpread = getSpread(e.touches);
+      }
+    };
+
+    // In a close-up, two-finger swipes move around the planet's system: sideways between moons
+    // (from a planet into its first or last moon), down from a moon back to its planet.
+    // One finger is left to the orbit controls, which rotate the view.
+    const handleTwoFingerEnd = ({ start, end, startSpread, endSpread, time }) => {
+      const deltaX = end.x - start.x;
+      const deltaY = end.y - start.y;
+      const isSwipe = Math.hypot(deltaX, deltaY) > SWIPE.MIN_DISTANCE
+        && Date.now() - time < SWIPE.MAX_DURATION
+        && Math.abs(endSpread - startSpread) < SWIPE.MAX_SPREAD_CHANGE;
+      if (!isSwipe || cameraState !== 'DETAIL_VIEW' || !selectedPlanet) return;
+
+      if (Math.abs(deltaX) > Math.abs(deltaY)) {
+        selectBody(getAdjacentMoon(selectedPlanet, deltaX < 0 ? 1 : -1));
+      } else if (deltaY > 0) {
+        selectBody(getParentSelection(selectedPlanet));
       }
     };
 
     const handleTouchEnd = (e) => {
+      // Only gestures on the 3D scene navigate; taps on menus and panels are theirs
+      if (e.target.tagName !== 'CANVAS') return;
+
+      // A two-finger gesture ends when the last finger lifts; neither lift is a tap or swipe
+      if (twoFingerRef.current) {
+        if (e.touches.length === 0) {
+          handleTwoFingerEnd(twoFingerRef.current);
+          twoFingerRef.current = null;
+        }
+        return;
+      }
+
       if (e.changedTouches.length === 1) {
         const touch = e.changedTouches[0];
         const deltaX = touch.clientX - touchStartRef.current.x;
@@ -34,7 +96,7 @@ const MobileGestureHandler = () => {
 
         // Detect tap vs swipe
         const isTap = distance < 10 && deltaTime < 300;
-        const isSwipe = distance > 50 && deltaTime < 500;
+        const isSwipe = distance > SWIPE.MIN_DISTANCE && deltaTime < SWIPE.MAX_DURATION;
 
         if (isTap) {
           // Handle tap gestures based on context
@@ -45,8 +107,8 @@ const MobileGestureHandler = () => {
             restoreSpeedFactor();
           }
         } else if (isSwipe) {
-          // Handle swipe gestures for planet navigation
           if (cameraState === 'FREE' && Math.abs(deltaX) > Math.abs(deltaY)) {
+            // Handle swipe gestures for planet navigation
             const planets = planetsData.filter(p => !p.isSun);
             const currentIndex = selectedPlanet 
               ? planets.findIndex(p => p.id === selectedPlanet.id)
@@ -54,16 +116,10 @@ const MobileGestureHandler = () => {
 
             if (deltaX > 0 && currentIndex > 0) {
               // Swipe right - previous planet
-              const prevPlanet = planets[currentIndex - 1];
-              setSelectedPlanet(prevPlanet);
-              overrideSpeedFactor();
-              setCameraState('ZOOMING_IN');
+              selectBody(planets[currentIndex - 1]);
             } else if (deltaX < 0 && currentIndex < planets.length - 1) {
               // Swipe left - next planet
-              const nextPlanet = planets[currentIndex + 1];
-              setSelectedPlanet(nextPlanet);
-              overrideSpeedFactor();
-              setCameraState('ZOOMING_IN');
+              selectBody(planets[currentIndex + 1]);
             }
           }
         }
@@ -73,14 +129,23 @@ const MobileGestureHandler = () => {
     // Only add listeners on touch devices
     if ('ontouchstart' in window) {
       document.addEventListener('touchstart', handleTouchStart, { passive: true });
+      document.addEventListener('touchmove', handleTouchMove, { passive: true });
       document.addEventListener('touchend', handleTouchEnd, { passive: true });
 
       return () => {
         document.removeEventListener('touchstart', handleTouchStart);
+        document.removeEventListener('touchmove', handleTouchMove);
         document.removeEventListener('touchend', handleTouchEnd);
       };
     }
-  }, [cameraState, selectedPlanet, setSelectedPlanet, setCameraState, overrideSpeedFactor, restoreSpeedFactor]);
+  }, [
+    cameraState,
+    selectedPlanet,
+    setSelectedPlanet,
+    setCameraState,
+    restoreSpeedFactor,
+    selectBody,
+  ]);
 
   return null; // This component doesn't render anything
 };
@@ -84,7 +84,15 @@ const MobileInstructions = () => {
                 <div className="text-white/70 text-xs">Navigate between planets</div>
               </div>
             </div>
-            
+
+            <div className="flex items-start gap-3">
+              <span className="text-purple-400 text-base">✌️</span>
+              <div>
+                <div className="font-medium">Two-finger swipe in a close-up</div>
+                <div className="text-white/70 text-xs">Sideways through the moons, down back to the planet</div>
+              </div>
+            </div>
+
             <div className="flex items-start gap-3">
               <span className="text-yellow-400 text-base">🎯</span>
               <div>
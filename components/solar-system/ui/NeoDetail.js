@@ -0,0 +1,139 @@
+// NeoDetail.js - Close approach details for a selected near-Earth object
+'use client';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useSelectedPlanet } from '../contexts/SelectedPlanetContext';
+import { useCameraContext, showsBodyDetails } from '../contexts/CameraContext';
+import { useSimulationTime } from '../contexts/SimulationTimeContext';
+import { useSpeedControl } from '../contexts/SpeedControlContext';
+import { formatSimulationDate } from '../utils/timeFormat';
+
+// Playback starts this far ahead of the approach so the object can be seen closing in
+const APPROACH_LEAD_DAYS = 30;
+
+const formatNumber = (value, maximumFractionDigits = 0) =>
+  value.toLocaleString('en-US', { maximumFractionDigits });
+
+const formatDiameter = (km) => (km >= 1 ? `${formatNumber(km, 2)} km` : `${formatNumber(km * 1000)} m`);
+
+const NeoDetail = () => {
+  const [selectedPlanet] = useSelectedPlanet();
+  const { cameraState } = useCameraContext();
+  const { setDate, play } = useSimulationTime();
+  const { restoreSpeedFactor } = useSpeedControl();
+
+  const neo = selectedPlanet?.isNeo ? selectedPlanet : null;
+  const shouldDisplay = neo && showsBodyDetails(cameraState);
+
+  const variants = {
+    hidden: { opacity: 0, y: 20 },
+    visible: { opacity: 1, y: 0 },
+    exit: { opacity: 0, y: -20 }
+  };
+
+  const handleJumpToApproach = () => {
+    setDate(neo.closeApproach.julianDate);
+  };
+
+  const handlePlayApproach = () => {
+    setDate(neo.closeApproach.julianDate - APPROACH_LEAD_DAYS);
+    play();
+    restoreSpeedFactor();
+  };
+
+  return (
+    <AnimatePresence>
+      {shouldDisplay && (
+        <motion.div
+          key={neo.id}
+          className='absolute z-40
+                     left-4 right-4 top-16
+                     sm:left-5 sm:right-5 sm:top-20 sm:mt-4
+                     max-w-[95vw] sm:max-w-[420px]
+                     max-h-[80vh] overflow-y-auto
+                     pb-20'
+          initial="hidden"
+          animate="visible"
+          exit="exit"
+          variants={variants}
+          transition={{ duration: 0.5, ease: "easeOut" }}
+        >
+          <h1 className='tracking-tight font-semibold opacity-90 text-white
+                         text-3xl sm:text-4xl md:text-5xl
+                         mb-2 sm:mb-4'>
+            {neo.name}
+          </h1>
+
+          <h4 className={`tracking-tight mb-3 sm:mb-5 ml-1 font-semibold text-base sm:text-lg md:text-xl ${
+            neo.isPotentiallyHazardous ? 'text-red-400' : 'text-purple-400'
+          }`}>
+            {neo.isPotentiallyHazardous ? 'Potentially hazardous asteroid' : 'Near-Earth asteroid'}
+            {neo.orbitClass && <span className='text-gray-400 font-normal'> · {neo.orbitClass}</span>}
+          </h4>
+
+          <div className='ml-2 text-gray-200'>
+            <ul className='text-xs sm:text-sm space-y-1 w-full'>
+              <li>
+                <span className='font-semibold'>Estimated diameter: </span>
+                <span>{neo.diameterKm ? formatDiameter(neo.diameterKm) : 'Unknown'}</span>
+              </li>
+              <li>
+                <span className='font-semibold'>Close approach: </span>
+                <span>{formatSimulationDate(new Date(neo.closeApproach.date))}</span>
+              </li>
+              <li>
+                <span className='font-semibold'>Miss distance: </span>
+                <span>
+                  {formatNumber(neo.closeApproach.missDistanceKm)} km
+                  ({formatNumber(neo.closeApproach.missDistanceLunar, 1)} lunar distances,
+                  {' '}{formatNumber(neo.closeApproach.missDistanceAU, 4)} AU)
+                </span>
+              </li>
+              <li>
+                <span className='font-semibold'>Relative velocity: </span>
+                <span>{formatNumber(neo.closeApproach.relativeVelocityKmS, 2)} km/s</span>
+              </li>
+            </ul>
+
+            <div className='mt-3 p-3 bg-gray-800 bg-opacity-50 rounded-lg'>
+              <h5 className='text-sm font-semibold text-blue-300 mb-2'>Orbit</h5>
+              <ul className='text-xs space-y-1'>
+                <li><span className='font-semibold'>Semi-major axis:</span> {formatNumber(neo.orbitalElements.semiMajorAxis, 3)} AU</li>
+                <li><span className='font-semibold'>Eccentricity:</span> {formatNumber(neo.orbitalElements.eccentricity, 3)}</li>
+                <li><span className='font-semibold'>Inclination:</span> {formatNumber(neo.orbitalElements.inclination, 2)}°</li>
+                <li><span className='font-semibold'>Period:</span> {formatNumber(360 / neo.orbitalElements.meanMotion)} days</li>
+              </ul>
+            </div>
+
+            <div className='flex flex-wrap gap-2 mt-3'>
+              <button
+                onClick={handleJumpToApproach}
+                className='px-3 py-1.5 bg-blue-600/60 hover:bg-blue-600/80 text-white rounded-lg transition-colors text-xs font-medium'
+              >
+                Jump to close approach
+              </button>
+              <button
+                onClick={handlePlayApproach}
+                className='px-3 py-1.5 bg-purple-600/60 hover:bg-purple-600/80 text-white rounded-lg transition-colors text-xs font-medium'
+              >
+                Play close approach
+              </button>
+            </div>
+
+            {neo.nasaJplUrl && (
+              <a
+                href={neo.nasaJplUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                className='inline-block mt-3 text-xs text-blue-400 underline'
+              >
+                JPL Small-Body Database →
+              </a>
+            )}
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default NeoDetail;
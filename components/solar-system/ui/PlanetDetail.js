@@ -4,9 +4,14 @@ import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import Image from 'next/image';
 import { useSelectedPlanet } from '../contexts/SelectedPlanetContext';
-import { useCameraContext } from '../contexts/CameraContext';
+import { useCameraContext, showsBodyDetails } from '../contexts/CameraContext';
 import { nasaAPI } from '../services/nasaAPI';
 import ImageGallery from './ImageGallery';
+import MarsRoverPanel from './MarsRoverPanel';
+import CometOrbit from './CometOrbit';
+
+// Near-Earth objects and spacecraft are described by their own panels
+const hasOwnPanel = (body) => Boolean(body?.isNeo || body?.isMission);
 
 const PlanetDetail = () => {
   const [selectedPlanet] = useSelectedPlanet();
@@ -18,19 +23,22 @@ const PlanetDetail = () => {
   const [showMoons, setShowMoons] = useState(false);
   const [galleryOpen, setGalleryOpen] = useState(false);
   const [galleryImages, setGalleryImages] = useState([]);
+  const [galleryIndex, setGalleryIndex] = useState(0);
   const [selectedMoon, setSelectedMoon] = useState(null);
   const [moonDetailedInfo, setMoonDetailedInfo] = useState(null);
+  const isShowingDetails = showsBodyDetails(cameraState);
 
   useEffect(() => {
-    if (cameraState === 'DETAIL_VIEW') {
+    if (isShowingDetails) {
       setDisplayedPlanet(selectedPlanet);
     }
-  }, [cameraState, selectedPlanet]);
+  }, [isShowingDetails, selectedPlanet]);
 
   // Fetch NASA data when planet OR moon is selected
   useEffect(() => {
     const fetchNASAData = async () => {
-      if (!displayedPlanet) return;
+      // See NeoDetail and MissionDetail
+      if (!displayedPlanet || hasOwnPanel(displayedPlanet)) return;
       
       // Handle moon selection
       if (displayedPlanet.isMoon) {
@@ -58,8 +66,9 @@ const PlanetDetail = () => {
       setLoadingNASA(true);
       try {
         // Fetch planet image and educational content in parallel
+        // (the planet image search has nothing useful for comets)
         const [imageData, eduContent] = await Promise.all([
-          nasaAPI.getPlanetImage(displayedPlanet.name),
+          displayedPlanet.isComet ? null : nasaAPI.getPlanetImage(displayedPlanet.name),
           nasaAPI.getPlanetEducationalContent(displayedPlanet.name)
         ]);
         
@@ -75,10 +84,10 @@ const PlanetDetail = () => {
       }
     };
     
-    if (displayedPlanet && cameraState === 'DETAIL_VIEW') {
+    if (displayedPlanet && isShowingDetails) {
       fetchNASAData();
     }
-  }, [displayedPlanet, cameraState]);
+  }, [displayedPlanet, isShowingDetails]);
 
   const variants = {
     hidden: { opacity: 0, y: 20 },
@@ -94,6 +103,7 @@ const PlanetDetail = () => {
         alt: nasaImage.title,
         caption: `${nasaImage.title} - ${nasaImage.photographer}`
       }]);
+      setGalleryIndex(0);
       setGalleryOpen(true);
     }
   };
@@ -114,6 +124,7 @@ const PlanetDetail = () => {
           caption: img.caption || img.title
         }));
         setGalleryImages(moonGalleryImages);
+        setGalleryIndex(0);
         setGalleryOpen(true);
       }
     } catch (err) {
@@ -121,7 +132,14 @@ const PlanetDetail = () => {
     }
   };
 
-  const shouldDisplayDetails = cameraState === 'DETAIL_VIEW';
+  // Open rover photos (or any image set) in the gallery at a given photo
+  const handleOpenGallery = (images, index) => {
+    setGalleryImages(images);
+    setGalleryIndex(index);
+    setGalleryOpen(true);
+  };
+
+  const shouldDisplayDetails = isShowingDetails && !hasOwnPanel(selectedPlanet) && !hasOwnPanel(displayedPlanet);
 
   const hasMoons = displayedPlanet?.moons && displayedPlanet.moons.length > 0;
 
@@ -149,6 +167,14 @@ const PlanetDetail = () => {
             {displayedPlanet ? displayedPlanet.name : ''}
           </h1>
           
+          {/* Comet designation, e.g. 1P/Halley */}
+          {displayedPlanet?.isComet && (
+            <h4 className='tracking-tight mb-1 sm:mb-2 ml-1 text-blue-400 font-semibold
+                           text-base sm:text-lg md:text-xl'>
+              {displayedPlanet.designation}
+            </h4>
+          )}
+
           {/* Moon subtitle showing parent planet */}
           {displayedPlanet?.isMoon && displayedPlanet?.parentPlanet && (
             <h4 className='tracking-tight mb-1 sm:mb-2 ml-1 text-blue-400 font-semibold
@@ -430,7 +456,11 @@ const PlanetDetail = () => {
               <li>
                 <p>
                   <span className='font-semibold'>Axial Tilt: </span>
-                  <span>{displayedPlanet?.displayStats.axialTilt}°</span>
+                  <span>
+                    {displayedPlanet?.displayStats.axialTilt == null
+                      ? 'Unknown'
+                      : `${displayedPlanet.displayStats.axialTilt}°`}
+                  </span>
                 </p>
               </li>
               <li>
@@ -577,6 +607,16 @@ const PlanetDetail = () => {
                 )}
               </div>
             )}
+
+            {/* Orbit and activity when a comet is selected */}
+            {displayedPlanet?.isComet && (
+              <CometOrbit comet={displayedPlanet} />
+            )}
+
+            {/* Rover photos when Mars is selected */}
+            {displayedPlanet?.name === 'Mars' && !displayedPlanet.isMoon && (
+              <MarsRoverPanel onOpenGallery={handleOpenGallery} />
+            )}
           </div>
         </motion.div>
       )}
@@ -585,7 +625,7 @@ const PlanetDetail = () => {
       {galleryOpen && galleryImages.length > 0 && (
         <ImageGallery
           images={galleryImages}
-          initialIndex={0}
+          initialIndex={galleryIndex}
           onClose={() => setGalleryOpen(false)}
         />
       )}
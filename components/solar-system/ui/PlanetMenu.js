@@ -1,16 +1,20 @@
 // PlanetMenu.js
 'use client';
-import React, { useEffect } from 'react';
-import { motion, useAnimation } from 'framer-motion';
-import { useSpeedControl } from '../contexts/SpeedControlContext';
+import React, { useEffect, useState } from 'react';
+import { motion, AnimatePresence, useAnimation } from 'framer-motion';
 import { useSelectedPlanet } from '../contexts/SelectedPlanetContext';
 import { useCameraContext } from '../contexts/CameraContext';
+import { useSelectBody } from '../hooks/useSelectBody';
+import { createMoonSelection, getSelectionKey } from '../lib/bodyLookup';
 
 const PlanetMenu = ({ planets }) => {
-  const [selectedPlanet, setSelectedPlanet] = useSelectedPlanet();
-  const { overrideSpeedFactor } = useSpeedControl();
-  const { cameraState, setCameraState } = useCameraContext();
+  const [selectedPlanet] = useSelectedPlanet();
+  const { cameraState } = useCameraContext();
+  const flyToBody = useSelectBody();
   const controls = useAnimation();
+  // Planet whose moon list is open
+  const [expandedPlanet, setExpandedPlanet] = useState(null);
+  const selectionKey = getSelectionKey(selectedPlanet);
 
   useEffect(() => {
     if (cameraState === 'FREE') {
@@ -18,15 +22,46 @@ const PlanetMenu = ({ planets }) => {
     }
   }, [cameraState, controls]);
 
+  // Open the moon list of whatever system is selected, so its moons are a tap away
+  useEffect(() => {
+    const planetName = selectedPlanet?.isMoon ? selectedPlanet.parentPlanet : selectedPlanet?.name;
+    if (planets.some(planet => planet.name === planetName && planet.moons?.length)) {
+      setExpandedPlanet(planetName);
+    }
+  }, [selectedPlanet, planets]);
+
+  const selectBody = (selection) => {
+    if (getSelectionKey(selection) !== selectionKey) flyToBody(selection);
+  };
+
   const handleSelect = (planetName) => {
     const selected = planets.find((planet) => planet.name === planetName);
-    if (!selected || selectedPlanet?.id === selected.id) return;
+    if (selected) selectBody(selected);
+  };
 
-    setSelectedPlanet(selected);
-    overrideSpeedFactor();
-    setCameraState('ZOOMING_IN');
+  const toggleMoons = (planetName) => {
+    setExpandedPlanet(current => (current === planetName ? null : planetName));
   };
 
+  const expanded = planets.find(planet => planet.name === expandedPlanet);
+
+  const renderMoonToggle = (planet, sizeClassName) => planet.moons?.length > 0 && (
+    <button
+      onClick={() => toggleMoons(planet.name)}
+      aria-expanded={expandedPlanet === planet.name}
+      aria-controls="planet-menu-moons"
+      aria-label={`${expandedPlanet === planet.name ? 'Hide' : 'Show'} the moons of ${planet.name}`}
+      title={`Moons of ${planet.name}`}
+      className={`rounded-lg font-medium flex-shrink-0 transition-all duration-200 ${sizeClassName} ${
+        expandedPlanet === planet.name
+          ? 'bg-slate-400/40 text-white'
+          : 'bg-slate-400/15 text-slate-300 hover:bg-slate-400/30 hover:text-white'
+      }`}
+    >
+      {expandedPlanet === planet.name ? '▴' : '▾'} {planet.moons.length}
+    </button>
+  );
+
   const menuVariants = {
     hidden: { y: '100%', opacity: 0 },
     visible: {
@@ -43,24 +78,65 @@ const PlanetMenu = ({ planets }) => {
       animate={controls}
       variants={menuVariants}
     >
+      {/* Moons of the expanded planet, above the planet row on every screen size */}
+      <AnimatePresence>
+        {expanded && (
+          <motion.div
+            key={expanded.name}
+            id="planet-menu-moons"
+            role="navigation"
+            aria-label={`Moons of ${expanded.name}`}
+            className="flex gap-2 overflow-x-auto scrollbar-hide px-1 pb-2 sm:flex-wrap sm:justify-center sm:overflow-visible"
+            initial={{ opacity: 0, y: 8 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: 8 }}
+            transition={{ duration: 0.2 }}
+          >
+            <span className="self-center text-white/40 text-xs flex-shrink-0">{expanded.name}:</span>
+            {expanded.moons.map((moon) => {
+              const moonSelection = createMoonSelection(moon, expanded);
+              const isSelected = getSelectionKey(moonSelection) === selectionKey;
+              return (
+                <button
+                  key={moon.name}
+                  onClick={() => selectBody(moonSelection)}
+                  disabled={isSelected}
+                  aria-label={`View ${moon.name}, moon of ${expanded.name}`}
+                  aria-pressed={isSelected}
+                  className={`px-3 py-1.5 rounded-lg text-xs font-medium min-h-[32px] flex-shrink-0 transition-all duration-200 ${
+                    isSelected
+                      ? 'bg-slate-500 text-white opacity-50 cursor-not-allowed'
+                      : 'bg-slate-400/20 text-slate-200 hover:bg-slate-400/40 hover:text-white'
+                  }`}
+                >
+                  {moon.name}
+                </button>
+              );
+            })}
+          </motion.div>
+        )}
+      </AnimatePresence>
+
       {/* Mobile: Horizontal scroll menu */}
       <div className="sm:hidden" role="navigation" aria-label="Planet selection menu">
         <div className="flex gap-2 overflow-x-auto overflow-y-hidden px-1 pb-2 snap-x snap-mandatory scroll-smooth scrollbar-hide max-w-full">
           {planets.map((planet) => (
-            <button
-              key={planet.id}
-              onClick={() => handleSelect(planet.name)}
-              disabled={selectedPlanet?.id === planet.id}
-              aria-label={`View ${planet.name} details`}
-              aria-pressed={selectedPlanet?.id === planet.id}
-              className={`px-3 py-2 rounded-lg text-xs font-medium min-h-[36px] min-w-[64px] flex-shrink-0 snap-start transition-all duration-200 ${
-                selectedPlanet?.id === planet.id
-                  ? 'bg-purple-600 text-white opacity-50 cursor-not-allowed'
-                  : 'bg-purple-500/20 text-purple-200 hover:bg-purple-500/40 hover:text-white'
-              }`}
-            >
-              {planet.name}
-            </button>
+            <React.Fragment key={planet.id}>
+              <button
+                onClick={() => handleSelect(planet.name)}
+                disabled={selectionKey === planet.name}
+                aria-label={`View ${planet.name} details`}
+                aria-pressed={selectionKey === planet.name}
+                className={`px-3 py-2 rounded-lg text-xs font-medium min-h-[36px] min-w-[64px] flex-shrink-0 snap-start transition-all duration-200 ${
+                  selectionKey === planet.name
+                    ? 'bg-purple-600 text-white opacity-50 cursor-not-allowed'
+                    : 'bg-purple-500/20 text-purple-200 hover:bg-purple-500/40 hover:text-white'
+                }`}
+              >
+                {planet.name}
+              </button>
+              {renderMoonToggle(planet, 'px-2 py-2 text-xs min-h-[36px]')}
+            </React.Fragment>
           ))}
         </div>
         {/* Swipe prompt */}
@@ -77,20 +153,22 @@ const PlanetMenu = ({ planets }) => {
       {/* Desktop: Grid-style menu */}
       <div className="hidden sm:flex flex-wrap justify-center gap-3" role="navigation" aria-label="Planet selection menu">
         {planets.map((planet) => (
-          <button
-            key={planet.id}
-            onClick={() => handleSelect(planet.name)}
-            disabled={selectedPlanet?.id === planet.id}
-            aria-label={`View ${planet.name} details`}
-            aria-pressed={selectedPlanet?.id === planet.id}
-            className={`px-4 py-2 rounded-lg text-sm font-medium min-w-[80px] min-h-[40px] transition-all duration-200 ${
-              selectedPlanet?.id === planet.id
-                ? 'bg-purple-600 text-white opacity-50 cursor-not-allowed'
-                : 'bg-purple-500/20 text-purple-200 hover:bg-purple-500/40 hover:text-white'
-            }`}
-          >
-            {planet.name}
-          </button>
+          <div key={planet.id} className="flex gap-1">
+            <button
+              onClick={() => handleSelect(planet.name)}
+              disabled={selectionKey === planet.name}
+              aria-label={`View ${planet.name} details`}
+              aria-pressed={selectionKey === planet.name}
+              className={`px-4 py-2 rounded-lg text-sm font-medium min-w-[80px] min-h-[40px] transition-all duration-200 ${
+                selectionKey === planet.name
+                  ? 'bg-purple-600 text-white opacity-50 cursor-not-allowed'
+                  : 'bg-purple-500/20 text-purple-200 hover:bg-purple-500/40 hover:text-white'
+              }`}
+            >
+              {planet.name}
+            </button>
+            {renderMoonToggle(planet, 'px-2 py-2 text-xs min-h-[40px]')}
+          </div>
         ))}
       </div>
     </motion.div>
@@ -0,0 +1,176 @@
+// SceneSettingsMenu.js - Scale modes and toggles for orbit paths, markers and traversed arcs
+'use client';
+import { useEffect, useState } from 'react';
+import { motion, AnimatePresence, useAnimationControls } from 'framer-motion';
+import { useCameraContext } from '../contexts/CameraContext';
+import { useSceneSettings } from '../contexts/SceneSettingsContext';
+import { SCALE_MODES } from '../lib/scale';
+
+const SCALE_LABELS = {
+  compressed: 'Compressed',
+  logarithmic: 'Log',
+  true: 'True',
+};
+
+const SCALE_SETTINGS = [
+  { key: 'distanceScale', label: 'Distances' },
+  { key: 'sizeScale', label: 'Sizes' },
+];
+
+const ORBIT_OPTIONS = [
+  { key: 'showOrbits', label: 'Orbit paths', hint: 'Elliptical, inclined orbits' },
+  { key: 'showOrbitMarkers', label: 'Apsides & nodes', hint: 'Perihelion, aphelion and ecliptic crossings' },
+  { key: 'showTraversedArc', label: 'Traversed arc', hint: 'Path covered since the last perihelion' },
+];
+
+const LABEL_OPTIONS = [
+  { key: 'showLabels', label: 'Name labels', hint: 'Planets, moons and spacecraft; crowded labels give way' },
+];
+
+const MARKER_LEGEND = [
+  { label: 'Perihelion', color: '#ffaa33' },
+  { label: 'Aphelion', color: '#66ccff' },
+  { label: 'Ascending node', color: '#66ff99' },
+  { label: 'Descending node', color: '#ff6680' },
+];
+
+const SceneSettingsMenu = () => {
+  const { cameraState } = useCameraContext();
+  const settings = useSceneSettings();
+  const [isOpen, setIsOpen] = useState(false);
+  const controls = useAnimationControls();
+
+  useEffect(() => {
+    if (cameraState === 'FREE') {
+      controls.start("visible");
+    } else {
+      controls.start("hidden");
+      setIsOpen(false);
+    }
+  }, [cameraState, controls]);
+
+  const menuVariants = {
+    hidden: { x: '-120%', opacity: 0 },
+    visible: { x: 0, opacity: 1 }
+  };
+
+  const renderOption = ({ key, label, hint }) => (
+    <label key={key} className="flex items-start gap-2 cursor-pointer">
+      <input
+        type="checkbox"
+        checked={settings[key]}
+        onChange={() => settings.toggleSetting(key)}
+        className="mt-0.5 accent-blue-400"
+      />
+      <span>
+        <span className="block text-white text-sm">{label}</span>
+        <span className="block text-white/50 text-xs">{hint}</span>
+      </span>
+    </label>
+  );
+
+  return (
+    <motion.div
+      className='fixed top-16 left-4 z-50 select-none
+                 sm:top-20 sm:left-4'
+      variants={menuVariants}
+      initial="hidden"
+      animate={controls}
+    >
+      <motion.button
+        onClick={() => setIsOpen(open => !open)}
+        aria-expanded={isOpen}
+        aria-controls="scene-settings-panel"
+        aria-label="Scene display options"
+        title="Display Options"
+        className="bg-black/80 backdrop-blur-md rounded-full 
+                   px-3 py-2 text-xs
+                   sm:px-4 sm:py-2 sm:text-sm
+                   border border-blue-400/50 hover:border-blue-400/80 hover:bg-blue-500/10 
+                   transition-all duration-300 group
+                   min-h-[40px] min-w-[40px]
+                   touch-manipulation"
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+      >
+        <div className="flex items-center gap-1 sm:gap-2 text-white font-medium">
+          <span className="text-blue-400 group-hover:text-blue-300 transition-colors duration-200 text-base">
+            ⚙
+          </span>
+          <span className="text-white group-hover:text-blue-200 transition-colors duration-200 hidden sm:inline">
+            Display
+          </span>
+        </div>
+      </motion.button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            id="scene-settings-panel"
+            role="group"
+            aria-label="Orbit display options"
+            className="mt-2 w-64 bg-black/85 backdrop-blur-md rounded-2xl border border-white/20 p-3"
+            initial={{ opacity: 0, y: -8 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -8 }}
+            transition={{ duration: 0.2 }}
+          >
+            <div className="text-white/50 text-[10px] uppercase tracking-wider mb-2">Scale</div>
+            <div className="space-y-2 mb-3">
+              {SCALE_SETTINGS.map(({ key, label }) => (
+                <div key={key} role="radiogroup" aria-label={`${label} scale`}>
+                  <div className="text-white text-sm mb-1">{label}</div>
+                  <div className="flex rounded-lg overflow-hidden border border-white/20">
+                    {SCALE_MODES.map(mode => (
+                      <button
+                        key={mode}
+                        role="radio"
+                        aria-checked={settings[key] === mode}
+                        onClick={() => settings.setSetting(key, mode)}
+                        className={`flex-1 px-2 py-1 text-xs transition-colors duration-200 ${
+                          settings[key] === mode
+                            ? 'bg-blue-500/40 text-white'
+                            : 'bg-white/5 text-white/60 hover:bg-white/10 hover:text-white'
+                        }`}
+                      >
+                        {SCALE_LABELS[mode]}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              ))}
+              {settings.sizeScale === 'true' && (
+                <p className="text-white/50 text-xs">
+                  At true size the planets are far smaller than a pixel - pick one from the menu to fly to it.
+                </p>
+              )}
+            </div>
+
+            <div className="text-white/50 text-[10px] uppercase tracking-wider mb-2">Labels</div>
+            <div className="space-y-2 mb-3">
+              {LABEL_OPTIONS.map(renderOption)}
+            </div>
+
+            <div className="text-white/50 text-[10px] uppercase tracking-wider mb-2">Orbits</div>
+            <div className="space-y-2">
+              {ORBIT_OPTIONS.map(renderOption)}
+            </div>
+
+            {settings.showOrbitMarkers && (
+              <div className="mt-3 pt-2 border-t border-white/10 grid grid-cols-2 gap-1">
+                {MARKER_LEGEND.map(({ label, color }) => (
+                  <div key={label} className="flex items-center gap-1.5 text-white/70 text-[11px]">
+                    <span className="inline-block w-2 h-2 rounded-full" style={{ backgroundColor: color }} />
+                    {label}
+                  </div>
+                ))}
+              </div>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </motion.div>
+  );
+};
+
+export default SceneSettingsMenu;
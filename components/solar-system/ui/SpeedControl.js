@@ -4,19 +4,23 @@ import { useEffect, useState, useCallback, useRef, useMemo } from 'react';
 import { motion, useAnimation } from 'framer-motion';
 import { useSpeedControl } from '../contexts/SpeedControlContext';
 import { useCameraContext } from '../contexts/CameraContext';
+import { useSimulationTime } from '../contexts/SimulationTimeContext';
+import { formatSimulationRate } from '../utils/timeFormat';
 
-// Speed presets for cycling - defined outside component to avoid recreation
+// Speed presets for cycling - multipliers of the simulation clock rate
 const SPEED_PRESETS = [0, 1, 2, 5, 10];
 
 const SpeedControl = () => {
   const controls = useAnimation();
   const { speedFactor, setSpeedFactor } = useSpeedControl();
   const { cameraState } = useCameraContext();
+  const { rate } = useSimulationTime();
   const [isHovering, setIsHovering] = useState(false);
   const componentRef = useRef(null);
 
+  // Also shown while following a body or standing on its surface, the close-ups where time keeps running
   useEffect(() => {
-    if (cameraState === 'FREE') {
+    if (cameraState === 'FREE' || cameraState === 'FOLLOW' || cameraState === 'SURFACE_VIEW') {
       controls.start("visible");
     } else {
       controls.start("hidden");
@@ -47,15 +51,11 @@ const SpeedControl = () => {
     return '🚀';
   }, [isDisabled, speedFactor]);
 
-  const speedStatus = useMemo(() => {
-    if (speedFactor === 0) return 'Paused';
-    if (speedFactor < 0.5) return 'Ultra Slow';
-    if (speedFactor < 1) return 'Slow';
-    if (speedFactor === 1) return 'Normal';
-    if (speedFactor <= 2) return 'Fast';
-    if (speedFactor <= 5) return 'Very Fast';
-    return 'Ludicrous Speed';
-  }, [speedFactor]);
+  // Label the speed with the simulated time that actually passes per second
+  const speedStatus = useMemo(
+    () => formatSimulationRate(rate * speedFactor),
+    [rate, speedFactor]
+  );
 
   return (
     <>
@@ -104,6 +104,9 @@ const SpeedControl = () => {
             <span className="font-mono min-w-[24px] sm:min-w-[32px] text-center text-xs sm:text-sm" title={speedStatus}>
               {speedFactor % 1 === 0 ? speedFactor.toFixed(0) : speedFactor.toFixed(1)}x
             </span>
+            {speedFactor !== 0 && (
+              <span className="text-white/60 text-xs hidden sm:inline">{speedStatus}</span>
+            )}
             {isDisabled ? (
               <span className="text-orange-400 text-xs">🔒</span>
             ) : (
@@ -0,0 +1,101 @@
+// SurfaceViewPanel.js - Location and sky presets while standing on a planet or moon
+'use client';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useSelectedPlanet } from '../contexts/SelectedPlanetContext';
+import { useCameraContext } from '../contexts/CameraContext';
+import { useCameraModes } from '../hooks/useCameraModes';
+
+const formatCoordinate = (value, positive, negative) =>
+  `${Math.abs(value).toFixed(0)}° ${value >= 0 ? positive : negative}`;
+
+const SurfaceViewPanel = () => {
+  const [selectedPlanet] = useSelectedPlanet();
+  const { cameraState, surfaceLocation, setSurfaceLocation, surfaceViewRef } = useCameraContext();
+  const { leaveSurfaceView } = useCameraModes();
+
+  const shouldDisplay = cameraState === 'SURFACE_VIEW' && selectedPlanet;
+
+  const aim = (target) => {
+    surfaceViewRef.current.aim = target;
+  };
+
+  const handleLocationChange = (key) => (event) => {
+    setSurfaceLocation({ ...surfaceLocation, [key]: Number(event.target.value) });
+  };
+
+  const buttonClassName = 'px-3 py-1.5 bg-blue-600/60 hover:bg-blue-600/80 text-white rounded-lg transition-colors text-xs font-medium';
+
+  return (
+    <AnimatePresence>
+      {shouldDisplay && (
+        <motion.div
+          key='surface-view'
+          className='fixed bottom-4 left-4 right-4 z-50 select-none
+                     sm:bottom-6 sm:left-1/2 sm:right-auto sm:-translate-x-1/2 sm:w-[420px]
+                     bg-black/80 backdrop-blur-md rounded-xl border border-amber-400/40
+                     p-3 sm:p-4 text-gray-200'
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: 20 }}
+          transition={{ duration: 0.3 }}
+        >
+          <div className='flex items-baseline justify-between mb-2'>
+            <h4 className='font-semibold text-white text-sm sm:text-base'>
+              Standing on {selectedPlanet.name}
+            </h4>
+            <span className='text-xs text-gray-400'>Drag to look around</span>
+          </div>
+
+          <label className='block text-xs mb-1'>
+            <span className='font-semibold'>Latitude:</span>{' '}
+            {formatCoordinate(surfaceLocation.latitude, 'N', 'S')}
+            <input
+              type='range'
+              min={-90}
+              max={90}
+              step={1}
+              value={surfaceLocation.latitude}
+              onChange={handleLocationChange('latitude')}
+              className='w-full accent-amber-400'
+            />
+          </label>
+          <label className='block text-xs mb-2'>
+            <span className='font-semibold'>Longitude:</span>{' '}
+            {formatCoordinate(surfaceLocation.longitude, 'E', 'W')}
+            <input
+              type='range'
+              min={-180}
+              max={180}
+              step={1}
+              value={surfaceLocation.longitude}
+              onChange={handleLocationChange('longitude')}
+              className='w-full accent-amber-400'
+            />
+          </label>
+
+          <div className='flex flex-wrap gap-2'>
+            <button onClick={() => aim('sunrise')} className={buttonClassName}>
+              Watch sunrise
+            </button>
+            <button onClick={() => aim('sun')} className={buttonClassName}>
+              Face the Sun
+            </button>
+            {selectedPlanet.isMoon && (
+              <button onClick={() => aim('parent')} className={buttonClassName}>
+                See {selectedPlanet.parentPlanet}
+              </button>
+            )}
+            <button
+              onClick={leaveSurfaceView}
+              className='px-3 py-1.5 bg-red-600/60 hover:bg-red-600/80 text-white rounded-lg transition-colors text-xs font-medium'
+            >
+              Leave surface
+            </button>
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default SurfaceViewPanel;
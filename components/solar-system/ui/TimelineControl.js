@@ -0,0 +1,183 @@
+// TimelineControl.js - Date picker and timeline scrubber for the simulation clock
+'use client';
+import { useEffect, useCallback, useMemo } from 'react';
+import { motion, useAnimation } from 'framer-motion';
+import { useCameraContext } from '../contexts/CameraContext';
+import { useSimulationTime, useSimulationDate } from '../contexts/SimulationTimeContext';
+import { julianDateFromDate, dateFromJulianDate } from '../lib/ephemeris';
+import { formatSimulationDate, toISODateString } from '../utils/timeFormat';
+
+const STEPS = [
+  { unit: 'year', label: 'Y' },
+  { unit: 'month', label: 'M' },
+  { unit: 'day', label: 'D' },
+];
+
+// Shift a date by calendar units so that months and years land on the same day
+const shiftDate = (date, unit, amount) => {
+  const shifted = new Date(date.getTime());
+  switch (unit) {
+    case 'year':
+      shifted.setUTCFullYear(shifted.getUTCFullYear() + amount);
+      break;
+    case 'month':
+      shifted.setUTCMonth(shifted.getUTCMonth() + amount);
+      break;
+    default:
+      shifted.setUTCDate(shifted.getUTCDate() + amount);
+  }
+  return shifted;
+};
+
+const TimelineControl = ({ minYear = 1900, maxYear = 2100 }) => {
+  const controls = useAnimation();
+  const { cameraState } = useCameraContext();
+  const { setDate, getDate, isPlaying, play, pause, rate, setRate } = useSimulationTime();
+  const julianDate = useSimulationDate();
+
+  useEffect(() => {
+    if (cameraState === 'FREE') {
+      controls.start('visible');
+    } else {
+      controls.start('hidden');
+    }
+  }, [cameraState, controls]);
+
+  const range = useMemo(() => ({
+    min: julianDateFromDate(new Date(Date.UTC(minYear, 0, 1))),
+    max: julianDateFromDate(new Date(Date.UTC(maxYear, 11, 31))),
+  }), [minYear, maxYear]);
+
+  const clampToRange = useCallback(
+    (value) => Math.min(range.max, Math.max(range.min, value)),
+    [range]
+  );
+
+  const currentDate = dateFromJulianDate(julianDate);
+  const isReversed = rate < 0;
+
+  // From the live clock: the displayed date is polled, so it can lag behind while playing
+  // and would drop rapid clicks
+  const handleStep = (unit, amount) => {
+    setDate(clampToRange(julianDateFromDate(shiftDate(getDate(), unit, amount))));
+  };
+
+  const handleDateInput = (e) => {
+    if (!e.target.value) return;
+    const [year, month, day] = e.target.value.split('-').map(Number);
+    setDate(clampToRange(julianDateFromDate(new Date(Date.UTC(year, month - 1, day)))));
+  };
+
+  const timelineVariants = {
+    hidden: { y: '150%', opacity: 0 },
+    visible: { y: 0, opacity: 1, transition: { type: 'spring', stiffness: 100, damping: 15 } }
+  };
+
+  const buttonClass = `bg-purple-500/20 text-purple-200 hover:bg-purple-500/40 hover:text-white
+                       rounded-md px-2 py-1 text-xs font-medium min-w-[32px] min-h-[28px]
+                       transition-all duration-200 touch-manipulation`;
+
+  return (
+    <motion.div
+      className='fixed z-50 select-none
+                 left-4 right-4 bottom-24
+                 sm:left-1/2 sm:right-auto sm:-translate-x-1/2 sm:w-[32rem] sm:bottom-28'
+      variants={timelineVariants}
+      initial="hidden"
+      animate={controls}
+      role="group"
+      aria-label="Simulation timeline"
+    >
+      <div className='bg-black/80 backdrop-blur-md rounded-2xl border border-white/20 px-3 py-2 sm:px-4 sm:py-3'>
+        {/* Current date and date picker */}
+        <div className='flex items-center justify-between gap-2 mb-2'>
+          <span className='text-white font-mono text-sm sm:text-base' aria-live="polite">
+            {formatSimulationDate(currentDate)}
+          </span>
+          <input
+            type="date"
+            value={toISODateString(currentDate)}
+            min={`${minYear}-01-01`}
+            max={`${maxYear}-12-31`}
+            onChange={handleDateInput}
+            aria-label="Jump to date"
+            className='bg-white/10 text-white text-xs rounded-md px-2 py-1 border border-white/20
+                       focus:outline-none focus:border-blue-400/70 [color-scheme:dark]'
+          />
+        </div>
+
+        {/* Scrubber */}
+        <div className='flex items-center gap-2'>
+          <span className='text-white/50 text-[10px] font-mono'>{minYear}</span>
+          <input
+            type="range"
+            min={range.min}
+            max={range.max}
+            step={1}
+            value={clampToRange(julianDate)}
+            onChange={(e) => setDate(Number(e.target.value))}
+            aria-label="Timeline scrubber"
+            aria-valuetext={formatSimulationDate(currentDate)}
+            className='flex-1 accent-purple-400 cursor-pointer'
+          />
+          <span className='text-white/50 text-[10px] font-mono'>{maxYear}</span>
+        </div>
+
+        {/* Playback and step controls */}
+        <div className='flex flex-wrap items-center justify-center gap-1 mt-2'>
+          {STEPS.map(({ unit, label }) => (
+            <button
+              key={`back-${unit}`}
+              onClick={() => handleStep(unit, -1)}
+              aria-label={`Back one ${unit}`}
+              title={`Back one ${unit}`}
+              className={buttonClass}
+            >
+              −{label}
+            </button>
+          ))}
+
+          <button
+            onClick={() => setRate(-rate)}
+            aria-label={isReversed ? 'Play forwards' : 'Play in reverse'}
+            aria-pressed={isReversed}
+            title={isReversed ? 'Play forwards' : 'Play in reverse'}
+            className={`${buttonClass} ${isReversed ? 'bg-orange-500/30 text-orange-200' : ''}`}
+          >
+            ⇄
+          </button>
+          <button
+            onClick={isPlaying ? pause : play}
+            aria-label={isPlaying ? 'Pause simulation' : 'Play simulation'}
+            title={isPlaying ? 'Pause' : 'Play'}
+            className={buttonClass}
+          >
+            {isPlaying ? '⏸' : '▶'}
+          </button>
+          <button
+            onClick={() => setDate(new Date())}
+            aria-label="Jump to today"
+            title="Jump to today"
+            className={buttonClass}
+          >
+            Now
+          </button>
+
+          {[...STEPS].reverse().map(({ unit, label }) => (
+            <button
+              key={`forward-${unit}`}
+              onClick={() => handleStep(unit, 1)}
+              aria-label={`Forward one ${unit}`}
+              title={`Forward one ${unit}`}
+              className={buttonClass}
+            >
+              +{label}
+            </button>
+          ))}
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+export default TimelineControl;
@@ -0,0 +1,132 @@
+// TourMenu.js - Lists the guided tours in public/tours and starts one
+'use client';
+import { useEffect, useState } from 'react';
+import { motion, AnimatePresence, useAnimationControls } from 'framer-motion';
+import { useCameraContext } from '../contexts/CameraContext';
+import { useTour } from '../contexts/TourContext';
+import { loadTourIndex, loadTour } from '../lib/tours';
+import { renderLogger } from '../../../lib/logger';
+
+const TourMenu = () => {
+  const { cameraState } = useCameraContext();
+  const { startTour } = useTour();
+  const [isOpen, setIsOpen] = useState(false);
+  const [tours, setTours] = useState(null);
+  const [loadingId, setLoadingId] = useState(null);
+  const [error, setError] = useState(null);
+  const controls = useAnimationControls();
+
+  useEffect(() => {
+    if (cameraState === 'FREE') {
+      controls.start("visible");
+    } else {
+      controls.start("hidden");
+      setIsOpen(false);
+    }
+  }, [cameraState, controls]);
+
+  // Fetch the list the first time the menu opens
+  useEffect(() => {
+    if (!isOpen || tours) return;
+    let cancelled = false;
+    loadTourIndex()
+      .then(index => { if (!cancelled) setTours(index); })
+      .catch(err => {
+        renderLogger.error('Failed to load tours:', err);
+        if (!cancelled) setError('Tours are unavailable right now.');
+      });
+    return () => { cancelled = true; };
+  }, [isOpen, tours]);
+
+  const handleStart = async (id) => {
+    setLoadingId(id);
+    setError(null);
+    try {
+      startTour(await loadTour(id));
+    } catch (err) {
+      renderLogger.error(`Failed to load tour ${id}:`, err);
+      setError('This tour could not be loaded.');
+    } finally {
+      setLoadingId(null);
+    }
+  };
+
+  const menuVariants = {
+    hidden: { x: '120%', opacity: 0 },
+    visible: { x: 0, opacity: 1 }
+  };
+
+  return (
+    <motion.div
+      className='fixed top-16 right-4 z-50 select-none flex flex-col items-end
+                 sm:top-20 sm:right-6'
+      variants={menuVariants}
+      initial="hidden"
+      animate={controls}
+    >
+      <motion.button
+        onClick={() => setIsOpen(open => !open)}
+        aria-expanded={isOpen}
+        aria-controls="tour-menu-panel"
+        aria-label="Guided tours"
+        title="Guided Tours"
+        className="bg-black/80 backdrop-blur-md rounded-full
+                   px-3 py-2 text-xs
+                   sm:px-4 sm:py-2 sm:text-sm
+                   border border-amber-400/50 hover:border-amber-400/80 hover:bg-amber-500/10
+                   transition-all duration-300 group
+                   min-h-[40px] min-w-[40px]
+                   touch-manipulation"
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+      >
+        <div className="flex items-center gap-1 sm:gap-2 text-white font-medium">
+          <span className="text-amber-400 group-hover:text-amber-300 transition-colors duration-200 text-base">
+            🎬
+          </span>
+          <span className="text-white group-hover:text-amber-200 transition-colors duration-200 hidden sm:inline">
+            Tours
+          </span>
+        </div>
+      </motion.button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            id="tour-menu-panel"
+            role="menu"
+            aria-label="Guided tours"
+            className="mt-2 w-64 bg-black/85 backdrop-blur-md rounded-2xl border border-white/20 p-3"
+            initial={{ opacity: 0, y: -8 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -8 }}
+            transition={{ duration: 0.2 }}
+          >
+            <div className="text-white/50 text-[10px] uppercase tracking-wider mb-2">Guided tours</div>
+            {!tours && !error && <p className="text-white/60 text-xs">Loading tours...</p>}
+            {error && <p className="text-red-300 text-xs mb-2">{error}</p>}
+            <div className="space-y-2">
+              {tours?.map(({ id, title, description }) => (
+                <button
+                  key={id}
+                  role="menuitem"
+                  onClick={() => handleStart(id)}
+                  disabled={loadingId !== null}
+                  className="block w-full text-left rounded-lg px-2 py-1.5 bg-white/5 hover:bg-amber-500/20
+                             transition-colors duration-200 disabled:opacity-50 disabled:cursor-wait"
+                >
+                  <span className="block text-white text-sm">
+                    {loadingId === id ? 'Loading...' : title}
+                  </span>
+                  {description && <span className="block text-white/50 text-xs">{description}</span>}
+                </button>
+              ))}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </motion.div>
+  );
+};
+
+export default TourMenu;
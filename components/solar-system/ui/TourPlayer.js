@@ -0,0 +1,84 @@
+// TourPlayer.js - Caption, narration and pause/skip controls for a running guided tour
+'use client';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useCameraContext } from '../contexts/CameraContext';
+import { useTour } from '../contexts/TourContext';
+
+const TourPlayer = () => {
+  const { cameraState } = useCameraContext();
+  const { tour, keyframe, keyframeIndex, isPaused, togglePause, nextKeyframe, previousKeyframe, stopTour } = useTour();
+
+  const shouldDisplay = cameraState === 'TOUR' && tour && keyframe;
+  const isLast = tour && keyframeIndex === tour.keyframes.length - 1;
+
+  const buttonClassName = 'px-3 py-1.5 bg-amber-600/60 hover:bg-amber-600/80 text-white rounded-lg transition-colors text-xs font-medium disabled:opacity-40 disabled:cursor-not-allowed';
+
+  return (
+    <AnimatePresence>
+      {shouldDisplay && (
+        <motion.div
+          key='tour-player'
+          role='region'
+          aria-label={`Guided tour: ${tour.title}`}
+          className='fixed bottom-4 left-4 right-4 z-50 select-none
+                     sm:bottom-6 sm:left-1/2 sm:right-auto sm:-translate-x-1/2 sm:w-[480px]
+                     bg-black/80 backdrop-blur-md rounded-xl border border-amber-400/40
+                     p-3 sm:p-4 text-gray-200'
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: 20 }}
+          transition={{ duration: 0.3 }}
+        >
+          <div className='flex items-baseline justify-between mb-1'>
+            <span className='text-xs text-amber-300/80 truncate'>{tour.title}</span>
+            <span className='text-xs text-gray-400 font-mono'>
+              {keyframeIndex + 1} / {tour.keyframes.length}
+            </span>
+          </div>
+
+          <AnimatePresence mode='wait'>
+            <motion.div
+              key={keyframeIndex}
+              aria-live='polite'
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              transition={{ duration: 0.3 }}
+            >
+              <h4 className='font-semibold text-white text-sm sm:text-base'>{keyframe.caption}</h4>
+              {keyframe.narration && (
+                <p className='text-xs sm:text-sm text-gray-300 mt-1 leading-relaxed'>{keyframe.narration}</p>
+              )}
+            </motion.div>
+          </AnimatePresence>
+
+          <div className='flex flex-wrap gap-2 mt-3'>
+            <button
+              onClick={previousKeyframe}
+              disabled={keyframeIndex === 0}
+              className={buttonClassName}
+              title='Previous stop (←)'
+            >
+              ⏮ Back
+            </button>
+            <button onClick={togglePause} className={buttonClassName} title='Pause or resume (Space)'>
+              {isPaused ? '▶ Resume' : '⏸ Pause'}
+            </button>
+            <button onClick={nextKeyframe} className={buttonClassName} title='Next stop (→)'>
+              {isLast ? '⏹ Finish' : '⏭ Skip'}
+            </button>
+            <button
+              onClick={stopTour}
+              className='px-3 py-1.5 bg-red-600/60 hover:bg-red-600/80 text-white rounded-lg transition-colors text-xs font-medium'
+              title='End the tour (Esc)'
+            >
+              End tour
+            </button>
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default TourPlayer;
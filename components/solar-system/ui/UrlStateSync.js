@@ -0,0 +1,140 @@
+// UrlStateSync.js - Keeps the selected body, camera pose, date and speed in the URL
+'use client';
+import { useEffect, useRef, useCallback } from 'react';
+import { Vector3 } from 'three';
+import { useSelectedPlanet } from '../contexts/SelectedPlanetContext';
+import { useCameraContext } from '../contexts/CameraContext';
+import { useSpeedControl } from '../contexts/SpeedControlContext';
+import { useSimulationTime } from '../contexts/SimulationTimeContext';
+import { dateFromJulianDate } from '../lib/ephemeris';
+import { getSelectionKey } from '../lib/bodyLookup';
+import { parseUrlState, buildUrlSearch } from '../lib/urlState';
+
+// Camera states whose pose is worth sharing; the rest are mid-flight
+const SETTLED_CAMERA_STATES = ['FREE', 'DETAIL_VIEW', 'FOLLOW'];
+
+// Scrubbing the timeline or orbiting fires many updates; browsers throttle history writes
+const REPLACE_DEBOUNCE_MS = 300;
+
+const UrlStateSync = () => {
+  const [selectedPlanet, setSelectedPlanet] = useSelectedPlanet();
+  const { cameraState, setCameraState, controlsRef, pendingPoseRef, poseRevision } = useCameraContext();
+  const { speedFactor, lastSpeedFactor, setSpeedFactor, overrideSpeedFactor } = useSpeedControl();
+  const { julianDateRef, setDate, dateRevision, isPlaying } = useSimulationTime();
+
+  const selectionKey = getSelectionKey(selectedPlanet);
+  // Selection key of the current history entry; a different one means a new entry
+  const historyKeyRef = useRef(selectionKey);
+  const replaceTimeoutRef = useRef(null);
+  // Set while state read from the URL is being applied; the URL already holds it
+  const restoringRef = useRef(false);
+
+  // Apply a parsed URL state to the scene
+  const applyUrlState = useCallback(({ selection, date, speed, target, offset }) => {
+    const key = getSelectionKey(selection);
+    historyKeyRef.current = key;
+    restoringRef.current = true;
+    // A pending write belongs to the entry being left
+    clearTimeout(replaceTimeoutRef.current);
+
+    if (date) setDate(date);
+
+    if (selection) {
+      setSelectedPlanet(selection);
+      // Close-ups pause the simulation; the URL speed is what leaving restores
+      overrideSpeedFactor(speed ?? (speedFactor || lastSpeedFactor));
+    } else {
+      setSelectedPlanet(null);
+      setSpeedFactor(speed ?? (selectedPlanet ? lastSpeedFactor : speedFactor));
+    }
+
+    if (offset) {
+      pendingPoseRef.current = { selectionKey: key, target, offset };
+    } else if (selection) {
+      setCameraState('ZOOMING_IN');
+    } else if (selectedPlanet) {
+      setCameraState('MOVING_TO_HOME');
+    }
+  }, [
+    setDate,
+    setSelectedPlanet,
+    overrideSpeedFactor,
+    setSpeedFactor,
+    speedFactor,
+    lastSpeedFactor,
+    selectedPlanet,
+    pendingPoseRef,
+    setCameraState,
+  ]);
+
+  // Restore from the URL on load; only when it carries state, so a bare URL keeps the intro
+  const restoredRef = useRef(false);
+  useEffect(() => {
+    if (restoredRef.current) return;
+    restoredRef.current = true;
+    if (window.location.search) {
+      applyUrlState(parseUrlState(window.location.search));
+    }
+  }, [applyUrlState]);
+
+  // Back/forward navigation re-applies the entry's state
+  useEffect(() => {
+    const handlePopState = () => applyUrlState(parseUrlState(window.location.search));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [applyUrlState]);
+
+  // Write the current state: a new entry when the selection changes, otherwise replace in place
+  useEffect(() => {
+    // Tours hop between bodies on their own; their stops aren't history entries
+    if (cameraState === 'TOUR') return;
+    // Don't write back the state just read from the URL: wait for its selection to land
+    if (restoringRef.current) {
+      if (historyKeyRef.current === selectionKey) restoringRef.current = false;
+      return;
+    }
+    const isNewSelection = historyKeyRef.current !== selectionKey;
+    const isSettled = SETTLED_CAMERA_STATES.includes(cameraState) && !pendingPoseRef.current;
+    if (!isNewSelection && !isSettled) return;
+
+    const writeUrl = (method) => {
+      const controls = controlsRef.current;
+      const hasPose = isSettled && controls;
+      const search = buildUrlSearch({
+        selection: selectedPlanet,
+        date: dateFromJulianDate(julianDateRef.current),
+        speed: selectedPlanet ? lastSpeedFactor : speedFactor,
+        target: hasPose ? controls.target : null,
+        offset: hasPose ? new Vector3().subVectors(controls.object.position, controls.target) : null,
+      });
+      const url = `${window.location.pathname}${search}${window.location.hash}`;
+      window.history[method](null, '', url);
+    };
+
+    clearTimeout(replaceTimeoutRef.current);
+    if (isNewSelection) {
+      historyKeyRef.current = selectionKey;
+      writeUrl('pushState');
+    } else {
+      replaceTimeoutRef.current = setTimeout(() => writeUrl('replaceState'), REPLACE_DEBOUNCE_MS);
+    }
+  }, [
+    selectionKey,
+    selectedPlanet,
+    cameraState,
+    poseRevision,
+    dateRevision,
+    isPlaying,
+    speedFactor,
+    lastSpeedFactor,
+    controlsRef,
+    pendingPoseRef,
+    julianDateRef,
+  ]);
+
+  useEffect(() => () => clearTimeout(replaceTimeoutRef.current), []);
+
+  return null; // This component doesn't render anything
+};
+
+export default UrlStateSync;
@@ -47,6 +47,7 @@ export const getDeviceCapabilities = () => {
  * @property {boolean} antialias - Whether to enable antialiasing
  * @property {number} particleCount - Number of particles to render
  * @property {number} asteroidCount - Number of asteroids in asteroid belt
+ * @property {number} kuiperBeltCount - Number of objects in the Kuiper belt and scattered disc
  * @property {string} textureQuality - Texture resolution ('1k' or '2k')
  * @property {string} powerPreference - WebGL power preference ('low-power' or 'high-performance')
  * @property {number} maxLights - Maximum number of lights in scene
@@ -62,6 +63,7 @@ export const getOptimalSettings = () => {
       antialias: !capabilities.isLowEnd,
       particleCount: capabilities.isLowEnd ? 500 : 1000,
       asteroidCount: capabilities.isLowEnd ? 200 : 500,
+      kuiperBeltCount: capabilities.isLowEnd ? 200 : 400,
       textureQuality: capabilities.isLowEnd ? '1k' : '2k',
       powerPreference: 'low-power',
       maxLights: 2,
@@ -75,6 +77,7 @@ export const getOptimalSettings = () => {
     antialias: true,
     particleCount: 2000,
     asteroidCount: 1000,
+    kuiperBeltCount: 800,
     textureQuality: '2k',
     powerPreference: 'high-performance',
     maxLights: 4,
@@ -0,0 +1,52 @@
+/**
+ * Formatting helpers for simulated time
+ */
+
+const RATE_UNITS = [
+  { name: 'year', days: 365.25 },
+  { name: 'month', days: 30.44 },
+  { name: 'week', days: 7 },
+  { name: 'day', days: 1 },
+  { name: 'hour', days: 1 / 24 },
+  { name: 'minute', days: 1 / 1440 },
+  { name: 'second', days: 1 / 86400 },
+];
+
+/**
+ * Formats a simulation rate as a human readable "time per second" label
+ * @param {number} daysPerSecond - Simulated days per real second (negative runs backwards)
+ * @returns {string} Label such as "1 week/s" or "-2.5 days/s"
+ * @example
+ * formatSimulationRate(7);  // "1 week/s"
+ * formatSimulationRate(0);  // "Paused"
+ */
+export const formatSimulationRate = (daysPerSecond) => {
+  if (!daysPerSecond) return 'Paused';
+
+  const magnitude = Math.abs(daysPerSecond);
+  const unit = RATE_UNITS.find(({ days }) => magnitude >= days) || RATE_UNITS[RATE_UNITS.length - 1];
+  const value = Math.round((magnitude / unit.days) * 10) / 10;
+  const sign = daysPerSecond < 0 ? '-' : '';
+
+  return `${sign}${value} ${unit.name}${value === 1 ? '' : 's'}/s`;
+};
+
+/**
+ * Formats a date as a YYYY-MM-DD string in UTC, as used by date inputs and the API
+ * @param {Date} date - Date to format
+ * @returns {string} ISO calendar date
+ */
+export const toISODateString = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Formats a date for display in the simulation UI
+ * @param {Date} date - Date to format
+ * @returns {string} Label such as "Jul 20, 1969"
+ */
+export const formatSimulationDate = (date) =>
+  date.toLocaleDateString('en-US', {
+    timeZone: 'UTC',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
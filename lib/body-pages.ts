@@ -0,0 +1,89 @@
+/**
+ * Data for the per-body pages under /planets and the sitemap
+ * Pages are generated from planetsData, so adding a body there adds its page.
+ */
+
+import planetsData from '@/components/solar-system/lib/planetsData';
+import { getBodySlug, findPlanet, findMoon } from '@/components/solar-system/lib/bodyLookup';
+import { EDUCATIONAL_CONTENT } from '@/lib/educational-content';
+import { MOON_CONTENT } from '@/lib/moon-content';
+import type { PlanetData, MoonData } from '@/components/solar-system/types';
+
+const bodies = planetsData as PlanetData[];
+
+/**
+ * Path of a planet's page, e.g. /planets/saturn
+ */
+export function getPlanetPath(planetName: string): string {
+  return `/planets/${getBodySlug(planetName)}`;
+}
+
+/**
+ * Path of a moon's page, e.g. /planets/saturn/titan
+ */
+export function getMoonPath(planetName: string, moonName: string): string {
+  return `${getPlanetPath(planetName)}/${getBodySlug(moonName)}`;
+}
+
+/**
+ * Route params for every planet page (the Sun included)
+ */
+export function getPlanetParams(): { name: string }[] {
+  return bodies.map(planet => ({ name: getBodySlug(planet.name) }));
+}
+
+/**
+ * Route params for every moon page
+ */
+export function getMoonParams(): { name: string; moon: string }[] {
+  return bodies.flatMap(planet =>
+    (planet.moons ?? []).map(moon => ({
+      name: getBodySlug(planet.name),
+      moon: getBodySlug(moon.name),
+    }))
+  );
+}
+
+/**
+ * Resolves a planet page slug
+ */
+export function getPlanetBySlug(slug: string): PlanetData | undefined {
+  return findPlanet(slug) as PlanetData | undefined;
+}
+
+/**
+ * Resolves a moon page's slugs; the moon must belong to the planet in the path
+ */
+export function getMoonBySlug(
+  planetSlug: string,
+  moonSlug: string
+): { moon: MoonData; parent: PlanetData } | undefined {
+  return findMoon(moonSlug, planetSlug) as { moon: MoonData; parent: PlanetData } | undefined;
+}
+
+/**
+ * One-sentence-ish summary of a planet for meta descriptions
+ */
+export function describePlanet(planet: PlanetData): string {
+  const facts = EDUCATIONAL_CONTENT[planet.name]?.funFacts ?? [];
+  return [`${planet.name} - ${planet.displayStats.classification}`, ...facts.slice(0, 2)].join('. ') + '.';
+}
+
+/**
+ * Summary of a moon for meta descriptions, falling back to its orbit when there's no write-up
+ */
+export function describeMoon(moon: MoonData, parent: PlanetData): string {
+  const content = MOON_CONTENT[moon.name];
+  if (content) return content.description;
+  return `${moon.name} is a moon of ${parent.name}, orbiting every ${moon.orbitalElements.period.toFixed(2)} days.`;
+}
+
+/**
+ * All page paths, for the sitemap
+ */
+export function getAllBodyPaths(): string[] {
+  return [
+    ...bodies.map(planet => getPlanetPath(planet.name)),
+    ...bodies.flatMap(planet => (planet.moons ?? []).map(moon => getMoonPath(planet.name, moon.name))),
+  ];
+}
@@ -7,6 +7,8 @@ export interface EducationalData {
   funFacts: string[];
   missions: string[];
   nextEvents?: string;
+  // Named landmarks, searchable from the command palette
+  surfaceFeatures?: string[];
 }
 
 export const EDUCATIONAL_CONTENT: Record<string, EducationalData> = {
@@ -40,7 +42,8 @@ export const EDUCATIONAL_CONTENT: Record<string, EducationalData> = {
       "Has two small moons: Phobos and Deimos"
     ],
     missions: ["Perseverance", "Curiosity", "InSight", "MAVEN"],
-    nextEvents: "Mars Sample Return mission planned for 2030s"
+    nextEvents: "Mars Sample Return mission planned for 2030s",
+    surfaceFeatures: ["Olympus Mons", "Valles Marineris", "Tharsis Montes", "Hellas Planitia", "Gale Crater", "Jezero Crater"]
   },
   Jupiter: {
     funFacts: [
@@ -50,7 +53,8 @@ export const EDUCATIONAL_CONTENT: Record<string, EducationalData> = {
       "A day on Jupiter is only 10 hours"
     ],
     missions: ["Juno", "Galileo (ended)", "Pioneer (ended)"],
-    nextEvents: "Europa Clipper mission launching 2024"
+    nextEvents: "Europa Clipper mission launching 2024",
+    surfaceFeatures: ["Great Red Spot"]
   },
   Saturn: {
     funFacts: [
@@ -60,7 +64,8 @@ export const EDUCATIONAL_CONTENT: Record<string, EducationalData> = {
       "Winds can reach 1,800 km/h"
     ],
     missions: ["Cassini-Huygens (ended)"],
-    nextEvents: "Dragonfly mission to Titan planned for 2027"
+    nextEvents: "Dragonfly mission to Titan planned for 2027",
+    surfaceFeatures: ["Saturn's hexagon", "Cassini Division"]
   },
   Venus: {
     funFacts: [
@@ -70,7 +75,8 @@ export const EDUCATIONAL_CONTENT: Record<string, EducationalData> = {
       "Surface pressure is 90x Earth's"
     ],
     missions: ["Magellan (ended)", "Akatsuki (JAXA)"],
-    nextEvents: "DAVINCI and VERITAS missions planned"
+    nextEvents: "DAVINCI and VERITAS missions planned",
+    surfaceFeatures: ["Maxwell Montes", "Ishtar Terra", "Aphrodite Terra"]
   },
   Mercury: {
     funFacts: [
@@ -80,7 +86,8 @@ export const EDUCATIONAL_CONTENT: Record<string, EducationalData> = {
       "Has almost no atmosphere"
     ],
     missions: ["MESSENGER (ended)", "BepiColombo (ESA/JAXA)"],
-    nextEvents: "BepiColombo arrival in 2025"
+    nextEvents: "BepiColombo arrival in 2025",
+    surfaceFeatures: ["Caloris Planitia", "Rachmaninoff Crater"]
   },
   Uranus: {
     funFacts: [
@@ -100,6 +107,119 @@ export const EDUCATIONAL_CONTENT: Record<string, EducationalData> = {
       "Triton orbits backwards (retrograde)"
     ],
     missions: ["Voyager 2 (1989 flyby)"],
-    nextEvents: "Neptune mission being studied by NASA"
+    nextEvents: "Neptune mission being studied by NASA",
+    surfaceFeatures: ["Great Dark Spot"]
+  },
+  Ceres: {
+    funFacts: [
+      "Largest object in the asteroid belt, about a third of its total mass",
+      "Classified as a dwarf planet since 2006",
+      "Bright spots in Occator Crater are salt deposits left by briny water",
+      "First asteroid ever discovered, by Giuseppe Piazzi in 1801"
+    ],
+    missions: ["Dawn (2015-2018 orbiter)"],
+    nextEvents: "Sample return missions to Ceres are being studied",
+    surfaceFeatures: ["Occator Crater", "Ahuna Mons"]
+  },
+  Vesta: {
+    funFacts: [
+      "Brightest asteroid in the sky, sometimes visible to the naked eye",
+      "The Rheasilvia crater is about 500 km wide, nearly the asteroid's full diameter",
+      "Has a differentiated interior with an iron core, like the rocky planets",
+      "Many meteorites found on Earth (the HED meteorites) come from Vesta"
+    ],
+    missions: ["Dawn (2011-2012 orbiter)"],
+    surfaceFeatures: ["Rheasilvia", "Divalia Fossae"]
+  },
+  Pallas: {
+    funFacts: [
+      "Second asteroid ever discovered, in 1802",
+      "Its orbit is tilted almost 35° to the ecliptic, unusually steep for its size",
+      "Heavily cratered surface, likely from high-speed impacts on its tilted orbit"
+    ],
+    missions: ["Imaged by ESO's Very Large Telescope (SPHERE)"]
+  },
+  Hygiea: {
+    funFacts: [
+      "Fourth-largest object in the asteroid belt",
+      "Nearly spherical, making it a dwarf planet candidate",
+      "Dark, carbon-rich surface reflects only about 7% of sunlight"
+    ],
+    missions: ["Imaged by ESO's Very Large Telescope (SPHERE)"]
+  },
+  Pluto: {
+    funFacts: [
+      "Reclassified from planet to dwarf planet in 2006",
+      "Sputnik Planitia is a 1,000 km wide glacier of nitrogen ice",
+      "Locked in a 2:3 resonance with Neptune, so the two never come close",
+      "Pluto and Charon orbit a point in space between them"
+    ],
+    missions: ["New Horizons (2015 flyby)"],
+    nextEvents: "Pluto orbiter concepts are being studied",
+    surfaceFeatures: ["Sputnik Planitia", "Tombaugh Regio", "Cthulhu Macula"]
+  },
+  Haumea: {
+    funFacts: [
+      "Spins once every 3.9 hours, fast enough to stretch it into an egg shape",
+      "Has a thin ring, found when it passed in front of a star in 2017",
+      "Its surface is covered in crystalline water ice",
+      "Parent of a collisional family of icy fragments"
+    ],
+    missions: ["Observed by ground-based telescopes during stellar occultations"]
+  },
+  Makemake: {
+    funFacts: [
+      "Named after the creator god of the Rapa Nui people",
+      "Surface of methane and ethane ices gives it a reddish-brown tint",
+      "Discovered shortly after Easter 2005",
+      "Its small dark moon was only spotted in 2015 by Hubble"
+    ],
+    missions: ["Observed by Hubble and the James Webb Space Telescope"]
+  },
+  Eris: {
+    funFacts: [
+      "Its discovery in 2005 led to Pluto's reclassification",
+      "About 27% more massive than Pluto",
+      "Currently almost three times farther from the Sun than Pluto",
+      "Takes about 558 years to orbit the Sun"
+    ],
+    missions: ["Observed by Hubble and ground-based telescopes"]
+  },
+  Halley: {
+    funFacts: [
+      "The first comet known to be periodic, predicted by Edmond Halley in 1705",
+      "Returns about every 76 years; next perihelion is in July 2061",
+      "Orbits the Sun backwards compared with the planets",
+      "Debris from its tail causes the Eta Aquariid and Orionid meteor showers"
+    ],
+    missions: ["Giotto (1986 flyby)", "Vega 1 and 2 (1986 flybys)", "Suisei and Sakigake (1986)"],
+    nextEvents: "Next perihelion on 28 July 2061"
+  },
+  "Hale-Bopp": {
+    funFacts: [
+      "Visible to the naked eye for a record 18 months in 1996-1997",
+      "Its nucleus is about 60 km across, far larger than most comets",
+      "Showed a third tail made of neutral sodium atoms",
+      "Will not return for more than 2,000 years"
+    ],
+    missions: ["Observed by Hubble, SOHO and ground-based telescopes"]
+  },
+  "Churyumov-Gerasimenko": {
+    funFacts: [
+      "First comet to be orbited and landed on, by Rosetta and Philae",
+      "Its two-lobed 'rubber duck' shape came from two bodies merging gently",
+      "Rosetta found molecular oxygen and the amino acid glycine in its coma",
+      "A close pass by Jupiter in 1959 moved it onto its current orbit"
+    ],
+    missions: ["Rosetta (2014-2016 orbiter)", "Philae (2014 lander)"]
+  },
+  Encke: {
+    funFacts: [
+      "Shortest orbital period of any bright comet, about 3.3 years",
+      "Second comet found to be periodic, after Halley",
+      "Source of the Taurid meteor showers",
+      "NASA's STEREO spacecraft watched a solar storm tear off its tail in 2007"
+    ],
+    missions: ["Observed by STEREO and MESSENGER"]
   }
 };
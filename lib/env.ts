@@ -6,8 +6,14 @@
 import { z } from 'zod';
 
 const envSchema = z.object({
-  // NASA API key - required for server-side API routes
-  NASA_API_KEY: z.string().min(1, 'NASA_API_KEY is required'),
+  // NASA API key - required for server-side API routes, unless replaying recorded responses
+  NASA_API_KEY: z.string().min(1).optional(),
+
+  // Where NASA data comes from: live API, live API saved to fixtures, or fixtures only
+  NASA_UPSTREAM_MODE: z.enum(['live', 'record', 'replay']).default('live'),
+
+  // Directory for recorded NASA responses
+  NASA_FIXTURES_DIR: z.string().default('fixtures/nasa'),
   
   // Node environment
   NODE_ENV: z.enum(['development', 'production', 'test']).default('development'),
@@ -15,13 +21,18 @@ const envSchema = z.object({
   // Optional: Vercel environment variables (auto-populated by Vercel)
   VERCEL_URL: z.string().optional(),
   VERCEL_ENV: z.enum(['development', 'preview', 'production']).optional(),
-});
+}).refine(
+  (env) => env.NASA_UPSTREAM_MODE === 'replay' || !!env.NASA_API_KEY,
+  { message: 'NASA_API_KEY is required (or set NASA_UPSTREAM_MODE=replay)', path: ['NASA_API_KEY'] }
+);
 
 // Parse and validate environment variables
 function validateEnv() {
   try {
     const env = envSchema.parse({
-      NASA_API_KEY: process.env.NASA_API_KEY,
+      NASA_API_KEY: process.env.NASA_API_KEY || undefined,
+      NASA_UPSTREAM_MODE: process.env.NASA_UPSTREAM_MODE || undefined,
+      NASA_FIXTURES_DIR: process.env.NASA_FIXTURES_DIR || undefined,
       NODE_ENV: process.env.NODE_ENV,
       VERCEL_URL: process.env.VERCEL_URL,
       VERCEL_ENV: process.env.VERCEL_ENV,
@@ -0,0 +1,372 @@
+/**
+ * Detailed content for major moons
+ * Extracted from NASA API service so server-rendered pages can use it too
+ */
+
+export interface MoonDetailedInfo {
+  discovered: string;
+  diameter: string;
+  mass: string;
+  orbitalPeriod: string;
+  description: string;
+  composition: string;
+  surfaceFeatures: string;
+  notableFacts: string[];
+  exploration: string[];
+  images: string[];
+}
+
+export const MOON_CONTENT: Record<string, MoonDetailedInfo> = {
+  // Earth's Moon
+  'Moon': {
+    discovered: 'Known since antiquity',
+    diameter: '3,474 km',
+    mass: '7.35 × 10²² kg',
+    orbitalPeriod: '27.3 days',
+    description: 'Earth\'s only natural satellite and the fifth largest moon in the Solar System. It stabilizes Earth\'s axial wobble and creates tides.',
+    composition: 'Rocky body with iron-rich core',
+    surfaceFeatures: 'Maria (dark basaltic plains), highlands (lighter cratered regions), impact craters',
+    notableFacts: [
+      'The only celestial body humans have visited',
+      'Causes ocean tides on Earth',
+      'Always shows the same face to Earth (tidally locked)',
+      'Surface temperatures range from -173°C to 127°C'
+    ],
+    exploration: [
+      'Apollo 11 first landing (1969)',
+      'Six Apollo missions landed (1969-1972)',
+      'Recent missions: Artemis program planning return'
+    ],
+    images: [
+      'Full Moon view from Apollo',
+      'Lunar surface panoramas',
+      'Earth rise from Moon'
+    ]
+  },
+  
+  // Jupiter's Galilean Moons
+  'Io': {
+    discovered: 'Galileo Galilei (1610)',
+    diameter: '3,643 km',
+    mass: '8.93 × 10²² kg',
+    orbitalPeriod: '1.77 days',
+    description: 'The most volcanically active body in the Solar System, with over 400 active volcanoes.',
+    composition: 'Rocky body with iron or iron sulfide core',
+    surfaceFeatures: 'Active volcanoes, lava flows, sulfur compounds giving yellow-orange color',
+    notableFacts: [
+      'Over 400 active volcanoes',
+      'Surface constantly renewed by volcanic activity',
+      'Thin atmosphere of sulfur dioxide',
+      'Tidal heating from Jupiter causes extreme volcanism'
+    ],
+    exploration: [
+      'Discovered by Galileo (1610)',
+      'Voyager missions revealed volcanism (1979)',
+      'Galileo spacecraft detailed studies (1995-2003)',
+      'Juno flybys (ongoing)'
+    ],
+    images: [
+      'Volcanic plumes erupting',
+      'Colorful sulfur surface',
+      'Comparison with Earth\'s Moon'
+    ]
+  },
+  
+  'Europa': {
+    discovered: 'Galileo Galilei (1610)',
+    diameter: '3,122 km',
+    mass: '4.80 × 10²² kg',
+    orbitalPeriod: '3.55 days',
+    description: 'An icy moon with a global subsurface ocean that may harbor conditions suitable for life.',
+    composition: 'Ice shell over rocky mantle, possible subsurface ocean',
+    surfaceFeatures: 'Smooth ice crust with cracks and ridges, very few impact craters',
+    notableFacts: [
+      'Subsurface ocean may contain twice as much water as Earth',
+      'Potential for extraterrestrial life',
+      'Surface constantly renewed by geological activity',
+      'Youngest surface in the Solar System'
+    ],
+    exploration: [
+      'Voyager flybys revealed smooth surface (1979)',
+      'Galileo spacecraft found magnetic evidence of ocean (1995-2003)',
+      'Europa Clipper mission launching 2024',
+      'Future: Possible lander missions'
+    ],
+    images: [
+      'Icy surface with linear features',
+      'True color composite',
+      'Chaos terrain regions'
+    ]
+  },
+  
+  'Ganymede': {
+    discovered: 'Galileo Galilei (1610)',
+    diameter: '5,268 km',
+    mass: '1.48 × 10²³ kg',
+    orbitalPeriod: '7.15 days',
+    description: 'The largest moon in the Solar System, even bigger than Mercury, with its own magnetic field.',
+    composition: 'Rock and water ice, possible subsurface ocean',
+    surfaceFeatures: 'Mix of dark cratered terrain and lighter grooved terrain',
+    notableFacts: [
+      'Only moon with its own magnetic field',
+      'Larger than Mercury',
+      'May have a subsurface ocean',
+      'Has a thin oxygen atmosphere'
+    ],
+    exploration: [
+      'Voyager missions first detailed images (1979)',
+      'Galileo found magnetic field evidence (1996)',
+      'JUICE mission (ESA) will study closely (arriving 2031)',
+      'Future: Potential for detailed ocean study'
+    ],
+    images: [
+      'Full disk view showing terrain types',
+      'Grooved terrain detail',
+      'Size comparison with Earth\'s Moon'
+    ]
+  },
+  
+  'Callisto': {
+    discovered: 'Galileo Galilei (1610)',
+    diameter: '4,821 km',
+    mass: '1.08 × 10²³ kg',
+    orbitalPeriod: '16.69 days',
+    description: 'The most heavily cratered object in the Solar System, with a very ancient surface.',
+    composition: 'Roughly equal mix of rock and ice, possible subsurface ocean',
+    surfaceFeatures: 'Heavily cratered, dark surface, multi-ring impact structures',
+    notableFacts: [
+      'Most heavily cratered moon in the Solar System',
+      'Surface is over 4 billion years old',
+      'May have a subsurface ocean',
+      'Low radiation environment makes it attractive for future bases'
+    ],
+    exploration: [
+      'Voyager missions revealed ancient surface (1979)',
+      'Galileo spacecraft detailed mapping (1995-2003)',
+      'Considered for future human base location',
+      'JUICE mission will conduct flybys (2030s)'
+    ],
+    images: [
+      'Full disk showing heavy cratering',
+      'Valhalla multi-ring structure',
+      'Ancient terrain detail'
+    ]
+  },
+  
+  // Saturn's Moons
+  'Titan': {
+    discovered: 'Christiaan Huygens (1655)',
+    diameter: '5,150 km',
+    mass: '1.35 × 10²³ kg',
+    orbitalPeriod: '15.95 days',
+    description: 'The only moon with a substantial atmosphere and liquid lakes on its surface (liquid methane and ethane).',
+    composition: 'Rocky core, water ice mantle, thick nitrogen atmosphere',
+    surfaceFeatures: 'Methane lakes and seas, sand dunes, ice mountains, river channels',
+    notableFacts: [
+      'Only moon with thick atmosphere (1.5x Earth\'s surface pressure)',
+      'Has weather, clouds, and rain (methane)',
+      'Surface liquid lakes and seas',
+      'Possible prebiotic chemistry'
+    ],
+    exploration: [
+      'Voyager missions first atmospheric data (1980-1981)',
+      'Cassini-Huygens mission detailed study (2004-2017)',
+      'Huygens probe landed on surface (2005)',
+      'Dragonfly rotorcraft mission planned (launch 2028, arrival 2034)'
+    ],
+    images: [
+      'Orange atmosphere from space',
+      'Surface view from Huygens lander',
+      'Radar maps of lakes and seas'
+    ]
+  },
+  
+  'Enceladus': {
+    discovered: 'William Herschel (1789)',
+    diameter: '504 km',
+    mass: '1.08 × 10²⁰ kg',
+    orbitalPeriod: '1.37 days',
+    description: 'A small moon with active ice geysers erupting from its south pole, suggesting a subsurface ocean.',
+    composition: 'Water ice surface, rocky core, subsurface ocean',
+    surfaceFeatures: 'Smooth ice surface, "tiger stripe" fractures at south pole, active geysers',
+    notableFacts: [
+      'Ice geysers shoot water 500 km into space',
+      'Subsurface ocean contains organic compounds',
+      'One of the brightest objects in Solar System',
+      'Strong candidate for extraterrestrial life'
+    ],
+    exploration: [
+      'Voyager missions first images (1981)',
+      'Cassini discovered geysers (2005)',
+      'Cassini flew through geyser plumes (2008-2015)',
+      'Future missions being considered'
+    ],
+    images: [
+      'Ice geysers erupting from south pole',
+      'Tiger stripe fractures',
+      'Bright icy surface'
+    ]
+  },
+  
+  'Mimas': {
+    discovered: 'William Herschel (1789)',
+    diameter: '396 km',
+    mass: '3.75 × 10¹⁹ kg',
+    orbitalPeriod: '0.94 days',
+    description: 'Known for its resemblance to the Death Star due to the massive Herschel crater.',
+    composition: 'Water ice with small rocky core',
+    surfaceFeatures: 'Heavily cratered, Herschel crater (130 km diameter)',
+    notableFacts: [
+      'Herschel crater is 1/3 the diameter of Mimas itself',
+      'Impact that created Herschel nearly destroyed the moon',
+      'Nicknamed the "Death Star moon"',
+      'Shepherds Saturn\'s ring system'
+    ],
+    exploration: [
+      'Voyager missions first detailed images (1980-1981)',
+      'Cassini close flybys (2005-2017)'
+    ],
+    images: [
+      'Herschel crater in detail',
+      'Full disk "Death Star" view',
+      'Cratered surface terrain'
+    ]
+  },
+  
+  'Rhea': {
+    discovered: 'Giovanni Cassini (1672)',
+    diameter: '1,527 km',
+    mass: '2.31 × 10²¹ kg',
+    orbitalPeriod: '4.52 days',
+    description: 'Saturn\'s second-largest moon with a possible thin ring system of its own.',
+    composition: 'Water ice and rock',
+    surfaceFeatures: 'Heavily cratered, wispy terrain, possible ancient ring debris',
+    notableFacts: [
+      'May have its own tenuous ring system',
+      'Heavily cratered ancient surface',
+      'Thin oxygen and carbon dioxide atmosphere',
+      'Named after a Titan from Greek mythology'
+    ],
+    exploration: [
+      'Voyager missions first images (1980-1981)',
+      'Cassini detailed mapping (2004-2017)',
+      'Possible ring system detected (2008)'
+    ],
+    images: [
+      'Wispy terrain features',
+      'Heavily cratered highlands',
+      'Full disk view'
+    ]
+  },
+
+  // Additional moons (Uranus, Neptune, etc.)
+  'Triton': {
+    discovered: 'William Lassell (1846)',
+    diameter: '2,706 km',
+    mass: '2.14 × 10²² kg',
+    orbitalPeriod: '5.88 days (retrograde)',
+    description: 'Neptune\'s largest moon with a retrograde orbit, suggesting it was captured from the Kuiper Belt.',
+    composition: 'Rocky core, water ice mantle, nitrogen ice surface',
+    surfaceFeatures: 'Nitrogen geysers, cantaloupe terrain, few impact craters',
+    notableFacts: [
+      'Only large moon with retrograde orbit',
+      'Coldest surface temperature measured: -235°C',
+      'Active nitrogen geysers',
+      'Likely a captured Kuiper Belt object'
+    ],
+    exploration: [
+      'Voyager 2 only spacecraft to visit (1989)',
+      'Future Neptune missions being considered'
+    ],
+    images: [
+      'Cantaloupe terrain',
+      'Nitrogen geyser deposits',
+      'South polar cap'
+    ]
+  },
+
+  // Dwarf planet moons
+  'Charon': {
+    discovered: 'James Christy (1978)',
+    diameter: '1,212 km',
+    mass: '1.59 × 10²¹ kg',
+    orbitalPeriod: '6.39 days',
+    description: 'Pluto\'s largest moon, half Pluto\'s diameter. The two are tidally locked to each other and orbit a point between them, making them nearly a binary system.',
+    composition: 'Roughly equal parts rock and water ice',
+    surfaceFeatures: 'Reddish north polar cap (Mordor Macula), canyons longer than the Grand Canyon, smooth southern plains',
+    notableFacts: [
+      'Always shows the same face to Pluto, and Pluto always shows the same face to Charon',
+      'Its red polar cap is made of material escaping from Pluto\'s atmosphere',
+      'Largest moon relative to its parent in the Solar System',
+      'Evidence of an ancient subsurface ocean that froze'
+    ],
+    exploration: [
+      'New Horizons flyby (2015)'
+    ],
+    images: [
+      'Mordor Macula polar cap',
+      'Serenity Chasma canyon system',
+      'Vulcan Planitia'
+    ]
+  },
+  'Dysnomia': {
+    discovered: 'Michael Brown and team (2005)',
+    diameter: 'About 700 km',
+    mass: 'About 8 × 10¹⁹ kg',
+    orbitalPeriod: '15.8 days',
+    description: 'The only known moon of Eris, named after the daughter of Eris in Greek mythology. Its orbit was used to measure Eris\'s mass.',
+    composition: 'Likely ice and rock, with a very dark surface',
+    surfaceFeatures: 'Unresolved; reflects only a few percent of sunlight',
+    notableFacts: [
+      'Much darker than Eris, which is one of the most reflective bodies known',
+      'Its orbit showed Eris is more massive than Pluto',
+      'Probably formed in a giant impact on Eris'
+    ],
+    exploration: [
+      'Observed by Keck Observatory, Hubble and ALMA'
+    ],
+    images: [
+      'Keck adaptive optics discovery images'
+    ]
+  },
+  'Hi\'iaka': {
+    discovered: 'Michael Brown and team (2005)',
+    diameter: 'About 320 km',
+    mass: 'About 1.8 × 10¹⁹ kg',
+    orbitalPeriod: '49.1 days',
+    description: 'The larger of Haumea\'s two moons, named after a Hawaiian goddess who is a daughter of Haumea. Likely a fragment of the collision that formed the Haumea family.',
+    composition: 'Nearly pure crystalline water ice',
+    surfaceFeatures: 'Bright icy surface; spins about once every 9.8 hours',
+    notableFacts: [
+      'Orbit is tilted far from Haumea\'s rings and inner moon Namaka',
+      'Its orbit gave the first measurement of Haumea\'s mass',
+      'Spectrum matches Haumea\'s own water ice surface'
+    ],
+    exploration: [
+      'Observed by Keck Observatory and Hubble'
+    ],
+    images: [
+      'Keck adaptive optics images'
+    ]
+  },
+  'MK2': {
+    discovered: 'Alex Parker and team, using Hubble (2015)',
+    diameter: 'About 175 km',
+    mass: 'Unknown',
+    orbitalPeriod: 'At least 12 days',
+    description: 'The only known moon of Makemake, formally S/2015 (136472) 1. It hid for years in the glare of its bright parent and orbits almost edge-on to our line of sight.',
+    composition: 'Unknown; possibly ice and rock coated in dark material',
+    surfaceFeatures: 'Unresolved; as dark as charcoal, reflecting about 4% of sunlight',
+    notableFacts: [
+      'Makemake is roughly 1,300 times brighter',
+      'Its darkness may explain warm patches seen in Makemake\'s infrared glow',
+      'A full orbit will give the first measurement of Makemake\'s mass'
+    ],
+    exploration: [
+      'Observed by Hubble'
+    ],
+    images: [
+      'Hubble Wide Field Camera 3 discovery images'
+    ]
+  }
+};
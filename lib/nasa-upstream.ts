@@ -0,0 +1,159 @@
+/**
+ * Upstream access to NASA's APIs with record/replay support
+ * All server routes fetch NASA data through here. NASA_UPSTREAM_MODE picks the source:
+ *   live   - call NASA directly (default)
+ *   record - call NASA and save every response under NASA_FIXTURES_DIR
+ *   replay - serve saved responses only: no network and no API key needed
+ * Requests for "today" (APOD, the NEO feed) change every day, so replay falls back to the
+ * newest recording of the same request with other dates.
+ * The fixtures shipped in fixtures/nasa are synthetic, not recordings: hand-written
+ * responses in NASA's format, marked `synthetic: true`, whose image URLs point nowhere.
+ * Recording a request replaces its synthetic fixture with the real response.
+ */
+
+import { createHash } from 'crypto';
+import { mkdir, readdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { env } from './env';
+import { nasaLogger } from './logger';
+import { AppError, ERROR_CODES } from './error-handler';
+
+const USER_AGENT = 'Solar-System-Emulator/1.0';
+
+// Query parameters that only pick a date; replay may substitute another recorded date
+const DATE_PARAMS = ['date', 'start_date', 'end_date'];
+
+export interface NasaFetchOptions {
+  // Append the NASA API key (api.nasa.gov endpoints); the key never reaches fixtures
+  withApiKey?: boolean;
+}
+
+interface Fixture {
+  url: string;
+  status: number;
+  recordedAt: string;
+  // Hand-written stand-in rather than a recording (scripts/generate-synthetic-nasa-fixtures.js)
+  synthetic?: boolean;
+  body: unknown;
+}
+
+/**
+ * Identifies a request regardless of its dates, e.g. the NEO feed for any day
+ */
+function getDatelessKey(url: string): string {
+  const parsed = new URL(url);
+  DATE_PARAMS.forEach(param => parsed.searchParams.delete(param));
+  parsed.searchParams.sort();
+  return parsed.toString();
+}
+
+/**
+ * Path of the fixture for a URL, e.g. fixtures/nasa/images-api.nasa.gov/search-1a2b3c4d.json
+ * Query parameters are sorted so equivalent URLs share a fixture.
+ */
+export function getFixturePath(url: string): string {
+  const parsed = new URL(url);
+  parsed.searchParams.sort();
+  const key = parsed.toString();
+
+  const hash = createHash('sha1').update(key).digest('hex').slice(0, 8);
+  const name = parsed.pathname.replace(/^\/+|\/+$/g, '').replace(/[^a-zA-Z0-9]+/g, '-') || 'root';
+  return path.join(process.cwd(), env.NASA_FIXTURES_DIR, parsed.hostname, `${name}-${hash}.json`);
+}
+
+async function readFixture(fixturePath: string): Promise<Fixture | null> {
+  try {
+    return JSON.parse(await readFile(fixturePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Finds the newest recording of the same request on another date
+ * Fixtures of one endpoint share a file name prefix, so only those are read.
+ */
+async function findOtherDateFixture(url: string, fixturePath: string): Promise<Fixture | null> {
+  const key = getDatelessKey(url);
+  const directory = path.dirname(fixturePath);
+  const prefix = path.basename(fixturePath).replace(/[0-9a-f]{8}\.json$/, '');
+
+  let names: string[];
+  try {
+    names = (await readdir(directory)).filter(name => name.startsWith(prefix));
+  } catch {
+    return null;
+  }
+
+  const fixtures = await Promise.all(names.map(name => readFixture(path.join(directory, name))));
+  return fixtures
+    .filter((fixture): fixture is Fixture => !!fixture && getDatelessKey(fixture.url) === key)
+    .sort((a, b) => b.recordedAt.localeCompare(a.recordedAt))[0] ?? null;
+}
+
+async function replay(url: string): Promise<Response> {
+  const fixturePath = getFixturePath(url);
+  const fixture = await readFixture(fixturePath) ?? await findOtherDateFixture(url, fixturePath);
+
+  if (!fixture) {
+    throw new AppError(
+      `No recorded NASA response for ${url} (expected ${fixturePath})`,
+      ERROR_CODES.NETWORK_ERROR,
+      503,
+      'This NASA data is not available offline'
+    );
+  }
+
+  nasaLogger.debug(`Replaying ${url} from ${fixture.url === url ? fixturePath : fixture.url}`);
+  return Response.json(fixture.body, { status: fixture.status });
+}
+
+async function record(url: string, response: Response): Promise<void> {
+  const fixturePath = getFixturePath(url);
+  const fixture: Fixture = {
+    url,
+    status: response.status,
+    recordedAt: new Date().toISOString(),
+    body: await response.clone().json(),
+  };
+
+  await mkdir(path.dirname(fixturePath), { recursive: true });
+  await writeFile(fixturePath, `${JSON.stringify(fixture, null, 2)}\n`);
+  nasaLogger.info(`Recorded ${url} to ${fixturePath}`);
+}
+
+/**
+ * Fetches a NASA JSON endpoint according to NASA_UPSTREAM_MODE
+ * Callers handle the response exactly as they would a live fetch, including
+ * non-OK statuses, which are recorded and replayed too.
+ * @param url - Endpoint URL, without the API key
+ * @param options - Fetch options
+ * @returns The live or replayed response
+ */
+export async function nasaFetch(url: string, { withApiKey = false }: NasaFetchOptions = {}): Promise<Response> {
+  if (env.NASA_UPSTREAM_MODE === 'replay') {
+    return replay(url);
+  }
+
+  const requestUrl = new URL(url);
+  if (withApiKey && env.NASA_API_KEY) {
+    requestUrl.searchParams.set('api_key', env.NASA_API_KEY);
+  }
+
+  const response = await fetch(requestUrl, {
+    headers: {
+      'User-Agent': USER_AGENT,
+    },
+  });
+
+  if (env.NASA_UPSTREAM_MODE === 'record') {
+    try {
+      await record(url, response);
+    } catch (error) {
+      // A failed recording shouldn't fail the request
+      nasaLogger.warn(`Could not record ${url}:`, error);
+    }
+  }
+
+  return response;
+}
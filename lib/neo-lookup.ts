@@ -0,0 +1,152 @@
+/**
+ * Near-Earth object lookups from NeoWs, cached in process
+ * The lookup route and the NEO feed route (which attaches orbits to the objects it lists)
+ * both go through here, so each object costs one upstream request per cache lifetime
+ * rather than one per visitor. Only those upstream requests count against nasaRateLimiter.
+ */
+
+import { LRUCache } from 'lru-cache';
+import { nasaLogger } from './logger';
+import { nasaFetch } from './nasa-upstream';
+import { nasaRateLimiter } from './rate-limiter';
+import { AppError, ERROR_CODES } from './error-handler';
+
+// Osculating orbits are re-fitted every few weeks at most
+const LOOKUP_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const LOOKUP_CACHE_SIZE = 500;
+
+interface UpstreamCloseApproach {
+  epoch_date_close_approach: number;
+  relative_velocity: { kilometers_per_second: string };
+  miss_distance: { astronomical: string; lunar: string; kilometers: string };
+  orbiting_body: string;
+}
+
+export interface NeoOrbitalElements {
+  semiMajorAxis: number;
+  eccentricity: number;
+  inclination: number;
+  longitudeOfAscendingNode: number;
+  argumentOfPerihelion: number;
+  meanAnomaly: number;
+  meanMotion: number;
+  epoch: number;
+}
+
+export interface NeoLookup {
+  id: string;
+  name: string;
+  nasaJplUrl: string;
+  isPotentiallyHazardous: boolean;
+  estimatedDiameterKm: { min: number; max: number } | null;
+  orbitClass: string | null;
+  orbitalElements: NeoOrbitalElements | null;
+  closeApproaches: Array<{
+    date: string;
+    missDistanceKm: number;
+    missDistanceLunar: number;
+    missDistanceAU: number;
+    relativeVelocityKmS: number;
+  }>;
+}
+
+const lookupCache = new LRUCache<string, NeoLookup>({
+  max: LOOKUP_CACHE_SIZE,
+  ttl: LOOKUP_CACHE_TTL_MS,
+});
+
+// Concurrent requests for the same object share one upstream request
+const pendingLookups = new Map<string, Promise<NeoLookup>>();
+
+/**
+ * Converts a NeoWs lookup response into the app's shape
+ */
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+function toNeoLookup(data: any): NeoLookup {
+  const orbit = data.orbital_data;
+  const diameter = data.estimated_diameter?.kilometers;
+
+  // Same shape and units as the planets' orbital elements (AU, degrees, degrees/day, JD epoch)
+  const orbitalElements = orbit ? {
+    semiMajorAxis: Number(orbit.semi_major_axis),
+    eccentricity: Number(orbit.eccentricity),
+    inclination: Number(orbit.inclination),
+    longitudeOfAscendingNode: Number(orbit.ascending_node_longitude),
+    argumentOfPerihelion: Number(orbit.perihelion_argument),
+    meanAnomaly: Number(orbit.mean_anomaly),
+    meanMotion: Number(orbit.mean_motion),
+    epoch: Number(orbit.epoch_osculation),
+  } : null;
+
+  const closeApproaches = (data.close_approach_data || [])
+    .filter((approach: UpstreamCloseApproach) => approach.orbiting_body === 'Earth')
+    .map((approach: UpstreamCloseApproach) => ({
+      date: new Date(approach.epoch_date_close_approach).toISOString(),
+      missDistanceKm: Number(approach.miss_distance.kilometers),
+      missDistanceLunar: Number(approach.miss_distance.lunar),
+      missDistanceAU: Number(approach.miss_distance.astronomical),
+      relativeVelocityKmS: Number(approach.relative_velocity.kilometers_per_second),
+    }));
+
+  return {
+    id: data.id,
+    name: data.name,
+    nasaJplUrl: data.nasa_jpl_url,
+    isPotentiallyHazardous: !!data.is_potentially_hazardous_asteroid,
+    estimatedDiameterKm: diameter ? {
+      min: diameter.estimated_diameter_min,
+      max: diameter.estimated_diameter_max,
+    } : null,
+    orbitClass: orbit?.orbit_class?.orbit_class_type || null,
+    orbitalElements,
+    closeApproaches,
+  };
+}
+
+async function fetchNeoLookup(id: string): Promise<NeoLookup> {
+  const rateLimitResult = nasaRateLimiter.check();
+  if (!rateLimitResult.success) {
+    nasaLogger.warn(`Rate limit exceeded for NEO: ${id}`);
+    throw new AppError(
+      'Rate limit exceeded',
+      ERROR_CODES.RATE_LIMIT_EXCEEDED,
+      429,
+      'Too many requests. Please try again later.'
+    );
+  }
+
+  nasaLogger.debug(`Looking up NEO: ${id}`);
+
+  const response = await nasaFetch(`https://api.nasa.gov/neo/rest/v1/neo/${id}`, { withApiKey: true });
+  if (!response.ok) {
+    nasaLogger.warn(`NASA NEO lookup error for ${id}: ${response.status}`);
+    throw new AppError(
+      `NASA NEO lookup returned ${response.status}`,
+      ERROR_CODES.API_ERROR,
+      response.status,
+      response.status === 404 ? 'Asteroid not found' : 'Failed to fetch asteroid data'
+    );
+  }
+
+  const lookup = toNeoLookup(await response.json());
+  lookupCache.set(id, lookup);
+  nasaLogger.debug(`Successfully looked up NEO ${lookup.name}`);
+  return lookup;
+}
+
+/**
+ * Looks up a near-Earth object by its NeoWs id, from the cache when possible
+ * @param id - Validated numeric NeoWs id
+ * @throws AppError when the rate limit is exhausted or NeoWs fails
+ */
+export async function lookupNeo(id: string): Promise<NeoLookup> {
+  const cached = lookupCache.get(id);
+  if (cached) return cached;
+
+  let pending = pendingLookups.get(id);
+  if (!pending) {
+    pending = fetchNeoLookup(id).finally(() => pendingLookups.delete(id));
+    pendingLookups.set(id, pending);
+  }
+  return pending;
+}
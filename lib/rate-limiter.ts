@@ -63,3 +63,6 @@ export class RateLimiter {
 
 // Export singleton instance - 900/hour to stay safely under NASA's 1000/hour limit
 export const nasaRateLimiter = new RateLimiter(900, 60 * 60 * 1000);
+
+// Local ephemeris computations don't touch NASA's quota, but still need abuse protection
+export const ephemerisRateLimiter = new RateLimiter(1800, 60 * 60 * 1000);
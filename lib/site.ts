@@ -0,0 +1,12 @@
+/**
+ * Site-wide constants shared by metadata, pages and the sitemap
+ */
+
+export const SITE_URL = 'https://solar-system-emulator.vercel.app';
+export const SITE_NAME = 'Solar System Emulator';
+export const OG_IMAGE = {
+  url: '/og-image.png',
+  width: 1200,
+  height: 630,
+  alt: 'Solar System Emulator - Interactive 3D Visualization',
+};
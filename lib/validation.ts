@@ -12,32 +12,37 @@ export const planetNameSchema = z.string()
 
 /**
  * Validation schema for moon names
- * Allows letters and spaces for multi-word moon names
+ * Allows letters, digits, spaces and apostrophes for names like Hi'iaka and MK2
  */
 export const moonNameSchema = z.string()
   .min(1, 'Moon name is required')
   .max(50, 'Moon name is too long')
-  .regex(/^[a-zA-Z\s]+$/, 'Moon name must contain only letters and spaces')
+  .regex(/^[a-zA-Z0-9\s']+$/, 'Moon name must contain only letters, digits, spaces and apostrophes')
   .transform(name => name.trim());
 
 /**
- * Validation schema for celestial body names (planets or moons)
+ * Validation schema for celestial body names (planets, dwarf planets, comets or moons)
  */
 export const bodyNameSchema = z.string()
   .min(1, 'Body name is required')
   .max(50, 'Body name is too long')
-  .regex(/^[a-zA-Z\s]+$/, 'Body name must contain only letters and spaces')
+  .regex(/^[a-zA-Z\s'-]+$/, 'Body name must contain only letters, spaces, hyphens and apostrophes')
   .transform(name => name.trim());
 
 /**
- * Validation schema for dates in YYYY-MM-DD format
+ * Validation schema for calendar dates in YYYY-MM-DD format, without range limits
  */
-export const dateSchema = z.string()
+export const calendarDateSchema = z.string()
   .regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format')
   .refine((date) => {
     const d = new Date(date);
     return d instanceof Date && !isNaN(d.getTime());
-  }, 'Invalid date')
+  }, 'Invalid date');
+
+/**
+ * Validation schema for dates in YYYY-MM-DD format within NASA archive range
+ */
+export const dateSchema = calendarDateSchema
   .refine((date) => {
     const d = new Date(date);
     const now = new Date();
@@ -45,6 +50,16 @@ export const dateSchema = z.string()
     return d >= minDate && d <= now;
   }, 'Date must be between 1995-06-16 and today');
 
+/**
+ * Validation schema for ephemeris dates in YYYY-MM-DD format
+ * Positions are computed locally, so the range is limited by orbital element accuracy, not the NASA archive
+ */
+export const ephemerisDateSchema = calendarDateSchema
+  .refine((date) => {
+    const d = new Date(date);
+    return d >= new Date('1800-01-01') && d <= new Date('2200-12-31');
+  }, 'Date must be between 1800-01-01 and 2200-12-31');
+
 /**
  * Validation schema for date ranges
  */
@@ -87,6 +102,89 @@ export const solSchema = z.number()
   .min(0, 'Sol must be non-negative')
   .max(10000, 'Sol number is too large');
 
+/**
+ * Validation schema for NeoWs asteroid ids (SPK-ids such as 2000433 or 3542519)
+ */
+export const neoIdSchema = z.string()
+  .regex(/^\d{1,10}$/, 'NEO id must be numeric');
+
+/**
+ * Validation schema for how many of a NEO feed's closest objects get orbits attached
+ * Each one may cost an upstream lookup, so this stays well under the rate limit
+ */
+export const neoOrbitCountSchema = z.number()
+  .int('Orbit count must be an integer')
+  .min(0, 'Orbit count must be non-negative')
+  .max(25, 'Orbit count is too large');
+
+/**
+ * Validation schema for rover camera abbreviations (e.g. FHAZ, NAVCAM_LEFT)
+ * Cameras differ per rover, so unknown ones simply return no photos upstream
+ */
+export const roverCameraSchema = z.string()
+  .min(1, 'Camera is required')
+  .max(30, 'Camera name is too long')
+  .regex(/^[a-zA-Z0-9_]+$/, 'Camera must contain only letters, digits and underscores')
+  .transform(camera => camera.toLowerCase());
+
+/**
+ * Validation schema for rover photo Earth dates, from Spirit's landing to today
+ */
+export const roverDateSchema = calendarDateSchema
+  .refine((date) => {
+    const d = new Date(date);
+    return d >= new Date('2004-01-04') && d <= new Date();
+  }, 'Date must be between 2004-01-04 and today');
+
+/**
+ * Validation schema for result page numbers
+ */
+export const pageSchema = z.number()
+  .int('Page must be an integer')
+  .min(1, 'Page must be at least 1')
+  .max(100, 'Page number is too large');
+
+/**
+ * Validation schema for one guided tour keyframe
+ * Offsets are in radii of the target body, so tours work at every scale mode
+ */
+export const tourKeyframeSchema = z.object({
+  body: z.string().min(1, 'Keyframe body is required').max(50, 'Keyframe body is too long'),
+  moon: z.string().min(1).max(50, 'Keyframe moon is too long').optional(),
+  offset: z.tuple([z.number(), z.number(), z.number()]),
+  date: calendarDateSchema.optional(),
+  speed: z.number().min(0, 'Speed must be non-negative').max(100, 'Speed is too large').optional(),
+  duration: z.number().positive('Duration must be positive').max(60, 'Duration is too long'),
+  hold: z.number().min(0, 'Hold must be non-negative').max(120, 'Hold is too long').default(4),
+  easing: z.enum(['linear', 'easeIn', 'easeOut', 'easeInOut']).default('easeInOut'),
+  caption: z.string().min(1, 'Caption is required').max(120, 'Caption is too long'),
+  narration: z.string().max(1000, 'Narration is too long').optional(),
+});
+
+/**
+ * Validation schema for guided tours (public/tours/<id>.json)
+ */
+export const tourSchema = z.object({
+  id: z.string().regex(/^[a-z0-9-]+$/, 'Tour id must contain only lowercase letters, digits and hyphens'),
+  title: z.string().min(1, 'Tour title is required').max(100, 'Tour title is too long'),
+  description: z.string().max(500, 'Tour description is too long').optional(),
+  keyframes: z.array(tourKeyframeSchema).min(1, 'Tour needs at least one keyframe').max(100, 'Tour has too many keyframes'),
+});
+
+/**
+ * Validation schema for the tour list (public/tours/index.json)
+ */
+export const tourIndexSchema = z.array(tourSchema.pick({ id: true, title: true, description: true }));
+
+/**
+ * Validation schema for user keyboard shortcut overrides saved in localStorage
+ * Maps action ids to KeyboardEvent.code values, e.g. { "follow": ["KeyT"] }
+ */
+export const keymapOverridesSchema = z.record(
+  z.string().max(50),
+  z.array(z.string().min(1).max(32)).max(4, 'Too many keys for one action')
+);
+
 /**
  * Helper function to validate and sanitize input
  */
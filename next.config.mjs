@@ -21,6 +21,11 @@ const nextConfig = {
         hostname: 'mars.nasa.gov',
         pathname: '/**',
       },
+      {
+        protocol: 'https',
+        hostname: 'mars.jpl.nasa.gov',
+        pathname: '/**',
+      },
     ],
   },
 }
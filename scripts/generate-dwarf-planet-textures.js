@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+
+/**
+ * Generate surface maps for the dwarf planets
+ * No spacecraft has mapped Haumea, Makemake or Eris, and New Horizons only saw one side of
+ * Pluto in detail, so these are stylised equirectangular maps: procedural terrain in each
+ * body's measured colour and albedo, plus the large-scale features that are known
+ * (Pluto's Tombaugh Regio, Cthulhu Macula and polar cap; Haumea's dark red spot).
+ * Run: node scripts/generate-dwarf-planet-textures.js
+ */
+
+const path = require('path');
+const sharp = require('sharp');
+
+const WIDTH = 2048;
+const HEIGHT = 1024;
+const DEG_TO_RAD = Math.PI / 180;
+
+const BODIES = {
+  pluto: {
+    seed: 9,
+    // Nitrogen and methane ice stained by tholins
+    base: ['#8a6448', '#d8bd9c'],
+    detail: 2.5,
+    regions: [
+      // Tombaugh Regio: Sputnik Planitia (western lobe) and the eastern highlands
+      { lat: 20, lon: 175, radius: 24, color: '#f3ebe0', strength: 0.95 },
+      { lat: 5, lon: 205, radius: 22, color: '#ece2d4', strength: 0.8 },
+      // Cthulhu Macula, the dark equatorial band west of the heart
+      { lat: -5, lon: 15, radius: 18, color: '#5b3626', strength: 0.7 },
+      { lat: -8, lon: 45, radius: 24, color: '#4a271b', strength: 0.9 },
+      { lat: -12, lon: 80, radius: 26, color: '#4a271b', strength: 0.9 },
+      { lat: -10, lon: 115, radius: 24, color: '#55301f', strength: 0.85 },
+      { lat: -5, lon: 145, radius: 16, color: '#5b3626', strength: 0.7 },
+      // Lowell Regio, the pale northern cap
+      { lat: 90, lon: 0, radius: 25, color: '#d9cfc0', strength: 0.7 },
+    ],
+  },
+  haumea: {
+    seed: 10,
+    // Crystalline water ice
+    base: ['#cfcdca', '#f6f5f2'],
+    detail: 1.5,
+    regions: [
+      // The dark red spot seen in its light curve
+      { lat: 10, lon: 90, radius: 18, color: '#8e4f46', strength: 0.75 },
+    ],
+  },
+  makemake: {
+    seed: 11,
+    // Reddish methane ice with brighter frost patches
+    base: ['#8f5a3b', '#d6a47e'],
+    detail: 3,
+    regions: [
+      { lat: 35, lon: 40, radius: 20, color: '#ead3bb', strength: 0.6 },
+      { lat: -30, lon: 230, radius: 25, color: '#e6cbb0', strength: 0.55 },
+      { lat: 5, lon: 320, radius: 15, color: '#6f3f28', strength: 0.5 },
+    ],
+  },
+  eris: {
+    seed: 12,
+    // Fresh nitrogen frost: one of the most reflective surfaces known
+    base: ['#dcdcdf', '#fbfbfc'],
+    detail: 1.2,
+    regions: [],
+  },
+};
+
+const hexToRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+const mix = (a, b, t) => a.map((value, i) => value + (b[i] - value) * t);
+
+const smoothstep = (edge0, edge1, value) => {
+  const t = Math.min(Math.max((value - edge0) / (edge1 - edge0), 0), 1);
+  return t * t * (3 - 2 * t);
+};
+
+// Deterministic lattice hash in [0, 1)
+const hash = (x, y, z, seed) => {
+  let h = (x * 374761393 + y * 668265263 + z * 2147483647 + seed * 144665) | 0;
+  h = Math.imul(h ^ (h >>> 13), 1274126177);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+};
+
+const valueNoise = (x, y, z, seed) => {
+  const ix = Math.floor(x);
+  const iy = Math.floor(y);
+  const iz = Math.floor(z);
+  const fx = smoothstep(0, 1, x - ix);
+  const fy = smoothstep(0, 1, y - iy);
+  const fz = smoothstep(0, 1, z - iz);
+
+  const lerp = (a, b, t) => a + (b - a) * t;
+  const corner = (dx, dy, dz) => hash(ix + dx, iy + dy, iz + dz, seed);
+
+  return lerp(
+    lerp(lerp(corner(0, 0, 0), corner(1, 0, 0), fx), lerp(corner(0, 1, 0), corner(1, 1, 0), fx), fy),
+    lerp(lerp(corner(0, 0, 1), corner(1, 0, 1), fx), lerp(corner(0, 1, 1), corner(1, 1, 1), fx), fy),
+    fz
+  );
+};
+
+// Sampled on the sphere rather than the map, so there is no seam and no pinching at the poles
+const fbm = (point, frequency, seed, octaves = 5) => {
+  let sum = 0;
+  let amplitude = 0.5;
+  let total = 0;
+  for (let octave = 0; octave < octaves; octave++) {
+    sum += amplitude * valueNoise(point[0] * frequency, point[1] * frequency, point[2] * frequency, seed + octave);
+    total += amplitude;
+    amplitude /= 2;
+    frequency *= 2;
+  }
+  return sum / total;
+};
+
+const toSphere = (lat, lon) => [
+  Math.cos(lat * DEG_TO_RAD) * Math.cos(lon * DEG_TO_RAD),
+  Math.cos(lat * DEG_TO_RAD) * Math.sin(lon * DEG_TO_RAD),
+  Math.sin(lat * DEG_TO_RAD),
+];
+
+const angleBetween = (a, b) =>
+  Math.acos(Math.min(1, Math.max(-1, a[0] * b[0] + a[1] * b[1] + a[2] * b[2]))) / DEG_TO_RAD;
+
+const renderBody = ({ seed, base, detail, regions }) => {
+  const [dark, light] = base.map(hexToRgb);
+  const features = regions.map(region => ({
+    ...region,
+    center: toSphere(region.lat, region.lon),
+    rgb: hexToRgb(region.color),
+  }));
+  const pixels = Buffer.alloc(WIDTH * HEIGHT * 3);
+
+  for (let y = 0; y < HEIGHT; y++) {
+    const lat = 90 - ((y + 0.5) / HEIGHT) * 180;
+    for (let x = 0; x < WIDTH; x++) {
+      // Longitude east, starting at the map's left edge
+      const lon = ((x + 0.5) / WIDTH) * 360;
+      const point = toSphere(lat, lon);
+
+      const terrain = fbm(point, detail, seed);
+      let color = mix(dark, light, smoothstep(0.25, 0.75, terrain));
+
+      // Ragged edges: the boundary wanders by about half the radius either way
+      const wander = fbm(point, 3, seed + 100) - 0.5;
+      features.forEach(({ center, radius, rgb, strength }) => {
+        const distance = angleBetween(point, center) + wander * radius * 2;
+        const weight = 1 - smoothstep(radius * 0.4, radius, distance);
+        if (weight > 0) color = mix(color, rgb, weight * strength * (0.7 + 0.3 * terrain));
+      });
+
+      // Fine grain so the surface doesn't look airbrushed up close
+      const grain = 1 + (fbm(point, 48, seed + 200, 2) - 0.5) * 0.12;
+      const offset = (y * WIDTH + x) * 3;
+      for (let channel = 0; channel < 3; channel++) {
+        pixels[offset + channel] = Math.round(Math.min(255, Math.max(0, color[channel] * grain)));
+      }
+    }
+  }
+
+  return pixels;
+};
+
+const outputDir = path.join(__dirname, '..', 'public', 'images', 'bodies');
+
+(async () => {
+  for (const [name, body] of Object.entries(BODIES)) {
+    const outputPath = path.join(outputDir, `${name}_2k.webp`);
+    await sharp(renderBody(body), { raw: { width: WIDTH, height: HEIGHT, channels: 3 } })
+      .webp({ quality: 82 })
+      .toFile(outputPath);
+    console.log('✅ Texture generated:', outputPath);
+  }
+})();
@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+
+/**
+ * Generate the synthetic NASA fixtures in fixtures/nasa
+ * These are hand-written stand-ins, not recordings: they have the shape of NASA's responses
+ * so the API routes can be replayed and tested without a key or network, but the titles,
+ * ids, dates, orbits and image URLs are made up (see fixtures/nasa/README.md). Replace
+ * them with real responses from `npm run dev:record` when NASA is reachable.
+ * Run: node scripts/generate-synthetic-nasa-fixtures.js
+ */
+
+const { createHash } = require('crypto');
+const { mkdirSync, writeFileSync } = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', 'fixtures', 'nasa');
+// One timestamp for the whole set: the files were generated together, not recorded
+const RECORDED_AT = '2026-10-19T09:00:00.000Z';
+
+function fixturePath(url) {
+  const parsed = new URL(url);
+  parsed.searchParams.sort();
+  const hash = createHash('sha1').update(parsed.toString()).digest('hex').slice(0, 8);
+  const name = parsed.pathname.replace(/^\/+|\/+$/g, '').replace(/[^a-zA-Z0-9]+/g, '-') || 'root';
+  return path.join(ROOT, parsed.hostname, `${name}-${hash}.json`);
+}
+
+function save(url, body, status = 200) {
+  const file = fixturePath(url);
+  mkdirSync(path.dirname(file), { recursive: true });
+  writeFileSync(file, `${JSON.stringify({ url, status, recordedAt: RECORDED_AT, synthetic: true, body }, null, 2)}\n`);
+}
+
+const asset = id => `https://images-assets.nasa.gov/image/${id}/${id}~thumb.jpg`;
+
+function searchBody(url, items) {
+  return {
+    collection: {
+      version: '1.0',
+      href: url,
+      items: items.map(({ id, title, description, date, photographer, center = 'JPL', keywords }) => ({
+        href: `https://images-assets.nasa.gov/image/${id}/collection.json`,
+        data: [{
+          center,
+          title,
+          nasa_id: id,
+          date_created: date,
+          keywords,
+          media_type: 'image',
+          description,
+          ...(photographer ? { photographer } : {}),
+        }],
+        links: [{ href: asset(id), rel: 'preview', render: 'image' }],
+      })),
+      metadata: { total_hits: items.length },
+    },
+  };
+}
+
+// Planet image searches: `${name} planet` (lowercased), year_start=2010
+const planets = {
+  sun: ['Sun solar surface', [
+    ['SDO Views the Active Sun', 'The Solar Dynamics Observatory captures the Sun in extreme ultraviolet light, showing active regions and coronal loops.', '2015-06-22T00:00:00Z', 'GSFC'],
+    ['Solar Surface in 171 Angstrom Light', 'Magnetic loops arc above the solar surface in this SDO/AIA image.', '2014-11-04T00:00:00Z', 'GSFC'],
+  ]],
+  mercury: ['mercury planet', [
+    ['Mercury in Enhanced Color', 'MESSENGER global mosaic of Mercury in enhanced color, highlighting differences in surface composition.', '2013-04-16T00:00:00Z'],
+    ['Mercury Global Mosaic', 'A global monochrome mosaic of Mercury from MESSENGER.', '2013-03-06T00:00:00Z'],
+  ]],
+  venus: ['venus planet', [
+    ['Venus from Mariner 10, Reprocessed', 'A reprocessed view of Venus from Mariner 10 showing the planet\'s thick cloud cover.', '2020-06-10T00:00:00Z'],
+    ['Venus Radar Global View', 'Magellan radar mosaic of the surface of Venus beneath its clouds.', '2010-05-12T00:00:00Z'],
+  ]],
+  earth: ['earth planet', [
+    ['Blue Marble - Earth from DSCOVR', 'The sunlit face of Earth from the EPIC camera on DSCOVR, one million miles away.', '2015-07-20T00:00:00Z', 'GSFC'],
+    ['Earth and Moon from Mars Orbit', 'Earth and its Moon seen by HiRISE from Mars orbit.', '2014-05-16T00:00:00Z'],
+  ]],
+  mars: ['mars planet', [
+    ['Mars Global Color View', 'A global view of Mars showing Valles Marineris across the equator.', '2011-08-18T00:00:00Z'],
+    ['Mars from Hope Orbiter Perspective', 'Full-disc view of Mars showing the Tharsis volcanoes.', '2022-03-01T00:00:00Z'],
+  ]],
+  jupiter: ['jupiter planet', [
+    ['Jupiter\'s Great Red Spot from Juno', 'Juno captures the Great Red Spot and surrounding turbulent bands.', '2017-07-12T00:00:00Z', 'JPL', 'NASA/JPL-Caltech/SwRI/MSSS/Kevin M. Gill'],
+    ['Jupiter\'s Colorful Cloud Belts', 'Jupiter\'s southern hemisphere cloud belts seen by Juno.', '2019-02-12T00:00:00Z'],
+  ]],
+  saturn: ['saturn planet', [
+    ['The Day the Earth Smiled', 'Cassini views Saturn backlit by the Sun, with Earth visible as a tiny dot.', '2013-11-12T00:00:00Z'],
+    ['Saturn\'s Rings and Hexagon', 'Cassini view of Saturn\'s north polar hexagon and ring system.', '2017-04-20T00:00:00Z'],
+  ]],
+  uranus: ['uranus planet', [
+    ['Uranus Rings from Webb', 'Webb infrared view of Uranus showing its rings and polar cap.', '2023-04-06T00:00:00Z', 'GSFC'],
+    ['Uranus in Natural Color', 'Reprocessed Voyager 2 view of Uranus.', '2014-03-21T00:00:00Z'],
+  ]],
+  neptune: ['neptune planet', [
+    ['Neptune Full Disk View', 'Voyager 2 view of Neptune showing the Great Dark Spot.', '2010-09-01T00:00:00Z'],
+    ['Neptune Rings from Webb', 'Webb near-infrared view of Neptune and its faint rings.', '2022-09-21T00:00:00Z', 'GSFC'],
+  ]],
+  pluto: ['pluto planet', [
+    ['Pluto in Enhanced Color', 'New Horizons enhanced color view of Pluto showing the heart-shaped Tombaugh Regio.', '2015-07-24T00:00:00Z', 'HQ'],
+    ['Pluto\'s Haze Layers', 'Backlit haze layers above Pluto\'s limb from New Horizons.', '2015-10-08T00:00:00Z', 'HQ'],
+  ]],
+  haumea: ['haumea planet', [
+    ['Dwarf Planet Haumea Illustration', 'Artist\'s concept of the elongated dwarf planet Haumea and its ring.', '2017-10-11T00:00:00Z'],
+  ]],
+  makemake: ['makemake planet', [
+    ['Makemake and Its Moon', 'Hubble image of the dwarf planet Makemake with its small, dark moon.', '2016-04-26T00:00:00Z', 'GSFC'],
+  ]],
+  eris: ['eris planet', [
+    ['Eris and Dysnomia', 'Artist\'s concept of the dwarf planet Eris with its moon Dysnomia.', '2010-06-15T00:00:00Z'],
+  ]],
+  ceres: ['ceres planet', [
+    ['Ceres in Natural Color', 'Dawn view of the dwarf planet Ceres showing the bright spots of Occator crater.', '2018-01-25T00:00:00Z'],
+  ]],
+  vesta: ['vesta planet', [
+    ['Vesta Full View', 'Dawn mosaic of the giant asteroid Vesta showing the Rheasilvia basin.', '2012-05-10T00:00:00Z'],
+  ]],
+  pallas: ['pallas planet', [
+    ['Pallas from Ground-Based Imaging', 'Adaptive optics images of the large asteroid Pallas and its cratered surface.', '2020-02-10T00:00:00Z'],
+  ]],
+  hygiea: ['hygiea planet', [
+    ['Hygiea - A Possible Dwarf Planet', 'Ground-based images show Hygiea is nearly spherical.', '2019-10-28T00:00:00Z'],
+  ]],
+};
+
+// Ids are obviously fake so nobody mistakes them for real NASA library entries
+const syntheticId = (name, index) => `synthetic-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${index + 1}`;
+
+for (const [name, [query, images]] of Object.entries(planets)) {
+  const url = `https://images-api.nasa.gov/search?q=${encodeURIComponent(query)}&media_type=image&year_start=2010`;
+  save(url, searchBody(url, images.map(([title, description, date, center, photographer], index) =>
+    ({ id: syntheticId(name, index), title, description, date, center, photographer, keywords: [query.split(' ')[0]] }))));
+}
+
+// Moon image and gallery searches: `${Name} moon`, year_start=2000
+const moons = {
+  Moon: ['Full Moon from Lunar Reconnaissance Orbiter', 'Near side of the Moon assembled from LRO Wide Angle Camera images.'],
+  Phobos: ['Phobos from Mars Reconnaissance Orbiter', 'HiRISE view of Phobos showing the large crater Stickney.'],
+  Deimos: ['Deimos in Color', 'HiRISE color image of Mars\' smaller moon Deimos.'],
+  Io: ['Io\'s Volcanic Surface', 'Galileo view of Io\'s sulfur-covered, volcanically active surface.'],
+  Europa: ['Europa\'s Icy Surface', 'Reprocessed Galileo view of Europa\'s cracked ice shell.'],
+  Ganymede: ['Ganymede from Juno', 'JunoCam view of Ganymede, the largest moon in the solar system.'],
+  Callisto: ['Callisto Global View', 'Galileo view of heavily cratered Callisto.'],
+  Mimas: ['Mimas and Herschel Crater', 'Cassini view of Mimas dominated by the giant Herschel crater.'],
+  Enceladus: ['Enceladus Plumes', 'Cassini captures the water-ice plumes of Enceladus\' south pole.'],
+  Tethys: ['Tethys and Odysseus Crater', 'Cassini view of Tethys showing the Odysseus impact basin.'],
+  Dione: ['Dione\'s Wispy Terrain', 'Cassini view of the bright ice cliffs on Dione.'],
+  Rhea: ['Rhea in Color', 'Cassini color view of Saturn\'s second-largest moon, Rhea.'],
+  Titan: ['Titan\'s Surface in Infrared', 'Cassini infrared mosaic looking through Titan\'s haze.'],
+  Iapetus: ['Two-Toned Iapetus', 'Cassini view of Iapetus\' dark leading and bright trailing hemispheres.'],
+  Miranda: ['Miranda\'s Patchwork Surface', 'Voyager 2 mosaic of Miranda\'s coronae and cliffs.'],
+  Ariel: ['Ariel from Voyager 2', 'Voyager 2 view of Uranus\' moon Ariel.'],
+  Umbriel: ['Umbriel from Voyager 2', 'Voyager 2 view of the dark moon Umbriel.'],
+  Titania: ['Titania from Voyager 2', 'Voyager 2 view of Titania, Uranus\' largest moon.'],
+  Oberon: ['Oberon from Voyager 2', 'Voyager 2 view of the cratered moon Oberon.'],
+  Triton: ['Triton Global Mosaic', 'Voyager 2 mosaic of Neptune\'s moon Triton.'],
+  Proteus: ['Proteus from Voyager 2', 'Voyager 2 view of Neptune\'s irregular moon Proteus.'],
+  Charon: ['Charon in Enhanced Color', 'New Horizons enhanced color view of Charon and its red polar region.'],
+  "Hi'iaka": ['Haumea and Its Moons', 'Keck images of the dwarf planet Haumea with its moons Hi\'iaka and Namaka.'],
+  Dysnomia: ['Eris and Dysnomia from Hubble', 'Hubble view of Eris with its moon Dysnomia.'],
+  MK2: ['Makemake and Its Moon MK2', 'Hubble image of the dwarf planet Makemake with its small, dark moon MK2.'],
+};
+
+for (const [name, [title, description]] of Object.entries(moons)) {
+  const query = `${name} moon`;
+  const url = `https://images-api.nasa.gov/search?q=${encodeURIComponent(query)}&media_type=image&year_start=2000`;
+  const items = [0, 1, 2].map(index => ({
+    id: syntheticId(name, index),
+    title: index === 0 ? title : `${title} (${index + 1})`,
+    description,
+    date: `${2005 + index * 5}-01-01T00:00:00Z`,
+    keywords: [name],
+  }));
+  save(url, searchBody(url, items));
+}
+
+// APOD (client asks for today; replay serves the newest recorded day)
+save('https://api.nasa.gov/planetary/apod', {
+  copyright: 'NASA',
+  date: '2026-10-19',
+  explanation: 'The Milky Way arches above a dark-sky site, its dust lanes outlined against the glow of billions of stars.',
+  hdurl: 'https://apod.nasa.gov/apod/image/2610/MilkyWayArch_4096.jpg',
+  media_type: 'image',
+  service_version: 'v1',
+  title: 'Milky Way Arch',
+  url: 'https://apod.nasa.gov/apod/image/2610/MilkyWayArch_1024.jpg',
+});
+
+// NEO feed for one day plus a lookup for each object in it
+const FEED_DATE = '2026-10-19';
+const approachEpoch = Date.parse(`${FEED_DATE}T00:00:00Z`);
+const neos = [
+  {
+    id: '2099942', name: '99942 Apophis (2004 MN4)', hazardous: true, diameter: [0.32, 0.38],
+    missKm: 28_400_000, velocity: 7.42, orbitClass: 'ATE',
+    orbit: ['0.9224', '0.1911', '3.3390', '203.96', '126.60', '142.5', '1.1115', '2461000.5'], hour: 6,
+  },
+  {
+    id: '2004179', name: '4179 Toutatis (1989 AC)', hazardous: true, diameter: [2.4, 2.6],
+    missKm: 41_200_000, velocity: 11.3, orbitClass: 'APO',
+    orbit: ['2.5435', '0.6247', '0.4480', '124.40', '278.70', '20.1', '0.2424', '2461000.5'], hour: 14,
+  },
+  {
+    id: '3542519', name: '(2010 PK9)', hazardous: false, diameter: [0.12, 0.27],
+    missKm: 5_870_000, velocity: 14.9, orbitClass: 'APO',
+    orbit: ['1.3150', '0.6870', '12.910', '305.55', '254.13', '88.2', '0.6533', '2461000.5'], hour: 21,
+  },
+];
+
+const KM_PER_AU = 149597870.7;
+const KM_PER_LD = 384400;
+
+const approach = (neo, epoch) => ({
+  close_approach_date: new Date(epoch).toISOString().slice(0, 10),
+  close_approach_date_full: new Date(epoch).toISOString().slice(0, 16).replace('T', ' '),
+  epoch_date_close_approach: epoch,
+  relative_velocity: {
+    kilometers_per_second: String(neo.velocity),
+    kilometers_per_hour: String(neo.velocity * 3600),
+    miles_per_hour: String(neo.velocity * 3600 * 0.621371),
+  },
+  miss_distance: {
+    astronomical: String(neo.missKm / KM_PER_AU),
+    lunar: String(neo.missKm / KM_PER_LD),
+    kilometers: String(neo.missKm),
+    miles: String(neo.missKm * 0.621371),
+  },
+  orbiting_body: 'Earth',
+});
+
+const feedEntry = neo => ({
+  links: { self: `http://api.nasa.gov/neo/rest/v1/neo/${neo.id}` },
+  id: neo.id,
+  neo_reference_id: neo.id,
+  name: neo.name,
+  nasa_jpl_url: `https://ssd.jpl.nasa.gov/tools/sbdb_lookup.html#/?sstr=${neo.id}`,
+  absolute_magnitude_h: 19.1,
+  estimated_diameter: {
+    kilometers: { estimated_diameter_min: neo.diameter[0], estimated_diameter_max: neo.diameter[1] },
+  },
+  is_potentially_hazardous_asteroid: neo.hazardous,
+  close_approach_data: [approach(neo, approachEpoch + neo.hour * 3600_000)],
+  is_sentry_object: false,
+});
+
+save(`https://api.nasa.gov/neo/rest/v1/feed?start_date=${FEED_DATE}&end_date=${FEED_DATE}`, {
+  links: {},
+  element_count: neos.length,
+  near_earth_objects: { [FEED_DATE]: neos.map(feedEntry) },
+});
+
+for (const neo of neos) {
+  const [a, e, i, node, peri, mean, motion, epoch] = neo.orbit;
+  save(`https://api.nasa.gov/neo/rest/v1/neo/${neo.id}`, {
+    ...feedEntry(neo),
+    close_approach_data: [
+      approach({ ...neo, missKm: neo.missKm * 1.8 }, approachEpoch - 380 * 86400_000),
+      approach(neo, approachEpoch + neo.hour * 3600_000),
+    ],
+    orbital_data: {
+      orbit_id: '220',
+      orbit_determination_date: '2025-11-02 06:18:37',
+      epoch_osculation: epoch,
+      eccentricity: e,
+      semi_major_axis: a,
+      inclination: i,
+      ascending_node_longitude: node,
+      perihelion_argument: peri,
+      mean_anomaly: mean,
+      mean_motion: motion,
+      orbit_class: { orbit_class_type: neo.orbitClass },
+    },
+  });
+}
+
+// Latest photos (page 1) for each rover, as the Mars rover panel first asks
+const rovers = {
+  curiosity: { sol: 4700, date: '2026-10-16', cameras: [['FHAZ', 'Front Hazard Avoidance Camera'], ['NAVCAM', 'Navigation Camera'], ['MAST', 'Mast Camera']] },
+  perseverance: { sol: 1650, date: '2026-10-17', cameras: [['NAVCAM_LEFT', 'Navigation Camera - Left'], ['FRONT_HAZCAM_LEFT_A', 'Front Hazard Avoidance Camera - Left'], ['MCZ_RIGHT', 'Mast Camera Zoom - Right']] },
+  opportunity: { sol: 5111, date: '2018-06-11', cameras: [['PANCAM', 'Panoramic Camera'], ['NAVCAM', 'Navigation Camera']] },
+  spirit: { sol: 2208, date: '2010-03-21', cameras: [['PANCAM', 'Panoramic Camera'], ['NAVCAM', 'Navigation Camera']] },
+};
+
+let photoId = 1200000;
+for (const [rover, { sol, date, cameras }] of Object.entries(rovers)) {
+  const photos = cameras.flatMap(([name, fullName], cameraIndex) => [0, 1].map(frame => ({
+    id: photoId++,
+    sol,
+    camera: { id: 20 + cameraIndex, name, rover_id: 5, full_name: fullName },
+    img_src: `http://mars.nasa.gov/msl-raw-images/${rover}/${sol}/${name}_${String(frame).padStart(4, '0')}.JPG`,
+    earth_date: date,
+    rover: { name: rover[0].toUpperCase() + rover.slice(1), status: date < '2019' ? 'complete' : 'active' },
+  })));
+  save(`https://api.nasa.gov/mars-photos/api/v1/rovers/${rover}/latest_photos?page=1`, { latest_photos: photos });
+}
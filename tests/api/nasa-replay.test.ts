@@ -0,0 +1,205 @@
+/**
+ * NASA API routes in replay mode
+ * Every handler is exercised against fixtures/nasa with no API key and the network
+ * blocked, so a missing or stale fixture fails here rather than as a 503 in the app.
+ */
+
+import { afterAll, beforeAll, describe, expect, it, vi } from 'vitest';
+import { NextRequest } from 'next/server';
+import { GET as getApod } from '@/app/api/nasa/apod/route';
+import { GET as getPlanetImage } from '@/app/api/nasa/planet/[name]/route';
+import { GET as getMoonImage } from '@/app/api/nasa/moon/[name]/route';
+import { GET as getMoonGallery } from '@/app/api/nasa/moon/[name]/gallery/route';
+import { GET as getNeoFeed } from '@/app/api/nasa/neo/route';
+import { GET as getNeo } from '@/app/api/nasa/neo/[id]/route';
+import { GET as getMarsRoverPhotos } from '@/app/api/nasa/mars-rover/route';
+
+// Every body the detail panel asks an image for (comets have none)
+const PLANET_IMAGE_BODIES = [
+  'Sun', 'Mercury', 'Venus', 'Earth', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune',
+  'Pluto', 'Haumea', 'Makemake', 'Eris', 'Ceres', 'Vesta', 'Pallas', 'Hygiea',
+];
+
+const MOONS = [
+  'Moon', 'Phobos', 'Deimos', 'Io', 'Europa', 'Ganymede', 'Callisto',
+  'Mimas', 'Enceladus', 'Tethys', 'Dione', 'Rhea', 'Titan', 'Iapetus',
+  'Miranda', 'Ariel', 'Umbriel', 'Titania', 'Oberon', 'Triton', 'Proteus',
+  'Charon', "Hi'iaka", 'MK2', 'Dysnomia',
+];
+
+const ROVERS = ['curiosity', 'opportunity', 'spirit', 'perseverance'];
+
+const request = (path: string) => new NextRequest(`http://localhost${path}`);
+const params = <T>(value: T) => ({ params: Promise.resolve(value) });
+
+const fetchSpy = vi.fn(() => Promise.reject(new Error('Network access in replay mode')));
+
+beforeAll(() => {
+  vi.stubGlobal('fetch', fetchSpy);
+});
+
+afterAll(() => {
+  expect(fetchSpy).not.toHaveBeenCalled();
+  vi.unstubAllGlobals();
+});
+
+describe('replay mode', () => {
+  it('runs without an API key', () => {
+    expect(process.env.NASA_API_KEY).toBeFalsy();
+    expect(process.env.NASA_UPSTREAM_MODE).toBe('replay');
+  });
+});
+
+describe('GET /api/nasa/apod', () => {
+  it('replays the picture of the day', async () => {
+    const response = await getApod(request('/api/nasa/apod'));
+    expect(response.status).toBe(200);
+
+    const data = await response.json();
+    expect(data).toMatchObject({ media_type: 'image' });
+    expect(data.title).toBeTruthy();
+    expect(data.url).toMatch(/^https:\/\//);
+  });
+
+  it('falls back to another recorded day', async () => {
+    const response = await getApod(request('/api/nasa/apod?date=2020-01-01'));
+    expect(response.status).toBe(200);
+  });
+
+  it('rejects a malformed date', async () => {
+    const response = await getApod(request('/api/nasa/apod?date=yesterday'));
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('GET /api/nasa/planet/[name]', () => {
+  it.each(PLANET_IMAGE_BODIES)('replays an image for %s', async (name) => {
+    const response = await getPlanetImage(request(`/api/nasa/planet/${name}`), params({ name }));
+    expect(response.status).toBe(200);
+
+    const data = await response.json();
+    expect(data.url).toMatch(/^https:\/\//);
+    expect(data.title).toBeTruthy();
+    expect(data.photographer).toBeTruthy();
+  });
+
+  it('rejects an invalid name', async () => {
+    const response = await getPlanetImage(request('/api/nasa/planet/mars1'), params({ name: 'mars1' }));
+    expect(response.status).toBe(400);
+  });
+
+  it('answers 503 for a body that was never recorded', async () => {
+    const response = await getPlanetImage(request('/api/nasa/planet/Vulcan'), params({ name: 'Vulcan' }));
+    expect(response.status).toBe(503);
+  });
+});
+
+describe('GET /api/nasa/moon/[name]', () => {
+  it.each(MOONS)('replays an image for %s', async (name) => {
+    const response = await getMoonImage(request(`/api/nasa/moon/${encodeURIComponent(name)}`), params({ name }));
+    expect(response.status).toBe(200);
+
+    const data = await response.json();
+    expect(data.url).toMatch(/^https:\/\//);
+    expect(data.title).toBeTruthy();
+  });
+});
+
+describe('GET /api/nasa/moon/[name]/gallery', () => {
+  it.each(MOONS)('replays a gallery for %s', async (name) => {
+    const response = await getMoonGallery(
+      request(`/api/nasa/moon/${encodeURIComponent(name)}/gallery`),
+      params({ name })
+    );
+    expect(response.status).toBe(200);
+
+    const { images } = await response.json();
+    expect(images.length).toBeGreaterThan(0);
+    images.forEach((image: { url: string; title: string }) => {
+      expect(image.url).toMatch(/^https:\/\//);
+      expect(image.title).toBeTruthy();
+    });
+  });
+});
+
+describe('GET /api/nasa/neo', () => {
+  it("replays today's feed from the newest recorded day", async () => {
+    const response = await getNeoFeed(request('/api/nasa/neo'));
+    expect(response.status).toBe(200);
+
+    const data = await response.json();
+    const objects = Object.values(data.near_earth_objects).flat();
+    expect(objects).toHaveLength(data.element_count);
+    expect(objects.length).toBeGreaterThan(0);
+  });
+
+  it('rejects a start date after the end date', async () => {
+    const response = await getNeoFeed(request('/api/nasa/neo?start_date=2025-01-02&end_date=2025-01-01'));
+    expect(response.status).toBe(400);
+  });
+
+  it('attaches orbits for the closest objects', async () => {
+    const response = await getNeoFeed(request('/api/nasa/neo?orbits=12'));
+    expect(response.status).toBe(200);
+
+    const data = await response.json();
+    const ids = Object.values(data.near_earth_objects).flat().map(entry => (entry as { id: string }).id);
+    expect(Object.keys(data.orbits).sort()).toEqual(ids.sort());
+    for (const orbit of Object.values(data.orbits) as Array<{ orbitalElements: { semiMajorAxis: number } }>) {
+      expect(orbit.orbitalElements.semiMajorAxis).toBeGreaterThan(0);
+    }
+  });
+
+  it('leaves orbits out unless asked for', async () => {
+    const data = await (await getNeoFeed(request('/api/nasa/neo'))).json();
+    expect(data.orbits).toBeUndefined();
+  });
+
+  it.each(['abc', '-1', '26'])('rejects orbits=%s', async (orbits) => {
+    const response = await getNeoFeed(request(`/api/nasa/neo?orbits=${orbits}`));
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('GET /api/nasa/neo/[id]', () => {
+  it('replays a lookup for every object in the feed', async () => {
+    const feed = await (await getNeoFeed(request('/api/nasa/neo'))).json();
+    const ids = Object.values(feed.near_earth_objects).flat().map(entry => (entry as { id: string }).id);
+
+    for (const id of ids) {
+      const response = await getNeo(request(`/api/nasa/neo/${id}`), params({ id }));
+      expect(response.status).toBe(200);
+
+      const data = await response.json();
+      expect(data.id).toBe(id);
+      expect(data.orbitalElements.semiMajorAxis).toBeGreaterThan(0);
+      expect(data.orbitalElements.meanMotion).toBeGreaterThan(0);
+      expect(data.closeApproaches.length).toBeGreaterThan(0);
+    }
+  });
+
+  it('rejects a non-numeric id', async () => {
+    const response = await getNeo(request('/api/nasa/neo/apophis'), params({ id: 'apophis' }));
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('GET /api/nasa/mars-rover', () => {
+  it.each(ROVERS)('replays the latest %s photos', async (rover) => {
+    const response = await getMarsRoverPhotos(request(`/api/nasa/mars-rover?rover=${rover}`));
+    expect(response.status).toBe(200);
+
+    const data = await response.json();
+    expect(data).toMatchObject({ rover, page: 1, hasMore: false });
+    expect(data.photos.length).toBeGreaterThan(0);
+    data.photos.forEach((photo: { url: string; camera: string }) => {
+      expect(photo.url).toMatch(/^https:\/\//);
+      expect(photo.camera).toBeTruthy();
+    });
+  });
+
+  it('rejects both a sol and an Earth date', async () => {
+    const response = await getMarsRoverPhotos(request('/api/nasa/mars-rover?sol=100&earth_date=2015-01-01'));
+    expect(response.status).toBe(400);
+  });
+});
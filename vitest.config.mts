@@ -0,0 +1,20 @@
+import path from 'path';
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  resolve: {
+    alias: {
+      '@': path.resolve(__dirname),
+    },
+  },
+  test: {
+    include: ['tests/**/*.test.ts'],
+    environment: 'node',
+    // API routes run against the recorded NASA responses: no network and no API key
+    env: {
+      NASA_UPSTREAM_MODE: 'replay',
+      NASA_API_KEY: '',
+      NASA_FIXTURES_DIR: 'fixtures/nasa',
+    },
+  },
+});